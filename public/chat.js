@@ -6,9 +6,19 @@
  * and communication with the AutoRAG-enhanced backend API.
  * 
  * Features:
- * - System prompt configuration with presets
+ * - System prompt configuration with server-side presets
  * - Real-time chat with streaming responses
+ * - Server-side conversation history with a resumable sidebar
+ * - Clickable inline citations linked to the retrieved source chunks
+ * - Sanitized Markdown rendering (lists, tables, code) that updates as answers stream
+ * - Selectable answer pipeline (custom, AutoRAG aiSearch, or both compared)
+ * - Model and generation parameters chosen from the server's allowlist
+ * - Sign-in with an API key, kept as a server-signed session cookie
+ * - Photo attachments, described by a vision model and shown as thumbnails
+ * - Knowledge base search, with results pinned into the next message as context
+ * - Conversation export (Markdown, JSON, printable HTML) and JSON import
  * - RAG status indicators and metadata display
+ * - Model and knowledge base status polled from /api/health/details
  * - Error handling and connection management
  * - Mobile-responsive interactions
  */
@@ -18,19 +28,39 @@
 // =============================================================================
 
 const CONFIG = {
-  model: "@cf/meta/llama-3.3-70b-instruct-fp8-fast",
   autoragIndex: "damagescan-rag-1",
   defaultSystemPrompt: "You are a helpful, friendly assistant. Use the provided context from the knowledge base to enhance your responses when relevant, but you can also draw from your general knowledge. If context is provided, prioritize it but explain clearly when you're using external knowledge vs. the knowledge base. Provide concise and accurate responses.",
-  maxTokens: 1024,
-  temperature: 0.7,
   ragSettings: {
     maxResults: 5,
     scoreThreshold: 0.1,
     rewriteQuery: true,
+    condenseQuery: true,
+  },
+  pipelineMode: "custom",
+  knowledgeBaseFolders: [
+    { path: "iicrc-s500/", label: "IICRC S500" },
+    { path: "carrier-guidelines/", label: "Carrier guidelines" },
+    { path: "internal-sops/", label: "Internal SOPs" },
+  ],
+  photos: {
+    maxPerMessage: 4,
+    // Photos are downscaled in the browser before upload
+    maxDimension: 1024,
+    quality: 0.85,
+    thumbnailDimension: 160,
+    maxThumbnailLength: 24000,
+  },
+  search: {
+    // Search results that can be pinned to one message, as allowed by the server
+    maxPinned: 5,
   },
   streamingEnabled: true,
   errorRetryAttempts: 3,
   timeoutMs: 30000,
+  // How often the header status is refreshed from /api/health/details
+  healthPollIntervalMs: 60000,
+  // How often pending uploads are re-checked while the documents panel is open
+  documentStatusPollIntervalMs: 60000,
 };
 
 const ERROR_MESSAGES = {
@@ -38,6 +68,8 @@ const ERROR_MESSAGES = {
   LLM_FAILURE: "AI model temporarily unavailable. Please try again.",
   INVALID_REQUEST: "Invalid request format. Please check your input.",
   RATE_LIMITED: "Too many requests. Please wait a moment before trying again.",
+  UNAUTHORIZED: "Your session has ended. Please sign in again.",
+  CONVERSATION_CHANGED: "This conversation was changed elsewhere. Reopen it from the sidebar to continue.",
   TIMEOUT: "Request timed out. Please try again with a shorter message.",
   NETWORK_ERROR: "Network error occurred. Please check your connection.",
   UNKNOWN_ERROR: "An unexpected error occurred. Please try again.",
@@ -47,15 +79,12 @@ const ERROR_MESSAGES = {
 // System Prompt Presets
 // =============================================================================
 
-const systemPromptPresets = {
-  default: "You are a helpful, friendly assistant. Use the provided context from the knowledge base to enhance your responses when relevant, but you can also draw from your general knowledge. If context is provided, prioritize it but explain clearly when you're using external knowledge vs. the knowledge base. Provide concise and accurate responses.",
-  
-  technical: "You are a technical expert assistant. When using the knowledge base, focus on technical details, implementation specifics, and best practices. Provide code examples when relevant, explain technical concepts clearly, and reference specific documentation sections when using knowledge base information. Be precise and thorough in your explanations.",
-  
-  creative: "You are a creative and innovative assistant. Use the knowledge base information as inspiration while encouraging creative thinking and novel approaches. When drawing from the knowledge base, combine the information with creative insights and alternative perspectives. Be engaging and imaginative in your responses.",
-  
-  analytical: "You are an analytical assistant focused on data-driven insights. When using the knowledge base, emphasize facts, statistics, and logical reasoning. Break down complex information into clear analytical points, identify patterns and relationships, and provide structured, evidence-based responses."
-};
+// System prompt presets, loaded from /api/presets
+let systemPromptPresets = [];
+
+// Model allowlist and server defaults, loaded from /api/models
+let modelOptions = [];
+let generationDefaults = null;
 
 // =============================================================================
 // DOM Element References
@@ -64,11 +93,61 @@ const systemPromptPresets = {
 const chatMessages = document.getElementById("chat-messages");
 const userInput = document.getElementById("user-input");
 const sendButton = document.getElementById("send-button");
+const stopButton = document.getElementById("stop-button");
+const attachButton = document.getElementById("attach-button");
+const photoInput = document.getElementById("photo-input");
+const photoAttachments = document.getElementById("photo-attachments");
 const typingIndicator = document.getElementById("typing-indicator");
 const systemPromptToggle = document.getElementById("system-prompt-toggle");
 const systemPromptSection = document.getElementById("system-prompt-section");
 const systemPromptInput = document.getElementById("system-prompt");
 const charCount = document.getElementById("char-count");
+const promptPresets = document.getElementById("prompt-presets");
+const condenseQueryToggle = document.getElementById("condense-query-toggle");
+const pipelineModeSelect = document.getElementById("pipeline-mode-select");
+const kbFolderOptions = document.getElementById("kb-folder-options");
+const kbModifiedAfter = document.getElementById("kb-modified-after");
+const kbModifiedBefore = document.getElementById("kb-modified-before");
+const kbScopeClear = document.getElementById("kb-scope-clear");
+const kbScopeLabel = document.getElementById("kb-scope-label");
+const modelSelect = document.getElementById("model-select");
+const temperatureInput = document.getElementById("temperature-input");
+const maxTokensInput = document.getElementById("max-tokens-input");
+const topPInput = document.getElementById("top-p-input");
+const generationReset = document.getElementById("generation-reset");
+const signInDialog = document.getElementById("sign-in-dialog");
+const signInForm = document.getElementById("sign-in-form");
+const signInKeyInput = document.getElementById("sign-in-key");
+const signInError = document.getElementById("sign-in-error");
+const signOutButton = document.getElementById("sign-out-button");
+const signedInUserLabel = document.getElementById("signed-in-user");
+const conversationList = document.getElementById("conversation-list");
+const conversationEmpty = document.getElementById("conversation-empty");
+const newConversationButton = document.getElementById("new-conversation-button");
+const exportButtons = document.querySelectorAll("[data-export-format]");
+const importButton = document.getElementById("import-button");
+const importInput = document.getElementById("import-input");
+const kbSearchToggle = document.getElementById("kb-search-toggle");
+const kbSearchSection = document.getElementById("kb-search-section");
+const kbSearchForm = document.getElementById("kb-search-form");
+const kbSearchInput = document.getElementById("kb-search-input");
+const kbSearchFolder = document.getElementById("kb-search-folder");
+const kbSearchStatus = document.getElementById("kb-search-status");
+const kbSearchResults = document.getElementById("kb-search-results");
+const kbSearchMore = document.getElementById("kb-search-more");
+const kbDocumentsToggle = document.getElementById("kb-documents-toggle");
+const kbDocumentsSection = document.getElementById("kb-documents-section");
+const kbDocumentsRefresh = document.getElementById("kb-documents-refresh");
+const kbUploadForm = document.getElementById("kb-upload-form");
+const kbAdminTokenInput = document.getElementById("kb-admin-token");
+const kbUploadFile = document.getElementById("kb-upload-file");
+const kbUploadFolder = document.getElementById("kb-upload-folder");
+const kbUploadReplace = document.getElementById("kb-upload-replace");
+const kbDocumentsStatus = document.getElementById("kb-documents-status");
+const kbDocumentsList = document.getElementById("kb-documents-list");
+const pinnedSourcesEl = document.getElementById("pinned-sources");
+const modelStatus = document.getElementById("model-status");
+const knowledgeBaseStatus = document.getElementById("kb-status");
 
 // =============================================================================
 // Application State
@@ -87,10 +166,22 @@ let chatHistory = [
   },
 ];
 
+let currentUser = null;
+let currentConversationId = localStorage.getItem("conversationId");
 let isProcessing = false;
 let messageIdCounter = 0;
 let retryAttempts = 0;
+let pendingRetryTimer = null;
+// Aborts the answer being streamed (Stop button)
+let activeRequest = null;
+// Photos attached to the message being written
+let pendingPhotos = [];
+// Search results pinned to the message being written
+let pinnedSources = [];
 const maxRetryAttempts = 3;
+// Waits longer than this (e.g. an exhausted daily quota) are reported instead of retried
+const maxAutoRetryDelaySeconds = 60;
+const initialChatHTML = chatMessages.innerHTML;
 
 // =============================================================================
 // Initialization
@@ -98,8 +189,13 @@ const maxRetryAttempts = 3;
 
 document.addEventListener('DOMContentLoaded', function() {
   initializeSystemPrompt();
+  initializeKnowledgeBaseScope();
+  initializeKnowledgeBaseSearch();
+  initializeKnowledgeBaseDocuments();
   initializeEventListeners();
   initializeUIState();
+  initializeSession();
+  initializeServiceStatus();
   
   console.log("DamageScan_Chat initialized successfully");
 });
@@ -115,6 +211,16 @@ function initializeSystemPrompt() {
     systemPromptInput.value = CONFIG.defaultSystemPrompt;
   }
   updateCharacterCount();
+
+  const savedCondenseQuery = localStorage.getItem("condenseQuery");
+  condenseQueryToggle.checked = savedCondenseQuery !== null
+    ? savedCondenseQuery === "true"
+    : CONFIG.ragSettings.condenseQuery;
+
+  pipelineModeSelect.value = localStorage.getItem("pipelineMode") || CONFIG.pipelineMode;
+  if (!pipelineModeSelect.value) {
+    pipelineModeSelect.value = CONFIG.pipelineMode;
+  }
 }
 
 // =============================================================================
@@ -131,18 +237,41 @@ function initializeEventListeners() {
   // System prompt input
   systemPromptInput.addEventListener("input", handleSystemPromptInput);
   systemPromptInput.addEventListener("input", updateCharacterCount);
-  
-  // Preset buttons
-  document.querySelectorAll('.preset-button').forEach(button => {
-    button.addEventListener("click", handlePresetSelection);
+  condenseQueryToggle.addEventListener("change", () => {
+    localStorage.setItem("condenseQuery", String(condenseQueryToggle.checked));
+  });
+  pipelineModeSelect.addEventListener("change", () => {
+    localStorage.setItem("pipelineMode", pipelineModeSelect.value);
   });
+  for (const input of [modelSelect, temperatureInput, maxTokensInput, topPInput]) {
+    input.addEventListener("change", handleGenerationSettingsChange);
+  }
+  generationReset.addEventListener("click", resetGenerationSettings);
+
+  // Sign-in
+  signInForm.addEventListener("submit", handleSignIn);
+  signOutButton.addEventListener("click", signOut);
+  signInDialog.addEventListener("cancel", event => event.preventDefault());
   
   // User input
   userInput.addEventListener("input", handleUserInputChange);
   userInput.addEventListener("keydown", handleUserInputKeydown);
   
-  // Send button
+  // Send and stop buttons
   sendButton.addEventListener("click", sendMessage);
+  stopButton.addEventListener("click", stopGeneration);
+
+  // Photo attachments
+  attachButton.addEventListener("click", () => photoInput.click());
+  photoInput.addEventListener("change", handlePhotoSelection);
+  
+  // Conversation sidebar
+  newConversationButton.addEventListener("click", startNewConversation);
+  for (const button of exportButtons) {
+    button.addEventListener("click", () => exportConversation(button.dataset.exportFormat));
+  }
+  importButton.addEventListener("click", () => importInput.click());
+  importInput.addEventListener("change", handleImportFile);
   
   // Connection status monitoring
   window.addEventListener("online", handleConnectionRestore);
@@ -212,427 +341,3602 @@ function updateCharacterCount() {
 }
 
 /**
- * Handle preset button selection
+ * Load the preset list from the server and render its buttons
  */
-function handlePresetSelection(event) {
-  const presetName = event.target.dataset.preset;
-  const presetPrompt = systemPromptPresets[presetName];
-  
-  if (presetPrompt) {
-    systemPromptInput.value = presetPrompt;
-    localStorage.setItem("systemPrompt", presetPrompt);
-    updateCharacterCount();
-    
-    // Visual feedback
-    event.target.style.background = "var(--primary-color)";
-    event.target.style.color = "white";
-    setTimeout(() => {
-      event.target.style.background = "";
-      event.target.style.color = "";
-    }, 1000);
-  }
-}
+async function loadPresets() {
+  try {
+    const response = await fetch("/api/presets");
 
-// =============================================================================
-// User Input Management
-// =============================================================================
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
 
-/**
- * Handle user input changes (auto-resize)
- */
-function handleUserInputChange() {
-  userInput.style.height = "auto";
-  userInput.style.height = Math.min(userInput.scrollHeight, 150) + "px";
+    const data = await response.json();
+    systemPromptPresets = data.presets || [];
+  } catch (error) {
+    console.error("Failed to load presets:", error);
+    systemPromptPresets = [
+      { id: "default", name: "Default", description: "", prompt: CONFIG.defaultSystemPrompt, builtIn: true }
+    ];
+  }
+
+  renderPresetButtons();
 }
 
 /**
- * Handle user input keydown events
+ * Render a button per preset, plus delete buttons for custom presets
  */
-function handleUserInputKeydown(event) {
-  if (event.key === "Enter" && !event.shiftKey) {
-    event.preventDefault();
-    sendMessage();
+function renderPresetButtons() {
+  promptPresets.replaceChildren();
+
+  for (const preset of systemPromptPresets) {
+    const button = document.createElement("button");
+    button.className = "preset-button";
+    button.type = "button";
+    button.dataset.preset = preset.id;
+    button.title = preset.description || preset.name;
+    button.textContent = preset.name;
+    button.addEventListener("click", () => handlePresetSelection(preset, button));
+
+    if (preset.builtIn) {
+      promptPresets.appendChild(button);
+      continue;
+    }
+
+    const deleteButton = document.createElement("button");
+    deleteButton.className = "preset-button preset-delete";
+    deleteButton.type = "button";
+    deleteButton.title = `Delete "${preset.name}"`;
+    deleteButton.setAttribute("aria-label", `Delete preset ${preset.name}`);
+    deleteButton.textContent = "×";
+    deleteButton.addEventListener("click", () => deletePreset(preset));
+
+    const groupEl = document.createElement("span");
+    groupEl.className = "preset-group";
+    groupEl.append(button, deleteButton);
+    promptPresets.appendChild(groupEl);
   }
-}
 
-// =============================================================================
-// Input Validation Functions
-// =============================================================================
+  const saveButton = document.createElement("button");
+  saveButton.className = "preset-button";
+  saveButton.type = "button";
+  saveButton.title = "Save the current system prompt as a preset";
+  saveButton.textContent = "+ Save as preset";
+  saveButton.addEventListener("click", saveCurrentPromptAsPreset);
+  promptPresets.appendChild(saveButton);
+}
 
 /**
- * Validate chat request structure
+ * Handle preset button selection
  */
-function isChatRequest(obj) {
-  return (
-    obj &&
-    typeof obj === "object" &&
-    Array.isArray(obj.messages) &&
-    obj.messages.every((msg) => 
-      msg &&
-      typeof msg.role === "string" &&
-      ["system", "user", "assistant"].includes(msg.role) &&
-      typeof msg.content === "string"
-    )
-  );
+function handlePresetSelection(preset, button) {
+  systemPromptInput.value = preset.prompt;
+  localStorage.setItem("systemPrompt", preset.prompt);
+  updateCharacterCount();
+
+  // Visual feedback
+  button.style.background = "var(--primary-color)";
+  button.style.color = "white";
+  setTimeout(() => {
+    button.style.background = "";
+    button.style.color = "";
+  }, 1000);
 }
 
 /**
- * Validate chat request structure and content
+ * Save the current system prompt as a new custom preset
  */
-function validateChatRequest(body) {
-  const errors = [];
-  const warnings = [];
+async function saveCurrentPromptAsPreset() {
+  const prompt = systemPromptInput.value.trim();
+  if (!prompt) return;
 
-  if (!isChatRequest(body)) {
-    errors.push("Invalid request structure");
-    return { valid: false, errors, warnings };
-  }
+  const name = window.prompt("Preset name");
+  if (!name || !name.trim()) return;
 
-  // Validate messages
-  if (body.messages.length === 0) {
-    errors.push("At least one message is required");
-  }
+  try {
+    const response = await fetch("/api/presets", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, prompt }),
+    });
 
-  // Check for user message
-  const hasUserMessage = body.messages.some(msg => msg.role === "user");
-  if (!hasUserMessage) {
-    errors.push("At least one user message is required");
-  }
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
 
-  // Validate system prompt length
-  if (body.systemPrompt && body.systemPrompt.length > 10000) {
-    errors.push("System prompt too long (max 10000 characters)");
+    await loadPresets();
+  } catch (error) {
+    console.error("Failed to save preset:", error);
+    alert(`Could not save preset: ${error.message}`);
   }
+}
 
-  // Validate message content length
-  for (const msg of body.messages) {
-    if (msg.content.length > 50000) {
-      errors.push(`Message content too long (max 50000 characters)`);
+/**
+ * Delete a custom preset
+ */
+async function deletePreset(preset) {
+  if (!confirm(`Delete the "${preset.name}" preset?`)) return;
+
+  try {
+    const response = await fetch(`/api/presets/${encodeURIComponent(preset.id)}`, {
+      method: "DELETE",
+    });
+
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
-  }
 
-  return {
-    valid: errors.length === 0,
-    errors,
-    warnings,
-    sanitizedInput: errors.length === 0 ? body : undefined,
-  };
+    await loadPresets();
+  } catch (error) {
+    console.error("Failed to delete preset:", error);
+  }
 }
 
+// =============================================================================
+// Knowledge Base Scope
+// =============================================================================
+
 /**
- * Send a message to the chat API and process the response
+ * Render folder options and restore the saved knowledge base scope
  */
-async function sendMessage() {
-  const message = userInput.value.trim();
+function initializeKnowledgeBaseScope() {
+  let savedFilters = {};
+  try {
+    savedFilters = JSON.parse(localStorage.getItem("kbFilters") || "{}");
+  } catch (error) {
+    console.warn("Ignoring invalid saved knowledge base scope:", error);
+  }
 
-  // Validate input
-  if (message === "" || isProcessing) return;
+  for (const folder of CONFIG.knowledgeBaseFolders) {
+    const labelEl = document.createElement("label");
+    labelEl.className = "setting-toggle";
 
-  // Prepare for processing
-  setProcessingState(true);
-  const messageId = generateMessageId();
-  
-  // Add user message to chat
-  addMessageToChat("user", message, {
-    messageId,
-    timestamp: new Date().toISOString()
-  });
+    const checkboxEl = document.createElement("input");
+    checkboxEl.type = "checkbox";
+    checkboxEl.value = folder.path;
+    checkboxEl.checked = (savedFilters.folders || []).includes(folder.path);
+    checkboxEl.addEventListener("change", handleKnowledgeBaseScopeChange);
 
-  // Clear and reset input
-  userInput.value = "";
-  userInput.style.height = "auto";
-  
-  // Show typing indicator
-  showTypingIndicator();
+    const textEl = document.createElement("span");
+    textEl.textContent = folder.label;
 
-  // Add to chat history
-  chatHistory.push({ 
-    role: "user", 
-    content: message,
-    timestamp: new Date().toISOString()
-  });
+    labelEl.append(checkboxEl, textEl);
+    kbFolderOptions.appendChild(labelEl);
+  }
 
-  try {
-    // Create assistant message container
-    const assistantMessageId = generateMessageId();
-    const assistantMessageEl = createAssistantMessageElement(assistantMessageId);
-    
-    // Send request to API
-    const response = await sendChatRequest();
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+  kbModifiedAfter.value = savedFilters.modifiedAfter || "";
+  kbModifiedBefore.value = savedFilters.modifiedBefore || "";
+  kbModifiedAfter.addEventListener("change", handleKnowledgeBaseScopeChange);
+  kbModifiedBefore.addEventListener("change", handleKnowledgeBaseScopeChange);
+  kbScopeClear.addEventListener("click", clearKnowledgeBaseScope);
 
-    // Process streaming response
-    await processStreamingResponse(response, assistantMessageEl, assistantMessageId);
-    
-    // Reset retry attempts on success
-    retryAttempts = 0;
+  updateKnowledgeBaseScopeLabel();
+}
 
-  } catch (error) {
-    console.error("Chat request failed:", error);
-    await handleChatError(error, messageId);
-  } finally {
-    hideTypingIndicator();
-    setProcessingState(false);
-  }
+/**
+ * Current knowledge base scope for the chat request, or undefined for everything
+ */
+function getKnowledgeBaseFilters() {
+  const folders = [...kbFolderOptions.querySelectorAll("input:checked")].map(input => input.value);
+  const filters = {};
+
+  if (folders.length > 0) filters.folders = folders;
+  if (kbModifiedAfter.value) filters.modifiedAfter = kbModifiedAfter.value;
+  if (kbModifiedBefore.value) filters.modifiedBefore = kbModifiedBefore.value;
+
+  return Object.keys(filters).length > 0 ? filters : undefined;
 }
 
 /**
- * Send chat request to backend API
+ * Save the scope and refresh the header label
  */
-async function sendChatRequest() {
-  const customSystemPrompt = systemPromptInput.value.trim();
-  
-  const requestBody = {
-    messages: chatHistory,
-    systemPrompt: customSystemPrompt || undefined,
-    ragSettings: {
-      ...CONFIG.ragSettings,
-      index: CONFIG.autoragIndex,
-    }
-  };
+function handleKnowledgeBaseScopeChange() {
+  const filters = getKnowledgeBaseFilters();
 
-  console.log("Sending chat request:", {
-    messageCount: requestBody.messages.length,
-    hasSystemPrompt: !!requestBody.systemPrompt,
-    ragSettings: requestBody.ragSettings
-  });
+  if (filters) {
+    localStorage.setItem("kbFilters", JSON.stringify(filters));
+  } else {
+    localStorage.removeItem("kbFilters");
+  }
 
-  const response = await fetch("/api/chat", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(requestBody),
-  });
+  updateKnowledgeBaseScopeLabel();
+}
 
-  return response;
+/**
+ * Reset the scope to the whole knowledge base
+ */
+function clearKnowledgeBaseScope() {
+  kbFolderOptions.querySelectorAll("input").forEach(input => {
+    input.checked = false;
+  });
+  kbModifiedAfter.value = "";
+  kbModifiedBefore.value = "";
+  handleKnowledgeBaseScopeChange();
 }
 
 /**
- * Process streaming response from the API
+ * Describe the active scope in the header controls
  */
-async function processStreamingResponse(response, messageElement, messageId) {
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let responseText = "";
-  let hasContent = false;
+function updateKnowledgeBaseScopeLabel() {
+  const filters = getKnowledgeBaseFilters();
 
-  const contentEl = messageElement.querySelector(".message-content");
-  const ragIndicator = messageElement.querySelector(".rag-indicator");
-  
-  // Update RAG indicator to processing state
-  updateRAGIndicator(ragIndicator, "searching", "🧠 Processing with AI...");
+  if (!filters) {
+    kbScopeLabel.textContent = "Knowledge Base: All documents";
+    return;
+  }
 
-  try {
-    while (true) {
-      const { done, value } = await reader.read();
-
-      if (done) break;
-
-      // Decode chunk
-      const chunk = decoder.decode(value, { stream: true });
-      
-      // Process each line in the chunk
-      const lines = chunk.split("\n");
-      for (const line of lines) {
-        if (line.trim() === "" || line.startsWith(":")) continue;
-
-        try {
-          let jsonData;
-          
-          // Handle Server-Sent Events format
-          if (line.startsWith("data: ")) {
-            jsonData = JSON.parse(line.substring(6));
-          } else if (line.trim()) {
-            // Try to parse as plain JSON
-            jsonData = JSON.parse(line);
-          } else {
-            continue;
-          }
+  const parts = [];
+  if (filters.folders) {
+    parts.push(filters.folders
+      .map(path => CONFIG.knowledgeBaseFolders.find(folder => folder.path === path)?.label || path)
+      .join(", "));
+  }
+  if (filters.modifiedAfter) parts.push(`since ${filters.modifiedAfter}`);
+  if (filters.modifiedBefore) parts.push(`until ${filters.modifiedBefore}`);
 
-          if (jsonData.response) {
-            responseText += jsonData.response;
-            contentEl.textContent = responseText;
-            hasContent = true;
-            scrollToBottom();
-          }
+  kbScopeLabel.textContent = `Knowledge Base: ${parts.join(" · ")}`;
+}
 
-        } catch (parseError) {
-          console.warn("Failed to parse response chunk:", parseError, "Line:", line);
-          // Try treating as plain text if JSON parsing fails
-          if (line.trim() && !line.startsWith("data:") && !line.startsWith(":")) {
-            responseText += line;
-            contentEl.textContent = responseText;
-            hasContent = true;
-            scrollToBottom();
-          }
-        }
-      }
-    }
+// =============================================================================
+// Knowledge Base Search
+// =============================================================================
 
-    // Process response metadata from headers
-    const metadata = extractResponseMetadata(response);
-    updateMessageWithMetadata(messageElement, metadata);
-    
-    // Update RAG indicator based on metadata
-    if (metadata.ragUsed && metadata.documentsFound > 0) {
-      updateRAGIndicator(ragIndicator, "found", 
-        `✅ Enhanced with ${metadata.documentsFound} document${metadata.documentsFound !== 1 ? 's' : ''} (avg. relevance: ${metadata.averageScore?.toFixed(2) || 'N/A'})`
-      );
-    } else {
-      updateRAGIndicator(ragIndicator, "not-found", "⚠️ Using general knowledge (no relevant documents found)");
-    }
+// Query, folder and next page of the results shown, to load more of them
+let knowledgeBaseSearch = null;
 
-    // Add to chat history
-    if (responseText) {
-      chatHistory.push({ 
-        role: "assistant", 
-        content: responseText,
-        timestamp: new Date().toISOString(),
-        metadata
-      });
-    }
+/**
+ * Fill the folder filter and wire up the search panel
+ */
+function initializeKnowledgeBaseSearch() {
+  for (const folder of CONFIG.knowledgeBaseFolders) {
+    const optionEl = document.createElement("option");
+    optionEl.value = folder.path;
+    optionEl.textContent = folder.label;
+    kbSearchFolder.appendChild(optionEl);
+  }
 
-    if (!hasContent) {
-      throw new Error("No response content received");
-    }
+  kbSearchToggle.addEventListener("click", toggleKnowledgeBaseSearch);
+  kbSearchForm.addEventListener("submit", handleKnowledgeBaseSearch);
+  kbSearchFolder.addEventListener("change", () => {
+    if (kbSearchInput.value.trim()) kbSearchForm.requestSubmit();
+  });
+  kbSearchMore.addEventListener("click", loadKnowledgeBaseResults);
+}
 
-  } catch (streamError) {
-    console.error("Streaming error:", streamError);
-    updateRAGIndicator(ragIndicator, "error", "❌ Error processing response");
-    throw streamError;
+/**
+ * Show or hide the search panel
+ */
+function toggleKnowledgeBaseSearch() {
+  const visible = kbSearchSection.classList.toggle("visible");
+  kbSearchToggle.classList.toggle("active", visible);
+  kbSearchToggle.setAttribute("aria-expanded", String(visible));
+
+  if (visible) {
+    kbSearchInput.focus();
   }
 }
 
 /**
- * Extract response metadata from headers
+ * Start a new search from the panel's query and folder
  */
-function extractResponseMetadata(response) {
-  const headers = response.headers;
-  
-  return {
-    ragUsed: headers.get("X-RAG-Documents") !== "0",
-    documentsFound: parseInt(headers.get("X-RAG-Documents") || "0"),
-    averageScore: parseFloat(headers.get("X-RAG-Average-Score") || "0"),
-    processingTime: headers.get("X-Processing-Time"),
-    requestId: headers.get("X-Request-ID"),
-    fallbackUsed: headers.get("X-Fallback-Used") === "true"
+function handleKnowledgeBaseSearch(event) {
+  event.preventDefault();
+
+  const query = kbSearchInput.value.trim();
+  if (!query) return;
+
+  knowledgeBaseSearch = {
+    query,
+    filters: kbSearchFolder.value ? { folders: [kbSearchFolder.value] } : undefined,
+    nextPage: 1,
   };
+  kbSearchResults.replaceChildren();
+  loadKnowledgeBaseResults();
 }
 
 /**
- * Create assistant message element
+ * Fetch the next page of the current search and append it
  */
-function createAssistantMessageElement(messageId) {
-  const messageEl = document.createElement("div");
-  messageEl.className = "message assistant-message";
-  messageEl.dataset.messageId = messageId;
+async function loadKnowledgeBaseResults() {
+  const search = knowledgeBaseSearch;
+  if (!search?.nextPage) return;
+
+  kbSearchMore.hidden = true;
+  kbSearchStatus.textContent = "Searching...";
+
+  try {
+    const response = await fetch("/api/search", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        query: search.query,
+        page: search.nextPage,
+        ragSettings: { filters: search.filters },
+      }),
+    });
+
+    if (response.status === 401) {
+      currentUser = null;
+      showSignInDialog(ERROR_MESSAGES.UNAUTHORIZED);
+    }
+    if (!response.ok) {
+      throw await createHTTPError(response);
+    }
+
+    const data = await response.json();
+    // A newer search replaced this one while it loaded
+    if (search !== knowledgeBaseSearch) return;
+
+    for (const source of data.results) {
+      kbSearchResults.appendChild(createKnowledgeBaseResult(source));
+    }
+
+    search.nextPage = data.next_page;
+    kbSearchMore.hidden = !data.has_more;
+
+    const count = kbSearchResults.children.length;
+    kbSearchStatus.textContent = count === 0
+      ? `No documents found for "${search.query}".`
+      : `${count} result${count !== 1 ? "s" : ""} for "${data.rewrittenQuery || search.query}". Pin results with 📌 to give them to the model with your next message.`;
+
+  } catch (error) {
+    console.error("Knowledge base search failed:", error);
+    if (search !== knowledgeBaseSearch) return;
+    // Searches share the chat rate limit
+    const retryHint = error.status === 429 && error.retryAfterSeconds ? ` Try again in ${Math.ceil(error.retryAfterSeconds)} seconds.` : "";
+    kbSearchStatus.textContent = (error.serverMessage || "The knowledge base could not be searched. Please try again.") + retryHint;
+    kbSearchMore.hidden = !search.nextPage || kbSearchResults.children.length === 0;
+  }
+}
+
+/**
+ * A search result with its location, relevance, full text and pin button
+ */
+function createKnowledgeBaseResult(source) {
+  const itemEl = document.createElement("li");
+  itemEl.className = "source-item";
+
+  const headerEl = document.createElement("div");
+  headerEl.className = "source-header";
+
+  const filenameEl = document.createElement("span");
+  filenameEl.className = "source-filename";
+  filenameEl.textContent = `${source.documentIndex}. ${source.filename}`;
+
+  const detailsEl = document.createElement("span");
+  detailsEl.className = "source-score";
+  detailsEl.textContent = [
+    source.folder || null,
+    source.pageNumber !== undefined && source.pageNumber !== null ? `p. ${source.pageNumber}` : null,
+    `relevance ${source.score.toFixed(2)}`
+  ].filter(Boolean).join(" · ");
+
+  const pinButton = document.createElement("button");
+  pinButton.type = "button";
+  pinButton.className = "message-action source-pin-button";
+  pinButton.textContent = "📌";
+  pinButton.title = "Give this result to the model with your next message";
+  pinButton.addEventListener("click", () => togglePinnedSource(source));
+
+  headerEl.append(filenameEl, detailsEl, pinButton);
+
+  const snippetEl = document.createElement("p");
+  snippetEl.className = "source-snippet";
+  snippetEl.textContent = source.snippet;
+
+  const fullTextEl = document.createElement("details");
+  fullTextEl.className = "source-full-text";
+
+  const fullTextToggle = document.createElement("summary");
+  fullTextToggle.textContent = "Open";
+
+  const fullTextContent = document.createElement("p");
+  fullTextContent.textContent = source.content;
+
+  fullTextEl.append(fullTextToggle, fullTextContent);
+  itemEl.append(headerEl, snippetEl, fullTextEl);
+
+  itemEl.dataset.pinKey = getPinKey(source);
+  updatePinButton(itemEl);
+  return itemEl;
+}
+
+/**
+ * Pin a result to the next message, or unpin it
+ */
+function togglePinnedSource(source) {
+  const key = getPinKey(source);
+
+  if (pinnedSources.some(pinned => getPinKey(pinned) === key)) {
+    pinnedSources = pinnedSources.filter(pinned => getPinKey(pinned) !== key);
+  } else if (pinnedSources.length >= CONFIG.search.maxPinned) {
+    alert(`You can pin up to ${CONFIG.search.maxPinned} results per message.`);
+    return;
+  } else {
+    const { fileId, filename, folder, modifiedDate, score, pageNumber, content } = source;
+    pinnedSources = [...pinnedSources, { fileId, filename, folder, modifiedDate, score, pageNumber, content }];
+  }
+
+  renderPinnedSources();
+}
+
+/**
+ * Show the pinned results above the message input and mark them in the results
+ */
+function renderPinnedSources() {
+  pinnedSourcesEl.replaceChildren();
+  pinnedSourcesEl.hidden = pinnedSources.length === 0;
+
+  for (const source of pinnedSources) {
+    const chipEl = document.createElement("span");
+    chipEl.className = "pinned-source";
+    chipEl.title = source.content.substring(0, 300);
+
+    const labelEl = document.createElement("span");
+    labelEl.textContent = `📌 ${source.filename}${source.pageNumber !== undefined && source.pageNumber !== null ? ` p. ${source.pageNumber}` : ""}`;
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.textContent = "×";
+    removeButton.setAttribute("aria-label", `Unpin ${source.filename}`);
+    removeButton.addEventListener("click", () => togglePinnedSource(source));
+
+    chipEl.append(labelEl, removeButton);
+    pinnedSourcesEl.appendChild(chipEl);
+  }
+
+  kbSearchResults.querySelectorAll(":scope > .source-item").forEach(updatePinButton);
+}
+
+function updatePinButton(itemEl) {
+  const pinned = pinnedSources.some(source => getPinKey(source) === itemEl.dataset.pinKey);
+  itemEl.classList.toggle("pinned", pinned);
+  itemEl.querySelector(".source-pin-button").setAttribute("aria-pressed", String(pinned));
+}
+
+function clearPinnedSources() {
+  pinnedSources = [];
+  renderPinnedSources();
+}
+
+// Identifies a chunk: a file has several, and the same chunk can show up in several searches
+function getPinKey(source) {
+  return `${source.fileId}\n${source.content}`;
+}
+
+// =============================================================================
+// Knowledge Base Documents
+// =============================================================================
+
+// Re-checks ingestion while uploads are pending and the panel is open
+let documentStatusTimer = null;
+
+/**
+ * Fill the upload folders and wire up the documents panel
+ */
+function initializeKnowledgeBaseDocuments() {
+  for (const folder of CONFIG.knowledgeBaseFolders) {
+    const optionEl = document.createElement("option");
+    optionEl.value = folder.path;
+    optionEl.textContent = folder.label;
+    kbUploadFolder.appendChild(optionEl);
+  }
+
+  kbDocumentsToggle.addEventListener("click", toggleKnowledgeBaseDocuments);
+  kbUploadForm.addEventListener("submit", uploadKnowledgeBaseDocument);
+  kbDocumentsRefresh.addEventListener("click", loadKnowledgeBaseDocuments);
+  kbAdminTokenInput.addEventListener("change", loadKnowledgeBaseDocuments);
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      clearTimeout(documentStatusTimer);
+    } else if (kbDocumentsSection.classList.contains("visible")) {
+      loadKnowledgeBaseDocuments();
+    }
+  });
+}
+
+/**
+ * Show or hide the documents panel
+ */
+function toggleKnowledgeBaseDocuments() {
+  const visible = kbDocumentsSection.classList.toggle("visible");
+  kbDocumentsToggle.classList.toggle("active", visible);
+  kbDocumentsToggle.setAttribute("aria-expanded", String(visible));
+
+  if (!visible) {
+    clearTimeout(documentStatusTimer);
+  } else if (kbAdminTokenInput.value.trim()) {
+    loadKnowledgeBaseDocuments();
+  } else {
+    kbAdminTokenInput.focus();
+  }
+}
+
+/**
+ * Call /api/documents with the admin token entered in the panel
+ */
+async function fetchDocumentsAPI(path, init = {}) {
+  const response = await fetch(path, {
+    ...init,
+    headers: { Authorization: `Bearer ${kbAdminTokenInput.value.trim()}` },
+  });
+  if (!response.ok) {
+    throw await createHTTPError(response);
+  }
+  return response.json();
+}
+
+/**
+ * List the documents with the ingestion status of the latest uploads
+ */
+async function loadKnowledgeBaseDocuments() {
+  clearTimeout(documentStatusTimer);
+  if (!kbAdminTokenInput.value.trim()) return;
+
+  kbDocumentsStatus.textContent = "Loading documents...";
+
+  try {
+    const [{ documents }, { documents: statuses }] = await Promise.all([
+      fetchDocumentsAPI("/api/documents"),
+      fetchDocumentsAPI("/api/documents/status"),
+    ]);
+    const ingestion = new Map(statuses.map(status => [status.key, status]));
+
+    kbDocumentsList.replaceChildren(...documents.map(stored => createDocumentItem(stored, ingestion.get(stored.key))));
+
+    const pending = statuses.filter(status => status.status === "pending").length;
+    const unchecked = statuses.filter(status => status.status === "unknown").length;
+    let summary = "The latest uploads are searchable.";
+    if (pending > 0) {
+      summary = `${pending} waiting for AutoRAG's next sync; checked again every minute while this panel is open.`;
+    } else if (unchecked > 0) {
+      summary = `Ingestion could not be checked for ${unchecked} of the latest uploads.`;
+    }
+    kbDocumentsStatus.textContent = documents.length === 0
+      ? "No documents uploaded yet."
+      : `${documents.length} document${documents.length !== 1 ? "s" : ""}. ${summary}`;
+
+    if (pending > 0 && kbDocumentsSection.classList.contains("visible") && !document.hidden) {
+      documentStatusTimer = setTimeout(loadKnowledgeBaseDocuments, CONFIG.documentStatusPollIntervalMs);
+    }
+  } catch (error) {
+    console.error("Failed to load documents:", error);
+    kbDocumentsStatus.textContent = error.serverMessage || "The documents could not be loaded. Please try again.";
+  }
+}
+
+/**
+ * A document with its folder, size, upload time, ingestion status and delete button
+ */
+function createDocumentItem(stored, ingestion) {
+  const itemEl = document.createElement("li");
+  itemEl.className = "source-item";
+
+  const headerEl = document.createElement("div");
+  headerEl.className = "source-header";
+
+  const filenameEl = document.createElement("span");
+  filenameEl.className = "source-filename";
+  filenameEl.textContent = stored.filename;
+
+  const detailsEl = document.createElement("span");
+  detailsEl.className = "source-score";
+  const folderLabel = CONFIG.knowledgeBaseFolders.find(folder => folder.path === stored.folder)?.label || stored.folder;
+  detailsEl.textContent = [
+    folderLabel,
+    `${Math.max(1, Math.round(stored.size / 1024)).toLocaleString()} KB`,
+    new Date(stored.uploadedAt).toLocaleString([], { dateStyle: "medium", timeStyle: "short" }),
+  ].join(" · ");
+
+  const deleteButton = document.createElement("button");
+  deleteButton.type = "button";
+  deleteButton.className = "message-action";
+  deleteButton.textContent = "Delete";
+  deleteButton.title = "Delete this document from the knowledge base bucket";
+  deleteButton.addEventListener("click", () => deleteKnowledgeBaseDocument(stored));
+
+  headerEl.append(filenameEl, detailsEl, deleteButton);
+
+  const ingestionEl = document.createElement("p");
+  ingestionEl.className = "source-snippet kb-document-ingestion";
+  ingestionEl.dataset.status = ingestion?.status || "";
+  ingestionEl.textContent = describeIngestion(ingestion);
+
+  itemEl.append(headerEl, ingestionEl);
+  return itemEl;
+}
+
+function describeIngestion(ingestion) {
+  switch (ingestion?.status) {
+    case "indexed":
+      return "Searchable: AutoRAG has indexed this version.";
+    case "pending":
+      return "Waiting for AutoRAG to index this version.";
+    case "unknown":
+      return `Ingestion could not be checked: ${ingestion.error || "no response"}`;
+    default:
+      return "Ingestion is only checked for the latest uploads.";
+  }
+}
+
+/**
+ * Upload the chosen file to the chosen folder
+ */
+async function uploadKnowledgeBaseDocument(event) {
+  event.preventDefault();
+
+  const file = kbUploadFile.files[0];
+  if (!file) return;
+
+  const form = new FormData();
+  form.set("file", file);
+  form.set("folder", kbUploadFolder.value);
+  if (kbUploadReplace.checked) {
+    form.set("replace", "true");
+  }
+
+  kbDocumentsStatus.textContent = `Uploading ${file.name}...`;
+
+  try {
+    const { document: uploaded } = await fetchDocumentsAPI("/api/documents", { method: "POST", body: form });
+    kbUploadFile.value = "";
+    kbUploadReplace.checked = false;
+    await loadKnowledgeBaseDocuments();
+    kbDocumentsStatus.textContent = `Uploaded ${uploaded.key}. It becomes searchable after AutoRAG's next sync; this panel shows when.`;
+  } catch (error) {
+    console.error("Document upload failed:", error);
+    kbDocumentsStatus.textContent = error.serverMessage || "The document could not be uploaded. Please try again.";
+  }
+}
+
+/**
+ * Delete a document after confirmation
+ */
+async function deleteKnowledgeBaseDocument(stored) {
+  if (!confirm(`Delete ${stored.key}? AutoRAG removes it from the index on its next sync.`)) return;
+
+  try {
+    await fetchDocumentsAPI(`/api/documents/${encodeURIComponent(stored.key)}`, { method: "DELETE" });
+    await loadKnowledgeBaseDocuments();
+  } catch (error) {
+    console.error("Document deletion failed:", error);
+    kbDocumentsStatus.textContent = error.serverMessage || "The document could not be deleted. Please try again.";
+  }
+}
+
+// =============================================================================
+// Generation Settings
+// =============================================================================
+
+/**
+ * Load the model allowlist and restore the saved generation settings
+ */
+async function loadModels() {
+  try {
+    const response = await fetch("/api/models");
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    modelOptions = data.models || [];
+    generationDefaults = data.defaults || null;
+  } catch (error) {
+    // Without the allowlist the server defaults are used
+    console.error("Failed to load models:", error);
+    modelOptions = [];
+    generationDefaults = null;
+  }
+
+  modelSelect.replaceChildren();
+  for (const model of modelOptions) {
+    const option = document.createElement("option");
+    option.value = model.id;
+    option.textContent = model.name;
+    modelSelect.appendChild(option);
+  }
+  modelSelect.disabled = modelOptions.length === 0;
+
+  const saved = JSON.parse(localStorage.getItem("generationSettings") || "{}");
+  applyGenerationSettings({ ...generationDefaults, ...saved });
+}
+
+/**
+ * Fill the generation inputs, falling back to the server defaults for unknown models
+ */
+function applyGenerationSettings(settings) {
+  const model = modelOptions.find(option => option.id === settings.model)
+    || modelOptions.find(option => option.id === generationDefaults?.model)
+    || modelOptions[0];
+
+  modelSelect.value = model?.id || "";
+  temperatureInput.value = settings.temperature ?? "";
+  maxTokensInput.value = settings.max_tokens ?? "";
+  topPInput.value = settings.top_p ?? "";
+  updateGenerationLimits();
+}
+
+/**
+ * Clamp the numeric inputs to the limits of the selected model
+ */
+function updateGenerationLimits() {
+  const model = modelOptions.find(option => option.id === modelSelect.value);
+  if (!model) return;
+
+  temperatureInput.max = String(model.maxTemperature);
+  maxTokensInput.max = String(model.maxOutputTokens);
+
+  if (Number(temperatureInput.value) > model.maxTemperature) {
+    temperatureInput.value = String(model.maxTemperature);
+  }
+  if (Number(maxTokensInput.value) > model.maxOutputTokens) {
+    maxTokensInput.value = String(model.maxOutputTokens);
+  }
+}
+
+/**
+ * Save the generation inputs whenever one of them changes
+ */
+function handleGenerationSettingsChange() {
+  updateGenerationLimits();
+  localStorage.setItem("generationSettings", JSON.stringify(getGenerationSettings()));
+}
+
+/**
+ * Restore the server defaults
+ */
+function resetGenerationSettings() {
+  localStorage.removeItem("generationSettings");
+  applyGenerationSettings({ ...generationDefaults });
+}
+
+/**
+ * Generation parameters for the chat request; empty inputs use the server defaults
+ */
+function getGenerationSettings() {
+  const readNumber = (input) => input.value === "" ? undefined : Number(input.value);
+
+  return {
+    model: modelSelect.value || undefined,
+    temperature: readNumber(temperatureInput),
+    max_tokens: readNumber(maxTokensInput),
+    top_p: readNumber(topPInput),
+  };
+}
+
+// =============================================================================
+// User Input Management
+// =============================================================================
+
+/**
+ * Handle user input changes (auto-resize)
+ */
+function handleUserInputChange() {
+  userInput.style.height = "auto";
+  userInput.style.height = Math.min(userInput.scrollHeight, 150) + "px";
+}
+
+/**
+ * Handle user input keydown events
+ */
+function handleUserInputKeydown(event) {
+  if (event.key === "Enter" && !event.shiftKey) {
+    event.preventDefault();
+    sendMessage();
+  }
+}
+
+// =============================================================================
+// Input Validation Functions
+// =============================================================================
+
+/**
+ * Validate chat request structure
+ */
+function isChatRequest(obj) {
+  return (
+    obj &&
+    typeof obj === "object" &&
+    Array.isArray(obj.messages) &&
+    obj.messages.every((msg) => 
+      msg &&
+      typeof msg.role === "string" &&
+      ["system", "user", "assistant"].includes(msg.role) &&
+      typeof msg.content === "string"
+    )
+  );
+}
+
+/**
+ * Validate chat request structure and content
+ */
+function validateChatRequest(body) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isChatRequest(body)) {
+    errors.push("Invalid request structure");
+    return { valid: false, errors, warnings };
+  }
+
+  // Validate messages
+  if (body.messages.length === 0) {
+    errors.push("At least one message is required");
+  }
+
+  // Check for user message
+  const hasUserMessage = body.messages.some(msg => msg.role === "user");
+  if (!hasUserMessage) {
+    errors.push("At least one user message is required");
+  }
+
+  // Validate system prompt length
+  if (body.systemPrompt && body.systemPrompt.length > 10000) {
+    errors.push("System prompt too long (max 10000 characters)");
+  }
+
+  // Validate message content length
+  for (const msg of body.messages) {
+    if (msg.content.length > 50000) {
+      errors.push(`Message content too long (max 50000 characters)`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    sanitizedInput: errors.length === 0 ? body : undefined,
+  };
+}
+
+/**
+ * Send a message to the chat API and process the response
+ */
+async function sendMessage() {
+  const message = userInput.value.trim();
+
+  // Validate input; photos can be sent without text
+  if ((message === "" && pendingPhotos.length === 0) || isProcessing) return;
+
+  if (pinnedSources.length > 0 && pipelineModeSelect.value === "aiSearch") {
+    alert("AutoRAG aiSearch cannot use pinned search results. Choose another answer pipeline or unpin them.");
+    return;
+  }
+
+  // Prepare for processing
+  setProcessingState(true);
+  const messageId = generateMessageId();
+  const images = pendingPhotos.length > 0 ? pendingPhotos : undefined;
+  const historyEntry = {
+    role: "user",
+    content: message,
+    images,
+    // Kept with the question, so retries and regenerations use them too
+    pinnedSources: pinnedSources.length > 0 ? pinnedSources : undefined,
+    timestamp: new Date().toISOString()
+  };
+  
+  // Add user message to chat
+  const messageEl = addMessageToChat("user", message, {
+    messageId,
+    timestamp: historyEntry.timestamp,
+    images
+  });
+  attachMessageActions(messageEl, historyEntry);
+
+  // Clear and reset input
+  userInput.value = "";
+  userInput.style.height = "auto";
+  clearPendingPhotos();
+  clearPinnedSources();
+
+  // Add to chat history
+  chatHistory.push(historyEntry);
+
+  // A new message replaces any retry still waiting for the previous one
+  clearTimeout(pendingRetryTimer);
+  retryAttempts = 0;
+
+  await requestAssistantReply(messageId);
+}
+
+/**
+ * Request and stream the answer to the last user message in chatHistory.
+ * previousVersions are the earlier answers to the same question when regenerating.
+ * replaceStored drops stored messages past the ones shown before this turn
+ * (edits, regenerations, retries); a plain send only appends.
+ */
+async function requestAssistantReply(messageId, previousVersions, replaceStored = false) {
+  setProcessingState(true);
+  showTypingIndicator();
+  activeRequest = new AbortController();
+  let assistantMessageEl = null;
+
+  try {
+    // Persist the turn server-side when a conversation is available
+    await ensureConversation();
+
+    // Create assistant message container
+    const assistantMessageId = generateMessageId();
+    assistantMessageEl = createAssistantMessageElement(assistantMessageId);
+    
+    // Send request to API
+    const response = await sendChatRequest(activeRequest.signal, replaceStored);
+    
+    if (!response.ok) {
+      assistantMessageEl.remove();
+      throw await createHTTPError(response);
+    }
+
+    // Process streaming response
+    await processStreamingResponse(response, assistantMessageEl, assistantMessageId, previousVersions);
+    
+    // Reset retry attempts on success
+    retryAttempts = 0;
+    loadConversationList();
+
+  } catch (error) {
+    if (error.name === "AbortError") {
+      // Stopped before the answer started streaming
+      assistantMessageEl?.remove();
+    } else {
+      console.error("Chat request failed:", error);
+      await handleChatError(error, messageId);
+    }
+  } finally {
+    activeRequest = null;
+    hideTypingIndicator();
+    setProcessingState(false);
+  }
+}
+
+/**
+ * Stop the answer being generated; the text received so far is kept
+ */
+function stopGeneration() {
+  activeRequest?.abort();
+}
+
+/**
+ * Build an error for a failed response, keeping its status, the server's
+ * message and how long the server asked us to wait (Retry-After)
+ */
+async function createHTTPError(response) {
+  const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+  error.status = response.status;
+  error.retryAfterSeconds = parseRetryAfter(response.headers.get("Retry-After"));
+
+  try {
+    const body = await response.json();
+    error.serverMessage = body.error;
+  } catch {
+    // Not a JSON error body
+  }
+
+  return error;
+}
+
+/**
+ * Parse a Retry-After header given in seconds or as an HTTP date
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Send chat request to backend API
+ */
+async function sendChatRequest(signal, replaceStored) {
+  const customSystemPrompt = systemPromptInput.value.trim();
+  
+  // With a stored conversation the server holds the history; send only the new turn
+  const messages = currentConversationId
+    ? chatHistory.slice(-1)
+    : chatHistory;
+
+  const requestBody = {
+    conversationId: currentConversationId || undefined,
+    // Only sent when replacing messages, so a stale tab cannot delete turns with a plain send
+    branchFrom: currentConversationId && replaceStored ? chatHistory.length - 2 : undefined,
+    messages: messages.map(({ role, content, images }) => ({ role, content, images })),
+    systemPrompt: customSystemPrompt || undefined,
+    ragSettings: {
+      ...CONFIG.ragSettings,
+      condenseQuery: condenseQueryToggle.checked,
+      filters: getKnowledgeBaseFilters(),
+      index: CONFIG.autoragIndex,
+    },
+    pipelineMode: pipelineModeSelect.value,
+    pinnedSources: chatHistory[chatHistory.length - 1]?.pinnedSources,
+    ...getGenerationSettings()
+  };
+
+  console.log("Sending chat request:", {
+    conversationId: requestBody.conversationId,
+    branchFrom: requestBody.branchFrom,
+    messageCount: requestBody.messages.length,
+    hasSystemPrompt: !!requestBody.systemPrompt,
+    ragSettings: requestBody.ragSettings,
+    pipelineMode: requestBody.pipelineMode,
+    pinnedSources: requestBody.pinnedSources?.length || 0,
+    model: requestBody.model
+  });
+
+  const response = await fetch("/api/chat", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(requestBody),
+    signal,
+  });
+
+  return response;
+}
+
+/**
+ * Process streaming response from the API
+ *
+ * The backend emits typed Server-Sent Events: `sources` before generation,
+ * `token` for each chunk of text, `comparison` with the aiSearch answer in
+ * compare mode, and a final `done` (or `error`) event.
+ */
+async function processStreamingResponse(response, messageElement, messageId, previousVersions) {
+  let responseText = "";
+  let hasContent = false;
+  let sourcesData = null;
+  let comparisonData = null;
+  let doneData = null;
+
+  const contentEl = messageElement.querySelector(".message-content");
+  const ragIndicator = messageElement.querySelector(".rag-indicator");
+  
+  // Update RAG indicator to processing state
+  updateRAGIndicator(ragIndicator, "searching", "🧠 Processing with AI...");
+
+  try {
+    await readEventStream(response, (event) => {
+      switch (event.event) {
+        case "sources":
+          sourcesData = event.data;
+          applyImageDescriptions(sourcesData.imageDescriptions);
+          renderMessageSources(messageElement, sourcesData.sources);
+          updateRAGIndicator(ragIndicator, "searching",
+            sourcesData.documentsFound > 0
+              ? `🧠 Generating answer from ${sourcesData.documentsFound} document${sourcesData.documentsFound !== 1 ? 's' : ''}...`
+              : "🧠 Generating answer..."
+          );
+          break;
+
+        case "token":
+          responseText += event.data.response;
+          // Assessment JSON is shown as a form once complete
+          if (sourcesData?.pipelineMode === "assessment") {
+            contentEl.textContent = "Preparing damage assessment...";
+          } else {
+            renderAnswerWithCitations(contentEl, responseText, sourcesData?.sources, messageId);
+          }
+          hasContent = true;
+          scrollToBottom();
+          break;
+
+        case "comparison":
+          comparisonData = event.data;
+          renderPipelineComparison(messageElement, comparisonData);
+          scrollToBottom();
+          break;
+
+        case "done":
+          doneData = event.data;
+          break;
+
+        case "error":
+          throw new Error(event.data.error || ERROR_MESSAGES.UNKNOWN_ERROR);
+
+        default:
+          console.warn("Ignoring unknown stream event:", event.event);
+      }
+    });
+
+    // Combine in-band sources and final metadata
+    const metadata = buildResponseMetadata(sourcesData, doneData, response);
+    metadata.comparison = comparisonData || undefined;
+    // History keeps the server's metadata, as stored conversations and exports do
+    const historyEntry = createAnswerEntry(responseText, {
+      ...doneData,
+      requestId: metadata.requestId,
+      sources: metadata.sources,
+      comparison: metadata.comparison
+    }, previousVersions);
+    metadata.citations = renderAssistantContent(contentEl, historyEntry, messageId);
+    updateMessageWithMetadata(messageElement, metadata);
+    updateCitationStatus(messageElement, metadata.citations);
+    logPerformanceMetrics(metadata);
+    
+    // Update RAG indicator based on metadata
+    if (metadata.ragUsed && metadata.documentsFound > 0) {
+      updateRAGIndicator(ragIndicator, "found", 
+        `✅ Enhanced with ${metadata.documentsFound} document${metadata.documentsFound !== 1 ? 's' : ''} (avg. relevance: ${metadata.averageScore?.toFixed(2) || 'N/A'})`
+      );
+    } else {
+      updateRAGIndicator(ragIndicator, "not-found", "⚠️ Using general knowledge (no relevant documents found)");
+    }
+
+    // Add to chat history
+    if (responseText) {
+      chatHistory.push(historyEntry);
+      attachMessageActions(messageElement, historyEntry);
+    }
+
+    if (!hasContent) {
+      throw new Error("No response content received");
+    }
+
+  } catch (streamError) {
+    // Stopped by the user: keep what was generated, as the server does
+    if (streamError.name === "AbortError") {
+      if (!responseText) {
+        messageElement.remove();
+        return;
+      }
+
+      const historyEntry = createAnswerEntry(responseText, {
+        requestId: sourcesData?.requestId,
+        sources: sourcesData?.sources || [],
+        stopped: true
+      }, previousVersions);
+      renderAnswerWithCitations(contentEl, responseText, sourcesData?.sources, messageId);
+      updateRAGIndicator(ragIndicator, "not-found", "⏹️ Stopped");
+      chatHistory.push(historyEntry);
+      attachMessageActions(messageElement, historyEntry);
+      return;
+    }
+
+    console.error("Streaming error:", streamError);
+    updateRAGIndicator(ragIndicator, "error", "❌ Error processing response");
+    throw streamError;
+  }
+}
+
+/**
+ * Read a Server-Sent Events response, calling onEvent for each complete event
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+
+    if (done) break;
+
+    // Events are separated by a blank line and may span chunk boundaries
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const event = parseSSEEvent(buffer.substring(0, boundary));
+      buffer = buffer.substring(boundary + 2);
+      if (event) onEvent(event);
+    }
+  }
+
+  const lastEvent = parseSSEEvent(buffer + decoder.decode());
+  if (lastEvent) onEvent(lastEvent);
+}
+
+/**
+ * Parse a single SSE event block into { event, data }
+ */
+function parseSSEEvent(rawEvent) {
+  let eventName = "message";
+  const dataLines = [];
+
+  for (const line of rawEvent.split("\n")) {
+    if (line.startsWith(":")) continue;
+
+    if (line.startsWith("event:")) {
+      eventName = line.substring(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.substring(5).trimStart());
+    }
+  }
+
+  if (dataLines.length === 0) return null;
+
+  try {
+    return { event: eventName, data: JSON.parse(dataLines.join("\n")) };
+  } catch (parseError) {
+    console.warn("Failed to parse stream event:", parseError, "Event:", rawEvent);
+    return null;
+  }
+}
+
+/**
+ * Build display metadata from the `sources` and `done` stream events
+ */
+function buildResponseMetadata(sourcesData, doneData, response) {
+  const sources = sourcesData?.sources || doneData?.sources || [];
+  const documentsFound = doneData?.documentsFound ?? sourcesData?.documentsFound ?? 0;
+
+  return {
+    ragUsed: doneData?.ragUsed ?? sourcesData?.ragUsed ?? false,
+    documentsFound,
+    averageScore: doneData?.averageRelevanceScore ?? sourcesData?.averageRelevanceScore ?? 0,
+    processingTime: doneData ? `${doneData.processingTimeMs}ms` : null,
+    requestId: doneData?.requestId || sourcesData?.requestId || response?.headers.get("X-Request-ID"),
+    fallbackUsed: doneData?.fallbackUsed ?? sourcesData?.fallbackUsed ?? false,
+    tokensGenerated: doneData?.tokensGenerated,
+    modelUsed: doneData?.modelUsed,
+    cache: doneData?.cache,
+    assessment: doneData?.assessment,
+    timings: doneData?.timings,
+    budget: doneData?.budget,
+    searchQuery: doneData?.searchQuery || sourcesData?.searchQuery,
+    pipelineMode: doneData?.pipelineMode || sourcesData?.pipelineMode,
+    comparison: doneData?.comparison,
+    stopped: doneData?.stopped,
+    sources
+  };
+}
+
+/**
+ * Render the retrieved sources panel under an assistant message or comparison answer
+ */
+function renderMessageSources(messageElement, sources) {
+  if (!sources || sources.length === 0) return;
+
+  const messageId = messageElement.dataset.messageId;
+  const sourcesEl = document.createElement("details");
+  sourcesEl.className = "message-sources";
+
+  const titleEl = document.createElement("summary");
+  titleEl.className = "sources-title";
+  titleEl.textContent = `Sources (${sources.length})`;
+  sourcesEl.appendChild(titleEl);
+
+  const listEl = document.createElement("ol");
+  listEl.className = "sources-list";
+
+  for (const source of sources) {
+    const itemEl = document.createElement("li");
+    itemEl.className = "source-item";
+    itemEl.id = getSourceElementId(messageId, source.documentIndex);
+    itemEl.dataset.documentIndex = source.documentIndex;
+
+    const headerEl = document.createElement("div");
+    headerEl.className = "source-header";
+
+    const filenameEl = document.createElement("span");
+    filenameEl.className = "source-filename";
+    filenameEl.textContent = `[${source.documentIndex}] ${source.filename}`;
+
+    const detailsEl = document.createElement("span");
+    detailsEl.className = "source-score";
+    detailsEl.textContent = [
+      source.pinned ? "📌 pinned" : null,
+      source.folder || null,
+      source.pageNumber !== undefined && source.pageNumber !== null ? `p. ${source.pageNumber}` : null,
+      `relevance ${source.score.toFixed(2)}`
+    ].filter(Boolean).join(" · ");
+
+    headerEl.append(filenameEl, detailsEl);
+
+    const snippetEl = document.createElement("p");
+    snippetEl.className = "source-snippet";
+    snippetEl.textContent = source.snippet;
+
+    itemEl.append(headerEl, snippetEl);
+
+    // Full chunk text so claims can be checked against the original guideline
+    if (source.content && source.content !== source.snippet) {
+      const fullTextEl = document.createElement("details");
+      fullTextEl.className = "source-full-text";
+
+      const fullTextToggle = document.createElement("summary");
+      fullTextToggle.textContent = "Show full text";
+
+      const fullTextContent = document.createElement("p");
+      fullTextContent.textContent = source.content;
+
+      fullTextEl.append(fullTextToggle, fullTextContent);
+      itemEl.appendChild(fullTextEl);
+    }
+
+    listEl.appendChild(itemEl);
+  }
+
+  sourcesEl.appendChild(listEl);
+
+  const ragIndicator = messageElement.querySelector(":scope > .rag-indicator");
+  if (ragIndicator) {
+    ragIndicator.before(sourcesEl);
+  } else {
+    messageElement.appendChild(sourcesEl);
+  }
+  scrollToBottom();
+}
+
+/**
+ * Show the aiSearch answer returned alongside the custom answer in compare mode
+ */
+function renderPipelineComparison(messageElement, comparison) {
+  const comparisonEl = document.createElement("div");
+  comparisonEl.className = "message-comparison";
+  comparisonEl.dataset.messageId = `${messageElement.dataset.messageId}-aisearch`;
+
+  const headerEl = document.createElement("div");
+  headerEl.className = "comparison-header";
+
+  const titleEl = document.createElement("span");
+  titleEl.textContent = "AutoRAG aiSearch answer";
+
+  const detailsEl = document.createElement("span");
+  detailsEl.textContent = [
+    comparison.modelUsed,
+    `${comparison.documentsFound} document${comparison.documentsFound !== 1 ? 's' : ''}`,
+    `${comparison.processingTimeMs}ms`
+  ].join(" · ");
+
+  headerEl.append(titleEl, detailsEl);
+  comparisonEl.appendChild(headerEl);
+
+  if (comparison.error) {
+    const errorEl = document.createElement("div");
+    errorEl.className = "comparison-error";
+    errorEl.textContent = `aiSearch failed: ${comparison.error}`;
+    comparisonEl.appendChild(errorEl);
+  } else {
+    const contentEl = document.createElement("div");
+    contentEl.className = "comparison-content";
+    comparisonEl.appendChild(contentEl);
+
+    renderAnswerWithCitations(contentEl, comparison.response, comparison.sources, comparisonEl.dataset.messageId);
+    renderMessageSources(comparisonEl, comparison.sources);
+  }
+
+  messageElement.querySelector(".message-metadata").before(comparisonEl);
+}
+
+// =============================================================================
+// Markdown Rendering
+// =============================================================================
+
+// Markdown is turned into DOM nodes directly; text only ever reaches the page
+// as text nodes, so HTML in messages is shown as written instead of executed.
+
+const MARKDOWN_FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const MARKDOWN_HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MARKDOWN_RULE_PATTERN = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MARKDOWN_QUOTE_PATTERN = /^\s{0,3}>\s?/;
+const MARKDOWN_LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MARKDOWN_TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const INLINE_MARKDOWN_PATTERN = new RegExp([
+  /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/.source,        // `code`
+  /\*\*(?=\S)([\s\S]*?\S)\*\*/.source,                // **strong**
+  /(?<!\w)__(?=\S)([\s\S]*?\S)__(?!\w)/.source,       // __strong__
+  /~~(?=\S)([\s\S]*?\S)~~/.source,                    // ~~strikethrough~~
+  /\[([^\]\n]+)\]\(([^()\s]+)\)/.source,              // [link](url)
+  /\*(?=[^\s*])([\s\S]*?[^\s*])\*/.source,            // *emphasis*
+  /(?<!\w)_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/.source, // _emphasis_
+].join("|"), "g");
+
+const SAFE_LINK_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+// Blocks rendered into each element, so streamed updates only rebuild what changed
+const markdownRenderCache = new WeakMap();
+
+/**
+ * Render Markdown into an element.
+ *
+ * Blocks whose source is unchanged since the previous render of the element
+ * are kept, so while an answer streams in only the trailing block is rebuilt.
+ * `renderText(parent, text)` appends each run of plain text (used to link
+ * citations); pass a different `key` whenever it would render differently.
+ */
+function renderMarkdown(containerEl, text, { renderText = appendPlainText, key = "" } = {}) {
+  const blocks = parseMarkdownBlocks(text || "");
+  const previous = markdownRenderCache.get(containerEl);
+  const rendered = previous && previous.key === key ? previous.blocks : [];
+
+  let reused = 0;
+  while (reused < blocks.length && reused < rendered.length && rendered[reused].source === blocks[reused].source) {
+    reused++;
+  }
+
+  if (rendered.length === 0) {
+    containerEl.replaceChildren();
+  }
+  for (const stale of rendered.slice(reused)) {
+    stale.node.remove();
+  }
+
+  const next = rendered.slice(0, reused);
+  for (const block of blocks.slice(reused)) {
+    const node = renderMarkdownBlock(block, renderText);
+    containerEl.appendChild(node);
+    next.push({ source: block.source, node });
+  }
+
+  containerEl.classList.add("markdown");
+  markdownRenderCache.set(containerEl, { key, blocks: next });
+}
+
+/**
+ * Split Markdown into top-level blocks, each with the source lines it came from.
+ * An unterminated code fence (common mid-stream) runs to the end of the text.
+ */
+function parseMarkdownBlocks(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const start = i;
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(MARKDOWN_FENCE_PATTERN);
+    const heading = line.match(MARKDOWN_HEADING_PATTERN);
+    let block;
+
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !isClosingFence(lines[i], fence[1])) {
+        body.push(lines[i]);
+        i++;
+      }
+      i = Math.min(i + 1, lines.length);
+      block = { type: "code", language: fence[2], text: body.join("\n") };
+    } else if (heading) {
+      i++;
+      block = { type: "heading", level: heading[1].length, text: heading[2] };
+    } else if (MARKDOWN_RULE_PATTERN.test(line)) {
+      i++;
+      block = { type: "rule" };
+    } else if (isTableStart(lines, i)) {
+      const rows = [lines[i]];
+      const alignments = splitTableRow(lines[i + 1]).map(getColumnAlignment);
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+        rows.push(lines[i]);
+        i++;
+      }
+      block = { type: "table", alignments, rows: rows.map(splitTableRow) };
+    } else if (MARKDOWN_QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && MARKDOWN_QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].replace(MARKDOWN_QUOTE_PATTERN, ""));
+        i++;
+      }
+      block = { type: "quote", blocks: parseMarkdownBlocks(quoted.join("\n")) };
+    } else if (MARKDOWN_LIST_ITEM_PATTERN.test(line)) {
+      const list = parseMarkdownList(lines, i);
+      i = list.end;
+      block = list.block;
+    } else {
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && lines[i].trim() && !startsMarkdownBlock(lines, i)) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      block = { type: "paragraph", text: paragraph.join("\n") };
+    }
+
+    block.source = lines.slice(start, i).join("\n");
+    blocks.push(block);
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse a list starting at lines[start]; indented lines belong to the item above them
+ */
+function parseMarkdownList(lines, start) {
+  const first = lines[start].match(MARKDOWN_LIST_ITEM_PATTERN);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let contentOffset = 0;
+  let i = start;
+
+  const isSibling = (match) => match && match[1].length <= indent + 1 && /\d/.test(match[2]) === ordered;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const item = line.match(MARKDOWN_LIST_ITEM_PATTERN);
+
+    if (isSibling(item)) {
+      items.push([item[3]]);
+      contentOffset = line.length - item[3].length;
+      i++;
+      continue;
+    }
+
+    if (!line.trim()) {
+      // A blank line ends the list unless an indented line or another item follows
+      let next = i + 1;
+      while (next < lines.length && !lines[next].trim()) next++;
+      if (next >= lines.length) break;
+
+      const nextIndent = lines[next].match(/^\s*/)[0].length;
+      if (nextIndent <= indent && !isSibling(lines[next].match(MARKDOWN_LIST_ITEM_PATTERN))) break;
+
+      items[items.length - 1].push(...lines.slice(i, next).map(() => ""));
+      i = next;
+      continue;
+    }
+
+    const lineIndent = line.match(/^\s*/)[0].length;
+    if (lineIndent <= indent) break;
+
+    items[items.length - 1].push(line.substring(Math.min(lineIndent, contentOffset)));
+    i++;
+  }
+
+  return {
+    end: i,
+    block: {
+      type: "list",
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : 1,
+      items: items.map(itemLines => parseMarkdownBlocks(itemLines.join("\n"))),
+    },
+  };
+}
+
+function isClosingFence(line, fence) {
+  const trimmed = line.trim();
+  return trimmed.length >= fence.length && trimmed === fence[0].repeat(trimmed.length);
+}
+
+function isTableStart(lines, i) {
+  return lines[i].includes("|") && i + 1 < lines.length &&
+    lines[i + 1].includes("-") && MARKDOWN_TABLE_SEPARATOR_PATTERN.test(lines[i + 1]);
+}
+
+/**
+ * Whether lines[i] starts a block that interrupts a paragraph
+ */
+function startsMarkdownBlock(lines, i) {
+  const line = lines[i];
+  return MARKDOWN_FENCE_PATTERN.test(line) ||
+    MARKDOWN_HEADING_PATTERN.test(line) ||
+    MARKDOWN_RULE_PATTERN.test(line) ||
+    MARKDOWN_QUOTE_PATTERN.test(line) ||
+    MARKDOWN_LIST_ITEM_PATTERN.test(line) ||
+    isTableStart(lines, i);
+}
+
+function splitTableRow(row) {
+  return row.trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, "|"));
+}
+
+function getColumnAlignment(separator) {
+  const left = separator.startsWith(":");
+  const right = separator.endsWith(":");
+  return left && right ? "center" : right ? "right" : left ? "left" : "";
+}
+
+/**
+ * Build the DOM for one parsed block
+ */
+function renderMarkdownBlock(block, renderText) {
+  switch (block.type) {
+    case "code": {
+      const preEl = document.createElement("pre");
+      const codeEl = document.createElement("code");
+      if (block.language) {
+        codeEl.className = `language-${block.language.replace(/[^\w-]/g, "")}`;
+      }
+      codeEl.textContent = block.text;
+      preEl.appendChild(codeEl);
+      return preEl;
+    }
+
+    case "heading": {
+      const headingEl = document.createElement(`h${block.level}`);
+      appendInlineMarkdown(headingEl, block.text, renderText);
+      return headingEl;
+    }
+
+    case "rule":
+      return document.createElement("hr");
+
+    case "table":
+      return renderMarkdownTable(block, renderText);
+
+    case "quote": {
+      const quoteEl = document.createElement("blockquote");
+      for (const child of block.blocks) {
+        quoteEl.appendChild(renderMarkdownBlock(child, renderText));
+      }
+      return quoteEl;
+    }
+
+    case "list": {
+      const listEl = document.createElement(block.ordered ? "ol" : "ul");
+      if (block.ordered && block.start !== 1) {
+        listEl.start = block.start;
+      }
+      for (const itemBlocks of block.items) {
+        const itemEl = document.createElement("li");
+        const [lead, ...rest] = itemBlocks;
+        // Keep the item's first paragraph inline rather than wrapping it in <p>
+        if (lead?.type === "paragraph") {
+          appendInlineMarkdown(itemEl, lead.text, renderText);
+        } else if (lead) {
+          itemEl.appendChild(renderMarkdownBlock(lead, renderText));
+        }
+        for (const child of rest) {
+          itemEl.appendChild(renderMarkdownBlock(child, renderText));
+        }
+        listEl.appendChild(itemEl);
+      }
+      return listEl;
+    }
+
+    default: {
+      const paragraphEl = document.createElement("p");
+      appendInlineMarkdown(paragraphEl, block.text, renderText);
+      return paragraphEl;
+    }
+  }
+}
+
+function renderMarkdownTable(block, renderText) {
+  const wrapperEl = document.createElement("div");
+  wrapperEl.className = "markdown-table";
+
+  const tableEl = document.createElement("table");
+  const [header, ...rows] = block.rows;
+  const columns = header.length;
+
+  const appendRow = (parentEl, cells, cellTag) => {
+    const rowEl = document.createElement("tr");
+    for (let column = 0; column < columns; column++) {
+      const cellEl = document.createElement(cellTag);
+      if (block.alignments[column]) {
+        cellEl.style.textAlign = block.alignments[column];
+      }
+      appendInlineMarkdown(cellEl, cells[column] || "", renderText);
+      rowEl.appendChild(cellEl);
+    }
+    parentEl.appendChild(rowEl);
+  };
+
+  const headEl = document.createElement("thead");
+  appendRow(headEl, header, "th");
+  tableEl.appendChild(headEl);
+
+  if (rows.length > 0) {
+    const bodyEl = document.createElement("tbody");
+    rows.forEach(cells => appendRow(bodyEl, cells, "td"));
+    tableEl.appendChild(bodyEl);
+  }
+
+  wrapperEl.appendChild(tableEl);
+  return wrapperEl;
+}
+
+/**
+ * Append inline Markdown (code, emphasis, links) with line breaks kept
+ */
+function appendInlineMarkdown(parentEl, text, renderText) {
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_MARKDOWN_PATTERN)) {
+    if (match.index > lastIndex) {
+      appendTextWithBreaks(parentEl, text.substring(lastIndex, match.index), renderText);
+    }
+    parentEl.appendChild(createInlineMarkdownElement(match, renderText));
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    appendTextWithBreaks(parentEl, text.substring(lastIndex), renderText);
+  }
+}
+
+function createInlineMarkdownElement(match, renderText) {
+  const [, , code, strong, strongUnderscore, deleted, linkText, href, emphasis, emphasisUnderscore] = match;
+
+  if (code !== undefined) {
+    const codeEl = document.createElement("code");
+    codeEl.textContent = code;
+    return codeEl;
+  }
+
+  if (linkText !== undefined) {
+    const url = getSafeLinkURL(href);
+    const linkEl = document.createElement(url ? "a" : "span");
+    if (url) {
+      linkEl.href = url;
+      linkEl.target = "_blank";
+      linkEl.rel = "noopener noreferrer";
+    }
+    appendInlineMarkdown(linkEl, linkText, renderText);
+    return linkEl;
+  }
+
+  const tagName = deleted !== undefined ? "del"
+    : strong !== undefined || strongUnderscore !== undefined ? "strong"
+    : "em";
+  const element = document.createElement(tagName);
+  appendInlineMarkdown(element, strong ?? strongUnderscore ?? deleted ?? emphasis ?? emphasisUnderscore, renderText);
+  return element;
+}
+
+/**
+ * Resolve a link target, allowing only web and mail links
+ */
+function getSafeLinkURL(href) {
+  try {
+    const url = new URL(href, window.location.href);
+    return SAFE_LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function appendTextWithBreaks(parentEl, text, renderText) {
+  text.split("\n").forEach((line, index) => {
+    if (index > 0) {
+      parentEl.appendChild(document.createElement("br"));
+    }
+    if (line) {
+      renderText(parentEl, line);
+    }
+  });
+}
+
+function appendPlainText(parentEl, text) {
+  parentEl.appendChild(document.createTextNode(text));
+}
+
+// =============================================================================
+// Citations
+// =============================================================================
+
+const CITATION_PATTERN = /\[Document\s+(\d+)(?::[^\]]*)?\]/gi;
+
+/**
+ * Render answer Markdown, turning "[Document N]" markers into footnote links.
+ * Returns the cited document numbers and those that were never retrieved.
+ */
+function renderAnswerWithCitations(contentEl, text, sources, messageId) {
+  const retrieved = new Set((sources || []).map(source => source.documentIndex));
+
+  const renderText = (parentEl, run) => {
+    let lastIndex = 0;
+
+    for (const match of run.matchAll(CITATION_PATTERN)) {
+      const documentIndex = parseInt(match[1], 10);
+
+      if (match.index > lastIndex) {
+        parentEl.appendChild(document.createTextNode(run.substring(lastIndex, match.index)));
+      }
+
+      if (retrieved.has(documentIndex)) {
+        const linkEl = document.createElement("a");
+        linkEl.className = "citation";
+        linkEl.href = `#${getSourceElementId(messageId, documentIndex)}`;
+        linkEl.dataset.documentIndex = documentIndex;
+        linkEl.title = match[0].substring(1, match[0].length - 1);
+        linkEl.textContent = `[${documentIndex}]`;
+        linkEl.addEventListener("click", handleCitationClick);
+        parentEl.appendChild(linkEl);
+      } else {
+        const invalidEl = document.createElement("span");
+        invalidEl.className = "citation citation-invalid";
+        invalidEl.dataset.documentIndex = documentIndex;
+        invalidEl.title = `Document ${documentIndex} was not retrieved for this answer`;
+        invalidEl.textContent = `[${documentIndex}?]`;
+        parentEl.appendChild(invalidEl);
+      }
+
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < run.length) {
+      parentEl.appendChild(document.createTextNode(run.substring(lastIndex)));
+    }
+  };
+
+  // Citations render differently once the retrieved sources change
+  renderMarkdown(contentEl, text, { renderText, key: `${messageId}:${[...retrieved].join(",")}` });
+
+  const cited = new Set();
+  const invalid = new Set();
+  contentEl.querySelectorAll(".citation").forEach(citationEl => {
+    const documentIndex = parseInt(citationEl.dataset.documentIndex, 10);
+    (citationEl.classList.contains("citation-invalid") ? invalid : cited).add(documentIndex);
+  });
+
+  return { cited: [...cited], invalid: [...invalid] };
+}
+
+/**
+ * Open the source panel and highlight the cited document
+ */
+function handleCitationClick(event) {
+  event.preventDefault();
+
+  const sourceEl = document.getElementById(event.currentTarget.hash.substring(1));
+  if (!sourceEl) return;
+
+  sourceEl.closest(".message-sources").open = true;
+  sourceEl.scrollIntoView({ behavior: "smooth", block: "nearest" });
+
+  sourceEl.classList.remove("highlighted");
+  void sourceEl.offsetWidth; // Restart the highlight animation
+  sourceEl.classList.add("highlighted");
+}
+
+/**
+ * Mark which sources were cited and flag citations to unretrieved documents
+ */
+function updateCitationStatus(messageElement, citations) {
+  messageElement.querySelectorAll(":scope > .message-sources .source-item").forEach(itemEl => {
+    const documentIndex = parseInt(itemEl.dataset.documentIndex, 10);
+    itemEl.classList.toggle("cited", citations.cited.includes(documentIndex));
+  });
+
+  if (citations.invalid.length > 0) {
+    const metadataEl = messageElement.querySelector(".message-metadata");
+    const warningEl = document.createElement("div");
+    warningEl.className = "metadata-item citation-warning";
+    warningEl.innerHTML = `<span class="metadata-icon">⚠️</span><span></span>`;
+    warningEl.lastElementChild.textContent =
+      `Cites document${citations.invalid.length !== 1 ? 's' : ''} ${citations.invalid.join(", ")} which ${citations.invalid.length !== 1 ? 'were' : 'was'} not retrieved`;
+    metadataEl.appendChild(warningEl);
+    metadataEl.style.display = "flex";
+  }
+}
+
+function getSourceElementId(messageId, documentIndex) {
+  return `source-${messageId}-${documentIndex}`;
+}
+
+/**
+ * Create assistant message element
+ */
+function createAssistantMessageElement(messageId) {
+  const messageEl = document.createElement("div");
+  messageEl.className = "message assistant-message";
+  messageEl.dataset.messageId = messageId;
+  
+  const timestamp = new Date().toLocaleTimeString([], { 
+    hour: '2-digit', 
+    minute: '2-digit' 
+  });
+  
+  messageEl.innerHTML = `
+    <div class="message-header">
+      <span class="message-role">Assistant</span>
+      <span class="message-timestamp">${timestamp}</span>
+    </div>
+    <div class="message-content"></div>
+    <div class="rag-indicator searching">
+      <span>🔍</span>
+      <span>Searching knowledge base...</span>
+    </div>
+    <div class="message-metadata" style="display: none;">
+      <div class="metadata-item">
+        <span class="metadata-icon">📄</span>
+        <span class="document-count">0 documents</span>
+      </div>
+      <div class="metadata-item">
+        <span class="metadata-icon">⚡</span>
+        <span class="processing-time">0ms</span>
+      </div>
+    </div>
+  `;
   
-  const timestamp = new Date().toLocaleTimeString([], { 
-    hour: '2-digit', 
-    minute: '2-digit' 
+  chatMessages.appendChild(messageEl);
+  scrollToBottom();
+  
+  return messageEl;
+}
+
+// Shown under answers that did not come from the default custom pipeline
+const PIPELINE_MODE_LABELS = {
+  aiSearch: "Answered by AutoRAG aiSearch",
+  compare: "Custom pipeline, compared with aiSearch",
+  assessment: "Damage assessment report",
+};
+
+/**
+ * Update message with metadata
+ */
+function updateMessageWithMetadata(messageElement, metadata) {
+  const metadataEl = messageElement.querySelector(".message-metadata");
+  const documentCountEl = messageElement.querySelector(".document-count");
+  const processingTimeEl = messageElement.querySelector(".processing-time");
+  
+  if (metadata.documentsFound > 0) {
+    documentCountEl.textContent = `${metadata.documentsFound} document${metadata.documentsFound !== 1 ? 's' : ''}`;
+    metadataEl.style.display = "flex";
+  }
+  
+  if (metadata.processingTime) {
+    processingTimeEl.textContent = metadata.processingTime;
+    metadataEl.style.display = "flex";
+  }
+  
+  if (metadata.stopped) {
+    const stoppedIndicator = document.createElement("div");
+    stoppedIndicator.className = "metadata-item";
+    stoppedIndicator.innerHTML = `<span class="metadata-icon">⏹️</span><span>Stopped before the end</span>`;
+    metadataEl.appendChild(stoppedIndicator);
+    metadataEl.style.display = "flex";
+  }
+
+  if (metadata.fallbackUsed) {
+    const fallbackIndicator = document.createElement("div");
+    fallbackIndicator.className = "metadata-item";
+    fallbackIndicator.innerHTML = `
+      <span class="metadata-icon">⚠️</span>
+      <span>Fallback mode used</span>
+    `;
+    metadataEl.appendChild(fallbackIndicator);
+    metadataEl.style.display = "flex";
+  }
+
+  if (metadata.pipelineMode in PIPELINE_MODE_LABELS) {
+    const pipelineIndicator = document.createElement("div");
+    pipelineIndicator.className = "metadata-item";
+    pipelineIndicator.innerHTML = `<span class="metadata-icon">🤖</span><span></span>`;
+    pipelineIndicator.lastElementChild.textContent = PIPELINE_MODE_LABELS[metadata.pipelineMode];
+    metadataEl.appendChild(pipelineIndicator);
+    metadataEl.style.display = "flex";
+  }
+
+  if (metadata.modelUsed) {
+    const modelIndicator = document.createElement("div");
+    modelIndicator.className = "metadata-item";
+    modelIndicator.innerHTML = `<span class="metadata-icon">🧩</span><span></span>`;
+    modelIndicator.lastElementChild.textContent = metadata.modelUsed.split("/").pop();
+    modelIndicator.title = metadata.modelUsed;
+    metadataEl.appendChild(modelIndicator);
+    metadataEl.style.display = "flex";
+  }
+
+  if (metadata.cache?.answer === "hit") {
+    const cacheIndicator = document.createElement("div");
+    cacheIndicator.className = "metadata-item";
+    cacheIndicator.title = "Replayed from the answer cache; no tokens were generated";
+    cacheIndicator.innerHTML = `<span class="metadata-icon">♻️</span><span>Cached answer</span>`;
+    metadataEl.appendChild(cacheIndicator);
+    metadataEl.style.display = "flex";
+  }
+
+  if (metadata.searchQuery?.condensed) {
+    const queryIndicator = document.createElement("div");
+    queryIndicator.className = "metadata-item";
+    queryIndicator.title = "Follow-up rewritten as a standalone search query";
+    queryIndicator.innerHTML = `<span class="metadata-icon">🔎</span><span></span>`;
+    queryIndicator.lastElementChild.textContent = `Searched for: "${metadata.searchQuery.standalone}"`;
+    metadataEl.appendChild(queryIndicator);
+    metadataEl.style.display = "flex";
+  }
+
+  const budgetSummary = describeContextBudget(metadata.budget);
+  if (budgetSummary) {
+    const budgetIndicator = document.createElement("div");
+    budgetIndicator.className = "metadata-item";
+    budgetIndicator.title = `${metadata.budget.totalPromptTokens.toLocaleString()} of ${metadata.budget.contextWindow.toLocaleString()} context tokens used`;
+    budgetIndicator.innerHTML = `<span class="metadata-icon">✂️</span><span></span>`;
+    budgetIndicator.lastElementChild.textContent = budgetSummary;
+    metadataEl.appendChild(budgetIndicator);
+    metadataEl.style.display = "flex";
+  }
+}
+
+/**
+ * Describe what the context budget cut, or null if nothing was cut
+ */
+function describeContextBudget(budget) {
+  if (!budget) return null;
+
+  const plural = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+  const parts = [];
+
+  if (budget.droppedSources.length > 0) {
+    parts.push(`${plural(budget.droppedSources.length, "source")} dropped`);
+  }
+  if (budget.truncatedSources.length > 0) {
+    parts.push(`${plural(budget.truncatedSources.length, "source")} shortened`);
+  }
+  if (budget.summarizedMessages > 0) {
+    parts.push(`${plural(budget.summarizedMessages, "earlier message")} summarized`);
+  }
+  if (budget.droppedMessages > 0) {
+    parts.push(`${plural(budget.droppedMessages, "earlier message")} dropped`);
+  }
+  if (budget.truncatedMessages > 0) {
+    parts.push("your message was shortened");
+  }
+
+  return parts.length > 0 ? `Context trimmed: ${parts.join(", ")}` : null;
+}
+
+/**
+ * Update RAG indicator status
+ */
+function updateRAGIndicator(indicator, status, text) {
+  if (!indicator) return;
+  
+  indicator.className = `rag-indicator ${status}`;
+  indicator.textContent = text;
+}
+
+/**
+ * Add message to chat display
+ */
+function addMessageToChat(role, content, options = {}) {
+  const messageEl = document.createElement("div");
+  messageEl.className = `message ${role}-message`;
+  
+  if (options.messageId) {
+    messageEl.dataset.messageId = options.messageId;
+  }
+  
+  const timestamp = options.timestamp 
+    ? new Date(options.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  
+  const headerEl = document.createElement("div");
+  headerEl.className = "message-header";
+
+  const roleEl = document.createElement("span");
+  roleEl.className = "message-role";
+  roleEl.textContent = role === "user" ? "You" : "Assistant";
+
+  const timestampEl = document.createElement("span");
+  timestampEl.className = "message-timestamp";
+  timestampEl.textContent = timestamp;
+
+  headerEl.append(roleEl, timestampEl);
+
+  const contentEl = document.createElement("div");
+  contentEl.className = "message-content";
+  renderMarkdown(contentEl, content);
+
+  messageEl.append(headerEl, contentEl);
+
+  if (options.images?.length > 0) {
+    messageEl.appendChild(createMessagePhotos(options.images));
+  }
+  
+  chatMessages.appendChild(messageEl);
+  scrollToBottom();
+  
+  return messageEl;
+}
+
+// =============================================================================
+// Editing, Regenerating and Answer Versions
+// =============================================================================
+
+// Regenerating beyond this drops the oldest versions, as the server does
+const MAX_MESSAGE_VERSIONS = 10;
+
+// The history entry shown by each message element
+const messageEntries = new WeakMap();
+
+/**
+ * Link a message element to its history entry and add its actions:
+ * edit for questions, regenerate and version switching for answers
+ */
+function attachMessageActions(messageEl, historyEntry) {
+  messageEntries.set(messageEl, historyEntry);
+  messageEl.querySelector(".message-actions")?.remove();
+
+  const actionsEl = document.createElement("div");
+  actionsEl.className = "message-actions";
+
+  if (historyEntry.role === "user") {
+    actionsEl.appendChild(createMessageAction("✏️ Edit", "Edit this question and ask again", () => editUserMessage(messageEl)));
+  } else {
+    const versions = historyEntry.versions || [];
+    if (versions.length > 1) {
+      const active = historyEntry.activeVersion ?? versions.length - 1;
+
+      const previousButton = createMessageAction("‹", "Previous version", () => showAnswerVersion(messageEl, active - 1));
+      previousButton.disabled = active === 0;
+
+      const versionLabel = document.createElement("span");
+      versionLabel.className = "message-version";
+      versionLabel.textContent = `${active + 1}/${versions.length}`;
+
+      const nextButton = createMessageAction("›", "Next version", () => showAnswerVersion(messageEl, active + 1));
+      nextButton.disabled = active === versions.length - 1;
+
+      actionsEl.append(previousButton, versionLabel, nextButton);
+    }
+    actionsEl.appendChild(createMessageAction("🔄 Regenerate", "Answer this question again", () => regenerateAnswer(messageEl)));
+    if (historyEntry.metadata?.requestId) {
+      actionsEl.append(...createFeedbackButtons(messageEl, historyEntry));
+    }
+  }
+
+  messageEl.appendChild(actionsEl);
+}
+
+function createMessageAction(text, title, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "message-action";
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener("click", () => {
+    if (!isProcessing) onClick();
+  });
+  return button;
+}
+
+/**
+ * Edit a question in place; saving drops it and everything after it, then asks the edited question
+ */
+function editUserMessage(messageEl) {
+  const historyEntry = messageEntries.get(messageEl);
+  const contentEl = messageEl.querySelector(".message-content");
+  if (!historyEntry || messageEl.querySelector(".message-edit")) return;
+
+  const editEl = document.createElement("div");
+  editEl.className = "message-edit";
+
+  const textarea = document.createElement("textarea");
+  textarea.className = "message-edit-input";
+  textarea.value = historyEntry.content;
+  textarea.rows = Math.min(10, historyEntry.content.split("\n").length + 1);
+  textarea.setAttribute("aria-label", "Edit your message");
+
+  const cancelEdit = () => {
+    editEl.remove();
+    contentEl.hidden = false;
+  };
+  const saveEdit = () => {
+    const content = textarea.value.trim();
+    if (content === "" && !historyEntry.images?.length) return;
+    if (content === historyEntry.content) {
+      cancelEdit();
+      return;
+    }
+    askEditedQuestion(messageEl, historyEntry, content);
+  };
+
+  textarea.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault();
+      if (!isProcessing) saveEdit();
+    } else if (event.key === "Escape") {
+      cancelEdit();
+    }
+  });
+
+  const buttonsEl = document.createElement("div");
+  buttonsEl.className = "message-edit-buttons";
+  buttonsEl.append(
+    createMessageAction("Save and ask", "Replace this question and the messages after it", saveEdit),
+    createMessageAction("Cancel", "Keep the question as it was", cancelEdit)
+  );
+
+  editEl.append(textarea, buttonsEl);
+  contentEl.hidden = true;
+  contentEl.after(editEl);
+  textarea.focus();
+}
+
+function askEditedQuestion(messageEl, historyEntry, content) {
+  const index = chatHistory.indexOf(historyEntry);
+  if (index === -1) return;
+
+  truncateChat(messageEl, index);
+
+  // Photos stay attached; they were described when first sent
+  const editedEntry = {
+    role: "user",
+    content,
+    images: historyEntry.images,
+    timestamp: new Date().toISOString()
+  };
+  const messageId = generateMessageId();
+  const editedEl = addMessageToChat("user", content, {
+    messageId,
+    timestamp: editedEntry.timestamp,
+    images: editedEntry.images
+  });
+  attachMessageActions(editedEl, editedEntry);
+  chatHistory.push(editedEntry);
+
+  clearTimeout(pendingRetryTimer);
+  retryAttempts = 0;
+  requestAssistantReply(messageId, undefined, true);
+}
+
+/**
+ * Answer the question before an answer again, keeping the earlier answers as versions
+ */
+function regenerateAnswer(messageEl) {
+  const historyEntry = messageEntries.get(messageEl);
+  const index = chatHistory.indexOf(historyEntry);
+  if (index < 1 || chatHistory[index - 1].role !== "user") return;
+
+  if (index < chatHistory.length - 1 && !confirm("Regenerating this answer removes the messages after it. Continue?")) {
+    return;
+  }
+
+  const previousVersions = historyEntry.versions || [{
+    content: historyEntry.content,
+    timestamp: historyEntry.timestamp,
+    metadata: historyEntry.metadata
+  }];
+
+  truncateChat(messageEl, index);
+  clearTimeout(pendingRetryTimer);
+  retryAttempts = 0;
+  requestAssistantReply(generateMessageId(), previousVersions, true);
+}
+
+/**
+ * History entry of a new answer; a regenerated answer becomes the newest of its versions
+ */
+function createAnswerEntry(content, metadata, previousVersions) {
+  const historyEntry = {
+    role: "assistant",
+    content,
+    timestamp: new Date().toISOString(),
+    metadata
+  };
+
+  if (previousVersions?.length) {
+    historyEntry.versions = [
+      ...previousVersions,
+      { content, timestamp: historyEntry.timestamp, metadata }
+    ].slice(-MAX_MESSAGE_VERSIONS);
+    historyEntry.activeVersion = historyEntry.versions.length - 1;
+  }
+
+  return historyEntry;
+}
+
+/**
+ * Show another version of a regenerated answer and remember the choice with the conversation
+ */
+async function showAnswerVersion(messageEl, version) {
+  const historyEntry = messageEntries.get(messageEl);
+  const selected = historyEntry?.versions?.[version];
+  const index = chatHistory.indexOf(historyEntry);
+  if (!selected || index === -1) return;
+
+  Object.assign(historyEntry, {
+    content: selected.content,
+    timestamp: selected.timestamp,
+    metadata: selected.metadata,
+    activeVersion: version,
+    // Ratings belong to the version's request id
+    feedback: undefined
+  });
+  messageEl.replaceWith(renderStoredAssistantMessage(historyEntry));
+
+  if (!currentConversationId) return;
+
+  try {
+    // Stored messages do not include the greeting at the start of chatHistory
+    const response = await fetch(`/api/conversations/${encodeURIComponent(currentConversationId)}/messages/${index - 1}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ version }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+  } catch (error) {
+    console.error("Failed to save the selected answer version:", error);
+  }
+}
+
+/**
+ * Remove a history entry and everything after it, from the history and the view
+ */
+function truncateChat(messageEl, index) {
+  chatHistory.length = index;
+
+  let el = messageEl;
+  while (el) {
+    const next = el.nextElementSibling;
+    if (el.classList.contains("message")) {
+      el.remove();
+    }
+    el = next;
+  }
+}
+
+// =============================================================================
+// Answer Feedback
+// =============================================================================
+
+const FEEDBACK_OPTIONS = [
+  { rating: "up", label: "👍", title: "Good answer", placeholder: "What was helpful? (optional)" },
+  { rating: "down", label: "👎", title: "Poor answer", placeholder: "What was wrong or missing? (optional)" },
+];
+const maxFeedbackCommentLength = 2000;
+
+/**
+ * Thumbs up and down buttons, rating an answer by its request id
+ */
+function createFeedbackButtons(messageEl, historyEntry) {
+  return FEEDBACK_OPTIONS.map(({ rating, label, title }) => {
+    const button = createMessageAction(label, title, () => rateAnswer(messageEl, historyEntry, rating));
+    button.classList.add("feedback-button");
+    button.dataset.rating = rating;
+    button.setAttribute("aria-label", title);
+    button.setAttribute("aria-pressed", String(historyEntry.feedback?.rating === rating));
+    return button;
+  });
+}
+
+/**
+ * Send a rating right away, then offer to add a comment to it
+ */
+async function rateAnswer(messageEl, historyEntry, rating) {
+  if (!await sendFeedback(historyEntry.metadata.requestId, rating)) return;
+
+  historyEntry.feedback = { rating };
+  messageEl.querySelectorAll(".feedback-button").forEach(button => {
+    button.setAttribute("aria-pressed", String(button.dataset.rating === rating));
+  });
+  showFeedbackCommentForm(messageEl, historyEntry);
+}
+
+function showFeedbackCommentForm(messageEl, historyEntry) {
+  messageEl.querySelector(".feedback-comment")?.remove();
+
+  const { rating } = historyEntry.feedback;
+  const formEl = document.createElement("form");
+  formEl.className = "feedback-comment";
+
+  const textarea = document.createElement("textarea");
+  textarea.className = "message-edit-input";
+  textarea.rows = 2;
+  textarea.maxLength = maxFeedbackCommentLength;
+  textarea.placeholder = FEEDBACK_OPTIONS.find(option => option.rating === rating).placeholder;
+  textarea.setAttribute("aria-label", "Feedback comment");
+
+  const sendButton = document.createElement("button");
+  sendButton.type = "submit";
+  sendButton.className = "message-action";
+  sendButton.textContent = "Send comment";
+
+  formEl.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const comment = textarea.value.trim();
+    if (!comment) {
+      formEl.remove();
+      return;
+    }
+
+    sendButton.disabled = true;
+    // The comment is sent with the rating again, replacing it
+    if (await sendFeedback(historyEntry.metadata.requestId, rating, comment)) {
+      historyEntry.feedback = { rating, comment };
+      formEl.replaceChildren(Object.assign(document.createElement("span"), {
+        className: "feedback-thanks",
+        textContent: "Thanks for your feedback.",
+      }));
+    } else {
+      sendButton.disabled = false;
+    }
+  });
+
+  formEl.append(textarea, sendButton);
+  messageEl.appendChild(formEl);
+  textarea.focus();
+}
+
+async function sendFeedback(requestId, rating, comment) {
+  try {
+    const response = await fetch("/api/feedback", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ requestId, rating, comment }),
+    });
+
+    if (!response.ok) {
+      throw await createHTTPError(response);
+    }
+    return true;
+  } catch (error) {
+    console.error("Failed to send feedback:", error);
+    alert(error.serverMessage || "Could not send your feedback. Please try again.");
+    return false;
+  }
+}
+
+// =============================================================================
+// Photo Attachments
+// =============================================================================
+
+/**
+ * Attach the photos picked in the file input, downscaled for upload
+ */
+async function handlePhotoSelection() {
+  const files = [...photoInput.files];
+  photoInput.value = "";
+
+  const room = CONFIG.photos.maxPerMessage - pendingPhotos.length;
+  if (files.length > room) {
+    alert(`You can attach up to ${CONFIG.photos.maxPerMessage} photos per message.`);
+  }
+
+  for (const file of files.slice(0, Math.max(0, room))) {
+    try {
+      pendingPhotos.push({
+        name: file.name.substring(0, 200),
+        dataUrl: await resizeImage(file, CONFIG.photos.maxDimension, CONFIG.photos.quality),
+        thumbnail: await createThumbnail(file),
+      });
+    } catch (error) {
+      console.error(`Could not read photo ${file.name}:`, error);
+      alert(`Could not read ${file.name}. Attach a JPEG, PNG or WebP photo.`);
+    }
+  }
+
+  renderPendingPhotos();
+}
+
+/**
+ * Show the photos waiting to be sent, each with a remove button
+ */
+function renderPendingPhotos() {
+  photoAttachments.replaceChildren();
+  photoAttachments.hidden = pendingPhotos.length === 0;
+
+  pendingPhotos.forEach((photo, index) => {
+    const itemEl = document.createElement("div");
+    itemEl.className = "photo-attachment";
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "photo-attachment-remove";
+    removeButton.textContent = "×";
+    removeButton.setAttribute("aria-label", `Remove ${photo.name}`);
+    removeButton.addEventListener("click", () => {
+      pendingPhotos.splice(index, 1);
+      renderPendingPhotos();
+    });
+
+    itemEl.append(createPhotoThumbnail(photo), removeButton);
+    photoAttachments.appendChild(itemEl);
   });
-  
-  messageEl.innerHTML = `
-    <div class="message-header">
-      <span class="message-role">Assistant</span>
-      <span class="message-timestamp">${timestamp}</span>
-    </div>
-    <div class="message-content"></div>
-    <div class="rag-indicator searching">
-      <span>🔍</span>
-      <span>Searching knowledge base...</span>
-    </div>
-    <div class="message-metadata" style="display: none;">
-      <div class="metadata-item">
-        <span class="metadata-icon">📄</span>
-        <span class="document-count">0 documents</span>
-      </div>
-      <div class="metadata-item">
-        <span class="metadata-icon">⚡</span>
-        <span class="processing-time">0ms</span>
-      </div>
-    </div>
-  `;
-  
-  chatMessages.appendChild(messageEl);
-  scrollToBottom();
-  
-  return messageEl;
+}
+
+function clearPendingPhotos() {
+  pendingPhotos = [];
+  renderPendingPhotos();
+}
+
+/**
+ * Thumbnails of the photos of a message; the description shows on hover
+ */
+function createMessagePhotos(images) {
+  const photosEl = document.createElement("div");
+  photosEl.className = "message-photos";
+  for (const image of images) {
+    photosEl.appendChild(createPhotoThumbnail(image));
+  }
+  return photosEl;
+}
+
+function createPhotoThumbnail(image) {
+  const imgEl = document.createElement("img");
+  imgEl.className = "photo-thumbnail";
+  imgEl.src = image.thumbnail || image.dataUrl || "";
+  imgEl.alt = image.name || "Attached photo";
+  imgEl.title = image.description || image.name || "";
+  return imgEl;
+}
+
+/**
+ * Keep the vision model's descriptions of the last photos sent instead of their image data
+ */
+function applyImageDescriptions(descriptions) {
+  const lastUserEntry = chatHistory.findLast(entry => entry.role === "user");
+  if (!lastUserEntry?.images) return;
+
+  lastUserEntry.images = lastUserEntry.images.map(({ dataUrl, ...image }, index) => ({
+    ...image,
+    description: descriptions?.[index] || undefined,
+  }));
+
+  const lastUserMessage = [...chatMessages.querySelectorAll(".user-message")].pop();
+  lastUserMessage?.querySelectorAll(".message-photos .photo-thumbnail").forEach((imgEl, index) => {
+    imgEl.title = descriptions?.[index] || imgEl.title;
+  });
+}
+
+/**
+ * Draw an image file onto a canvas no larger than maxDimension and encode it as JPEG
+ */
+async function resizeImage(file, maxDimension, quality) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL("image/jpeg", quality);
+}
+
+/**
+ * Small preview kept with the conversation, lowering the quality until it fits
+ */
+async function createThumbnail(file) {
+  for (const quality of [0.7, 0.5, 0.3]) {
+    const thumbnail = await resizeImage(file, CONFIG.photos.thumbnailDimension, quality);
+    if (thumbnail.length <= CONFIG.photos.maxThumbnailLength) {
+      return thumbnail;
+    }
+  }
+  return undefined;
+}
+
+// =============================================================================
+// Damage Assessment Reports
+// =============================================================================
+
+const MATERIAL_ACTIONS = [
+  { value: "dry_in_place", label: "Dry in place" },
+  { value: "remove", label: "Remove" },
+  { value: "clean", label: "Clean" },
+  { value: "monitor", label: "Monitor" },
+];
+
+/**
+ * Render an assistant answer: Markdown with citations, or the form of an assessment report.
+ * Returns the cited and invalid document numbers.
+ */
+function renderAssistantContent(contentEl, historyEntry, messageId) {
+  const { assessment, sources = [] } = historyEntry.metadata || {};
+
+  if (!assessment) {
+    return renderAnswerWithCitations(contentEl, historyEntry.content, sources, messageId);
+  }
+
+  // Edits replace the message in the history, so follow-up questions see the corrected report
+  renderAssessmentForm(contentEl, assessment, sources, (report) => {
+    historyEntry.content = JSON.stringify(report, null, 2);
+  });
+  return getAssessmentCitations(assessment.report, sources);
+}
+
+/**
+ * Documents referenced by the report's cited standards
+ */
+function getAssessmentCitations(report, sources) {
+  const retrieved = new Set(sources.map(source => source.documentIndex));
+  const cited = new Set();
+  const invalid = new Set();
+
+  for (const citation of normalizeAssessment(report).citedStandards) {
+    if (citation.documentIndex !== null) {
+      (retrieved.has(citation.documentIndex) ? cited : invalid).add(citation.documentIndex);
+    }
+  }
+
+  return { cited: [...cited], invalid: [...invalid] };
+}
+
+/**
+ * Render a damage assessment as an editable form with a JSON download
+ */
+function renderAssessmentForm(contentEl, assessment, sources, onChange) {
+  const report = normalizeAssessment(assessment.report);
+  const formEl = document.createElement("form");
+  formEl.className = "assessment-form";
+  formEl.addEventListener("submit", (event) => event.preventDefault());
+
+  const update = () => onChange(report);
+
+  // Adding or removing rows rebuilds the form from the edited report
+  const render = () => {
+    formEl.replaceChildren();
+
+    if (!assessment.valid && assessment.validationErrors?.length > 0) {
+      const warningEl = document.createElement("div");
+      warningEl.className = "assessment-warning";
+      warningEl.textContent = `The generated report did not fully match the schema after ${assessment.attempts} attempts; check these fields:`;
+      const listEl = document.createElement("ul");
+      for (const error of assessment.validationErrors) {
+        const itemEl = document.createElement("li");
+        itemEl.textContent = error;
+        listEl.appendChild(itemEl);
+      }
+      warningEl.appendChild(listEl);
+      formEl.appendChild(warningEl);
+    }
+
+    formEl.appendChild(createAssessmentSection("Loss", [
+      createAssessmentField("Summary", createAssessmentInput(report.summary, value => { report.summary = value; update(); }, { multiline: true })),
+      createAssessmentField("Source of loss", createAssessmentInput(report.lossSource ?? "", value => { report.lossSource = value || null; update(); })),
+      createAssessmentField("Water category", createAssessmentSelect(
+        [{ value: "", label: "Unknown" }, ...[1, 2, 3].map(n => ({ value: String(n), label: `Category ${n}` }))],
+        report.waterCategory === null ? "" : String(report.waterCategory),
+        value => { report.waterCategory = value ? Number(value) : null; update(); }
+      )),
+      createAssessmentField("Water class", createAssessmentSelect(
+        [{ value: "", label: "Unknown" }, ...[1, 2, 3, 4].map(n => ({ value: String(n), label: `Class ${n}` }))],
+        report.waterClass === null ? "" : String(report.waterClass),
+        value => { report.waterClass = value ? Number(value) : null; update(); }
+      )),
+    ]));
+
+    const roomEls = report.affectedRooms.map((room, roomIndex) => {
+      const roomEl = document.createElement("fieldset");
+      roomEl.className = "assessment-room";
+
+      const materialRows = room.materials.map((material, materialIndex) => [
+        createAssessmentInput(material.material, value => { material.material = value; update(); }, { label: "Material" }),
+        createAssessmentSelect(MATERIAL_ACTIONS, material.action, value => { material.action = value; update(); }, "Action"),
+        createAssessmentInput(material.notes ?? "", value => { material.notes = value || null; update(); }, { label: "Notes" }),
+        createAssessmentButton("Remove", () => { room.materials.splice(materialIndex, 1); update(); render(); }),
+      ]);
+
+      roomEl.append(
+        createAssessmentField("Room", createAssessmentInput(room.name, value => { room.name = value; update(); })),
+        createAssessmentField("Area (sq ft)", createAssessmentInput(formatOptionalNumber(room.areaSqFt), value => { room.areaSqFt = parseOptionalNumber(value); update(); }, { type: "number" })),
+        createAssessmentTable(["Material", "Action", "Notes", ""], materialRows),
+        createAssessmentButton("Add material", () => { room.materials.push({ material: "", action: "monitor", notes: null }); update(); render(); }),
+        createAssessmentButton("Remove room", () => { report.affectedRooms.splice(roomIndex, 1); update(); render(); })
+      );
+      return roomEl;
+    });
+
+    formEl.appendChild(createAssessmentSection("Affected rooms", [
+      ...roomEls,
+      createAssessmentButton("Add room", () => { report.affectedRooms.push({ name: "", areaSqFt: null, materials: [] }); update(); render(); }),
+    ]));
+
+    const readingRows = report.moistureReadings.map((reading, index) => [
+      createAssessmentInput(reading.location, value => { reading.location = value; update(); }, { label: "Location" }),
+      createAssessmentInput(reading.material, value => { reading.material = value; update(); }, { label: "Material" }),
+      createAssessmentInput(formatOptionalNumber(reading.value), value => { reading.value = parseOptionalNumber(value) ?? 0; update(); }, { type: "number", label: "Reading" }),
+      createAssessmentInput(reading.unit, value => { reading.unit = value; update(); }, { label: "Unit" }),
+      createAssessmentInput(formatOptionalNumber(reading.dryStandard), value => { reading.dryStandard = parseOptionalNumber(value); update(); }, { type: "number", label: "Dry standard" }),
+      createAssessmentButton("Remove", () => { report.moistureReadings.splice(index, 1); update(); render(); }),
+    ]);
+
+    formEl.appendChild(createAssessmentSection("Moisture readings", [
+      createAssessmentTable(["Location", "Material", "Reading", "Unit", "Dry standard", ""], readingRows),
+      createAssessmentButton("Add reading", () => { report.moistureReadings.push({ location: "", material: "", value: 0, unit: "%MC", dryStandard: null }); update(); render(); }),
+    ]));
+
+    const equipmentFields = [
+      ["airMovers", "Air movers"],
+      ["dehumidifiers", "Dehumidifiers"],
+      ["airScrubbers", "Air scrubbers"],
+    ].map(([key, label]) => createAssessmentField(label, createAssessmentInput(
+      String(report.dryingEquipment[key]),
+      value => { report.dryingEquipment[key] = Math.max(0, Math.round(parseOptionalNumber(value) ?? 0)); update(); },
+      { type: "number" }
+    )));
+
+    formEl.appendChild(createAssessmentSection("Drying equipment", equipmentFields));
+
+    const documentOptions = [
+      { value: "", label: "General knowledge" },
+      ...sources.map(source => ({ value: String(source.documentIndex), label: `[${source.documentIndex}] ${source.filename}` })),
+    ];
+    const citationRows = report.citedStandards.map((citation, index) => [
+      createAssessmentInput(citation.reference, value => { citation.reference = value; update(); }, { label: "Standard" }),
+      createAssessmentSelect(
+        documentOptions,
+        citation.documentIndex === null ? "" : String(citation.documentIndex),
+        value => { citation.documentIndex = value ? Number(value) : null; update(); },
+        "Document"
+      ),
+      createAssessmentButton("Remove", () => { report.citedStandards.splice(index, 1); update(); render(); }),
+    ]);
+
+    formEl.appendChild(createAssessmentSection("Cited standards", [
+      createAssessmentTable(["Standard", "Document", ""], citationRows),
+      createAssessmentButton("Add standard", () => { report.citedStandards.push({ reference: "", documentIndex: null }); update(); render(); }),
+    ]));
+
+    const downloadButton = createAssessmentButton("⬇️ Download JSON", () => {
+      downloadTextFile(`damage-assessment-${new Date().toISOString().substring(0, 10)}.json`, JSON.stringify(report, null, 2), "application/json");
+    });
+    downloadButton.classList.add("assessment-download");
+    formEl.appendChild(downloadButton);
+  };
+
+  render();
+  contentEl.replaceChildren(formEl);
+}
+
+/**
+ * Fill in missing or mistyped fields so an unvalidated report can still be edited
+ */
+function normalizeAssessment(report) {
+  const value = report && typeof report === "object" ? report : {};
+  const list = (items) => Array.isArray(items) ? items.filter(item => item && typeof item === "object") : [];
+  const text = (field) => typeof field === "string" ? field : "";
+  const optionalText = (field) => typeof field === "string" && field ? field : null;
+  const optionalNumber = (field) => typeof field === "number" && Number.isFinite(field) ? field : null;
+  const equipment = value.dryingEquipment && typeof value.dryingEquipment === "object" ? value.dryingEquipment : {};
+
+  return {
+    summary: text(value.summary),
+    lossSource: optionalText(value.lossSource),
+    waterCategory: [1, 2, 3].includes(value.waterCategory) ? value.waterCategory : null,
+    waterClass: [1, 2, 3, 4].includes(value.waterClass) ? value.waterClass : null,
+    affectedRooms: list(value.affectedRooms).map(room => ({
+      name: text(room.name),
+      areaSqFt: optionalNumber(room.areaSqFt),
+      materials: list(room.materials).map(material => ({
+        material: text(material.material),
+        action: MATERIAL_ACTIONS.some(action => action.value === material.action) ? material.action : "monitor",
+        notes: optionalText(material.notes),
+      })),
+    })),
+    moistureReadings: list(value.moistureReadings).map(reading => ({
+      location: text(reading.location),
+      material: text(reading.material),
+      value: optionalNumber(reading.value) ?? 0,
+      unit: text(reading.unit),
+      dryStandard: optionalNumber(reading.dryStandard),
+    })),
+    dryingEquipment: {
+      airMovers: optionalNumber(equipment.airMovers) ?? 0,
+      dehumidifiers: optionalNumber(equipment.dehumidifiers) ?? 0,
+      airScrubbers: optionalNumber(equipment.airScrubbers) ?? 0,
+    },
+    citedStandards: list(value.citedStandards).map(citation => ({
+      reference: text(citation.reference),
+      documentIndex: Number.isInteger(citation.documentIndex) ? citation.documentIndex : null,
+    })),
+  };
+}
+
+function createAssessmentSection(title, children) {
+  const sectionEl = document.createElement("fieldset");
+  sectionEl.className = "assessment-section";
+  const legendEl = document.createElement("legend");
+  legendEl.textContent = title;
+  sectionEl.append(legendEl, ...children);
+  return sectionEl;
+}
+
+function createAssessmentField(label, inputEl) {
+  const fieldEl = document.createElement("label");
+  fieldEl.className = "assessment-field";
+  const labelEl = document.createElement("span");
+  labelEl.textContent = label;
+  fieldEl.append(labelEl, inputEl);
+  return fieldEl;
+}
+
+function createAssessmentInput(value, onInput, { multiline = false, type = "text", label = "" } = {}) {
+  const inputEl = document.createElement(multiline ? "textarea" : "input");
+  if (!multiline) {
+    inputEl.type = type;
+    if (type === "number") {
+      inputEl.min = "0";
+      inputEl.step = "any";
+    }
+  }
+  if (label) {
+    inputEl.setAttribute("aria-label", label);
+  }
+  inputEl.value = value;
+  inputEl.addEventListener("input", () => onInput(inputEl.value.trim()));
+  return inputEl;
+}
+
+function createAssessmentSelect(options, value, onChange, label = "") {
+  const selectEl = document.createElement("select");
+  for (const option of options) {
+    selectEl.appendChild(new Option(option.label, option.value));
+  }
+  if (label) {
+    selectEl.setAttribute("aria-label", label);
+  }
+  selectEl.value = value;
+  selectEl.addEventListener("change", () => onChange(selectEl.value));
+  return selectEl;
+}
+
+function createAssessmentButton(label, onClick) {
+  const buttonEl = document.createElement("button");
+  buttonEl.type = "button";
+  buttonEl.className = "preset-button";
+  buttonEl.textContent = label;
+  buttonEl.addEventListener("click", onClick);
+  return buttonEl;
+}
+
+function createAssessmentTable(headers, rows) {
+  const tableEl = document.createElement("table");
+  tableEl.className = "assessment-table";
+
+  if (rows.length === 0) {
+    return tableEl;
+  }
+
+  const headRow = tableEl.createTHead().insertRow();
+  for (const header of headers) {
+    const cellEl = document.createElement("th");
+    cellEl.textContent = header;
+    headRow.appendChild(cellEl);
+  }
+
+  const bodyEl = tableEl.createTBody();
+  for (const cells of rows) {
+    const rowEl = bodyEl.insertRow();
+    for (const cellContent of cells) {
+      rowEl.insertCell().appendChild(cellContent);
+    }
+  }
+  return tableEl;
+}
+
+function formatOptionalNumber(value) {
+  return value === null || value === undefined ? "" : String(value);
+}
+
+function parseOptionalNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Save text as a file through a temporary download link
+ */
+function downloadTextFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const linkEl = document.createElement("a");
+  linkEl.href = url;
+  linkEl.download = filename;
+  document.body.appendChild(linkEl);
+  linkEl.click();
+  linkEl.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// =============================================================================
+// Conversation Export and Import
+// =============================================================================
+
+// Identifies JSON exports so that only those are imported
+const EXPORT_FORMAT = "damagescan-conversation";
+const EXPORT_VERSION = 1;
+
+const REPORT_STYLES = `
+  body { max-width: 48rem; margin: 2rem auto; padding: 0 1rem; font: 11pt/1.5 Georgia, "Times New Roman", serif; color: #111; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  .report-meta, .message-meta { color: #555; font-size: 0.85em; }
+  .message { margin: 1.5rem 0; padding-top: 0.75rem; border-top: 1px solid #ccc; break-inside: avoid-page; }
+  .message h2 { font-size: 1rem; margin: 0 0 0.5rem; }
+  .message.user h2 { color: #8a3a12; }
+  .photos { display: flex; flex-wrap: wrap; gap: 0.75rem; margin: 0.5rem 0; }
+  .photos figure { margin: 0; max-width: 12rem; font-size: 0.8em; }
+  .photos img { display: block; max-width: 100%; border: 1px solid #ccc; }
+  pre { white-space: pre-wrap; font-size: 0.85em; background: #f5f5f5; padding: 0.5rem; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; }
+  sup a { text-decoration: none; }
+  .footnotes { margin-top: 2rem; border-top: 2px solid #111; font-size: 0.9em; }
+  .footnotes blockquote { margin: 0.25rem 0 0.5rem 1rem; color: #444; font-style: italic; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    a { color: inherit; }
+  }
+`;
+
+/**
+ * Export the current conversation as Markdown, JSON or a printable HTML report
+ */
+function exportConversation(format) {
+  const messages = getExportMessages();
+  if (messages.length === 0) {
+    alert("There is nothing to export yet.");
+    return;
+  }
+
+  const title = getExportTitle(messages);
+  const basename = `${title.replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "").substring(0, 60) || "conversation"}-${new Date().toISOString().substring(0, 10)}`;
+
+  switch (format) {
+    case "markdown":
+      downloadTextFile(`${basename}.md`, buildMarkdownExport(title, messages), "text/markdown");
+      break;
+    case "json":
+      downloadTextFile(`${basename}.json`, JSON.stringify(buildJSONExport(title, messages), null, 2), "application/json");
+      break;
+    case "html":
+      downloadTextFile(`${basename}.html`, buildHTMLReport(title, messages), "text/html");
+      break;
+  }
+}
+
+/**
+ * Messages of the current conversation without the greeting or any photo data
+ */
+function getExportMessages() {
+  return chatHistory.slice(1).map(({ role, content, images, timestamp, metadata }) => ({
+    role,
+    content,
+    timestamp,
+    images: images?.map(({ dataUrl, ...image }) => image),
+    metadata,
+  }));
+}
+
+function getExportTitle(messages) {
+  const activeTitle = conversationList.querySelector(".conversation-item.active .conversation-title")?.textContent;
+  const firstQuestion = messages.find(message => message.role === "user")?.content.replace(/\s+/g, " ").trim();
+  return activeTitle || firstQuestion?.substring(0, 80) || "DamageScan conversation";
+}
+
+function buildJSONExport(title, messages) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversationId: currentConversationId || undefined,
+    title,
+    messages,
+  };
+}
+
+/**
+ * Number the documents cited across the export, one footnote per answer and document
+ */
+function createFootnotes() {
+  const footnotes = [];
+  const numbers = new Map();
+
+  return {
+    footnotes,
+    getNumber(messageIndex, source) {
+      const key = `${messageIndex}:${source.documentIndex}`;
+      if (!numbers.has(key)) {
+        footnotes.push(source);
+        numbers.set(key, footnotes.length);
+      }
+      return numbers.get(key);
+    },
+  };
+}
+
+function describeSource(source) {
+  return [
+    source.folder ? `${source.filename} (${source.folder})` : source.filename,
+    source.pageNumber ? `page ${source.pageNumber}` : null,
+    typeof source.score === "number" ? `relevance ${source.score.toFixed(2)}` : null,
+  ].filter(Boolean).join(", ");
+}
+
+function describeMessageMetadata(metadata) {
+  if (!metadata) return "";
+  return [
+    metadata.modelUsed ? `Model: ${metadata.modelUsed}` : null,
+    metadata.pipelineMode ? `Pipeline: ${metadata.pipelineMode}` : null,
+    metadata.documentsFound ? `${metadata.documentsFound} document${metadata.documentsFound !== 1 ? "s" : ""} retrieved` : null,
+    metadata.requestId ? `Request ID: ${metadata.requestId}` : null,
+  ].filter(Boolean).join(" · ");
+}
+
+function formatExportTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : "";
+}
+
+/**
+ * Markdown transcript with citations as footnotes
+ */
+function buildMarkdownExport(title, messages) {
+  const { footnotes, getNumber } = createFootnotes();
+  const lines = [`# ${title}`, "", `Exported ${new Date().toLocaleString()} · ${messages.length} messages`, ""];
+
+  messages.forEach((message, messageIndex) => {
+    const role = message.role === "user" ? "You" : "Assistant";
+    lines.push("---", "", `### ${role} · ${formatExportTimestamp(message.timestamp)}`, "");
+
+    if (message.metadata?.assessment) {
+      lines.push("```json", message.content, "```");
+    } else {
+      const sources = message.metadata?.sources || [];
+      lines.push(message.content.replace(CITATION_PATTERN, (match, index) => {
+        const source = sources.find(candidate => candidate.documentIndex === parseInt(index, 10));
+        return source ? `[^${getNumber(messageIndex, source)}]` : match;
+      }));
+    }
+
+    if (message.images?.length > 0) {
+      lines.push("", "Photos:");
+      message.images.forEach((image, index) => {
+        lines.push(`- ${image.name || `Photo ${index + 1}`}${image.description ? `: ${image.description}` : ""}`);
+      });
+    }
+
+    const metadataLine = describeMessageMetadata(message.metadata);
+    if (metadataLine) {
+      lines.push("", `_${metadataLine}_`);
+    }
+    lines.push("");
+  });
+
+  if (footnotes.length > 0) {
+    lines.push("---", "");
+    footnotes.forEach((source, index) => {
+      lines.push(`[^${index + 1}]: ${describeSource(source)}`);
+    });
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Standalone HTML report styled for printing (or saving as PDF), with citations as footnotes
+ */
+function buildHTMLReport(title, messages) {
+  const { footnotes, getNumber } = createFootnotes();
+  const bodyEl = document.createElement("div");
+
+  const headingEl = document.createElement("h1");
+  headingEl.textContent = title;
+  const metaEl = document.createElement("p");
+  metaEl.className = "report-meta";
+  metaEl.textContent = `Exported ${new Date().toLocaleString()} · ${messages.length} messages`;
+  bodyEl.append(headingEl, metaEl);
+
+  messages.forEach((message, messageIndex) => {
+    const sectionEl = document.createElement("section");
+    sectionEl.className = `message ${message.role}`;
+
+    const roleEl = document.createElement("h2");
+    roleEl.textContent = `${message.role === "user" ? "You" : "Assistant"} · ${formatExportTimestamp(message.timestamp)}`;
+    sectionEl.appendChild(roleEl);
+
+    const contentEl = document.createElement("div");
+    if (message.metadata?.assessment) {
+      const preEl = document.createElement("pre");
+      preEl.textContent = message.content;
+      contentEl.appendChild(preEl);
+    } else {
+      const sources = message.metadata?.sources || [];
+      const renderText = (parentEl, run) => {
+        let lastIndex = 0;
+        for (const match of run.matchAll(CITATION_PATTERN)) {
+          const source = sources.find(candidate => candidate.documentIndex === parseInt(match[1], 10));
+          if (!source) continue;
+
+          parentEl.appendChild(document.createTextNode(run.substring(lastIndex, match.index)));
+          const number = getNumber(messageIndex, source);
+          const supEl = document.createElement("sup");
+          const linkEl = document.createElement("a");
+          linkEl.href = `#fn-${number}`;
+          linkEl.textContent = `[${number}]`;
+          supEl.appendChild(linkEl);
+          parentEl.appendChild(supEl);
+          lastIndex = match.index + match[0].length;
+        }
+        parentEl.appendChild(document.createTextNode(run.substring(lastIndex)));
+      };
+      renderMarkdown(contentEl, message.content, { renderText, key: "export" });
+    }
+    sectionEl.appendChild(contentEl);
+
+    if (message.images?.length > 0) {
+      const photosEl = document.createElement("div");
+      photosEl.className = "photos";
+      for (const image of message.images) {
+        const figureEl = document.createElement("figure");
+        if (image.thumbnail) {
+          const imgEl = document.createElement("img");
+          imgEl.src = image.thumbnail;
+          imgEl.alt = image.name || "Attached photo";
+          figureEl.appendChild(imgEl);
+        }
+        const captionEl = document.createElement("figcaption");
+        captionEl.textContent = [image.name, image.description].filter(Boolean).join(": ");
+        figureEl.appendChild(captionEl);
+        photosEl.appendChild(figureEl);
+      }
+      sectionEl.appendChild(photosEl);
+    }
+
+    const metadataLine = describeMessageMetadata(message.metadata);
+    if (metadataLine) {
+      const metadataEl = document.createElement("p");
+      metadataEl.className = "message-meta";
+      metadataEl.textContent = metadataLine;
+      sectionEl.appendChild(metadataEl);
+    }
+
+    bodyEl.appendChild(sectionEl);
+  });
+
+  if (footnotes.length > 0) {
+    const footnotesEl = document.createElement("section");
+    footnotesEl.className = "footnotes";
+    const footnotesTitle = document.createElement("h2");
+    footnotesTitle.textContent = "Sources";
+    const listEl = document.createElement("ol");
+
+    footnotes.forEach((source, index) => {
+      const itemEl = document.createElement("li");
+      itemEl.id = `fn-${index + 1}`;
+      itemEl.textContent = describeSource(source);
+      if (source.snippet) {
+        const quoteEl = document.createElement("blockquote");
+        quoteEl.textContent = source.snippet;
+        itemEl.appendChild(quoteEl);
+      }
+      listEl.appendChild(itemEl);
+    });
+
+    footnotesEl.append(footnotesTitle, listEl);
+    bodyEl.appendChild(footnotesEl);
+  }
+
+  const titleEl = document.createElement("title");
+  titleEl.textContent = title;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+${titleEl.outerHTML}
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+${bodyEl.innerHTML}
+</body>
+</html>
+`;
+}
+
+/**
+ * Restore a JSON export as a new saved conversation and open it
+ */
+async function handleImportFile() {
+  const file = importInput.files[0];
+  importInput.value = "";
+  if (!file || isProcessing) return;
+
+  try {
+    const data = JSON.parse(await file.text());
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.messages)) {
+      throw new Error("This is not a DamageScan conversation export");
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error("This export was made by a newer version of the app");
+    }
+
+    const response = await fetch("/api/conversations", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title: data.title, messages: data.messages }),
+    });
+
+    if (!response.ok) {
+      throw await createHTTPError(response);
+    }
+
+    const { conversation } = await response.json();
+    await openConversation(conversation.id);
+    loadConversationList();
+  } catch (error) {
+    console.error("Conversation import failed:", error);
+    alert(`Could not import ${file.name}: ${error.serverMessage || error.message}`);
+  }
+}
+
+// =============================================================================
+// Authentication
+// =============================================================================
+
+/**
+ * Resume the browser session, or ask for an API key
+ */
+async function initializeSession() {
+  try {
+    const response = await fetch("/api/session");
+    if (response.ok) {
+      currentUser = (await response.json()).user;
+    }
+  } catch (error) {
+    console.error("Failed to check session:", error);
+  }
+
+  if (currentUser) {
+    loadUserData();
+  } else {
+    showSignInDialog();
+  }
 }
 
 /**
- * Update message with metadata
+ * Load everything that needs a signed-in user
  */
-function updateMessageWithMetadata(messageElement, metadata) {
-  const metadataEl = messageElement.querySelector(".message-metadata");
-  const documentCountEl = messageElement.querySelector(".document-count");
-  const processingTimeEl = messageElement.querySelector(".processing-time");
-  
-  if (metadata.documentsFound > 0) {
-    documentCountEl.textContent = `${metadata.documentsFound} document${metadata.documentsFound !== 1 ? 's' : ''}`;
-    metadataEl.style.display = "flex";
+function loadUserData() {
+  signedInUserLabel.textContent = currentUser.userId;
+  signOutButton.hidden = false;
+
+  loadPresets();
+  loadModels();
+  initializeConversations();
+  refreshServiceStatus();
+}
+
+function showSignInDialog(message = "") {
+  signInError.textContent = message;
+  if (!signInDialog.open) {
+    signInDialog.showModal();
   }
-  
-  if (metadata.processingTime) {
-    processingTimeEl.textContent = metadata.processingTime;
-    metadataEl.style.display = "flex";
+  signInKeyInput.focus();
+}
+
+/**
+ * Exchange the entered API key for a session cookie
+ */
+async function handleSignIn(event) {
+  event.preventDefault();
+
+  const apiKey = signInKeyInput.value.trim();
+  if (!apiKey) return;
+
+  try {
+    const response = await fetch("/api/session", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ apiKey }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      signInError.textContent = data.error || `Sign-in failed (HTTP ${response.status})`;
+      return;
+    }
+
+    currentUser = data.user;
+    signInKeyInput.value = "";
+    signInDialog.close();
+    loadUserData();
+  } catch (error) {
+    console.error("Sign-in failed:", error);
+    signInError.textContent = ERROR_MESSAGES.NETWORK_ERROR;
   }
-  
-  if (metadata.fallbackUsed) {
-    const fallbackIndicator = document.createElement("div");
-    fallbackIndicator.className = "metadata-item";
-    fallbackIndicator.innerHTML = `
-      <span class="metadata-icon">⚠️</span>
-      <span>Fallback mode used</span>
-    `;
-    metadataEl.appendChild(fallbackIndicator);
-    metadataEl.style.display = "flex";
+}
+
+/**
+ * End the session and clear the signed-in user's data from the page
+ */
+async function signOut() {
+  try {
+    await fetch("/api/session", { method: "DELETE" });
+  } catch (error) {
+    console.error("Sign-out failed:", error);
   }
+
+  clearTimeout(pendingRetryTimer);
+  currentUser = null;
+  signOutButton.hidden = true;
+  signedInUserLabel.textContent = "";
+  setCurrentConversation(null);
+  resetChatView();
+  renderConversationList([]);
+  refreshServiceStatus();
+  showSignInDialog();
 }
 
+// =============================================================================
+// Conversation Persistence
+// =============================================================================
+
 /**
- * Update RAG indicator status
+ * Load the conversation list and resume the last open conversation
  */
-function updateRAGIndicator(indicator, status, text) {
-  if (!indicator) return;
-  
-  indicator.className = `rag-indicator ${status}`;
-  indicator.innerHTML = text;
+async function initializeConversations() {
+  await loadConversationList();
+
+  if (currentConversationId) {
+    await openConversation(currentConversationId);
+  }
 }
 
 /**
- * Add message to chat display
+ * Create a server-side conversation for the current chat if there is none yet.
+ * Falls back to sending the full history when conversations are unavailable.
  */
-function addMessageToChat(role, content, options = {}) {
-  const messageEl = document.createElement("div");
-  messageEl.className = `message ${role}-message`;
-  
-  if (options.messageId) {
-    messageEl.dataset.messageId = options.messageId;
+async function ensureConversation() {
+  if (currentConversationId) return;
+
+  try {
+    const response = await fetch("/api/conversations", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({}),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const { conversation } = await response.json();
+    setCurrentConversation(conversation.id);
+  } catch (error) {
+    console.warn("Conversation storage unavailable, sending full history:", error);
+  }
+}
+
+/**
+ * Fetch and render the conversation list in the sidebar
+ */
+async function loadConversationList() {
+  try {
+    const response = await fetch("/api/conversations");
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const { conversations } = await response.json();
+    renderConversationList(conversations);
+  } catch (error) {
+    console.warn("Failed to load conversations:", error);
+  }
+}
+
+/**
+ * Render conversation summaries in the sidebar
+ */
+function renderConversationList(conversations) {
+  conversationList.replaceChildren();
+  conversationEmpty.style.display = conversations.length === 0 ? "block" : "none";
+
+  for (const conversation of conversations) {
+    const itemEl = document.createElement("li");
+    itemEl.className = "conversation-item";
+    itemEl.classList.toggle("active", conversation.id === currentConversationId);
+    itemEl.dataset.conversationId = conversation.id;
+
+    const openButton = document.createElement("button");
+    openButton.className = "conversation-open";
+    openButton.title = conversation.preview || conversation.title;
+    openButton.addEventListener("click", () => openConversation(conversation.id));
+
+    const titleEl = document.createElement("span");
+    titleEl.className = "conversation-title";
+    titleEl.textContent = conversation.title;
+
+    const detailsEl = document.createElement("span");
+    detailsEl.className = "conversation-details";
+    detailsEl.textContent = `${new Date(conversation.updatedAt).toLocaleDateString()} · ${conversation.messageCount} message${conversation.messageCount !== 1 ? 's' : ''}`;
+
+    openButton.append(titleEl, detailsEl);
+
+    const renameButton = document.createElement("button");
+    renameButton.className = "conversation-action";
+    renameButton.title = "Rename conversation";
+    renameButton.setAttribute("aria-label", "Rename conversation");
+    renameButton.textContent = "✏️";
+    renameButton.addEventListener("click", () => renameConversation(conversation));
+
+    const deleteButton = document.createElement("button");
+    deleteButton.className = "conversation-action";
+    deleteButton.title = "Delete conversation";
+    deleteButton.setAttribute("aria-label", "Delete conversation");
+    deleteButton.textContent = "🗑️";
+    deleteButton.addEventListener("click", () => deleteConversation(conversation));
+
+    itemEl.append(openButton, renameButton, deleteButton);
+    conversationList.appendChild(itemEl);
+  }
+}
+
+/**
+ * Load a stored conversation into the chat view
+ */
+async function openConversation(conversationId) {
+  if (isProcessing) return;
+
+  try {
+    const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`);
+
+    if (response.status === 404) {
+      console.warn("Conversation no longer exists:", conversationId);
+      startNewConversation();
+      return;
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const { conversation } = await response.json();
+    setCurrentConversation(conversation.id);
+    resetChatView();
+
+    for (const message of conversation.messages) {
+      const historyEntry = {
+        role: message.role,
+        content: message.content,
+        images: message.images,
+        timestamp: message.timestamp,
+        metadata: message.metadata,
+        versions: message.versions,
+        activeVersion: message.activeVersion
+      };
+      chatHistory.push(historyEntry);
+
+      if (message.role === "assistant") {
+        renderStoredAssistantMessage(historyEntry);
+      } else if (message.role === "user") {
+        const messageEl = addMessageToChat("user", message.content, {
+          messageId: generateMessageId(),
+          timestamp: message.timestamp,
+          images: message.images
+        });
+        attachMessageActions(messageEl, historyEntry);
+      }
+    }
+  } catch (error) {
+    console.error("Failed to open conversation:", error);
+    addMessageToChat("assistant", ERROR_MESSAGES.UNKNOWN_ERROR, {
+      messageId: generateMessageId(),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Render a previously saved assistant answer with its sources and metadata
+ */
+function renderStoredAssistantMessage(message) {
+  const messageId = generateMessageId();
+  const messageElement = createAssistantMessageElement(messageId);
+  const contentEl = messageElement.querySelector(".message-content");
+  const ragIndicator = messageElement.querySelector(".rag-indicator");
+  const metadata = buildResponseMetadata(null, message.metadata || null, null);
+
+  messageElement.querySelector(".message-timestamp").textContent =
+    new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  renderMessageSources(messageElement, metadata.sources);
+  metadata.citations = renderAssistantContent(contentEl, message, messageId);
+  if (metadata.comparison) {
+    renderPipelineComparison(messageElement, metadata.comparison);
+  }
+  updateMessageWithMetadata(messageElement, metadata);
+  updateCitationStatus(messageElement, metadata.citations);
+
+  if (metadata.ragUsed && metadata.documentsFound > 0) {
+    updateRAGIndicator(ragIndicator, "found",
+      `✅ Enhanced with ${metadata.documentsFound} document${metadata.documentsFound !== 1 ? 's' : ''}`
+    );
+  } else {
+    ragIndicator.remove();
+  }
+
+  attachMessageActions(messageElement, message);
+  return messageElement;
+}
+
+/**
+ * Rename a conversation
+ */
+async function renameConversation(conversation) {
+  const title = prompt("Rename conversation", conversation.title);
+  if (!title || !title.trim() || title === conversation.title) return;
+
+  try {
+    const response = await fetch(`/api/conversations/${encodeURIComponent(conversation.id)}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    await loadConversationList();
+  } catch (error) {
+    console.error("Failed to rename conversation:", error);
+  }
+}
+
+/**
+ * Delete a conversation after confirmation
+ */
+async function deleteConversation(conversation) {
+  if (!confirm(`Delete "${conversation.title}"? This cannot be undone.`)) return;
+
+  try {
+    const response = await fetch(`/api/conversations/${encodeURIComponent(conversation.id)}`, {
+      method: "DELETE",
+    });
+
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    if (conversation.id === currentConversationId) {
+      startNewConversation();
+    }
+
+    await loadConversationList();
+  } catch (error) {
+    console.error("Failed to delete conversation:", error);
+  }
+}
+
+/**
+ * Start a fresh chat; the conversation is created on the first message
+ */
+function startNewConversation() {
+  if (isProcessing) return;
+
+  setCurrentConversation(null);
+  resetChatView();
+  userInput.focus();
+}
+
+/**
+ * Track the active conversation and remember it across reloads
+ */
+function setCurrentConversation(conversationId) {
+  currentConversationId = conversationId;
+
+  if (conversationId) {
+    localStorage.setItem("conversationId", conversationId);
+  } else {
+    localStorage.removeItem("conversationId");
+  }
+
+  conversationList.querySelectorAll(".conversation-item").forEach(itemEl => {
+    itemEl.classList.toggle("active", itemEl.dataset.conversationId === conversationId);
+  });
+}
+
+/**
+ * Reset the message list and history to the initial greeting
+ */
+function resetChatView() {
+  chatHistory.length = 1;
+  chatMessages.innerHTML = initialChatHTML;
+
+  const initialTimestamp = document.getElementById("initial-timestamp");
+  if (initialTimestamp) {
+    initialTimestamp.textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   }
-  
-  const timestamp = options.timestamp 
-    ? new Date(options.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-    : new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-  
-  const roleName = role === "user" ? "You" : "Assistant";
-  
-  messageEl.innerHTML = `
-    <div class="message-header">
-      <span class="message-role">${roleName}</span>
-      <span class="message-timestamp">${timestamp}</span>
-    </div>
-    <div class="message-content">${content}</div>
-  `;
-  
-  chatMessages.appendChild(messageEl);
-  scrollToBottom();
-  
-  return messageEl;
 }
 
 // =============================================================================
@@ -647,12 +3951,19 @@ async function handleChatError(error, messageId) {
   
   let errorMessage = ERROR_MESSAGES.UNKNOWN_ERROR;
   let shouldRetry = false;
+  let retryDelayMs = 2000 * (retryAttempts + 1); // Backoff when the server gives no Retry-After
   
   // Determine error type and appropriate response
-  if (error.message.includes("HTTP 503") || error.message.includes("HTTP 502")) {
+  if (error.status === 401) {
+    errorMessage = ERROR_MESSAGES.UNAUTHORIZED;
+    currentUser = null;
+    showSignInDialog(ERROR_MESSAGES.UNAUTHORIZED);
+  } else if (error.status === 409) {
+    errorMessage = ERROR_MESSAGES.CONVERSATION_CHANGED;
+  } else if (error.status === 503 || error.status === 502) {
     errorMessage = ERROR_MESSAGES.LLM_FAILURE;
     shouldRetry = true;
-  } else if (error.message.includes("HTTP 429")) {
+  } else if (error.status === 429) {
     errorMessage = ERROR_MESSAGES.RATE_LIMITED;
     shouldRetry = true;
   } else if (error.message.includes("NetworkError") || error.message.includes("Failed to fetch")) {
@@ -662,6 +3973,17 @@ async function handleChatError(error, messageId) {
     errorMessage = ERROR_MESSAGES.TIMEOUT;
     shouldRetry = false;
   }
+
+  // Honor the server's Retry-After, but don't sit on a request for hours
+  if (shouldRetry && error.retryAfterSeconds !== null && error.retryAfterSeconds !== undefined) {
+    if (error.retryAfterSeconds > maxAutoRetryDelaySeconds) {
+      shouldRetry = false;
+      const retryAt = new Date(Date.now() + error.retryAfterSeconds * 1000);
+      errorMessage = `${error.serverMessage || ERROR_MESSAGES.RATE_LIMITED}. Try again after ${retryAt.toLocaleString([], { weekday: "short", hour: "2-digit", minute: "2-digit" })}.`;
+    } else {
+      retryDelayMs = Math.max(error.retryAfterSeconds, 1) * 1000;
+    }
+  }
   
   // Show error message
   addMessageToChat("assistant", errorMessage, {
@@ -672,20 +3994,19 @@ async function handleChatError(error, messageId) {
   // Handle retry logic
   if (shouldRetry && retryAttempts < maxRetryAttempts) {
     retryAttempts++;
-    console.log(`Preparing retry attempt ${retryAttempts}...`);
+    console.log(`Retry attempt ${retryAttempts} in ${retryDelayMs}ms`);
     
-    // Show retry message
-    setTimeout(() => {
-      addMessageToChat("assistant", `Retrying... (attempt ${retryAttempts} of ${maxRetryAttempts})`, {
-        messageId: generateMessageId(),
-        timestamp: new Date().toISOString()
-      });
-    }, 1000);
+    addMessageToChat("assistant", `Retrying in ${Math.round(retryDelayMs / 1000)} seconds... (attempt ${retryAttempts} of ${maxRetryAttempts})`, {
+      messageId: generateMessageId(),
+      timestamp: new Date().toISOString()
+    });
     
-    // Retry after delay
-    setTimeout(() => {
-      sendMessage();
-    }, 2000 * retryAttempts); // Exponential backoff
+    // Resend the same question once the wait is over
+    pendingRetryTimer = setTimeout(() => {
+      pendingRetryTimer = null;
+      // The failed attempt may have stored the question already
+      requestAssistantReply(messageId, undefined, true);
+    }, retryDelayMs);
   } else {
     retryAttempts = 0;
   }
@@ -707,11 +4028,7 @@ function handleConnectionLoss() {
     hideTypingIndicator();
   }
   
-  // Update status indicator
-  const statusIndicator = document.querySelector('.status-indicator');
-  if (statusIndicator) {
-    statusIndicator.style.background = "var(--error-color)";
-  }
+  showOfflineStatus();
 }
 
 /**
@@ -719,14 +4036,109 @@ function handleConnectionLoss() {
  */
 function handleConnectionRestore() {
   console.log("Connection restored");
-  
-  // Update status indicator
-  const statusIndicator = document.querySelector('.status-indicator');
-  if (statusIndicator) {
-    statusIndicator.style.background = "var(--success-color)";
+  refreshServiceStatus();
+}
+
+// =============================================================================
+// Service Status
+// =============================================================================
+
+let healthTimer = null;
+
+/**
+ * Show the model and knowledge base status in the header, refreshed while the page is visible
+ */
+function initializeServiceStatus() {
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      clearTimeout(healthTimer);
+    } else {
+      refreshServiceStatus();
+    }
+  });
+  refreshServiceStatus();
+}
+
+/**
+ * Poll /api/health/details while signed in; a 503 still carries the report
+ */
+async function refreshServiceStatus() {
+  clearTimeout(healthTimer);
+  // Hidden pages are refreshed when shown again
+  if (document.hidden) return;
+
+  if (!navigator.onLine) {
+    showOfflineStatus();
+    return;
+  }
+
+  // The details need a signed-in user; loadUserData refreshes once there is one
+  if (!currentUser) {
+    setServiceStatus(modelStatus, "unknown", "Model", "Sign in to see the service status");
+    setServiceStatus(knowledgeBaseStatus, "unknown", "Knowledge base", "Sign in to see the service status");
+    return;
+  }
+
+  try {
+    const response = await fetch("/api/health/details", { cache: "no-store" });
+    const data = await response.json().catch(() => ({}));
+    if (!data.health) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    renderServiceStatus(data.health);
+  } catch (error) {
+    console.error("Health check failed:", error);
+    setServiceStatus(modelStatus, "unknown", "Model", "The service could not be reached");
+    setServiceStatus(knowledgeBaseStatus, "unknown", "Knowledge base", "The service could not be reached");
+  }
+
+  if (!document.hidden) {
+    healthTimer = setTimeout(refreshServiceStatus, CONFIG.healthPollIntervalMs);
   }
 }
 
+/**
+ * Stop polling until the connection is restored
+ */
+function showOfflineStatus() {
+  clearTimeout(healthTimer);
+  setServiceStatus(modelStatus, "offline", "Model", "You are offline");
+  setServiceStatus(knowledgeBaseStatus, "offline", "Knowledge base", "You are offline");
+}
+
+/**
+ * Show a health report from /api/health/details
+ */
+function renderServiceStatus(health) {
+  const { model, knowledgeBase } = health;
+  const checkedAt = new Date(health.checkedAt).toLocaleTimeString();
+
+  setServiceStatus(modelStatus, model.status, "Model", model.status === "ok"
+    ? `${model.name} responded in ${model.latencyMs} ms (checked ${checkedAt})`
+    : `${model.name} is unavailable: ${model.error || "no response"} (checked ${checkedAt})`);
+
+  setServiceStatus(knowledgeBaseStatus, knowledgeBase.status, "Knowledge base", knowledgeBase.status === "ok"
+    ? `${knowledgeBase.index} searched in ${knowledgeBase.latencyMs} ms (checked ${checkedAt})`
+    : `${knowledgeBase.index} is unavailable, so answers use general knowledge only: ${knowledgeBase.error || "no response"} (checked ${checkedAt})`);
+}
+
+/**
+ * Update one header status item: ok, down, unknown, offline or checking
+ */
+function setServiceStatus(item, status, name, description) {
+  const labels = {
+    ok: "ready",
+    down: "unavailable",
+    unknown: "status unknown",
+    offline: "offline",
+    checking: "checking…",
+  };
+
+  item.dataset.status = status;
+  item.title = description;
+  item.querySelector(".status-label").textContent = `${name} ${labels[status] || labels.unknown}`;
+}
+
 // =============================================================================
 // UI State Management
 // =============================================================================
@@ -738,6 +4150,8 @@ function setProcessingState(processing) {
   isProcessing = processing;
   userInput.disabled = processing;
   sendButton.disabled = processing;
+  attachButton.disabled = processing;
+  stopButton.hidden = !processing;
   
   if (processing) {
     sendButton.innerHTML = '<span>Sending...</span>';
@@ -842,10 +4256,8 @@ if (typeof window !== 'undefined') {
     sendMessage,
     systemPromptPresets,
     CONFIG,
-    clearChat: () => {
-      chatHistory.length = 1; // Keep initial message
-      chatMessages.innerHTML = chatMessages.querySelector('.message').outerHTML;
-    }
+    getCurrentConversationId: () => currentConversationId,
+    clearChat: startNewConversation
   };
 }
 
@@ -0,0 +1,314 @@
+/**
+ * Structured damage assessment extraction (`pipelineMode: "assessment"`).
+ *
+ * The model reads the conversation describing a loss together with the
+ * retrieved knowledge base documents and fills in a DamageAssessment JSON
+ * object. Output is requested in Workers AI JSON mode and checked against the
+ * schema; when it does not match, the errors are sent back to the model for
+ * another attempt, up to `CONFIG.assessment.maxAttempts`.
+ */
+
+import {
+  AssessmentResult,
+  ChatMessage,
+  DamageAssessment,
+  Env,
+  MaterialAction,
+  RequestContext,
+  StreamingChunk,
+} from "./types";
+import { CONFIG } from "./config";
+
+const MATERIAL_ACTIONS: MaterialAction[] = ["dry_in_place", "remove", "clean", "monitor"];
+const MAX_TEXT_LENGTH = 2000;
+const MAX_ITEMS = 100;
+
+/**
+ * JSON Schema of a DamageAssessment, given to the model in JSON mode
+ */
+const ASSESSMENT_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    lossSource: { type: ["string", "null"] },
+    waterCategory: { type: ["integer", "null"], minimum: 1, maximum: 3 },
+    waterClass: { type: ["integer", "null"], minimum: 1, maximum: 4 },
+    affectedRooms: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          areaSqFt: { type: ["number", "null"], minimum: 0 },
+          materials: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                material: { type: "string" },
+                action: { type: "string", enum: MATERIAL_ACTIONS },
+                notes: { type: ["string", "null"] },
+              },
+              required: ["material", "action", "notes"],
+            },
+          },
+        },
+        required: ["name", "areaSqFt", "materials"],
+      },
+    },
+    moistureReadings: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          location: { type: "string" },
+          material: { type: "string" },
+          value: { type: "number", minimum: 0 },
+          unit: { type: "string" },
+          dryStandard: { type: ["number", "null"], minimum: 0 },
+        },
+        required: ["location", "material", "value", "unit", "dryStandard"],
+      },
+    },
+    dryingEquipment: {
+      type: "object",
+      properties: {
+        airMovers: { type: "integer", minimum: 0 },
+        dehumidifiers: { type: "integer", minimum: 0 },
+        airScrubbers: { type: "integer", minimum: 0 },
+      },
+      required: ["airMovers", "dehumidifiers", "airScrubbers"],
+    },
+    citedStandards: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          reference: { type: "string" },
+          documentIndex: { type: ["integer", "null"], minimum: 1 },
+        },
+        required: ["reference", "documentIndex"],
+      },
+    },
+  },
+  required: [
+    "summary",
+    "lossSource",
+    "waterCategory",
+    "waterClass",
+    "affectedRooms",
+    "moistureReadings",
+    "dryingEquipment",
+    "citedStandards",
+  ],
+};
+
+const ASSESSMENT_INSTRUCTIONS = `TASK:
+Write a structured damage assessment of the loss described in the conversation. Reply with a single JSON object matching this JSON Schema and nothing else:
+${JSON.stringify(ASSESSMENT_SCHEMA)}
+
+RULES:
+- Only record rooms, materials and moisture readings the conversation mentions; use null or an empty list when something is unknown
+- Determine the water category and class with the knowledge base documents when possible
+- Size the drying equipment following the knowledge base guidance for the affected areas and water class
+- List every standard or guideline the assessment relies on in citedStandards, with the number of the knowledge base document it comes from, or null for general knowledge`;
+
+/**
+ * System prompt for assessment mode; the request's own system prompt is not used
+ */
+export function buildAssessmentPrompt(contextText: string, conversationSummary?: string): string {
+  return [
+    "You are a property damage restoration assistant writing up a loss for the job file.",
+    conversationSummary ? `EARLIER CONVERSATION SUMMARY:\n${conversationSummary}` : null,
+    `KNOWLEDGE BASE CONTEXT:\n${contextText || "No relevant documents were found."}`,
+    ASSESSMENT_INSTRUCTIONS,
+  ].filter(Boolean).join("\n\n");
+}
+
+/**
+ * Generate an assessment, retrying with the validation errors while the output does not match the schema
+ */
+export async function generateAssessment(
+  messages: ChatMessage[],
+  documentIndexes: number[],
+  context: RequestContext,
+  env: Env
+): Promise<{ result: AssessmentResult; usage: StreamingChunk["usage"] }> {
+  const { generation, requestId } = context;
+  const conversation = [...messages];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let lastReport: DamageAssessment | undefined;
+  let lastErrors: string[] = [];
+
+  for (let attempt = 1; attempt <= CONFIG.assessment.maxAttempts; attempt++) {
+    const response = await env.AI.run(generation.model, {
+      messages: conversation,
+      max_tokens: generation.maxTokens,
+      temperature: 0,
+      response_format: { type: "json_schema", json_schema: ASSESSMENT_SCHEMA },
+    });
+
+    usage.prompt_tokens += response?.usage?.prompt_tokens ?? 0;
+    usage.completion_tokens += response?.usage?.completion_tokens ?? 0;
+    usage.total_tokens += response?.usage?.total_tokens ?? 0;
+
+    // JSON mode returns an object; other models may answer with JSON text
+    const output = response?.response;
+    const candidate = typeof output === "string" ? parseJSONObject(output) : output;
+    const errors = validateDamageAssessment(candidate, documentIndexes);
+
+    if (errors.length === 0) {
+      return {
+        result: { report: candidate as DamageAssessment, valid: true, attempts: attempt, validationErrors: [] },
+        usage: getReportedUsage(usage),
+      };
+    }
+
+    console.warn(`[${requestId}] Assessment attempt ${attempt} failed validation:`, errors);
+    if (isObject(candidate)) {
+      lastReport = candidate as unknown as DamageAssessment;
+      lastErrors = errors;
+    }
+
+    conversation.push(
+      { role: "assistant", content: typeof output === "string" ? output : JSON.stringify(output ?? null) },
+      {
+        role: "user",
+        content: `That reply does not match the schema:\n${errors.map(error => `- ${error}`).join("\n")}\nReply with the corrected JSON object only.`,
+      }
+    );
+  }
+
+  if (!lastReport) {
+    throw new Error(`No assessment JSON after ${CONFIG.assessment.maxAttempts} attempts`);
+  }
+
+  return {
+    result: {
+      report: lastReport,
+      valid: false,
+      attempts: CONFIG.assessment.maxAttempts,
+      validationErrors: lastErrors,
+    },
+    usage: getReportedUsage(usage),
+  };
+}
+
+// Unreported usage is left out so that it gets estimated instead of counted as zero
+function getReportedUsage(usage: Required<NonNullable<StreamingChunk["usage"]>>): StreamingChunk["usage"] {
+  return usage.total_tokens > 0 ? usage : undefined;
+}
+
+/**
+ * Check a value against the DamageAssessment schema, returning error messages.
+ * Cited document numbers must refer to one of the documents given to the model.
+ */
+export function validateDamageAssessment(value: unknown, documentIndexes: number[]): string[] {
+  if (!isObject(value)) {
+    return ["the reply must be a JSON object"];
+  }
+
+  const errors: string[] = [];
+
+  checkText(value.summary, "summary", errors);
+  checkText(value.lossSource, "lossSource", errors, true);
+  checkInteger(value.waterCategory, "waterCategory", 1, 3, errors, true);
+  checkInteger(value.waterClass, "waterClass", 1, 4, errors, true);
+
+  checkList(value.affectedRooms, "affectedRooms", errors, (room, path) => {
+    checkText(room.name, `${path}.name`, errors);
+    checkNumber(room.areaSqFt, `${path}.areaSqFt`, errors, true);
+    checkList(room.materials, `${path}.materials`, errors, (material, materialPath) => {
+      checkText(material.material, `${materialPath}.material`, errors);
+      if (!MATERIAL_ACTIONS.includes(material.action as MaterialAction)) {
+        errors.push(`${materialPath}.action must be one of: ${MATERIAL_ACTIONS.join(", ")}`);
+      }
+      checkText(material.notes, `${materialPath}.notes`, errors, true);
+    });
+  });
+
+  checkList(value.moistureReadings, "moistureReadings", errors, (reading, path) => {
+    checkText(reading.location, `${path}.location`, errors);
+    checkText(reading.material, `${path}.material`, errors);
+    checkNumber(reading.value, `${path}.value`, errors);
+    checkText(reading.unit, `${path}.unit`, errors);
+    checkNumber(reading.dryStandard, `${path}.dryStandard`, errors, true);
+  });
+
+  if (!isObject(value.dryingEquipment)) {
+    errors.push("dryingEquipment must be an object");
+  } else {
+    for (const field of ["airMovers", "dehumidifiers", "airScrubbers"]) {
+      checkInteger(value.dryingEquipment[field], `dryingEquipment.${field}`, 0, 1000, errors);
+    }
+  }
+
+  checkList(value.citedStandards, "citedStandards", errors, (citation, path) => {
+    checkText(citation.reference, `${path}.reference`, errors);
+    if (citation.documentIndex !== null && !documentIndexes.includes(citation.documentIndex as number)) {
+      errors.push(documentIndexes.length > 0
+        ? `${path}.documentIndex must be null or one of: ${documentIndexes.join(", ")}`
+        : `${path}.documentIndex must be null: no knowledge base documents were given`);
+    }
+  });
+
+  return errors;
+}
+
+function parseJSONObject(text: string): unknown {
+  // Tolerate code fences or a sentence around the object
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(text.substring(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function checkText(value: unknown, path: string, errors: string[], nullable = false): void {
+  if (nullable && value === null) return;
+  if (typeof value !== "string" || (!nullable && !value.trim()) || value.length > MAX_TEXT_LENGTH) {
+    errors.push(`${path} must be ${nullable ? "null or " : "a non-empty "}string of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+}
+
+function checkNumber(value: unknown, path: string, errors: string[], nullable = false): void {
+  if (nullable && value === null) return;
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+    errors.push(`${path} must be ${nullable ? "null or " : ""}a non-negative number`);
+  }
+}
+
+function checkInteger(value: unknown, path: string, min: number, max: number, errors: string[], nullable = false): void {
+  if (nullable && value === null) return;
+  if (!Number.isInteger(value) || (value as number) < min || (value as number) > max) {
+    errors.push(`${path} must be ${nullable ? "null or " : ""}an integer from ${min} to ${max}`);
+  }
+}
+
+function checkList(
+  value: unknown,
+  path: string,
+  errors: string[],
+  checkItem: (item: Record<string, unknown>, path: string) => void
+): void {
+  if (!Array.isArray(value) || value.length > MAX_ITEMS) {
+    errors.push(`${path} must be a list of at most ${MAX_ITEMS} items`);
+    return;
+  }
+
+  value.forEach((item, index) => {
+    if (isObject(item)) {
+      checkItem(item, `${path}[${index}]`);
+    } else {
+      errors.push(`${path}[${index}] must be an object`);
+    }
+  });
+}
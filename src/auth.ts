@@ -0,0 +1,310 @@
+/**
+ * Authentication for the API.
+ *
+ * Programmatic clients send `Authorization: Bearer <api key>`. Keys are issued
+ * and revoked through /api/keys (with the ADMIN_TOKEN secret) and stored in the
+ * API_KEYS KV namespace as SHA-256 hashes only. The browser UI exchanges a key
+ * for a session cookie at /api/session; the cookie is signed with
+ * SESSION_SECRET and stops working when its key is revoked.
+ */
+
+import { ApiKeyRecord, AuthenticatedUser, Env } from "./types";
+import { createErrorResponse, createJSONResponse } from "./http";
+import { sha256Hex, toHex } from "./hash";
+
+const API_KEY_PATTERN = /^dsk_[0-9a-f]{40}$/;
+const KEY_ID_PATTERN = /^key_[0-9a-f]{12}$/;
+const USER_ID_PATTERN = /^[\w.@-]{1,64}$/;
+const KEY_RECORD_PREFIX = "key:";
+const KEY_HASH_PREFIX = "hash:";
+const MAX_KEY_NAME_LENGTH = 60;
+const SESSION_COOKIE = "damagescan_session";
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+interface SessionPayload {
+  sub: string;
+  kid: string;
+  exp: number;
+}
+
+/**
+ * Authenticate a request by bearer API key or session cookie, or return null
+ */
+export async function authenticateRequest(request: Request, env: Env): Promise<AuthenticatedUser | null> {
+  const authorization = request.headers.get("Authorization");
+
+  if (authorization) {
+    const apiKey = authorization.match(/^Bearer\s+(\S+)$/i)?.[1];
+    const record = apiKey ? await findApiKey(env, apiKey) : null;
+    return record ? { userId: record.userId, keyId: record.id, method: "api_key" } : null;
+  }
+
+  const session = await readSession(request, env);
+  if (!session) return null;
+
+  // Revoking a key also ends the sessions opened with it
+  const record = await getApiKeyRecord(env, session.kid);
+  return record && !record.revokedAt
+    ? { userId: record.userId, keyId: record.id, method: "session" }
+    : null;
+}
+
+/**
+ * Handle /api/session: sign in with an API key, check or end the browser session
+ */
+export async function handleSessionRequest(request: Request, env: Env): Promise<Response> {
+  try {
+    switch (request.method) {
+      case "GET": {
+        const user = await authenticateRequest(request, env);
+        return user
+          ? createJSONResponse({ user })
+          : createErrorResponse("Not signed in", 401);
+      }
+
+      case "POST": {
+        if (!env.SESSION_SECRET) {
+          console.error("SESSION_SECRET is not configured; browser sign-in is unavailable");
+          return createErrorResponse("Sign-in is not configured", 503);
+        }
+
+        const body = await request.json<{ apiKey?: unknown }>();
+        const record = typeof body?.apiKey === "string" ? await findApiKey(env, body.apiKey.trim()) : null;
+        if (!record) {
+          return createErrorResponse("Invalid API key", 401);
+        }
+
+        const expiresAt = Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS;
+        const cookie = await signSession({ sub: record.userId, kid: record.id, exp: expiresAt }, env.SESSION_SECRET);
+
+        console.log(`Session started for user ${record.userId} with key ${record.id}`);
+        const response = createJSONResponse({
+          user: { userId: record.userId, keyId: record.id, method: "session" },
+          expiresAt: new Date(expiresAt * 1000).toISOString(),
+        });
+        response.headers.append("Set-Cookie", serializeSessionCookie(cookie, SESSION_TTL_SECONDS));
+        return response;
+      }
+
+      case "DELETE": {
+        const response = createJSONResponse({ signedOut: true });
+        response.headers.append("Set-Cookie", serializeSessionCookie("", 0));
+        return response;
+      }
+
+      default:
+        return createErrorResponse("Method not allowed", 405);
+    }
+
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return createErrorResponse("Invalid request: malformed JSON body", 400);
+    }
+    console.error("Session request failed:", error);
+    return createErrorResponse("Internal server error occurred", 500);
+  }
+}
+
+/**
+ * Handle /api/keys and /api/keys/:id: issue, list and revoke API keys (admin only)
+ */
+export async function handleApiKeysRequest(request: Request, env: Env, url: URL): Promise<Response> {
+  const denied = await requireAdmin(request, env, "API key management");
+  if (denied) return denied;
+
+  const keyId = url.pathname.split("/")[3];
+
+  try {
+    if (!keyId) {
+      switch (request.method) {
+        case "GET":
+          return createJSONResponse({ apiKeys: await listApiKeys(env) });
+        case "POST":
+          return await createApiKey(request, env);
+        default:
+          return createErrorResponse("Method not allowed", 405);
+      }
+    }
+
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      return createErrorResponse("API key not found", 404);
+    }
+
+    const record = await getApiKeyRecord(env, keyId);
+    if (!record) {
+      return createErrorResponse("API key not found", 404);
+    }
+
+    switch (request.method) {
+      case "GET":
+        return createJSONResponse({ apiKey: record });
+      case "DELETE": {
+        const revoked: ApiKeyRecord = { ...record, revokedAt: record.revokedAt ?? new Date().toISOString() };
+        await env.API_KEYS.put(getKeyRecordKey(keyId), JSON.stringify(revoked));
+        console.log(`API key ${keyId} of user ${record.userId} revoked`);
+        return createJSONResponse({ apiKey: revoked });
+      }
+      default:
+        return createErrorResponse("Method not allowed", 405);
+    }
+
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return createErrorResponse("Invalid request: malformed JSON body", 400);
+    }
+    console.error("API key request failed:", error);
+    return createErrorResponse("Internal server error occurred", 500);
+  }
+}
+
+/**
+ * Check the ADMIN_TOKEN bearer token, returning the error response when it is missing or wrong
+ */
+export async function requireAdmin(request: Request, env: Env, feature: string): Promise<Response | null> {
+  if (!env.ADMIN_TOKEN) {
+    return createErrorResponse(`${feature} is not configured`, 503);
+  }
+  if (!await isAdminRequest(request, env.ADMIN_TOKEN)) {
+    return createErrorResponse("Admin token required", 401);
+  }
+  return null;
+}
+
+async function createApiKey(request: Request, env: Env): Promise<Response> {
+  const body = await request.json<{ userId?: unknown; name?: unknown }>();
+  const errors: string[] = [];
+
+  if (typeof body?.userId !== "string" || !USER_ID_PATTERN.test(body.userId)) {
+    errors.push("userId must be 1-64 letters, digits or . _ @ -");
+  }
+  if (body?.name !== undefined && typeof body.name !== "string") {
+    errors.push("name must be a string");
+  }
+  if (errors.length > 0) {
+    return createErrorResponse(`Invalid request: ${errors.join(", ")}`, 400);
+  }
+
+  const apiKey = `dsk_${randomHex(20)}`;
+  const record: ApiKeyRecord = {
+    id: `key_${randomHex(6)}`,
+    userId: body.userId as string,
+    name: ((body.name as string | undefined) ?? "").replace(/\s+/g, " ").trim().substring(0, MAX_KEY_NAME_LENGTH),
+    keyPrefix: apiKey.substring(0, 10),
+    createdAt: new Date().toISOString(),
+  };
+
+  await env.API_KEYS.put(getKeyRecordKey(record.id), JSON.stringify(record));
+  await env.API_KEYS.put(`${KEY_HASH_PREFIX}${await sha256Hex(apiKey)}`, record.id);
+
+  console.log(`API key ${record.id} issued to user ${record.userId}`);
+
+  // The key itself is only ever returned here
+  return createJSONResponse({ apiKey: record, key: apiKey }, 201);
+}
+
+async function listApiKeys(env: Env): Promise<ApiKeyRecord[]> {
+  const records: ApiKeyRecord[] = [];
+  let cursor: string | undefined;
+
+  do {
+    const page = await env.API_KEYS.list({ prefix: KEY_RECORD_PREFIX, cursor });
+    const values = await Promise.all(page.keys.map(key => env.API_KEYS.get<ApiKeyRecord>(key.name, "json")));
+    records.push(...values.filter((record): record is ApiKeyRecord => record !== null));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Look up an active API key by its plaintext value
+ */
+async function findApiKey(env: Env, apiKey: string): Promise<ApiKeyRecord | null> {
+  if (!API_KEY_PATTERN.test(apiKey)) return null;
+
+  const keyId = await env.API_KEYS.get(`${KEY_HASH_PREFIX}${await sha256Hex(apiKey)}`);
+  const record = keyId ? await getApiKeyRecord(env, keyId) : null;
+  return record && !record.revokedAt ? record : null;
+}
+
+async function getApiKeyRecord(env: Env, keyId: string): Promise<ApiKeyRecord | null> {
+  return env.API_KEYS.get<ApiKeyRecord>(getKeyRecordKey(keyId), "json");
+}
+
+function getKeyRecordKey(keyId: string): string {
+  return `${KEY_RECORD_PREFIX}${keyId}`;
+}
+
+async function isAdminRequest(request: Request, adminToken: string): Promise<boolean> {
+  const token = request.headers.get("Authorization")?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (!token) return false;
+
+  // Compare digests so the comparison takes the same time for any token length
+  const [given, expected] = await Promise.all([sha256(token), sha256(adminToken)]);
+  return crypto.subtle.timingSafeEqual(given, expected);
+}
+
+/**
+ * Read and verify the session cookie
+ */
+async function readSession(request: Request, env: Env): Promise<SessionPayload | null> {
+  if (!env.SESSION_SECRET) return null;
+
+  const cookie = (request.headers.get("Cookie") ?? "")
+    .split(";")
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${SESSION_COOKIE}=`))
+    ?.substring(SESSION_COOKIE.length + 1);
+  if (!cookie) return null;
+
+  const [payload, signature] = cookie.split(".");
+  if (!payload || !signature) return null;
+
+  try {
+    const key = await getSigningKey(env.SESSION_SECRET);
+    const valid = await crypto.subtle.verify("HMAC", key, base64UrlDecode(signature), new TextEncoder().encode(payload));
+    if (!valid) return null;
+
+    const session = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload))) as SessionPayload;
+    return session.exp > Date.now() / 1000 && KEY_ID_PATTERN.test(session.kid) ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+async function signSession(session: SessionPayload, secret: string): Promise<string> {
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify(session)));
+  const signature = await crypto.subtle.sign("HMAC", await getSigningKey(secret), new TextEncoder().encode(payload));
+  return `${payload}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+function serializeSessionCookie(value: string, maxAgeSeconds: number): string {
+  return `${SESSION_COOKIE}=${value}; Path=/api; Max-Age=${maxAgeSeconds}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+function getSigningKey(secret: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+}
+
+async function sha256(value: string): Promise<ArrayBuffer> {
+  return crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+}
+
+function randomHex(bytes: number): string {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(value: string): Uint8Array {
+  const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
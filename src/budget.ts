@@ -0,0 +1,251 @@
+/**
+ * Token budgeting for the model context window.
+ *
+ * Splits the window between the system prompt, retrieved chunks and the
+ * conversation history. The lowest-scoring chunks are truncated or dropped
+ * first, and older turns that no longer fit are folded into a rolling summary.
+ */
+
+import {
+  ChatMessage,
+  ContextBudgetConfig,
+  ContextBudgetReport,
+  Env,
+  RAGSource,
+  RollingSummary,
+} from "./types";
+
+// Approximate cost of the knowledge base instructions wrapped around the sources
+const CONTEXT_INSTRUCTIONS_TOKENS = 200;
+
+// Approximate cost of the "[Document N: filename (Relevance: x)]" header per chunk
+const SOURCE_HEADER_TOKENS = 25;
+
+// Per-message overhead of the chat template (role markers, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Longest message excerpt sent to the summarizer
+const SUMMARY_INPUT_CHARS = 2000;
+
+const SUMMARY_SYSTEM_PROMPT = `You summarize conversations between property damage restoration professionals and an AI assistant.
+Write a concise bullet-point summary that preserves claim details, measurements and moisture readings, water category and class, affected materials and rooms, decisions made, and open questions.
+Do not add information that is not in the conversation.`;
+
+/**
+ * Input for a budgeting pass
+ */
+export interface ContextBudgetInput {
+  systemPrompt: string;
+  sources: RAGSource[];
+  messages: ChatMessage[];
+  maxTokens: number;
+  config: ContextBudgetConfig;
+  previousSummary?: RollingSummary | null;
+  summarize: (previousSummary: string | undefined, messages: ChatMessage[]) => Promise<string>;
+}
+
+/**
+ * Sources and messages that fit the budget, plus what was cut
+ */
+export interface ContextBudgetResult {
+  sources: RAGSource[];
+  messages: ChatMessage[];
+  summary: RollingSummary | null;
+  summaryUpdated: boolean;
+  report: ContextBudgetReport;
+}
+
+/**
+ * Fit retrieved sources and conversation history into the context window
+ */
+export async function applyContextBudget(input: ContextBudgetInput): Promise<ContextBudgetResult> {
+  const { config, maxTokens, previousSummary } = input;
+  const available = config.contextWindow - maxTokens - config.safetyMargin;
+  const systemPromptTokens = estimateTokens(input.systemPrompt) + CONTEXT_INSTRUCTIONS_TOKENS;
+  let remaining = Math.max(available - systemPromptTokens, 0);
+  let truncatedMessages = 0;
+
+  // The latest message is always kept, truncated to half the budget if needed
+  const olderMessages = input.messages.slice(0, -1);
+  let latestMessage = input.messages[input.messages.length - 1];
+  const latestLimit = Math.floor(remaining / 2);
+
+  if (latestMessage && estimateMessageTokens(latestMessage) > latestLimit) {
+    latestMessage = truncateMessage(latestMessage, latestLimit);
+    truncatedMessages++;
+  }
+
+  remaining -= latestMessage ? estimateMessageTokens(latestMessage) : 0;
+
+  // Retrieved chunks, best score first, get their share of what is left
+  const rag = selectSources(input.sources, Math.floor(remaining * config.ragShare), config.minChunkTokens);
+  remaining -= rag.tokens;
+
+  // Older turns fill the rest, newest first; a summary replaces whatever is cut
+  let keptFrom = findHistoryCutoff(olderMessages, remaining);
+  let summary: RollingSummary | null = previousSummary ?? null;
+  let summaryUpdated = false;
+  let summaryFailed = false;
+  let summarizedMessages = 0;
+  let droppedMessages = 0;
+
+  if (keptFrom > 0 || (previousSummary && previousSummary.coveredMessages > 0)) {
+    keptFrom = findHistoryCutoff(olderMessages, remaining - config.summaryMaxTokens);
+
+    // Never resend turns the stored summary already covers
+    const alreadyCovered = Math.min(previousSummary?.coveredMessages ?? 0, olderMessages.length);
+    keptFrom = Math.max(keptFrom, alreadyCovered);
+
+    const toFold = olderMessages.slice(alreadyCovered, keptFrom);
+
+    if (toFold.length > 0) {
+      try {
+        const content = await input.summarize(previousSummary?.content, toFold);
+        summary = {
+          content: content.substring(0, config.summaryMaxTokens * 4),
+          coveredMessages: keptFrom,
+        };
+        summaryUpdated = true;
+        summarizedMessages = toFold.length;
+      } catch (error) {
+        console.error("Conversation summarization failed, dropping older turns:", error);
+        summaryFailed = true;
+        droppedMessages = toFold.length;
+      }
+    }
+  }
+
+  const history = olderMessages.slice(keptFrom);
+  const messages = latestMessage ? [...history, latestMessage] : history;
+  const historyTokens = messages.reduce((total, msg) => total + estimateMessageTokens(msg), 0);
+  const summaryTokens = summary ? estimateTokens(summary.content) : 0;
+
+  return {
+    sources: rag.sources,
+    messages,
+    summary,
+    summaryUpdated,
+    report: {
+      contextWindow: config.contextWindow,
+      responseReserve: maxTokens,
+      systemPromptTokens,
+      ragTokens: rag.tokens,
+      historyTokens,
+      summaryTokens,
+      totalPromptTokens: systemPromptTokens + rag.tokens + historyTokens + summaryTokens,
+      droppedSources: rag.dropped,
+      truncatedSources: rag.truncated,
+      droppedMessages,
+      truncatedMessages,
+      summarizedMessages,
+      summaryFailed,
+    },
+  };
+}
+
+/**
+ * Ask the model for an updated rolling summary of older turns
+ */
+export async function summarizeMessages(
+  env: Env,
+  model: string,
+  previousSummary: string | undefined,
+  messages: ChatMessage[],
+  maxTokens: number
+): Promise<string> {
+  const transcript = messages
+    .map(msg => `${msg.role.toUpperCase()}: ${msg.content.substring(0, SUMMARY_INPUT_CHARS)}`)
+    .join("\n\n");
+
+  const result = await env.AI.run(model, {
+    messages: [
+      { role: "system", content: SUMMARY_SYSTEM_PROMPT },
+      {
+        role: "user",
+        content: previousSummary
+          ? `Summary so far:\n${previousSummary}\n\nNew messages to fold in:\n${transcript}`
+          : `Conversation:\n${transcript}`,
+      },
+    ],
+    max_tokens: maxTokens,
+    temperature: 0.2,
+  });
+
+  const content = typeof result?.response === "string" ? result.response.trim() : "";
+  if (!content) {
+    throw new Error("Summarizer returned an empty response");
+  }
+
+  return content;
+}
+
+export function estimateTokens(text: string): number {
+  // Rough estimation: ~4 characters per token
+  return Math.ceil(text.length / 4);
+}
+
+function estimateMessageTokens(message: ChatMessage): number {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+function estimateSourceTokens(source: RAGSource): number {
+  return estimateTokens(source.content) + SOURCE_HEADER_TOKENS;
+}
+
+/**
+ * Keep the sources pinned by the user, then the highest-scoring ones that fit,
+ * truncating the first one that does not
+ */
+function selectSources(sources: RAGSource[], budget: number, minChunkTokens: number) {
+  const kept: RAGSource[] = [];
+  const dropped: ContextBudgetReport["droppedSources"] = [];
+  const truncated: number[] = [];
+  let tokens = 0;
+
+  for (const source of [...sources].sort((a, b) => Number(!!b.pinned) - Number(!!a.pinned) || b.score - a.score)) {
+    const cost = estimateSourceTokens(source);
+    const left = budget - tokens;
+
+    if (cost <= left) {
+      kept.push(source);
+      tokens += cost;
+    } else if (left >= minChunkTokens) {
+      const content = source.content.substring(0, (left - SOURCE_HEADER_TOKENS) * 4).trimEnd() + " […]";
+      const trimmed = { ...source, content };
+      kept.push(trimmed);
+      truncated.push(source.documentIndex);
+      tokens += estimateSourceTokens(trimmed);
+    } else {
+      dropped.push({ documentIndex: source.documentIndex, filename: source.filename, score: source.score });
+    }
+  }
+
+  // Keep the original [Document N] order in the prompt
+  kept.sort((a, b) => a.documentIndex - b.documentIndex);
+
+  return { sources: kept, dropped, truncated, tokens };
+}
+
+/**
+ * Index of the oldest message in the longest recent run of messages that fits
+ */
+function findHistoryCutoff(messages: ChatMessage[], budget: number): number {
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    used += estimateMessageTokens(messages[i]);
+    if (used > budget) {
+      return i + 1;
+    }
+  }
+
+  return 0;
+}
+
+function truncateMessage(message: ChatMessage, maxTokens: number): ChatMessage {
+  const maxChars = Math.max((maxTokens - MESSAGE_OVERHEAD_TOKENS) * 4, 0);
+  return {
+    ...message,
+    content: message.content.substring(0, maxChars).trimEnd() + " […truncated]",
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Response cache for repeated questions.
+ *
+ * AutoRAG search results are cached by normalized query and retrieval
+ * settings; complete answers are cached too when they are deterministic
+ * (temperature 0, custom pipeline, no earlier turns). Entries live in the
+ * RAG_CACHE KV namespace under the current index version, so bumping the
+ * version with DELETE /api/cache after the AutoRAG index is re-synced
+ * invalidates everything at once; old entries then expire with their TTL.
+ * documents.ts bumps it too once an uploaded document is seen indexed.
+ */
+
+import {
+  CacheReport,
+  CacheStatus,
+  ChatMessage,
+  ChatResponseMetadata,
+  Env,
+  RAGConfig,
+  RequestContext,
+  SourcesEventData,
+} from "./types";
+import { requireAdmin } from "./auth";
+import { createErrorResponse, createJSONResponse } from "./http";
+import { sha256Hex } from "./hash";
+
+const VERSION_KEY = "index-version";
+const INITIAL_VERSION = "0";
+
+/**
+ * The cache as seen by one request
+ */
+export interface CacheScope {
+  kv: KVNamespace;
+  version: string;
+  // Skip reads but still store fresh results
+  bypass: boolean;
+}
+
+/**
+ * A complete answer, replayed as if it had just been generated
+ */
+export interface CachedAnswer {
+  content: string;
+  sources: Omit<SourcesEventData, "requestId">;
+  metadata: ChatResponseMetadata;
+  cachedAt: string;
+}
+
+/**
+ * Open the cache for a request, or return null when RAG_CACHE is not bound
+ */
+export async function openCache(env: Env, context: RequestContext): Promise<CacheScope | null> {
+  if (!env.RAG_CACHE) return null;
+
+  try {
+    const version = await env.RAG_CACHE.get(VERSION_KEY) ?? INITIAL_VERSION;
+    return { kv: env.RAG_CACHE, version, bypass: !context.useCache };
+  } catch (error) {
+    console.error(`[${context.requestId}] Response cache unavailable:`, error);
+    return null;
+  }
+}
+
+/**
+ * Read an entry; a failing read counts as a miss
+ */
+export async function getCacheEntry<T>(
+  scope: CacheScope,
+  key: string
+): Promise<{ status: CacheStatus; value?: T }> {
+  if (scope.bypass) return { status: "bypass" };
+
+  try {
+    const value = await scope.kv.get<T>(key, "json");
+    return value ? { status: "hit", value } : { status: "miss" };
+  } catch (error) {
+    console.error(`Failed to read cache entry ${key}:`, error);
+    return { status: "miss" };
+  }
+}
+
+export async function putCacheEntry(scope: CacheScope, key: string, value: unknown, ttlSeconds: number): Promise<void> {
+  try {
+    await scope.kv.put(key, JSON.stringify(value), { expirationTtl: Math.max(60, ttlSeconds) });
+  } catch (error) {
+    console.error(`Failed to write cache entry ${key}:`, error);
+  }
+}
+
+/**
+ * Key of the search results for a query under the given retrieval settings
+ */
+export async function getSearchCacheKey(scope: CacheScope, query: string, ragSettings: RAGConfig): Promise<string> {
+  const digest = await sha256Hex(JSON.stringify([
+    normalizeQuery(query),
+    ragSettings.index,
+    ragSettings.maxResults,
+    ragSettings.scoreThreshold,
+    ragSettings.rewriteQuery,
+    ragSettings.filters ?? null,
+  ]));
+  return `search:${scope.version}:${digest}`;
+}
+
+/**
+ * Key of the complete answer to a request, or null when the answer is not deterministic
+ */
+export async function getAnswerCacheKey(
+  scope: CacheScope,
+  messages: ChatMessage[],
+  context: RequestContext
+): Promise<string | null> {
+  const { generation, ragSettings } = context;
+  const turns = messages.filter(msg => msg.role !== "system");
+
+  // Pinned sources are chosen per turn, so answers using them are not reused
+  if (context.pipelineMode !== "custom" || generation.temperature !== 0 || turns.length !== 1 || context.pinnedSources) {
+    return null;
+  }
+
+  const digest = await sha256Hex(JSON.stringify([
+    normalizeQuery(context.userMessage),
+    context.systemPrompt ?? null,
+    generation.model,
+    generation.maxTokens,
+    generation.topP ?? null,
+    ragSettings.index,
+    ragSettings.maxResults,
+    ragSettings.scoreThreshold,
+    ragSettings.rewriteQuery,
+    ragSettings.filters ?? null,
+  ]));
+  return `answer:${scope.version}:${digest}`;
+}
+
+/**
+ * Value of the X-Cache header: HIT for a cached answer, PARTIAL for cached search results
+ */
+export function getCacheHeader(report: CacheReport): string {
+  if (report.answer === "hit") return "HIT";
+  if (report.answer === "bypass" || report.search === "bypass") return "BYPASS";
+  if (report.search === "hit") return "PARTIAL";
+  return "MISS";
+}
+
+/**
+ * Handle /api/cache (admin only): GET reports the index version, DELETE invalidates the cache
+ */
+export async function handleCacheRequest(request: Request, env: Env): Promise<Response> {
+  const denied = await requireAdmin(request, env, "Cache management");
+  if (denied) return denied;
+
+  if (!env.RAG_CACHE) {
+    return createErrorResponse("Response cache is not configured", 503);
+  }
+
+  try {
+    switch (request.method) {
+      case "GET":
+        return createJSONResponse({
+          version: await env.RAG_CACHE.get(VERSION_KEY) ?? INITIAL_VERSION,
+        });
+
+      case "DELETE":
+        return createJSONResponse({ invalidated: true, version: await invalidateCache(env.RAG_CACHE) });
+
+      default:
+        return createErrorResponse("Method not allowed", 405);
+    }
+
+  } catch (error) {
+    console.error("Cache request failed:", error);
+    return createErrorResponse("Internal server error occurred", 500);
+  }
+}
+
+/**
+ * Move to a new index version, so every cached search and answer is missed
+ */
+export async function invalidateCache(kv: KVNamespace): Promise<string> {
+  const version = Date.now().toString(36);
+  await kv.put(VERSION_KEY, version);
+  console.log(`Response cache invalidated, index version is now ${version}`);
+  return version;
+}
+
+/**
+ * Case, spacing and trailing punctuation do not change the question
+ */
+export function normalizeQuery(query: string): string {
+  return query.toLowerCase().replace(/\s+/g, " ").trim().replace(/[\s?.!]+$/, "");
+}
@@ -0,0 +1,11 @@
+/**
+ * Application configuration shared by the Worker modules.
+ */
+
+import { DEFAULT_CONFIG } from "./types";
+
+// Application configuration
+export const CONFIG = {
+  ...DEFAULT_CONFIG,
+  // Override any defaults here if needed
+};
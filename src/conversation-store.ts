@@ -0,0 +1,266 @@
+/**
+ * Server-side conversation persistence.
+ *
+ * Each conversation lives in its own Durable Object (ConversationStore) named by
+ * the conversation id and owned by the user who created it. One ConversationIndex
+ * object per user keeps the summaries used to list their conversations and is
+ * updated by each store whenever its history changes.
+ */
+
+import { DurableObject } from "cloudflare:workers";
+import {
+  ChatMessage,
+  ChatResponseMetadata,
+  Conversation,
+  ConversationSummary,
+  Env,
+  MessageVersion,
+  RollingSummary,
+  StoredMessage,
+} from "./types";
+import { getConversationIndex, normalizeTitle } from "./conversations";
+
+const DEFAULT_TITLE = "New conversation";
+const PREVIEW_LENGTH = 120;
+const META_KEY = "meta";
+const SUMMARY_KEY = "summary";
+const MESSAGE_KEY_PREFIX = "msg:";
+const SUMMARY_KEY_PREFIX = "conversation:";
+
+/**
+ * A message to append; id and timestamp are assigned by the store
+ */
+export type NewStoredMessage = ChatMessage & {
+  timestamp?: string;
+  metadata?: ChatResponseMetadata;
+  versions?: MessageVersion[];
+  activeVersion?: number;
+};
+
+/**
+ * Durable Object holding the metadata and messages of a single conversation
+ */
+export class ConversationStore extends DurableObject<Env> {
+  /**
+   * Initialize a new, empty conversation
+   */
+  async create(id: string, userId: string, title?: string): Promise<ConversationSummary> {
+    const now = new Date().toISOString();
+    const meta: ConversationSummary = {
+      id,
+      userId,
+      title: normalizeTitle(title) || DEFAULT_TITLE,
+      createdAt: now,
+      updatedAt: now,
+      messageCount: 0,
+      preview: "",
+    };
+
+    await this.ctx.storage.put(META_KEY, meta);
+    await this.syncIndex(meta);
+    return meta;
+  }
+
+  /**
+   * Get the id of the user the conversation belongs to; null if it does not exist
+   */
+  async getOwner(): Promise<string | null> {
+    return (await this.getMeta())?.userId ?? null;
+  }
+
+  /**
+   * Get the conversation with its full message history
+   */
+  async getConversation(): Promise<Conversation | null> {
+    const meta = await this.getMeta();
+    if (!meta) return null;
+
+    const entries = await this.ctx.storage.list<StoredMessage>({ prefix: MESSAGE_KEY_PREFIX });
+    return { ...meta, messages: [...entries.values()] };
+  }
+
+  /**
+   * Get the history as plain chat messages for the model
+   */
+  async getHistory(): Promise<ChatMessage[] | null> {
+    const conversation = await this.getConversation();
+    if (!conversation) return null;
+
+    return conversation.messages.map(({ role, content, images }) => images ? { role, content, images } : { role, content });
+  }
+
+  /**
+   * Rename the conversation
+   */
+  async rename(title: string): Promise<ConversationSummary | null> {
+    const meta = await this.getMeta();
+    if (!meta) return null;
+
+    meta.title = normalizeTitle(title) || meta.title;
+    meta.updatedAt = new Date().toISOString();
+
+    await this.ctx.storage.put(META_KEY, meta);
+    await this.syncIndex(meta);
+    return meta;
+  }
+
+  /**
+   * Append messages to the end of the history
+   */
+  async appendMessages(messages: NewStoredMessage[]): Promise<ConversationSummary | null> {
+    const meta = await this.getMeta();
+    if (!meta || messages.length === 0) return meta;
+
+    const now = new Date().toISOString();
+    const entries: Record<string, StoredMessage> = {};
+
+    messages.forEach((message, offset) => {
+      const sequence = meta.messageCount + offset;
+      entries[getMessageKey(sequence)] = {
+        id: `msg_${sequence}`,
+        role: message.role,
+        content: message.content,
+        images: message.images,
+        timestamp: message.timestamp || now,
+        metadata: message.metadata,
+        versions: message.versions,
+        activeVersion: message.activeVersion,
+      };
+    });
+
+    // Title untitled conversations after their first question
+    const firstUserMessage = messages.find(msg => msg.role === "user");
+    if (meta.title === DEFAULT_TITLE && firstUserMessage) {
+      meta.title = normalizeTitle(getMessageText(firstUserMessage)) || DEFAULT_TITLE;
+    }
+
+    meta.messageCount += messages.length;
+    meta.updatedAt = now;
+    meta.preview = getMessageText(messages[messages.length - 1]).substring(0, PREVIEW_LENGTH);
+
+    await this.ctx.storage.put({ ...entries, [META_KEY]: meta });
+    await this.syncIndex(meta);
+    return meta;
+  }
+
+  /**
+   * Keep the first `keep` messages and remove the rest, returning the removed messages
+   */
+  async branch(keep: number): Promise<StoredMessage[] | null> {
+    const meta = await this.getMeta();
+    if (!meta || keep < 0 || keep > meta.messageCount) return null;
+    if (keep === meta.messageCount) return [];
+
+    const entries = await this.ctx.storage.list<StoredMessage>({
+      start: getMessageKey(keep),
+      prefix: MESSAGE_KEY_PREFIX,
+    });
+    const keys = [...entries.keys()];
+    // Storage deletes at most 128 keys at once
+    for (let start = 0; start < keys.length; start += 128) {
+      await this.ctx.storage.delete(keys.slice(start, start + 128));
+    }
+
+    // A summary of removed turns no longer describes the history
+    const summary = await this.getSummary();
+    if (summary && summary.coveredMessages > keep) {
+      await this.ctx.storage.delete(SUMMARY_KEY);
+    }
+
+    const last = keep > 0 ? await this.ctx.storage.get<StoredMessage>(getMessageKey(keep - 1)) : undefined;
+    meta.messageCount = keep;
+    meta.updatedAt = new Date().toISOString();
+    meta.preview = last ? getMessageText(last).substring(0, PREVIEW_LENGTH) : "";
+
+    await this.ctx.storage.put(META_KEY, meta);
+    await this.syncIndex(meta);
+    return [...entries.values()];
+  }
+
+  /**
+   * Make another version of a regenerated answer the current one
+   */
+  async selectVersion(index: number, version: number): Promise<StoredMessage | null> {
+    const key = getMessageKey(index);
+    const message = await this.ctx.storage.get<StoredMessage>(key);
+    const selected = message?.versions?.[version];
+    if (!message || !selected) return null;
+
+    const updated: StoredMessage = { ...message, ...selected, metadata: selected.metadata, activeVersion: version };
+    await this.ctx.storage.put(key, updated);
+
+    const meta = await this.getMeta();
+    if (meta && index === meta.messageCount - 1) {
+      meta.preview = getMessageText(updated).substring(0, PREVIEW_LENGTH);
+      await this.ctx.storage.put(META_KEY, meta);
+      await this.syncIndex(meta);
+    }
+    return updated;
+  }
+
+  /**
+   * Get the rolling summary of turns cut from the model context
+   */
+  async getSummary(): Promise<RollingSummary | null> {
+    return (await this.ctx.storage.get<RollingSummary>(SUMMARY_KEY)) ?? null;
+  }
+
+  /**
+   * Replace the rolling summary
+   */
+  async saveSummary(summary: RollingSummary): Promise<void> {
+    await this.ctx.storage.put(SUMMARY_KEY, summary);
+  }
+
+  /**
+   * Delete the conversation and all of its messages
+   */
+  async deleteConversation(): Promise<boolean> {
+    const meta = await this.getMeta();
+    if (!meta) return false;
+
+    await this.ctx.storage.deleteAll();
+    await getConversationIndex(this.env, meta.userId).remove(meta.id);
+    return true;
+  }
+
+  private async getMeta(): Promise<ConversationSummary | null> {
+    return (await this.ctx.storage.get<ConversationSummary>(META_KEY)) ?? null;
+  }
+
+  private async syncIndex(meta: ConversationSummary): Promise<void> {
+    await getConversationIndex(this.env, meta.userId).upsert(meta);
+  }
+}
+
+/**
+ * Durable Object listing conversation summaries, most recently updated first
+ */
+export class ConversationIndex extends DurableObject<Env> {
+  async upsert(summary: ConversationSummary): Promise<void> {
+    await this.ctx.storage.put(`${SUMMARY_KEY_PREFIX}${summary.id}`, summary);
+  }
+
+  async remove(id: string): Promise<void> {
+    await this.ctx.storage.delete(`${SUMMARY_KEY_PREFIX}${id}`);
+  }
+
+  async list(limit: number = 50): Promise<ConversationSummary[]> {
+    const entries = await this.ctx.storage.list<ConversationSummary>({ prefix: SUMMARY_KEY_PREFIX });
+    return [...entries.values()]
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, limit);
+  }
+}
+
+function getMessageKey(sequence: number): string {
+  return `${MESSAGE_KEY_PREFIX}${sequence.toString().padStart(8, "0")}`;
+}
+
+/**
+ * Text shown for a message in titles and previews; photos sent without text are named instead
+ */
+function getMessageText(message: ChatMessage): string {
+  if (message.content.trim() || !message.images?.length) return message.content;
+  return `📷 ${message.images.map(image => image.name || "Photo").join(", ")}`;
+}
@@ -0,0 +1,279 @@
+/**
+ * Conversation routes and helpers.
+ *
+ * The Durable Objects holding the conversations are defined in
+ * conversation-store.ts; this module only talks to them through their stubs.
+ */
+
+import {
+  AuthenticatedUser,
+  ChatMessage,
+  ChatResponseMetadata,
+  Env,
+  MessageVersion,
+  RequestContext,
+  StoredMessage,
+} from "./types";
+import { createErrorResponse, createJSONResponse } from "./http";
+import { validateChatImages } from "./vision";
+
+const MAX_TITLE_LENGTH = 120;
+const CONVERSATION_ID_PATTERN = /^conv_[0-9a-f-]{36}$/;
+const MAX_IMPORTED_MESSAGES = 500;
+const MAX_MESSAGE_LENGTH = 50000;
+// Durable Object storage writes at most 128 keys at once
+const IMPORT_BATCH_SIZE = 100;
+// Regenerating beyond this drops the oldest versions of an answer
+const MAX_MESSAGE_VERSIONS = 10;
+
+/**
+ * A message of an imported conversation export
+ */
+interface ImportedMessage extends ChatMessage {
+  timestamp?: string;
+  metadata?: ChatResponseMetadata;
+}
+
+/**
+ * Handle /api/conversations, /api/conversations/:id and /api/conversations/:id/messages/:index
+ * for the conversations of the authenticated user
+ */
+export async function handleConversationsRequest(
+  request: Request,
+  env: Env,
+  url: URL,
+  user: AuthenticatedUser
+): Promise<Response> {
+  const conversationId = url.pathname.split("/")[3];
+
+  try {
+    if (!conversationId) {
+      switch (request.method) {
+        case "GET": {
+          const limit = parseInt(url.searchParams.get("limit") || "50", 10);
+          const conversations = await getConversationIndex(env, user.userId).list(
+            Number.isFinite(limit) ? Math.min(Math.max(limit, 1), 200) : 50
+          );
+          return createJSONResponse({ conversations });
+        }
+        case "POST": {
+          const body = await readJSONBody(request);
+          const errors = body.messages === undefined ? [] : validateImportedMessages(body.messages);
+          if (errors.length > 0) {
+            return createErrorResponse(`Invalid request: ${errors.join(", ")}`, 400);
+          }
+
+          const id = `conv_${crypto.randomUUID()}`;
+          const store = getConversationStub(env, id);
+          let conversation = await store.create(id, user.userId, typeof body.title === "string" ? body.title : undefined);
+
+          // Restore an exported conversation with its original timestamps and metadata
+          const messages = (body.messages ?? []) as ImportedMessage[];
+          for (let start = 0; start < messages.length; start += IMPORT_BATCH_SIZE) {
+            conversation = await store.appendMessages(messages.slice(start, start + IMPORT_BATCH_SIZE)) ?? conversation;
+          }
+          if (messages.length > 0) {
+            console.log(`Imported ${messages.length} messages into conversation ${id}`);
+          }
+
+          return createJSONResponse({ conversation }, 201);
+        }
+        default:
+          return createErrorResponse("Method not allowed", 405);
+      }
+    }
+
+    if (!isConversationId(conversationId)) {
+      return createErrorResponse("Invalid conversation id", 400);
+    }
+
+    // Conversations of other users are reported as missing
+    const store = await getOwnedConversationStub(env, conversationId, user.userId);
+    if (!store) {
+      return createErrorResponse("Conversation not found", 404);
+    }
+
+    const [, , , , subresource, messageIndex] = url.pathname.split("/");
+    if (subresource !== undefined) {
+      return subresource === "messages" && messageIndex !== undefined
+        ? await handleMessageRequest(request, store, messageIndex)
+        : createErrorResponse("Not found", 404);
+    }
+
+    switch (request.method) {
+      case "GET": {
+        const conversation = await store.getConversation();
+        return conversation
+          ? createJSONResponse({ conversation })
+          : createErrorResponse("Conversation not found", 404);
+      }
+      case "PATCH": {
+        const body = await readJSONBody(request);
+        if (typeof body.title !== "string" || !normalizeTitle(body.title)) {
+          return createErrorResponse("Invalid request: title is required", 400);
+        }
+        const conversation = await store.rename(body.title);
+        return conversation
+          ? createJSONResponse({ conversation })
+          : createErrorResponse("Conversation not found", 404);
+      }
+      case "DELETE": {
+        const deleted = await store.deleteConversation();
+        return deleted
+          ? createJSONResponse({ deleted: true, id: conversationId })
+          : createErrorResponse("Conversation not found", 404);
+      }
+      default:
+        return createErrorResponse("Method not allowed", 405);
+    }
+
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return createErrorResponse("Invalid request: malformed JSON body", 400);
+    }
+    console.error("Conversation request failed:", error);
+    return createErrorResponse("Internal server error occurred", 500);
+  }
+}
+
+/**
+ * PATCH /api/conversations/:id/messages/:index with `{ "version": n }` switches a regenerated answer
+ */
+async function handleMessageRequest(
+  request: Request,
+  store: ReturnType<typeof getConversationStub>,
+  messageIndex: string
+): Promise<Response> {
+  if (request.method !== "PATCH") {
+    return createErrorResponse("Method not allowed", 405);
+  }
+
+  const index = /^\d+$/.test(messageIndex) ? parseInt(messageIndex, 10) : NaN;
+  const body = await readJSONBody(request);
+  if (!Number.isInteger(index) || !Number.isInteger(body.version) || (body.version as number) < 0) {
+    return createErrorResponse("Invalid request: version must be a non-negative integer", 400);
+  }
+
+  const message = await store.selectVersion(index, body.version as number);
+  return message
+    ? createJSONResponse({ message })
+    : createErrorResponse("Message version not found", 404);
+}
+
+/**
+ * Save a completed assistant answer to its conversation, if any.
+ * A regenerated answer is saved as the newest of its versions.
+ */
+export async function saveAssistantMessage(
+  env: Env,
+  context: RequestContext,
+  content: string,
+  metadata: ChatResponseMetadata
+): Promise<void> {
+  const { conversationId, previousVersions } = context;
+  if (!conversationId || !content) return;
+
+  const versions = previousVersions?.length
+    ? [...previousVersions, { content, timestamp: new Date().toISOString(), metadata }].slice(-MAX_MESSAGE_VERSIONS)
+    : undefined;
+
+  try {
+    await getConversationStub(env, conversationId).appendMessages([{
+      role: "assistant",
+      content,
+      metadata,
+      timestamp: versions?.[versions.length - 1].timestamp,
+      versions,
+      activeVersion: versions ? versions.length - 1 : undefined,
+    }]);
+  } catch (error) {
+    console.error(`[${metadata.requestId}] Failed to save assistant message:`, error);
+  }
+}
+
+/**
+ * Versions of a removed answer to keep when the same question is asked again in its place
+ */
+export function getPreviousVersions(removed: StoredMessage[], question: ChatMessage | undefined): MessageVersion[] | undefined {
+  const [oldQuestion, oldAnswer] = removed;
+  if (!question || oldQuestion?.role !== "user" || oldQuestion.content !== question.content || oldAnswer?.role !== "assistant") {
+    return undefined;
+  }
+
+  return oldAnswer.versions ?? [{ content: oldAnswer.content, timestamp: oldAnswer.timestamp, metadata: oldAnswer.metadata }];
+}
+
+/**
+ * Validate the messages of a conversation being imported
+ */
+function validateImportedMessages(messages: unknown): string[] {
+  if (!Array.isArray(messages) || messages.length > MAX_IMPORTED_MESSAGES) {
+    return [`messages must be a list of at most ${MAX_IMPORTED_MESSAGES} messages`];
+  }
+
+  const errors = new Set<string>();
+
+  for (const message of messages) {
+    if (!message || typeof message !== "object") {
+      errors.add("Each message must be an object");
+      continue;
+    }
+    if (message.role !== "user" && message.role !== "assistant") {
+      errors.add("Message role must be user or assistant");
+    }
+    if (typeof message.content !== "string" || message.content.length > MAX_MESSAGE_LENGTH) {
+      errors.add(`Message content must be a string of at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    if (message.timestamp !== undefined && (typeof message.timestamp !== "string" || Number.isNaN(Date.parse(message.timestamp)))) {
+      errors.add("Message timestamp must be an ISO date");
+    }
+    if (message.metadata !== undefined && (!message.metadata || typeof message.metadata !== "object" || Array.isArray(message.metadata))) {
+      errors.add("Message metadata must be an object");
+    }
+    // Only descriptions and thumbnails are stored, never full photos
+    if (Array.isArray(message.images) && message.images.some((image: unknown) => (image as { dataUrl?: unknown })?.dataUrl !== undefined)) {
+      errors.add("Imported images cannot include dataUrl");
+    }
+  }
+
+  if (errors.size === 0) {
+    validateChatImages(messages as ChatMessage[]).forEach(error => errors.add(error));
+  }
+
+  return [...errors];
+}
+
+export function getConversationStub(env: Env, conversationId: string) {
+  return env.CONVERSATIONS.get(env.CONVERSATIONS.idFromName(conversationId));
+}
+
+/**
+ * The store of a conversation, or null when it does not exist or belongs to another user
+ */
+export async function getOwnedConversationStub(env: Env, conversationId: string, userId: string) {
+  const store = getConversationStub(env, conversationId);
+  return await store.getOwner() === userId ? store : null;
+}
+
+export function isConversationId(value: unknown): value is string {
+  return typeof value === "string" && CONVERSATION_ID_PATTERN.test(value);
+}
+
+/**
+ * The conversation list of one user
+ */
+export function getConversationIndex(env: Env, userId: string) {
+  return env.CONVERSATION_INDEX.get(env.CONVERSATION_INDEX.idFromName(`user:${userId}`));
+}
+
+export function normalizeTitle(title: string | undefined): string {
+  return (title || "").replace(/\s+/g, " ").trim().substring(0, MAX_TITLE_LENGTH);
+}
+
+async function readJSONBody(request: Request): Promise<Record<string, unknown>> {
+  const text = await request.text();
+  if (!text) return {};
+
+  const body = JSON.parse(text);
+  return body && typeof body === "object" ? body : {};
+}
@@ -0,0 +1,358 @@
+/**
+ * Knowledge base document uploads.
+ *
+ * The AutoRAG index is built from the DOCUMENTS R2 bucket, so guidelines and
+ * SOPs can be added without dashboard access: /api/documents (admin only)
+ * uploads, lists and deletes objects in one of `CONFIG.knowledgeBaseFolders`.
+ * Uploads are checked for content type, size and duplicate content by their
+ * SHA-256 hash. AutoRAG picks new objects up on its next sync, so
+ * GET /api/documents/status searches each folder for the latest uploads and
+ * reports whether the uploaded version has been indexed yet. The first check
+ * that sees an upload indexed invalidates the response cache, so answers
+ * cached before it are not replayed; deletions need DELETE /api/cache once
+ * AutoRAG has re-synced.
+ *
+ * Routes:
+ *   GET    /api/documents?folder=   list documents, newest first
+ *   POST   /api/documents           multipart upload of `file` to `folder`; `replace=true` overwrites
+ *   GET    /api/documents/status    ingestion status of the latest uploads
+ *   GET    /api/documents/<key>     one document and its ingestion status
+ *   DELETE /api/documents/<key>     delete a document
+ */
+
+import {
+  DocumentIngestionStatus,
+  Env,
+  IngestionStatus,
+  KnowledgeBaseDocument,
+  SearchResult,
+} from "./types";
+import { CONFIG } from "./config";
+import { requireAdmin } from "./auth";
+import { invalidateCache } from "./cache";
+import { createErrorResponse, createJSONResponse } from "./http";
+import { sha256Hex } from "./hash";
+
+const ROUTE_PREFIX = "/api/documents/";
+const MAX_FILENAME_LENGTH = 200;
+// Leading bytes of binary formats, so a renamed file is not indexed as garbage
+const FILE_SIGNATURES: Record<string, number[]> = {
+  "application/pdf": [0x25, 0x50, 0x44, 0x46, 0x2d], // %PDF-
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [0x50, 0x4b, 0x03, 0x04], // ZIP
+};
+// AutoRAG may record modification times truncated to the second
+const TIMESTAMP_TOLERANCE_MS = 1000;
+const STATUS_SEARCH_RESULTS = 50;
+// RAG_CACHE key holding the upload time of the indexed version the cache was last invalidated for
+const INDEXED_MARKER_PREFIX = "indexed:";
+
+/**
+ * Handle /api/documents and /api/documents/* (admin only)
+ */
+export async function handleDocumentsRequest(request: Request, env: Env, url: URL): Promise<Response> {
+  const denied = await requireAdmin(request, env, "Document uploads");
+  if (denied) return denied;
+
+  if (!env.DOCUMENTS) {
+    return createErrorResponse("Document uploads are not configured", 503);
+  }
+  const bucket = env.DOCUMENTS;
+
+  try {
+    if (url.pathname === "/api/documents") {
+      switch (request.method) {
+        case "GET":
+          return await listDocumentsResponse(bucket, url);
+        case "POST":
+          return await uploadDocument(request, bucket);
+        default:
+          return createErrorResponse("Method not allowed", 405);
+      }
+    }
+
+    if (url.pathname === `${ROUTE_PREFIX}status`) {
+      return request.method === "GET"
+        ? await ingestionStatusResponse(env, bucket, url)
+        : createErrorResponse("Method not allowed", 405);
+    }
+
+    const key = parseDocumentKey(url.pathname.slice(ROUTE_PREFIX.length));
+    const object = key ? await bucket.head(key) : null;
+    if (!key || !object) {
+      return createErrorResponse("Document not found", 404);
+    }
+
+    switch (request.method) {
+      case "GET": {
+        const document = toDocument(object);
+        return createJSONResponse({ document, ingestion: await checkIngestion(env, document) });
+      }
+      case "DELETE":
+        await bucket.delete(key);
+        await env.RAG_CACHE?.delete(`${INDEXED_MARKER_PREFIX}${key}`);
+        console.log(`Document ${key} deleted`);
+        return createJSONResponse({ deleted: true, key });
+      default:
+        return createErrorResponse("Method not allowed", 405);
+    }
+
+  } catch (error) {
+    console.error("Documents request failed:", error);
+    return createErrorResponse("Internal server error occurred", 500);
+  }
+}
+
+async function listDocumentsResponse(bucket: R2Bucket, url: URL): Promise<Response> {
+  const folderParam = url.searchParams.get("folder");
+  const folder = folderParam === null ? undefined : getFolder(folderParam);
+  if (folder === null) {
+    return createErrorResponse(`Invalid request: folder must be one of: ${getFolderPaths().join(", ")}`, 400);
+  }
+
+  return createJSONResponse({ documents: await listDocuments(bucket, folder) });
+}
+
+async function uploadDocument(request: Request, bucket: R2Bucket): Promise<Response> {
+  const { maxBytes } = CONFIG.documents;
+  const maxSize = `${Math.floor(maxBytes / 1024 / 1024)} MB`;
+
+  // Reject oversized bodies before reading them; the form adds a little to the file itself
+  const contentLength = Number(request.headers.get("Content-Length"));
+  if (contentLength > maxBytes + 64 * 1024) {
+    return createErrorResponse(`Documents must be at most ${maxSize}`, 413);
+  }
+
+  let form: FormData;
+  try {
+    form = await request.formData();
+  } catch {
+    return createErrorResponse("Invalid request: expected a multipart form with a file", 400);
+  }
+
+  const file = form.get("file");
+  const folder = getFolder(form.get("folder"));
+  const replace = form.get("replace") === "true";
+  const errors: string[] = [];
+
+  if (!folder) {
+    errors.push(`folder must be one of: ${getFolderPaths().join(", ")}`);
+  }
+  if (!(file instanceof File)) {
+    return createErrorResponse(`Invalid request: ${[...errors, "file must be an uploaded file"].join(", ")}`, 400);
+  }
+
+  const filename = sanitizeFilename(file.name);
+  const contentType = filename ? getContentType(file.type, filename) : null;
+  if (!filename) {
+    errors.push("file must have a name");
+  } else if (!contentType) {
+    errors.push(`file must be one of: ${Object.values(CONFIG.documents.contentTypes).flat().join(", ")}`);
+  }
+  if (file.size === 0) {
+    errors.push("file must not be empty");
+  } else if (file.size > maxBytes) {
+    errors.push(`Documents must be at most ${maxSize}`);
+  }
+  if (errors.length > 0) {
+    return createErrorResponse(`Invalid request: ${errors.join(", ")}`, 400);
+  }
+
+  const content = await file.arrayBuffer();
+  const signature = FILE_SIGNATURES[contentType!];
+  const header = new Uint8Array(content.slice(0, signature?.length ?? 0));
+  if (signature && !signature.every((byte, index) => header[index] === byte)) {
+    return createErrorResponse(`Invalid request: file content does not match its ${contentType} type`, 400);
+  }
+
+  const key = `${folder}${filename}`;
+  const sha256 = await sha256Hex(content);
+
+  // The same content under any name would be retrieved twice; replacing a
+  // document with unchanged content re-uploads it, e.g. to force re-ingestion
+  const duplicate = (await listDocuments(bucket))
+    .find(document => document.sha256 === sha256 && !(replace && document.key === key));
+  if (duplicate) {
+    return createErrorResponse(`This document was already uploaded as ${duplicate.key}`, 409);
+  }
+  if (!replace && await bucket.head(key)) {
+    return createErrorResponse(`A document named ${key} already exists; send replace=true to overwrite it`, 409);
+  }
+
+  const object = await bucket.put(key, content, {
+    httpMetadata: { contentType: contentType! },
+    customMetadata: { sha256 },
+    sha256,
+  });
+
+  console.log(`Document ${key} uploaded (${file.size} bytes)`);
+  return createJSONResponse({ document: toDocument(object) }, 201);
+}
+
+async function ingestionStatusResponse(env: Env, bucket: R2Bucket, url: URL): Promise<Response> {
+  const folderParam = url.searchParams.get("folder");
+  const folder = folderParam === null ? undefined : getFolder(folderParam);
+  if (folder === null) {
+    return createErrorResponse(`Invalid request: folder must be one of: ${getFolderPaths().join(", ")}`, 400);
+  }
+
+  const documents = (await listDocuments(bucket, folder)).slice(0, CONFIG.documents.maxStatusChecks);
+  const statuses = await Promise.all(documents.map(document => checkIngestion(env, document)));
+  return createJSONResponse({ index: CONFIG.autoragIndex, documents: statuses });
+}
+
+/**
+ * Search the document's folder for its filename; it is indexed once AutoRAG
+ * returns a chunk of it modified no earlier than the upload
+ */
+async function checkIngestion(env: Env, document: KnowledgeBaseDocument): Promise<DocumentIngestionStatus> {
+  const uploadedAt = Date.parse(document.uploadedAt);
+
+  let results: SearchResult[];
+  try {
+    const response = await env.AI.autorag(CONFIG.autoragIndex).search({
+      query: document.filename.replace(/\.[^.]+$/, "").replace(/[_-]+/g, " "),
+      max_num_results: STATUS_SEARCH_RESULTS,
+      ranking_options: { score_threshold: 0 },
+      rewrite_query: false,
+      filters: { type: "eq", key: "folder", value: document.folder },
+    });
+    results = Array.isArray(response?.data) ? response.data : [];
+  } catch (error) {
+    console.error(`Ingestion check of ${document.key} failed:`, error);
+    return {
+      key: document.key,
+      status: "unknown",
+      uploadedAt: document.uploadedAt,
+      error: error instanceof Error ? error.message : "Unknown error",
+    };
+  }
+
+  const indexedVersions = results
+    .filter(result => result.filename === document.key || result.filename === document.filename)
+    .map(result => Number(result.attributes?.timestamp ?? result.attributes?.modified_date))
+    .filter(Number.isFinite);
+  const indexedVersionAt = indexedVersions.length > 0 ? Math.max(...indexedVersions) : undefined;
+  const status: IngestionStatus = indexedVersionAt !== undefined && indexedVersionAt >= uploadedAt - TIMESTAMP_TOLERANCE_MS
+    ? "indexed"
+    : "pending";
+
+  if (status === "indexed") {
+    await invalidateCacheOnce(env, document);
+  }
+
+  return {
+    key: document.key,
+    status,
+    uploadedAt: document.uploadedAt,
+    indexedVersionAt: indexedVersionAt !== undefined ? new Date(indexedVersionAt).toISOString() : undefined,
+  };
+}
+
+/**
+ * Invalidate the response cache the first time an uploaded version is seen indexed
+ */
+async function invalidateCacheOnce(env: Env, document: KnowledgeBaseDocument): Promise<void> {
+  if (!env.RAG_CACHE) return;
+
+  const markerKey = `${INDEXED_MARKER_PREFIX}${document.key}`;
+  try {
+    if (await env.RAG_CACHE.get(markerKey) === document.uploadedAt) return;
+
+    await invalidateCache(env.RAG_CACHE);
+    await env.RAG_CACHE.put(markerKey, document.uploadedAt);
+    console.log(`Response cache invalidated for newly indexed ${document.key}`);
+  } catch (error) {
+    console.error(`Cache invalidation for ${document.key} failed:`, error);
+  }
+}
+
+/**
+ * All documents, or those of one folder, newest first
+ */
+async function listDocuments(bucket: R2Bucket, folder?: string): Promise<KnowledgeBaseDocument[]> {
+  const documents: KnowledgeBaseDocument[] = [];
+  let cursor: string | undefined;
+
+  do {
+    const page = await bucket.list({ prefix: folder, cursor, include: ["httpMetadata", "customMetadata"] });
+    documents.push(...page.objects.map(toDocument));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+
+  return documents.sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+}
+
+function toDocument(object: R2Object): KnowledgeBaseDocument {
+  const separator = object.key.lastIndexOf("/");
+  return {
+    key: object.key,
+    folder: object.key.slice(0, separator + 1),
+    filename: object.key.slice(separator + 1),
+    size: object.size,
+    contentType: object.httpMetadata?.contentType ?? "application/octet-stream",
+    sha256: object.customMetadata?.sha256,
+    uploadedAt: object.uploaded.toISOString(),
+  };
+}
+
+/**
+ * The configured folder path for a form or query value, accepting it without
+ * the trailing "/"; null when it is not a configured folder
+ */
+function getFolder(value: unknown): string | null {
+  if (typeof value !== "string") return null;
+
+  const trimmed = value.trim().replace(/^\/+/, "");
+  const folder = trimmed.endsWith("/") ? trimmed : `${trimmed}/`;
+  return getFolderPaths().includes(folder) ? folder : null;
+}
+
+function getFolderPaths(): string[] {
+  return CONFIG.knowledgeBaseFolders.map(folder => folder.path);
+}
+
+/**
+ * Object key of a document route, which must be a configured folder and a filename
+ */
+function parseDocumentKey(encodedKey: string): string | null {
+  let key: string;
+  try {
+    key = decodeURIComponent(encodedKey);
+  } catch {
+    return null;
+  }
+
+  const folder = getFolderPaths().find(path => key.startsWith(path));
+  return folder && sanitizeFilename(key.slice(folder.length)) === key.slice(folder.length) ? key : null;
+}
+
+/**
+ * Base name of an uploaded file with characters outside letters, digits,
+ * spaces and `.()_-` replaced; null when nothing usable is left
+ */
+function sanitizeFilename(name: string): string | null {
+  const filename = name
+    .split(/[\\/]/)
+    .pop()!
+    .replace(/[^\w .()-]/g, "_")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^\.+/, "");
+
+  return filename && filename.length <= MAX_FILENAME_LENGTH ? filename : null;
+}
+
+/**
+ * Content type of an upload: the declared type when its extension matches,
+ * or the type of the extension when the browser sent none
+ */
+function getContentType(declaredType: string, filename: string): string | null {
+  const extension = filename.includes(".") ? filename.slice(filename.lastIndexOf(".")).toLowerCase() : "";
+  const type = declaredType.split(";")[0].trim().toLowerCase();
+  const contentTypes = CONFIG.documents.contentTypes;
+
+  if (!type || type === "application/octet-stream") {
+    return Object.keys(contentTypes).find(contentType => contentTypes[contentType].includes(extension)) ?? null;
+  }
+  return contentTypes[type]?.includes(extension) ? type : null;
+}
@@ -0,0 +1,135 @@
+/**
+ * Command line entry point for the evaluation harness (`npm run eval`).
+ *
+ *   npm run eval -- [golden.json ...] [--out results.json] [--baseline results.json]
+ *                   [--update-baselines] [--verbose]
+ *
+ * Without golden files, every set in eval/golden is run. Each set is compared
+ * with eval/baselines/<name>.json (or --baseline) and the process exits with
+ * status 1 when any question regressed.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { basename, join } from "node:path";
+import { parseGoldenSet, runEvaluation } from "./harness";
+import { diffRuns, formatReport } from "./report";
+import { EvalRun } from "./types";
+
+const GOLDEN_DIR = "eval/golden";
+const BASELINE_DIR = "eval/baselines";
+
+interface CliOptions {
+  files: string[];
+  out?: string;
+  baseline?: string;
+  updateBaselines: boolean;
+  verbose: boolean;
+}
+
+async function main(): Promise<number> {
+  const options = parseArgs(process.argv.slice(2));
+  const files = options.files.length > 0
+    ? options.files
+    : readdirSync(GOLDEN_DIR).filter(file => file.endsWith(".json")).sort().map(file => join(GOLDEN_DIR, file));
+
+  if (files.length === 0) {
+    console.error(`No golden sets found in ${GOLDEN_DIR}`);
+    return 1;
+  }
+
+  const explicitBaselines = options.baseline ? readRuns(options.baseline) : null;
+  const runs: EvalRun[] = [];
+  const reports: string[] = [];
+  let regressions = 0;
+
+  for (const file of files) {
+    const set = parseGoldenSet(JSON.parse(readFileSync(file, "utf8")), basename(file));
+    const run = await withPipelineLogs(options.verbose, () => runEvaluation(set));
+    runs.push(run);
+
+    const baselinePath = join(BASELINE_DIR, `${set.name}.json`);
+    const baseline = explicitBaselines
+      ? explicitBaselines.find(previous => previous.setName === set.name)
+      : existsSync(baselinePath) ? readRuns(baselinePath)[0] : undefined;
+
+    const diff = baseline ? diffRuns(baseline, run) : undefined;
+    regressions += diff?.regressions ?? 0;
+    reports.push(formatReport(run, diff));
+
+    if (options.updateBaselines) {
+      mkdirSync(BASELINE_DIR, { recursive: true });
+      writeFileSync(baselinePath, JSON.stringify(run, null, 2) + "\n");
+    }
+  }
+
+  console.log(reports.join("\n\n"));
+
+  if (options.out) {
+    writeFileSync(options.out, JSON.stringify(runs, null, 2) + "\n");
+    console.log(`\nResults written to ${options.out}`);
+  }
+  if (options.updateBaselines) {
+    console.log(`\nBaselines updated in ${BASELINE_DIR}`);
+  }
+
+  return regressions > 0 && !options.updateBaselines ? 1 : 0;
+}
+
+function parseArgs(args: string[]): CliOptions {
+  const options: CliOptions = { files: [], updateBaselines: false, verbose: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--out":
+        options.out = args[++i];
+        break;
+      case "--baseline":
+        options.baseline = args[++i];
+        break;
+      case "--update-baselines":
+        options.updateBaselines = true;
+        break;
+      case "--verbose":
+        options.verbose = true;
+        break;
+      default:
+        options.files.push(args[i]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read a results file: a single run (baselines) or a list of runs (--out)
+ */
+function readRuns(path: string): EvalRun[] {
+  const parsed = JSON.parse(readFileSync(path, "utf8"));
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+/**
+ * The pipeline logs every stage; keep the report readable unless asked for them
+ */
+async function withPipelineLogs<T>(verbose: boolean, run: () => Promise<T>): Promise<T> {
+  if (verbose) return run();
+
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+
+  try {
+    return await run();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+main().then(
+  code => process.exit(code),
+  error => {
+    console.error(error instanceof Error ? error.message : error);
+    process.exit(1);
+  }
+);
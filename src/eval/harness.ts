@@ -0,0 +1,130 @@
+/**
+ * Offline RAG evaluation harness.
+ *
+ * Runs each golden question through processAutoRAGPipeline with a stubbed AI
+ * binding (see stub-ai.ts) and scores the streamed answer and sources. Nothing
+ * leaves the machine, so prompt and `ragSettings` changes can be checked for
+ * regressions before deploying.
+ */
+
+import { ChatRequest, Env, RAGSource } from "../types";
+import { CONFIG } from "../config";
+import { createRequestContext, processAutoRAGPipeline } from "../pipeline";
+import { readChatEventStream } from "../sse";
+import { createStubAI } from "./stub-ai";
+import { AnswerObservation, scoreAnswer, summarizeScores } from "./scoring";
+import { EvalRun, GoldenQuestion, GoldenSet, QuestionScore, StubAICall } from "./types";
+
+/**
+ * Run every question of a golden set and score the answers
+ */
+export async function runEvaluation(set: GoldenSet): Promise<EvalRun> {
+  const startedAt = new Date().toISOString();
+  const scores: QuestionScore[] = [];
+
+  for (const question of set.questions) {
+    const observed = await runQuestion(set, question);
+    scores.push(scoreAnswer(question, observed));
+  }
+
+  return {
+    setName: set.name,
+    startedAt,
+    config: {
+      model: CONFIG.model,
+      pipelineMode: set.pipelineMode ?? CONFIG.pipelineMode,
+      ragSettings: { ...CONFIG.ragSettings, ...set.ragSettings },
+    },
+    summary: summarizeScores(scores),
+    questions: scores,
+  };
+}
+
+/**
+ * Check the shape of a parsed golden set file
+ */
+export function parseGoldenSet(value: unknown, source: string): GoldenSet {
+  const set = value as GoldenSet;
+
+  if (!set || typeof set !== "object" || typeof set.name !== "string" || !Array.isArray(set.questions)) {
+    throw new Error(`${source}: a golden set needs a name and a questions array`);
+  }
+
+  const ids = new Set<string>();
+  set.questions.forEach((question, position) => {
+    const label = `${source}: question ${question?.id ?? position + 1}`;
+
+    if (typeof question?.id !== "string" || typeof question.question !== "string") {
+      throw new Error(`${label} needs an id and a question`);
+    }
+    if (ids.has(question.id)) {
+      throw new Error(`${label} is defined twice`);
+    }
+    if (!Array.isArray(question.expectedSources) || !Array.isArray(question.expectedKeywords)) {
+      throw new Error(`${label} needs expectedSources and expectedKeywords arrays`);
+    }
+    if (!question.fixture || !Array.isArray(question.fixture.searchResults) || typeof question.fixture.completion !== "string") {
+      throw new Error(`${label} needs a fixture with searchResults and a completion`);
+    }
+
+    ids.add(question.id);
+  });
+
+  return set;
+}
+
+/**
+ * Send one question through the pipeline and collect its streamed events
+ */
+async function runQuestion(set: GoldenSet, question: GoldenQuestion): Promise<AnswerObservation> {
+  const calls: StubAICall[] = [];
+
+  // Only the AI binding is used when no conversationId is given
+  const env = { AI: createStubAI(question.fixture, calls) } as unknown as Env;
+
+  const chatRequest: ChatRequest = {
+    messages: [...(question.history ?? []), { role: "user", content: question.question }],
+    systemPrompt: set.systemPrompt,
+    ragSettings: { ...set.ragSettings, ...question.ragSettings },
+    pipelineMode: question.pipelineMode ?? set.pipelineMode,
+  };
+
+  const context = createRequestContext(chatRequest, `eval_${question.id}`, Date.now());
+  const observed: AnswerObservation = { answer: "", sources: [], fallbackUsed: false };
+
+  try {
+    const response = await processAutoRAGPipeline(chatRequest, context, env);
+
+    if (!response.ok || !response.body) {
+      return { ...observed, error: `Pipeline responded with ${response.status}` };
+    }
+
+    let sources: RAGSource[] = [];
+
+    for await (const event of readChatEventStream(response.body)) {
+      switch (event.event) {
+        case "sources":
+          sources = event.data.sources;
+          observed.fallbackUsed = event.data.fallbackUsed;
+          break;
+        case "token":
+          observed.answer += event.data.response;
+          break;
+        case "done":
+          observed.searchQuery = event.data.searchQuery?.standalone;
+          observed.promptTokens = event.data.usage?.promptTokens;
+          observed.fallbackUsed = !!event.data.fallbackUsed;
+          break;
+        case "error":
+          observed.error = event.data.error;
+          break;
+      }
+    }
+
+    observed.sources = sources;
+    return observed;
+
+  } catch (error) {
+    return { ...observed, error: error instanceof Error ? error.message : "Pipeline failed" };
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Run comparison and Markdown reports for the evaluation harness.
+ */
+
+import { EvalDiff, EvalMetric, EvalRun, QuestionDiff, QuestionScore } from "./types";
+
+const METRICS: EvalMetric[] = ["retrievalHitRate", "citationAccuracy", "keywordCoverage", "overall"];
+
+const METRIC_LABELS: Record<EvalMetric, string> = {
+  retrievalHitRate: "Retrieval hit rate",
+  citationAccuracy: "Citation accuracy",
+  keywordCoverage: "Keyword coverage",
+  overall: "Overall",
+};
+
+// Score changes smaller than this are treated as noise
+const DEFAULT_TOLERANCE = 0.001;
+
+/**
+ * Compare a run against a baseline run of the same golden set
+ */
+export function diffRuns(baseline: EvalRun, current: EvalRun, tolerance: number = DEFAULT_TOLERANCE): EvalDiff {
+  const baselineScores = new Map(baseline.questions.map(score => [score.id, score]));
+  const currentIds = new Set(current.questions.map(score => score.id));
+  const questions: QuestionDiff[] = [];
+
+  for (const score of current.questions) {
+    const previous = baselineScores.get(score.id);
+    questions.push(previous
+      ? compareScores(previous, score, tolerance)
+      : { id: score.id, status: "added", deltas: {} });
+  }
+
+  for (const score of baseline.questions) {
+    if (!currentIds.has(score.id)) {
+      questions.push({ id: score.id, status: "removed", deltas: {} });
+    }
+  }
+
+  return {
+    setName: current.setName,
+    baseline: baseline.summary,
+    current: current.summary,
+    questions,
+    regressions: questions.filter(question => question.status === "regressed").length,
+  };
+}
+
+/**
+ * Render a run, and its comparison with a baseline if given, as Markdown
+ */
+export function formatReport(run: EvalRun, diff?: EvalDiff): string {
+  const lines: string[] = [
+    `## ${run.setName}`,
+    "",
+    `Model \`${run.config.model}\`, pipeline \`${run.config.pipelineMode}\`, ` +
+      `${run.summary.questions} questions, ${run.summary.errors} errors`,
+    "",
+  ];
+
+  if (diff) {
+    lines.push("| Metric | Baseline | Current | Change |", "| --- | --- | --- | --- |");
+    for (const metric of METRICS) {
+      const change = diff.current[metric] - diff.baseline[metric];
+      lines.push(`| ${METRIC_LABELS[metric]} | ${formatScore(diff.baseline[metric])} | ${formatScore(diff.current[metric])} | ${formatDelta(change)} |`);
+    }
+  } else {
+    lines.push("| Metric | Score |", "| --- | --- |");
+    for (const metric of METRICS) {
+      lines.push(`| ${METRIC_LABELS[metric]} | ${formatScore(run.summary[metric])} |`);
+    }
+  }
+
+  lines.push("", "| Question | Retrieval | Citations | Keywords | Notes |", "| --- | --- | --- | --- | --- |");
+
+  const diffs = new Map(diff?.questions.map(question => [question.id, question]));
+  for (const score of run.questions) {
+    const questionDiff = diffs.get(score.id);
+    const cell = (metric: EvalMetric) => {
+      const delta = questionDiff?.deltas[metric];
+      return delta ? `${formatScore(score[metric])} (${formatDelta(delta)})` : formatScore(score[metric]);
+    };
+    lines.push(`| ${score.id}${questionDiff && questionDiff.status !== "unchanged" ? ` — ${questionDiff.status}` : ""} | ${cell("retrievalHitRate")} | ${cell("citationAccuracy")} | ${cell("keywordCoverage")} | ${describeProblems(score)} |`);
+  }
+
+  for (const question of diff?.questions ?? []) {
+    if (question.status === "removed") {
+      lines.push(`| ${question.id} — removed | | | | |`);
+    }
+  }
+
+  if (diff) {
+    lines.push("", diff.regressions > 0
+      ? `**${diff.regressions} question${diff.regressions !== 1 ? "s" : ""} regressed.**`
+      : "No regressions.");
+  }
+
+  return lines.join("\n");
+}
+
+function compareScores(previous: QuestionScore, current: QuestionScore, tolerance: number): QuestionDiff {
+  const deltas: QuestionDiff["deltas"] = {};
+
+  for (const metric of METRICS) {
+    const delta = current[metric] - previous[metric];
+    if (Math.abs(delta) > tolerance) {
+      deltas[metric] = delta;
+    }
+  }
+
+  const overall = deltas.overall ?? 0;
+  const anyDrop = Object.values(deltas).some(delta => delta < 0);
+
+  return {
+    id: current.id,
+    status: overall < 0 || (overall === 0 && anyDrop) ? "regressed" : overall > 0 ? "improved" : "unchanged",
+    deltas,
+  };
+}
+
+function describeProblems(score: QuestionScore): string {
+  const problems: string[] = [];
+
+  if (score.error) problems.push(`error: ${score.error}`);
+  if (score.fallbackUsed) problems.push("fallback used");
+  if (score.missingSources.length > 0) problems.push(`missing ${score.missingSources.join(", ")}`);
+  if (score.invalidCitations.length > 0) problems.push(`cites unretrieved ${score.invalidCitations.join(", ")}`);
+  if (score.unsupportedCitations.length > 0) problems.push(`cites unexpected ${score.unsupportedCitations.join(", ")}`);
+  if (score.missingKeywords.length > 0) problems.push(`lacks "${score.missingKeywords.join("\", \"")}"`);
+
+  return problems.join("; ").replace(/\|/g, "\\|");
+}
+
+function formatScore(value: number): string {
+  return value.toFixed(2);
+}
+
+function formatDelta(value: number): string {
+  return `${value > 0 ? "+" : ""}${value.toFixed(2)}`;
+}
@@ -0,0 +1,95 @@
+/**
+ * Scoring of pipeline answers against golden questions.
+ *
+ * - Retrieval hit rate: share of the expected source files that were retrieved
+ * - Citation accuracy: share of `[Document N]` citations that point at a
+ *   retrieved document which is also an expected source
+ * - Keyword coverage: share of the expected keywords found in the answer
+ */
+
+import { RAGSource } from "../types";
+import { EvalSummary, GoldenQuestion, QuestionScore } from "./types";
+
+// Same marker format the frontend turns into citation links
+const CITATION_PATTERN = /\[Document\s+(\d+)(?::[^\]]*)?\]/gi;
+
+/**
+ * Pipeline output for one question
+ */
+export interface AnswerObservation {
+  answer: string;
+  sources: RAGSource[];
+  searchQuery?: string;
+  promptTokens?: number;
+  fallbackUsed: boolean;
+  error?: string;
+}
+
+/**
+ * Score one answer against its golden question
+ */
+export function scoreAnswer(question: GoldenQuestion, observed: AnswerObservation): QuestionScore {
+  const expected = new Set(question.expectedSources);
+  const retrievedSources = [...new Set(observed.sources.map(source => source.filename))];
+  const missingSources = question.expectedSources.filter(filename => !retrievedSources.includes(filename));
+
+  const retrievalHitRate = expected.size > 0
+    ? (expected.size - missingSources.length) / expected.size
+    : 1;
+
+  const sourcesByIndex = new Map(observed.sources.map(source => [source.documentIndex, source]));
+  const citedDocuments = [...new Set(
+    [...observed.answer.matchAll(CITATION_PATTERN)].map(match => parseInt(match[1], 10))
+  )];
+  const invalidCitations = citedDocuments.filter(index => !sourcesByIndex.has(index));
+  const unsupportedCitations = citedDocuments.filter(index => {
+    const source = sourcesByIndex.get(index);
+    return source !== undefined && expected.size > 0 && !expected.has(source.filename);
+  });
+
+  // An answer that should draw on the knowledge base but cites nothing scores zero
+  const citationAccuracy = citedDocuments.length > 0
+    ? (citedDocuments.length - invalidCitations.length - unsupportedCitations.length) / citedDocuments.length
+    : expected.size > 0 ? 0 : 1;
+
+  const answer = observed.answer.toLowerCase();
+  const missingKeywords = question.expectedKeywords.filter(keyword => !answer.includes(keyword.toLowerCase()));
+  const keywordCoverage = question.expectedKeywords.length > 0
+    ? (question.expectedKeywords.length - missingKeywords.length) / question.expectedKeywords.length
+    : 1;
+
+  return {
+    id: question.id,
+    retrievalHitRate,
+    citationAccuracy,
+    keywordCoverage,
+    overall: observed.error ? 0 : (retrievalHitRate + citationAccuracy + keywordCoverage) / 3,
+    retrievedSources,
+    missingSources,
+    citedDocuments,
+    invalidCitations,
+    unsupportedCitations,
+    missingKeywords,
+    searchQuery: observed.searchQuery,
+    promptTokens: observed.promptTokens,
+    fallbackUsed: observed.fallbackUsed,
+    error: observed.error,
+  };
+}
+
+/**
+ * Average the scores of a run
+ */
+export function summarizeScores(scores: QuestionScore[]): EvalSummary {
+  const mean = (values: number[]) =>
+    values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+
+  return {
+    questions: scores.length,
+    retrievalHitRate: mean(scores.map(score => score.retrievalHitRate)),
+    citationAccuracy: mean(scores.map(score => score.citationAccuracy)),
+    keywordCoverage: mean(scores.map(score => score.keywordCoverage)),
+    overall: mean(scores.map(score => score.overall)),
+    errors: scores.filter(score => score.error).length,
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Stand-in for the Workers AI binding used by the evaluation harness.
+ *
+ * AutoRAG calls return the recorded search results of the question, ranked
+ * and filtered with the request's settings so that changes to `ragSettings`
+ * show up in the scores. Model calls return the canned completion.
+ */
+
+import {
+  Ai,
+  AiSearchOptions,
+  AiSearchResponse,
+  ChatMessage,
+  SearchFilter,
+  SearchOptions,
+  SearchResponse,
+  SearchResult,
+} from "../types";
+import { EvalFixture, StubAICall } from "./types";
+
+const encoder = new TextEncoder();
+
+// Words per streamed chunk of the canned completion
+const STREAM_CHUNK_WORDS = 8;
+
+// Prompt shape of the query condensation call in query.ts
+const FOLLOW_UP_PATTERN = /Follow-up question: ([\s\S]*)\n\nStandalone search query:$/;
+
+const STUB_SUMMARY = "Earlier turns discussed the same loss; no further details were recorded.";
+
+/**
+ * Create an AI binding that answers from a question's fixture, recording each call
+ */
+export function createStubAI(fixture: EvalFixture, calls: StubAICall[]): Ai {
+  return {
+    autorag(index: string) {
+      return {
+        async search(opts: SearchOptions): Promise<SearchResponse> {
+          calls.push({ kind: "search", query: opts.query });
+          return {
+            object: "vector_store.search_results.page",
+            search_query: opts.query,
+            data: selectResults(fixture.searchResults, opts),
+            has_more: false,
+            next_page: null,
+          };
+        },
+
+        async aiSearch(opts: AiSearchOptions): Promise<AiSearchResponse> {
+          calls.push({ kind: "aiSearch", model: opts.model, query: opts.query });
+          return {
+            object: "vector_store.search_results.page",
+            search_query: opts.query,
+            response: fixture.aiSearchResponse ?? fixture.completion,
+            data: selectResults(fixture.searchResults, opts),
+            has_more: false,
+            next_page: null,
+            model_used: opts.model,
+          };
+        },
+      };
+    },
+
+    async run(model, options, config) {
+      const messages: ChatMessage[] = options.messages ?? [];
+      calls.push({ kind: "run", model, stream: !!options.stream, messages });
+
+      if (options.stream) {
+        const body = createCompletionStream(fixture.completion, messages);
+        return config?.returnRawResponse ? new Response(body, { status: 200 }) : body;
+      }
+
+      // Non-streaming calls are query condensation or conversation summaries
+      const prompt = messages[messages.length - 1]?.content ?? "";
+      const followUp = prompt.match(FOLLOW_UP_PATTERN);
+      if (followUp) {
+        return { response: fixture.condensedQuery ?? followUp[1] };
+      }
+
+      return { response: STUB_SUMMARY };
+    },
+
+    // Only the health check looks models up, and evaluation never runs it
+    async models() {
+      return [];
+    },
+  };
+}
+
+/**
+ * Rank recorded results the way AutoRAG would for the given options
+ */
+function selectResults(results: SearchResult[], opts: SearchOptions | AiSearchOptions): SearchResult[] {
+  const threshold = opts.ranking_options?.score_threshold ?? 0;
+
+  return results
+    .filter(result => result.score >= threshold && matchesFilter(opts.filters, result.attributes))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, opts.max_num_results ?? results.length);
+}
+
+function matchesFilter(filter: SearchFilter | undefined, attributes: SearchResult["attributes"]): boolean {
+  if (!filter) return true;
+
+  if ("filters" in filter) {
+    return filter.type === "and"
+      ? filter.filters.every(child => matchesFilter(child, attributes))
+      : filter.filters.some(child => matchesFilter(child, attributes));
+  }
+
+  const actual = attributes?.[filter.key];
+  if (actual === undefined || actual === null) return filter.type === "ne";
+
+  switch (filter.type) {
+    case "eq": return actual === filter.value;
+    case "ne": return actual !== filter.value;
+    case "gt": return actual > filter.value;
+    case "gte": return actual >= filter.value;
+    case "lt": return actual < filter.value;
+    case "lte": return actual <= filter.value;
+  }
+}
+
+/**
+ * Workers AI style SSE stream of the canned completion, with usage in the last chunk
+ */
+function createCompletionStream(completion: string, messages: ChatMessage[]): ReadableStream<Uint8Array> {
+  const words = completion.split(/(?<=\s)/);
+  const lines: string[] = [];
+
+  for (let i = 0; i < words.length; i += STREAM_CHUNK_WORDS) {
+    lines.push(`data: ${JSON.stringify({ response: words.slice(i, i + STREAM_CHUNK_WORDS).join("") })}\n\n`);
+  }
+
+  const promptTokens = Math.ceil(messages.reduce((total, msg) => total + msg.content.length, 0) / 4);
+  const completionTokens = Math.ceil(completion.length / 4);
+  lines.push(`data: ${JSON.stringify({
+    response: "",
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    },
+  })}\n\n`);
+  lines.push("data: [DONE]\n\n");
+
+  return new ReadableStream<Uint8Array>({
+    start(controller) {
+      for (const line of lines) {
+        controller.enqueue(encoder.encode(line));
+      }
+      controller.close();
+    },
+  });
+}
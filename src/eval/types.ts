@@ -0,0 +1,122 @@
+/**
+ * Type definitions for the offline RAG evaluation harness.
+ */
+
+import { ChatMessage, ChatRequest, PipelineMode, RAGConfig, SearchResult } from "../types";
+
+/**
+ * Recorded AutoRAG results and canned model output for one golden question
+ */
+export interface EvalFixture {
+  searchResults: SearchResult[];
+  completion: string;
+  condensedQuery?: string;
+  aiSearchResponse?: string;
+}
+
+/**
+ * A question with the sources and answer content it is expected to produce
+ */
+export interface GoldenQuestion {
+  id: string;
+  question: string;
+  history?: ChatMessage[];
+  ragSettings?: ChatRequest["ragSettings"];
+  pipelineMode?: PipelineMode;
+  expectedSources: string[];
+  expectedKeywords: string[];
+  fixture: EvalFixture;
+}
+
+/**
+ * A golden question file; set-level settings apply to every question
+ */
+export interface GoldenSet {
+  name: string;
+  description?: string;
+  systemPrompt?: string;
+  ragSettings?: ChatRequest["ragSettings"];
+  pipelineMode?: PipelineMode;
+  questions: GoldenQuestion[];
+}
+
+/**
+ * A call made to the stubbed AI binding
+ */
+export interface StubAICall {
+  kind: "search" | "aiSearch" | "run";
+  model?: string;
+  query?: string;
+  stream?: boolean;
+  messages?: ChatMessage[];
+}
+
+/**
+ * Scores and diagnostics for one golden question
+ */
+export interface QuestionScore {
+  id: string;
+  retrievalHitRate: number;
+  citationAccuracy: number;
+  keywordCoverage: number;
+  overall: number;
+  retrievedSources: string[];
+  missingSources: string[];
+  citedDocuments: number[];
+  invalidCitations: number[];
+  unsupportedCitations: number[];
+  missingKeywords: string[];
+  searchQuery?: string;
+  promptTokens?: number;
+  fallbackUsed: boolean;
+  error?: string;
+}
+
+/**
+ * Averages over all questions of a run
+ */
+export interface EvalSummary {
+  questions: number;
+  retrievalHitRate: number;
+  citationAccuracy: number;
+  keywordCoverage: number;
+  overall: number;
+  errors: number;
+}
+
+/**
+ * Result of running a golden set through the pipeline
+ */
+export interface EvalRun {
+  setName: string;
+  startedAt: string;
+  config: {
+    model: string;
+    pipelineMode: PipelineMode;
+    ragSettings: Omit<RAGConfig, "index">;
+  };
+  summary: EvalSummary;
+  questions: QuestionScore[];
+}
+
+export type EvalMetric = "retrievalHitRate" | "citationAccuracy" | "keywordCoverage" | "overall";
+
+/**
+ * Change of one question between two runs
+ */
+export interface QuestionDiff {
+  id: string;
+  status: "improved" | "regressed" | "unchanged" | "added" | "removed";
+  deltas: Partial<Record<EvalMetric, number>>;
+}
+
+/**
+ * Comparison of a run against a baseline run of the same set
+ */
+export interface EvalDiff {
+  setName: string;
+  baseline: EvalSummary;
+  current: EvalSummary;
+  questions: QuestionDiff[];
+  regressions: number;
+}
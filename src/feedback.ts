@@ -0,0 +1,257 @@
+/**
+ * Answer feedback and the knowledge-gap report.
+ *
+ * Every completed answer is recorded in the FEEDBACK KV namespace with what it
+ * was based on: the question, the search query, the retrieved sources and
+ * their scores, and whether the fallback was used. Users rate answers by
+ * request id through POST /api/feedback, and questions no document was found
+ * for are logged as knowledge gaps. GET /api/feedback/report (admin only)
+ * aggregates down-rated answers and unanswered questions, so that missing
+ * SOPs and guidelines can be added to the index. Everything expires after
+ * `CONFIG.feedback.retentionDays`.
+ */
+
+import {
+  AnswerRecord,
+  AuthenticatedUser,
+  ChatResponseMetadata,
+  Env,
+  FeedbackRating,
+  FeedbackRecord,
+  FeedbackReport,
+  KnowledgeGap,
+  RAGSource,
+  RequestContext,
+} from "./types";
+import { CONFIG } from "./config";
+import { requireAdmin } from "./auth";
+import { normalizeQuery } from "./cache";
+import { createErrorResponse, createJSONResponse } from "./http";
+
+const ANSWER_PREFIX = "answer:";
+const FEEDBACK_PREFIX = "feedback:";
+const GAP_PREFIX = "gap:";
+const REQUEST_ID_PATTERN = /^req_\d+_[0-9a-z]+$/;
+const FEEDBACK_RATINGS: FeedbackRating[] = ["up", "down"];
+// KV metadata is limited to 1024 bytes
+const MAX_GAP_QUERY_LENGTH = 300;
+const DEFAULT_REPORT_DAYS = 30;
+
+interface FeedbackKeyMetadata {
+  rating: FeedbackRating;
+  createdAt: string;
+}
+
+interface GapKeyMetadata {
+  query: string;
+  askedAt: string;
+}
+
+/**
+ * Record what a completed answer was based on; questions without any matching document are logged as gaps
+ */
+export async function recordAnswer(
+  env: Env,
+  context: RequestContext,
+  metadata: ChatResponseMetadata,
+  sources: RAGSource[]
+): Promise<void> {
+  if (!env.FEEDBACK) return;
+
+  const searchQuery = metadata.searchQuery?.condensed ? metadata.searchQuery.standalone : undefined;
+  const record: AnswerRecord = {
+    requestId: context.requestId,
+    userId: context.userId,
+    conversationId: context.conversationId,
+    query: context.userMessage,
+    searchQuery,
+    pipelineMode: metadata.pipelineMode ?? context.pipelineMode,
+    modelUsed: metadata.modelUsed,
+    documentsFound: metadata.documentsFound,
+    averageRelevanceScore: metadata.averageRelevanceScore,
+    fallbackUsed: !!metadata.fallbackUsed,
+    stopped: metadata.stopped,
+    sources: sources.map(({ documentIndex, filename, folder, score }) => ({ documentIndex, filename, folder, score })),
+    answeredAt: new Date().toISOString(),
+  };
+  const expirationTtl = getRetentionSeconds();
+
+  try {
+    await env.FEEDBACK.put(`${ANSWER_PREFIX}${record.requestId}`, JSON.stringify(record), { expirationTtl });
+
+    // A failed search is not a gap in the knowledge base
+    if (record.documentsFound === 0 && !record.fallbackUsed) {
+      const gap: GapKeyMetadata = {
+        query: (searchQuery ?? record.query).substring(0, MAX_GAP_QUERY_LENGTH),
+        askedAt: record.answeredAt,
+      };
+      await env.FEEDBACK.put(`${GAP_PREFIX}${record.requestId}`, "", { expirationTtl, metadata: gap });
+    }
+  } catch (error) {
+    console.error(`[${record.requestId}] Failed to record answer:`, error);
+  }
+}
+
+/**
+ * Handle POST /api/feedback: rate an answer by its request id, with an optional comment
+ */
+export async function handleFeedbackRequest(request: Request, env: Env, user: AuthenticatedUser): Promise<Response> {
+  if (request.method !== "POST") {
+    return createErrorResponse("Method not allowed", 405);
+  }
+  if (!env.FEEDBACK) {
+    return createErrorResponse("Feedback is not configured", 503);
+  }
+
+  try {
+    const body = await request.json<{ requestId?: unknown; rating?: unknown; comment?: unknown }>();
+    const errors: string[] = [];
+
+    if (typeof body?.requestId !== "string" || !REQUEST_ID_PATTERN.test(body.requestId)) {
+      errors.push("requestId must be the request id of an answer");
+    }
+    if (!FEEDBACK_RATINGS.includes(body?.rating as FeedbackRating)) {
+      errors.push(`rating must be one of: ${FEEDBACK_RATINGS.join(", ")}`);
+    }
+    if (body?.comment !== undefined && (typeof body.comment !== "string" || body.comment.length > CONFIG.feedback.maxCommentLength)) {
+      errors.push(`comment must be a string of at most ${CONFIG.feedback.maxCommentLength} characters`);
+    }
+    if (errors.length > 0) {
+      return createErrorResponse(`Invalid request: ${errors.join(", ")}`, 400);
+    }
+
+    const requestId = body.requestId as string;
+    const answer = await env.FEEDBACK.get<AnswerRecord>(`${ANSWER_PREFIX}${requestId}`, "json");
+    // Users can only rate their own answers
+    if (!answer || (answer.userId && answer.userId !== user.userId)) {
+      return createErrorResponse("Answer not found", 404);
+    }
+
+    const record: FeedbackRecord = {
+      requestId,
+      rating: body.rating as FeedbackRating,
+      comment: (body.comment as string | undefined)?.trim() || undefined,
+      userId: user.userId,
+      createdAt: new Date().toISOString(),
+      answer,
+    };
+    const metadata: FeedbackKeyMetadata = { rating: record.rating, createdAt: record.createdAt };
+
+    await env.FEEDBACK.put(`${FEEDBACK_PREFIX}${requestId}`, JSON.stringify(record), {
+      expirationTtl: getRetentionSeconds(),
+      metadata,
+    });
+
+    console.log(`[${requestId}] Answer rated ${record.rating} by user ${user.userId}`);
+    return createJSONResponse({ feedback: record }, 201);
+
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return createErrorResponse("Invalid request: malformed JSON body", 400);
+    }
+    console.error("Feedback request failed:", error);
+    return createErrorResponse("Internal server error occurred", 500);
+  }
+}
+
+/**
+ * Handle GET /api/feedback/report?days=30 (admin only)
+ */
+export async function handleFeedbackReportRequest(request: Request, env: Env, url: URL): Promise<Response> {
+  const denied = await requireAdmin(request, env, "The feedback report");
+  if (denied) return denied;
+
+  if (request.method !== "GET") {
+    return createErrorResponse("Method not allowed", 405);
+  }
+  if (!env.FEEDBACK) {
+    return createErrorResponse("Feedback is not configured", 503);
+  }
+
+  const days = parseInt(url.searchParams.get("days") || String(DEFAULT_REPORT_DAYS), 10);
+  if (!Number.isFinite(days) || days < 1 || days > CONFIG.feedback.retentionDays) {
+    return createErrorResponse(`Invalid request: days must be from 1 to ${CONFIG.feedback.retentionDays}`, 400);
+  }
+
+  try {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    return createJSONResponse({ report: await buildFeedbackReport(env.FEEDBACK, since) });
+  } catch (error) {
+    console.error("Feedback report failed:", error);
+    return createErrorResponse("Internal server error occurred", 500);
+  }
+}
+
+async function buildFeedbackReport(kv: KVNamespace, since: string): Promise<FeedbackReport> {
+  const limit = CONFIG.feedback.reportLimit;
+
+  // Ratings and gaps are counted from key metadata; only down-rated answers are read in full
+  const ratings = (await listKeys<FeedbackKeyMetadata>(kv, FEEDBACK_PREFIX))
+    .filter(key => key.metadata && key.metadata.createdAt >= since);
+  const downKeys = ratings
+    .filter(key => key.metadata!.rating === "down")
+    .sort((a, b) => b.metadata!.createdAt.localeCompare(a.metadata!.createdAt));
+  const up = ratings.length - downKeys.length;
+
+  // Each read is a subrequest, so only the newest `limit` records are read
+  const lowRated = (await Promise.all(downKeys.slice(0, limit).map(key => kv.get<FeedbackRecord>(key.name, "json"))))
+    .filter((record): record is FeedbackRecord => record !== null);
+
+  const sourceCounts = new Map<string, { filename: string; folder?: string; count: number }>();
+  for (const record of lowRated) {
+    for (const source of record.answer.sources) {
+      const key = `${source.folder ?? ""}${source.filename}`;
+      const entry = sourceCounts.get(key) ?? { filename: source.filename, folder: source.folder, count: 0 };
+      entry.count++;
+      sourceCounts.set(key, entry);
+    }
+  }
+
+  const gaps = new Map<string, KnowledgeGap>();
+  for (const key of await listKeys<GapKeyMetadata>(kv, GAP_PREFIX)) {
+    if (!key.metadata || key.metadata.askedAt < since) continue;
+
+    const normalized = normalizeQuery(key.metadata.query);
+    const gap = gaps.get(normalized);
+    if (!gap) {
+      gaps.set(normalized, { query: key.metadata.query, count: 1, lastAskedAt: key.metadata.askedAt });
+    } else {
+      gap.count++;
+      if (key.metadata.askedAt > gap.lastAskedAt) {
+        gap.query = key.metadata.query;
+        gap.lastAskedAt = key.metadata.askedAt;
+      }
+    }
+  }
+
+  return {
+    since,
+    ratings: {
+      up,
+      down: downKeys.length,
+      satisfaction: ratings.length > 0 ? up / ratings.length : null,
+    },
+    lowRated,
+    unansweredQueries: [...gaps.values()]
+      .sort((a, b) => b.count - a.count || b.lastAskedAt.localeCompare(a.lastAskedAt))
+      .slice(0, limit),
+    lowRatedSources: [...sourceCounts.values()].sort((a, b) => b.count - a.count).slice(0, limit),
+  };
+}
+
+async function listKeys<Metadata>(kv: KVNamespace, prefix: string): Promise<KVNamespaceListKey<Metadata>[]> {
+  const keys: KVNamespaceListKey<Metadata>[] = [];
+  let cursor: string | undefined;
+
+  do {
+    const page = await kv.list<Metadata>({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  return keys;
+}
+
+function getRetentionSeconds(): number {
+  return CONFIG.feedback.retentionDays * 24 * 60 * 60;
+}
@@ -0,0 +1,16 @@
+/**
+ * SHA-256 hex digests, shared by API key hashes, cache keys and document
+ * duplicate checks.
+ */
+
+/**
+ * Hex SHA-256 digest of a string (as UTF-8) or of raw bytes
+ */
+export async function sha256Hex(value: string | ArrayBuffer): Promise<string> {
+  const data = typeof value === "string" ? new TextEncoder().encode(value) : value;
+  return toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", data)));
+}
+
+export function toHex(bytes: Uint8Array): string {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
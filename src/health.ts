@@ -0,0 +1,117 @@
+/**
+ * Health and readiness of the answer pipeline.
+ *
+ * GET /api/health is a public liveness check for load balancers and uptime
+ * checks: it touches no bindings and names no model or index.
+ *
+ * GET /api/health/details needs an authenticated user. It looks the default
+ * model up in the Workers AI catalog, which checks the `AI` binding without
+ * running inference, and runs a one-result search against
+ * `CONFIG.autoragIndex`, reporting the availability and latency of each. A
+ * failed search leaves the service `degraded` (answers fall back to general
+ * knowledge) and a failed model lookup leaves it `down`, answered with a 503.
+ * Finished reports are reused for `CONFIG.health.cacheSeconds` per isolate.
+ */
+
+import { Env, HealthCheck, HealthReport, LivenessReport } from "./types";
+import { CONFIG } from "./config";
+import { createErrorResponse, createJSONResponse } from "./http";
+
+let lastReport: { report: HealthReport; expiresAt: number } | null = null;
+
+/**
+ * Handle GET /api/health; answering at all means the Worker is up
+ */
+export function handleHealthRequest(request: Request): Response {
+  if (request.method !== "GET") {
+    return createErrorResponse("Method not allowed", 405);
+  }
+
+  const health: LivenessReport = { status: "ok", checkedAt: new Date().toISOString() };
+  const response = createJSONResponse({ health });
+  response.headers.set("Cache-Control", "no-store");
+  return response;
+}
+
+/**
+ * Handle GET /api/health/details for an authenticated user
+ */
+export async function handleHealthDetailsRequest(request: Request, env: Env): Promise<Response> {
+  if (request.method !== "GET") {
+    return createErrorResponse("Method not allowed", 405);
+  }
+
+  // Only finished reports are shared: a request cannot await I/O started by another,
+  // so concurrent misses each run their own probes
+  let report = lastReport && lastReport.expiresAt > Date.now() ? lastReport.report : null;
+  if (!report) {
+    report = await checkHealth(env);
+    lastReport = { report, expiresAt: Date.now() + CONFIG.health.cacheSeconds * 1000 };
+  }
+
+  const response = createJSONResponse({ health: report }, report.status === "down" ? 503 : 200);
+  response.headers.set("Cache-Control", "no-store");
+  return response;
+}
+
+async function checkHealth(env: Env): Promise<HealthReport> {
+  let documentsFound: number | undefined;
+
+  const [model, knowledgeBase] = await Promise.all([
+    probe(async () => {
+      const models = await env.AI.models({ search: CONFIG.model.slice(CONFIG.model.lastIndexOf("/") + 1) });
+      if (!models.some(model => model.name === CONFIG.model)) {
+        throw new Error("The model is not in the Workers AI catalog");
+      }
+    }),
+    probe(async () => {
+      const result = await env.AI.autorag(CONFIG.autoragIndex).search({
+        query: CONFIG.health.probeQuery,
+        max_num_results: 1,
+        rewrite_query: false,
+      });
+      if (!Array.isArray(result?.data)) {
+        throw new Error("AutoRAG returned an invalid response");
+      }
+      documentsFound = result.data.length;
+    }),
+  ]);
+
+  const report: HealthReport = {
+    status: model.status === "down" ? "down" : knowledgeBase.status === "down" ? "degraded" : "ok",
+    checkedAt: new Date().toISOString(),
+    model: { ...model, name: CONFIG.model },
+    knowledgeBase: { ...knowledgeBase, index: CONFIG.autoragIndex, documentsFound },
+  };
+
+  if (report.status !== "ok") {
+    console.warn("Health check failed:", report);
+  }
+  return report;
+}
+
+/**
+ * Time a probe, failing it when it throws or takes longer than `CONFIG.health.timeoutMs`
+ */
+async function probe(check: () => Promise<void>): Promise<HealthCheck> {
+  const start = Date.now();
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  try {
+    const timeout = new Promise<never>((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${CONFIG.health.timeoutMs}ms`)), CONFIG.health.timeoutMs);
+    });
+    await Promise.race([check(), timeout]);
+    return { status: "ok", latencyMs: Date.now() - start };
+
+  } catch (error) {
+    return {
+      status: "down",
+      latencyMs: Date.now() - start,
+      error: error instanceof Error ? error.message : "Unknown error",
+    };
+
+  } finally {
+    clearTimeout(timer);
+  }
+}
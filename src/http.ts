@@ -0,0 +1,104 @@
+/**
+ * HTTP response helpers shared by the Worker routes.
+ *
+ * CORS headers are not added here: the router adds them to every API response
+ * for origins that pass getAllowedOrigin.
+ */
+
+import { Env } from "./types";
+
+const CORS_ALLOWED_METHODS = "GET, POST, PUT, PATCH, DELETE, OPTIONS";
+const CORS_ALLOWED_HEADERS = "Content-Type, Authorization";
+const CORS_EXPOSED_HEADERS = [
+  "X-Request-ID",
+  "Retry-After",
+  "X-RateLimit-Limit",
+  "X-RateLimit-Remaining",
+  "X-Token-Quota-Remaining",
+  "X-Cache",
+].join(", ");
+
+export function createEventStreamResponse(
+  stream: ReadableStream<Uint8Array>,
+  requestId: string
+): Response {
+  const headers = new Headers({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Request-ID": requestId,
+  });
+
+  return new Response(stream, { headers });
+}
+
+/**
+ * The request's Origin if it may call the API: the Worker's own origin or one
+ * listed in ALLOWED_ORIGINS. Returns null for disallowed or missing origins.
+ */
+export function getAllowedOrigin(request: Request, env: Env): string | null {
+  const origin = request.headers.get("Origin");
+  if (!origin) return null;
+
+  if (origin === new URL(request.url).origin) return origin;
+
+  const allowed = (env.ALLOWED_ORIGINS ?? "")
+    .split(",")
+    .map(entry => entry.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+
+  return allowed.includes(origin) ? origin : null;
+}
+
+export function createCORSResponse(origin: string): Response {
+  const headers = new Headers({
+    "Access-Control-Max-Age": "86400",
+  });
+  addCORSHeaders(headers, origin);
+
+  return new Response(null, { status: 204, headers });
+}
+
+export function addCORSHeaders(headers: Headers, origin: string): void {
+  headers.set("Access-Control-Allow-Origin", origin);
+  headers.set("Access-Control-Allow-Credentials", "true");
+  headers.set("Access-Control-Allow-Methods", CORS_ALLOWED_METHODS);
+  headers.set("Access-Control-Allow-Headers", CORS_ALLOWED_HEADERS);
+  headers.set("Access-Control-Expose-Headers", CORS_EXPOSED_HEADERS);
+  headers.append("Vary", "Origin");
+}
+
+export function createJSONResponse(
+  body: unknown,
+  status: number = 200
+): Response {
+  const headers = new Headers({
+    "Content-Type": "application/json",
+  });
+
+  return new Response(JSON.stringify(body), {
+    status,
+    headers,
+  });
+}
+
+export function createErrorResponse(
+  message: string,
+  status: number = 500,
+  details?: any
+): Response {
+  const response = {
+    error: message,
+    details: details ? JSON.stringify(details, null, 2) : undefined,
+    timestamp: new Date().toISOString(),
+  };
+
+  const headers = new Headers({
+    "Content-Type": "application/json",
+  });
+
+  return new Response(JSON.stringify(response), {
+    status,
+    headers,
+  });
+}
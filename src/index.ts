@@ -1,37 +1,62 @@
 /**
  * AutoRAG Chat Application Backend
  * 
- * Implements Option B: Custom AutoRAG + LLM Pipeline
- * Workflow: Query → AutoRAG Search → Context Building → Enhanced System Prompt → LLM Generation → Streamed Response
+ * Routes API requests; the answer pipeline itself lives in pipeline.ts.
+ * API routes other than /api/session and /api/health need an API key or a session cookie
+ * (see auth.ts); /api/keys, /api/cache, /api/feedback/report, /api/metrics and
+ * /api/documents take the admin token instead.
+ *
+ * Responses are Server-Sent Events: a `sources` event with the retrieved documents,
+ * `token` events with generated text, and a final `done` event with timings and usage.
+ * Requests with `stream: false` get the same answer as one ChatResponse JSON.
  *
  * @license MIT
  */
 
 import {
-  Env,
-  ChatMessage,
+  AuthenticatedUser,
   ChatRequest,
-  SearchOptions,
-  SearchResponse,
-  SearchResult,
-  RAGContext,
-  EnhancedSystemPrompt,
+  ChatResponse,
+  Env,
+  MessageVersion,
   ProcessingError,
   RequestContext,
-  ChatResponseMetadata,
-  ValidationResult,
-  DEFAULT_CONFIG,
-  ERROR_MESSAGES,
-  isChatRequest,
-  isSearchResult,
-  isErrorResponse,
 } from "./types";
+import {
+  addCORSHeaders,
+  createCORSResponse,
+  createErrorResponse,
+  createJSONResponse,
+  getAllowedOrigin,
+} from "./http";
+import { authenticateRequest, handleApiKeysRequest, handleSessionRequest } from "./auth";
+import {
+  getOwnedConversationStub,
+  getPreviousVersions,
+  handleConversationsRequest,
+} from "./conversations";
+import { handlePresetsRequest } from "./presets";
+import { handleModelsRequest } from "./models";
+import { handleOpenAIRequest } from "./openai";
+import { handleCacheRequest } from "./cache";
+import { handleFeedbackReportRequest, handleFeedbackRequest } from "./feedback";
+import { formatServerTiming, handleMetricsRequest } from "./metrics";
+import { handleHealthDetailsRequest, handleHealthRequest } from "./health";
+import { handleSearchRequest } from "./search";
+import { handleDocumentsRequest } from "./documents";
+import { validateChatRequest } from "./validation";
+import { describeChatImages, withImageDescriptions } from "./vision";
+import { addRateLimitHeaders, checkRateLimit, createRateLimitResponse } from "./rate-limit";
+import { CONFIG } from "./config";
+import {
+  createRequestContext,
+  generateRequestId,
+  processAutoRAGPipeline,
+} from "./pipeline";
+import { collectChatEventStream } from "./sse";
 
-// Application configuration
-const CONFIG = {
-  ...DEFAULT_CONFIG,
-  // Override any defaults here if needed
-};
+export { ConversationIndex, ConversationStore } from "./conversation-store";
+export { RateLimiter } from "./rate-limiter";
 
 export default {
   /**
@@ -44,554 +69,325 @@ export default {
   ): Promise<Response> {
     const url = new URL(request.url);
 
-    // Handle CORS preflight requests
-    if (request.method === "OPTIONS") {
-      return createCORSResponse();
-    }
-
     // Handle static assets (frontend)
-    if (url.pathname === "/" || !url.pathname.startsWith("/api/")) {
+    if (url.pathname === "/" || !isAPIPath(url.pathname)) {
       return env.ASSETS.fetch(request);
     }
 
-    // API Routes
-    if (url.pathname === "/api/chat") {
-      if (request.method === "POST") {
-        return handleChatRequest(request, env, ctx);
-      }
-      return createErrorResponse("Method not allowed", 405);
+    // Browsers send an Origin on cross-origin and on most same-origin API calls;
+    // only the Worker's own origin and ALLOWED_ORIGINS may call the API
+    const allowedOrigin = getAllowedOrigin(request, env);
+    if (request.headers.has("Origin") && !allowedOrigin) {
+      return createErrorResponse("Origin not allowed", 403);
+    }
+
+    // Handle CORS preflight requests
+    if (request.method === "OPTIONS") {
+      return allowedOrigin ? createCORSResponse(allowedOrigin) : new Response(null, { status: 204 });
     }
 
-    // Handle 404 for unmatched routes
-    return createErrorResponse("Not found", 404);
+    const response = await handleAPIRequest(request, env, ctx, url);
+    if (allowedOrigin) {
+      addCORSHeaders(response.headers, allowedOrigin);
+    }
+    return response;
   },
 } satisfies ExportedHandler<Env>;
 
+function isAPIPath(pathname: string): boolean {
+  return pathname.startsWith("/api/") || pathname.startsWith("/v1/");
+}
+
 /**
- * Handles chat API requests with AutoRAG + LLM pipeline
+ * Route an API request; everything but sign-in, health and the admin routes needs an authenticated user
  */
-async function handleChatRequest(
+async function handleAPIRequest(
   request: Request,
   env: Env,
   ctx: ExecutionContext,
+  url: URL,
 ): Promise<Response> {
-  const startTime = Date.now();
-  const requestId = generateRequestId();
-  
-  try {
-    // Parse and validate request
-    const body = await request.json();
-    const validation = validateChatRequest(body);
-    
-    if (!validation.valid) {
-      console.error(`[${requestId}] Validation failed:`, validation.errors);
-      return createErrorResponse(
-        `Invalid request: ${validation.errors.join(", ")}`,
-        400
-      );
-    }
-
-    const chatRequest = validation.sanitizedInput!;
-    const requestContext: RequestContext = {
-      userMessage: getUserMessage(chatRequest.messages),
-      systemPrompt: chatRequest.systemPrompt,
-      ragSettings: {
-        ...CONFIG.ragSettings,
-        ...chatRequest.ragSettings,
-        index: CONFIG.autoragIndex,
-      },
-      startTime,
-      requestId,
-    };
-
-    console.log(`[${requestId}] Processing chat request:`, {
-      userMessage: requestContext.userMessage.substring(0, 100) + "...",
-      hasSystemPrompt: !!requestContext.systemPrompt,
-      ragSettings: requestContext.ragSettings,
-    });
-
-    // Execute the AutoRAG + LLM pipeline
-    const response = await processAutoRAGPipeline(
-      chatRequest,
-      requestContext,
-      env
-    );
-
-    return response;
-
-  } catch (error) {
-    console.error(`[${requestId}] Fatal error in chat request:`, error);
-    
-    const processingError: ProcessingError = {
-      stage: "validation",
-      message: error instanceof Error ? error.message : "Unknown error",
-      details: error instanceof Error ? error.stack : undefined,
-      context: {
-        userMessage: "Unknown",
-        ragSettings: CONFIG.ragSettings,
-        startTime,
-        requestId,
-      },
-      recoverable: false,
-    };
-
-    return createErrorResponse(
-      "Internal server error occurred",
-      500,
-      processingError
-    );
+  if (url.pathname === "/api/session") {
+    return handleSessionRequest(request, env);
   }
-}
 
-/**
- * Main AutoRAG + LLM processing pipeline
- */
-async function processAutoRAGPipeline(
-  chatRequest: ChatRequest,
-  context: RequestContext,
-  env: Env
-): Promise<Response> {
-  const { requestId } = context;
-  
-  try {
-    // Step 1: Search AutoRAG for relevant context
-    console.log(`[${requestId}] Step 1: Searching AutoRAG...`);
-    const ragSearchStart = Date.now();
-    
-    const ragContext = await searchAutoRAG(
-      context.userMessage,
-      context.ragSettings,
-      env
-    );
-    
-    const ragSearchTime = Date.now() - ragSearchStart;
-    console.log(`[${requestId}] AutoRAG search completed in ${ragSearchTime}ms`, {
-      documentsFound: ragContext.documentCount,
-      averageScore: ragContext.averageScore,
-      hasContext: ragContext.hasContext,
-    });
-
-    // Step 2: Build enhanced system prompt with RAG context
-    console.log(`[${requestId}] Step 2: Building enhanced system prompt...`);
-    const contextBuildStart = Date.now();
-    
-    const enhancedPrompt = buildEnhancedSystemPrompt({
-      basePrompt: context.systemPrompt || CONFIG.defaultSystemPrompt,
-      ragContext,
-      includeInstructions: true,
-    });
-    
-    const contextBuildTime = Date.now() - contextBuildStart;
-    console.log(`[${requestId}] System prompt enhanced in ${contextBuildTime}ms`, {
-      hasRAGContext: enhancedPrompt.hasRAGContext,
-      tokenEstimate: enhancedPrompt.tokenEstimate,
-    });
+  if (url.pathname === "/api/health") {
+    return handleHealthRequest(request);
+  }
 
-    // Step 3: Prepare messages for LLM
-    const enhancedMessages: ChatMessage[] = [
-      { role: "system", content: enhancedPrompt.prompt },
-      ...chatRequest.messages.filter(msg => msg.role !== "system")
-    ];
+  if (url.pathname === "/api/keys" || url.pathname.startsWith("/api/keys/")) {
+    return handleApiKeysRequest(request, env, url);
+  }
 
-    // Step 4: Generate response using LLM with enhanced context
-    console.log(`[${requestId}] Step 3: Generating LLM response...`);
-    const llmStart = Date.now();
-    
-    const response = await generateLLMResponse(
-      enhancedMessages,
-      context,
-      env
-    );
-    
-    const llmTime = Date.now() - llmStart;
-    console.log(`[${requestId}] LLM generation completed in ${llmTime}ms`);
-
-    // Add performance headers
-    const headers = new Headers(response.headers);
-    headers.set("X-Processing-Time", `${Date.now() - context.startTime}ms`);
-    headers.set("X-RAG-Documents", ragContext.documentCount.toString());
-    headers.set("X-RAG-Average-Score", ragContext.averageScore.toFixed(3));
-    headers.set("X-Request-ID", requestId);
-
-    return new Response(response.body, {
-      status: response.status,
-      statusText: response.statusText,
-      headers,
-    });
+  if (url.pathname === "/api/cache") {
+    return handleCacheRequest(request, env);
+  }
 
-  } catch (error) {
-    console.error(`[${requestId}] Pipeline error:`, error);
-    
-    const processingError: ProcessingError = {
-      stage: "llm",
-      message: error instanceof Error ? error.message : "Pipeline processing failed",
-      details: error instanceof Error ? error.stack : undefined,
-      context,
-      recoverable: true,
-      fallbackAction: "Use general knowledge without RAG context",
-    };
+  if (url.pathname === "/api/feedback/report") {
+    return handleFeedbackReportRequest(request, env, url);
+  }
 
-    // Try fallback: Generate response without RAG context
-    return handlePipelineFailure(chatRequest, processingError, env);
+  if (url.pathname === "/api/metrics") {
+    return handleMetricsRequest(request, env, url);
   }
-}
 
-/**
- * Search AutoRAG for relevant context
- */
-async function searchAutoRAG(
-  query: string,
-  ragSettings: any,
-  env: Env
-): Promise<RAGContext> {
-  try {
-    const searchOptions: SearchOptions = {
-      query,
-      max_num_results: ragSettings.maxResults,
-      ranking_options: {
-        score_threshold: ragSettings.scoreThreshold,
-      },
-      rewrite_query: ragSettings.rewriteQuery,
-    };
+  if (url.pathname === "/api/documents" || url.pathname.startsWith("/api/documents/")) {
+    return handleDocumentsRequest(request, env, url);
+  }
 
-    console.log("AutoRAG search options:", searchOptions);
+  // The OpenAI-compatible routes authenticate themselves to answer in OpenAI's error format
+  if (url.pathname.startsWith("/v1/")) {
+    return handleOpenAIRequest(request, env, ctx, url);
+  }
 
-    const searchResult = await env.AI.autorag(ragSettings.index).search(searchOptions);
-    
-    console.log("AutoRAG search raw result:", {
-      resultType: typeof searchResult,
-      hasData: !!searchResult?.data,
-      dataLength: searchResult?.data?.length || 0,
-    });
+  const user = await authenticateRequest(request, env);
+  if (!user) {
+    return createErrorResponse("Authentication required", 401);
+  }
 
-    if (!searchResult || !searchResult.data || !Array.isArray(searchResult.data)) {
-      console.warn("AutoRAG returned invalid response structure:", searchResult);
-      return createEmptyRAGContext();
+  // API Routes
+  if (url.pathname === "/api/chat") {
+    if (request.method === "POST") {
+      return handleChatRequest(request, env, ctx, user);
     }
-
-    return buildRAGContext(searchResult);
-
-  } catch (error) {
-    console.error("AutoRAG search failed:", error);
-    
-    // Return empty context instead of throwing
-    return createEmptyRAGContext();
+    return createErrorResponse("Method not allowed", 405);
   }
-}
 
-/**
- * Build RAG context from search results
- */
-function buildRAGContext(searchResult: SearchResponse): RAGContext {
-  const documents = searchResult.data;
-  
-  if (!documents || documents.length === 0) {
-    return createEmptyRAGContext();
+  if (url.pathname === "/api/conversations" || url.pathname.startsWith("/api/conversations/")) {
+    return handleConversationsRequest(request, env, url, user);
   }
 
-  // Extract text content from each document
-  const contextParts: string[] = [];
-  const sources: Array<{ filename: string; score: number; relevantText: string }> = [];
-  let totalScore = 0;
-
-  documents.forEach((doc, index) => {
-    if (!isSearchResult(doc)) {
-      console.warn("Invalid search result structure:", doc);
-      return;
-    }
-
-    // Extract text from content array
-    const textContent = doc.content
-      .filter(content => content.type === "text")
-      .map(content => content.text)
-      .join('\n')
-      .trim();
+  if (url.pathname === "/api/feedback") {
+    return handleFeedbackRequest(request, env, user);
+  }
 
-    if (textContent) {
-      const contextEntry = `[Document ${index + 1}: ${doc.filename} (Relevance: ${doc.score.toFixed(2)})]\n${textContent}`;
-      contextParts.push(contextEntry);
+  if (url.pathname === "/api/search") {
+    return handleSearchRequest(request, env, user);
+  }
 
-      sources.push({
-        filename: doc.filename,
-        score: doc.score,
-        relevantText: textContent.substring(0, 200) + (textContent.length > 200 ? "..." : ""),
-      });
+  if (url.pathname === "/api/health/details") {
+    return handleHealthDetailsRequest(request, env);
+  }
 
-      totalScore += doc.score;
+  if (url.pathname === "/api/models") {
+    if (request.method === "GET") {
+      return handleModelsRequest();
     }
-  });
+    return createErrorResponse("Method not allowed", 405);
+  }
 
-  const contextText = contextParts.join('\n\n');
-  const averageScore = documents.length > 0 ? totalScore / documents.length : 0;
+  if (url.pathname === "/api/presets" || url.pathname.startsWith("/api/presets/")) {
+    return handlePresetsRequest(request, env, url, user);
+  }
 
-  return {
-    contextText,
-    documentCount: documents.length,
-    averageScore,
-    sources,
-    hasContext: contextText.length > 0,
-  };
+  // Handle 404 for unmatched routes
+  return createErrorResponse("Not found", 404);
 }
 
 /**
- * Create empty RAG context for fallback scenarios
+ * Handles chat API requests: validates them, then applies the caller's rate limit
  */
-function createEmptyRAGContext(): RAGContext {
-  return {
-    contextText: "",
-    documentCount: 0,
-    averageScore: 0,
-    sources: [],
-    hasContext: false,
-  };
-}
+async function handleChatRequest(
+  request: Request,
+  env: Env,
+  ctx: ExecutionContext,
+  user: AuthenticatedUser,
+): Promise<Response> {
+  const startTime = Date.now();
+  const requestId = generateRequestId();
 
-/**
- * Build enhanced system prompt with RAG context
- */
-function buildEnhancedSystemPrompt(config: {
-  basePrompt: string;
-  ragContext: RAGContext;
-  includeInstructions: boolean;
-}): EnhancedSystemPrompt {
-  const { basePrompt, ragContext, includeInstructions } = config;
-
-  if (!ragContext.hasContext) {
-    return {
-      prompt: basePrompt,
-      hasRAGContext: false,
-      contextSummary: "No relevant documents found in knowledge base",
-      tokenEstimate: estimateTokens(basePrompt),
-    };
+  // Parse and validate request
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return createErrorResponse("Invalid request: malformed JSON body", 400);
   }
 
-  const contextSummary = `Found ${ragContext.documentCount} relevant documents (avg. relevance: ${ragContext.averageScore.toFixed(2)})`;
-  
-  const enhancedPrompt = `${basePrompt}
-
-KNOWLEDGE BASE CONTEXT:
-You have access to relevant information from the knowledge base. ${contextSummary}:
-
-${ragContext.contextText}
+  const validation = validateChatRequest(body);
+  if (!validation.valid) {
+    console.error(`[${requestId}] Validation failed:`, validation.errors);
+    return createErrorResponse(
+      `Invalid request: ${validation.errors.join(", ")}`,
+      400
+    );
+  }
 
-INSTRUCTIONS:
-- When the knowledge base context is relevant to the user's question, prioritize this information
-- Reference specific documents when using knowledge base information (e.g., "according to [Document 1: filename]")
-- If the knowledge base doesn't contain relevant information for the question, rely on your general knowledge
-- Be clear about when you're using knowledge base information vs. general knowledge
-- Provide accurate and helpful responses based on the best available information`;
+  // Only valid requests use up the burst
+  const { clientKey, decision } = await checkRateLimit(env, user);
+  if (decision && !decision.allowed) {
+    console.warn(`Rate limited ${clientKey}:`, decision.reason);
+    return createRateLimitResponse(decision);
+  }
 
-  return {
-    prompt: enhancedPrompt,
-    hasRAGContext: true,
-    contextSummary,
-    tokenEstimate: estimateTokens(enhancedPrompt),
-  };
+  const response = await answerChatRequest(validation.sanitizedInput!, env, ctx, user, clientKey, requestId, startTime);
+  if (decision) {
+    addRateLimitHeaders(response.headers, decision);
+  }
+  return response;
 }
 
 /**
- * Generate LLM response with enhanced context
+ * Answers a validated chat request with the AutoRAG + LLM pipeline
  */
-async function generateLLMResponse(
-  messages: ChatMessage[],
-  context: RequestContext,
-  env: Env
+async function answerChatRequest(
+  validRequest: ChatRequest,
+  env: Env,
+  ctx: ExecutionContext,
+  user: AuthenticatedUser,
+  clientKey: string,
+  requestId: string,
+  startTime: number,
 ): Promise<Response> {
   try {
-    const response = await env.AI.run(
-      CONFIG.model,
-      {
-        messages,
-        max_tokens: CONFIG.maxTokens,
-        temperature: CONFIG.temperature,
-        stream: true,
-      },
-      {
-        returnRawResponse: true,
+    let chatRequest = validRequest;
+
+    // Describe attached photos first, so the turn is stored with descriptions instead of image data
+    const photos = await describeChatImages(chatRequest.messages, requestId, env);
+    chatRequest = { ...chatRequest, messages: photos.messages };
+
+    // Continue a stored conversation: prepend its history and save the new turn
+    let previousVersions: MessageVersion[] | undefined;
+    if (chatRequest.conversationId) {
+      const store = await getOwnedConversationStub(env, chatRequest.conversationId, user.userId);
+      if (!store) {
+        return createErrorResponse("Conversation not found", 404);
+      }
+      const newMessages = chatRequest.messages.filter(msg => msg.role !== "system");
+
+      // Editing or regenerating replaces everything after the first branchFrom messages
+      if (chatRequest.branchFrom !== undefined) {
+        const removed = await store.branch(chatRequest.branchFrom);
+        if (!removed) {
+          return createErrorResponse("Conversation not found or shorter than branchFrom", 409);
+        }
+        previousVersions = getPreviousVersions(removed, newMessages[0]);
       }
-    );
-
-    if (!response.ok) {
-      throw new Error(`LLM API error: ${response.status} ${response.statusText}`);
-    }
-
-    // Return streaming response with CORS headers
-    return new Response(response.body, {
-      status: response.status,
-      headers: {
-        "Content-Type": "text/event-stream",
-        "Cache-Control": "no-cache",
-        "Connection": "keep-alive",
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type",
-      },
-    });
-
-  } catch (error) {
-    console.error(`[${context.requestId}] LLM generation failed:`, error);
-    throw error;
-  }
-}
 
-/**
- * Handle pipeline failures with fallback strategies
- */
-async function handlePipelineFailure(
-  chatRequest: ChatRequest,
-  error: ProcessingError,
-  env: Env
-): Promise<Response> {
-  console.log(`[${error.context.requestId}] Attempting fallback strategy...`);
+      const history = await store.getHistory();
 
-  try {
-    // Fallback: Use basic system prompt without RAG context
-    const fallbackMessages: ChatMessage[] = [
-      { 
-        role: "system", 
-        content: error.context.systemPrompt || CONFIG.defaultSystemPrompt 
-      },
-      ...chatRequest.messages.filter(msg => msg.role !== "system")
-    ];
-
-    const fallbackResponse = await env.AI.run(
-      CONFIG.model,
-      {
-        messages: fallbackMessages,
-        max_tokens: CONFIG.maxTokens,
-        temperature: CONFIG.temperature,
-        stream: true,
-      },
-      {
-        returnRawResponse: true,
+      if (!history) {
+        return createErrorResponse("Conversation not found", 404);
       }
-    );
 
-    if (!fallbackResponse.ok) {
-      throw new Error(`Fallback LLM also failed: ${fallbackResponse.status}`);
+      await store.appendMessages(newMessages);
+      chatRequest = { ...chatRequest, messages: [...history, ...newMessages] };
     }
 
-    // Add fallback headers
-    const headers = new Headers(fallbackResponse.headers);
-    headers.set("X-Fallback-Used", "true");
-    headers.set("X-Original-Error", error.message);
-    headers.set("X-Request-ID", error.context.requestId);
-    addCORSHeaders(headers);
+    // From here on photos are part of the message text
+    chatRequest = { ...chatRequest, messages: withImageDescriptions(chatRequest.messages) };
 
-    return new Response(fallbackResponse.body, {
-      status: fallbackResponse.status,
-      headers,
+    const requestContext = {
+      ...createRequestContext(chatRequest, requestId, startTime),
+      userId: user.userId,
+      clientKey,
+      imageDescriptions: photos.descriptions.length > 0 ? photos.descriptions : undefined,
+      previousVersions,
+      waitUntil: ctx.waitUntil.bind(ctx),
+    };
+
+    console.log(`[${requestId}] Processing chat request:`, {
+      userId: user.userId,
+      authMethod: user.method,
+      userMessage: requestContext.userMessage.substring(0, 100) + "...",
+      hasSystemPrompt: !!requestContext.systemPrompt,
+      ragSettings: requestContext.ragSettings,
+      pipelineMode: requestContext.pipelineMode,
     });
 
-  } catch (fallbackError) {
-    console.error(`[${error.context.requestId}] Fallback also failed:`, fallbackError);
-    
-    return createErrorResponse(
-      ERROR_MESSAGES.LLM_FAILURE,
-      503,
-      {
-        ...error,
-        fallbackError: fallbackError instanceof Error ? fallbackError.message : "Unknown fallback error",
-      }
+    // Execute the AutoRAG + LLM pipeline
+    const response = await processAutoRAGPipeline(
+      chatRequest,
+      requestContext,
+      env
     );
-  }
-}
-
-/**
- * Validate chat request structure and content
- */
-function validateChatRequest(body: any): ValidationResult {
-  const errors: string[] = [];
-  const warnings: string[] = [];
 
-  if (!isChatRequest(body)) {
-    errors.push("Invalid request structure");
-    return { valid: false, errors, warnings };
-  }
-
-  // Validate messages
-  if (body.messages.length === 0) {
-    errors.push("At least one message is required");
-  }
+    if (chatRequest.stream === false && response.ok && response.body) {
+      const jsonResponse = await createChatJSONResponse(response.body, requestContext);
+      const cacheStatus = response.headers.get("X-Cache");
+      if (cacheStatus) {
+        jsonResponse.headers.set("X-Cache", cacheStatus);
+      }
+      return jsonResponse;
+    }
 
-  // Check for user message
-  const hasUserMessage = body.messages.some(msg => msg.role === "user");
-  if (!hasUserMessage) {
-    errors.push("At least one user message is required");
-  }
+    return response;
 
-  // Validate system prompt length
-  if (body.systemPrompt && body.systemPrompt.length > 10000) {
-    errors.push("System prompt too long (max 10000 characters)");
-  }
+  } catch (error) {
+    console.error(`[${requestId}] Fatal error in chat request:`, error);
+    
+    const processingError: ProcessingError = {
+      stage: "validation",
+      message: error instanceof Error ? error.message : "Unknown error",
+      details: error instanceof Error ? error.stack : undefined,
+      context: {
+        userMessage: "Unknown",
+        ragSettings: {
+          ...CONFIG.ragSettings,
+          index: CONFIG.autoragIndex,
+        },
+        pipelineMode: CONFIG.pipelineMode,
+        generation: {
+          model: CONFIG.model,
+          temperature: CONFIG.temperature,
+          maxTokens: CONFIG.maxTokens,
+        },
+        userId: user.userId,
+        useCache: true,
+        startTime,
+        requestId,
+      },
+      recoverable: false,
+    };
 
-  // Validate message content length
-  for (const msg of body.messages) {
-    if (msg.content.length > 50000) {
-      errors.push(`Message content too long (max 50000 characters)`);
-    }
+    return createErrorResponse(
+      "Internal server error occurred",
+      500,
+      processingError
+    );
   }
-
-  return {
-    valid: errors.length === 0,
-    errors,
-    warnings,
-    sanitizedInput: errors.length === 0 ? body : undefined,
-  };
 }
 
 /**
- * Utility functions
+ * Read the pipeline's event stream into a single ChatResponse for `stream: false`
  */
-function getUserMessage(messages: ChatMessage[]): string {
-  const userMessages = messages.filter(msg => msg.role === "user");
-  return userMessages[userMessages.length - 1]?.content || "";
-}
-
-function generateRequestId(): string {
-  return `req_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-}
-
-function estimateTokens(text: string): number {
-  // Rough estimation: ~4 characters per token
-  return Math.ceil(text.length / 4);
-}
-
-function createCORSResponse(): Response {
-  return new Response(null, {
-    status: 200,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+async function createChatJSONResponse(
+  body: ReadableStream<Uint8Array>,
+  context: RequestContext,
+): Promise<Response> {
+  const { content, sources, comparison, metadata, error } = await collectChatEventStream(body);
+
+  // A stream that failed midway has no `done` metadata; report what is known
+  const chatResponse: ChatResponse = {
+    content,
+    metadata: {
+      requestId: context.requestId,
+      ragUsed: sources?.ragUsed ?? false,
+      documentsFound: sources?.documentsFound ?? 0,
+      averageRelevanceScore: sources?.averageRelevanceScore ?? 0,
+      modelUsed: context.generation.model,
+      processingTimeMs: Date.now() - context.startTime,
+      fallbackUsed: sources?.fallbackUsed,
+      searchQuery: sources?.searchQuery,
+      pipelineMode: context.pipelineMode,
+      imageDescriptions: sources?.imageDescriptions,
+      ...metadata,
+      sources: sources?.sources ?? [],
+      comparison: comparison ?? metadata?.comparison,
     },
-  });
-}
-
-function addCORSHeaders(headers: Headers): void {
-  headers.set("Access-Control-Allow-Origin", "*");
-  headers.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  headers.set("Access-Control-Allow-Headers", "Content-Type");
-}
-
-function createErrorResponse(
-  message: string,
-  status: number = 500,
-  details?: any
-): Response {
-  const response = {
-    error: message,
-    details: details ? JSON.stringify(details, null, 2) : undefined,
     timestamp: new Date().toISOString(),
+    success: !error,
+    error,
   };
 
-  const headers = new Headers({
-    "Content-Type": "application/json",
-  });
-  addCORSHeaders(headers);
-
-  return new Response(JSON.stringify(response), {
-    status,
-    headers,
-  });
+  const response = createJSONResponse(chatResponse, error ? 502 : 200);
+  response.headers.set("X-Request-ID", context.requestId);
+  // The whole answer is known here, so unlike the event stream every stage can be reported
+  if (chatResponse.metadata.timings) {
+    response.headers.set(
+      "Server-Timing",
+      formatServerTiming(chatResponse.metadata.timings, chatResponse.metadata.processingTimeMs)
+    );
+  }
+  return response;
 }
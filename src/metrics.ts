@@ -0,0 +1,245 @@
+/**
+ * Per-request performance metrics.
+ *
+ * When an answer completes, its stage timings, token count, retrieval score
+ * and fallback flag are written to the METRICS Analytics Engine dataset, and
+ * kept in an in-memory buffer that stands in for it locally. GET /api/metrics
+ * (admin only) returns p50/p95 latencies per stage over a time window, from
+ * the Analytics Engine SQL API when CLOUDFLARE_ACCOUNT_ID and
+ * METRICS_API_TOKEN are set, otherwise from the buffer of the isolate that
+ * answers. Responses also carry a Server-Timing header for browser devtools.
+ *
+ * Data point layout: index1 is the pipeline mode; blob1-3 are the request id,
+ * pipeline mode and model; double1-12 follow METRIC_DOUBLES.
+ */
+
+import {
+  ChatResponseMetadata,
+  Env,
+  LatencyPercentiles,
+  MetricsSummary,
+  MetricStage,
+  PerformanceMetrics,
+  RequestContext,
+  StageTimings,
+} from "./types";
+import { CONFIG } from "./config";
+import { requireAdmin } from "./auth";
+import { createErrorResponse, createJSONResponse } from "./http";
+
+// Order of the doubles of a data point; a missing time to first token is written as -1
+const METRIC_DOUBLES = [
+  "totalRequestTime",
+  "queryRewriteTime",
+  "autoragSearchTime",
+  "contextBuildingTime",
+  "timeToFirstToken",
+  "llmGenerationTime",
+  "tokensGenerated",
+  "documentsRetrieved",
+  "averageRelevanceScore",
+  "fallbackUsed",
+  "cacheHit",
+  "stopped",
+] as const;
+
+// Metric record field and Server-Timing name of each stage
+const STAGES: Array<{ stage: MetricStage; field: keyof PerformanceMetrics; timing: string; description: string }> = [
+  { stage: "queryRewrite", field: "queryRewriteTime", timing: "rewrite", description: "Query rewrite" },
+  { stage: "ragSearch", field: "autoragSearchTime", timing: "search", description: "AutoRAG search" },
+  { stage: "contextBuild", field: "contextBuildingTime", timing: "context", description: "Context build" },
+  { stage: "timeToFirstToken", field: "timeToFirstToken", timing: "ttft", description: "Time to first token" },
+  { stage: "llm", field: "llmGenerationTime", timing: "llm", description: "Generation" },
+  { stage: "total", field: "totalRequestTime", timing: "total", description: "Total" },
+];
+
+const recentMetrics: PerformanceMetrics[] = [];
+
+/**
+ * Record the metrics of a completed answer; never throws
+ */
+export function recordMetrics(env: Env, context: RequestContext, metadata: ChatResponseMetadata): void {
+  const timings = metadata.timings;
+  const metrics: PerformanceMetrics = {
+    requestId: context.requestId,
+    timestamp: Date.now(),
+    pipelineMode: metadata.pipelineMode ?? context.pipelineMode,
+    model: metadata.modelUsed,
+    totalRequestTime: metadata.processingTimeMs,
+    queryRewriteTime: timings?.queryRewriteMs ?? 0,
+    autoragSearchTime: timings?.ragSearchMs ?? 0,
+    contextBuildingTime: timings?.contextBuildMs ?? 0,
+    timeToFirstToken: timings?.timeToFirstTokenMs,
+    llmGenerationTime: timings?.llmMs ?? 0,
+    tokensGenerated: metadata.tokensGenerated ?? 0,
+    documentsRetrieved: metadata.documentsFound,
+    averageRelevanceScore: metadata.averageRelevanceScore,
+    fallbackUsed: !!metadata.fallbackUsed,
+    cacheHit: metadata.cache?.answer === "hit",
+    stopped: !!metadata.stopped,
+  };
+
+  recentMetrics.push(metrics);
+  if (recentMetrics.length > CONFIG.metrics.memoryLimit) {
+    recentMetrics.splice(0, recentMetrics.length - CONFIG.metrics.memoryLimit);
+  }
+
+  try {
+    env.METRICS?.writeDataPoint({
+      indexes: [metrics.pipelineMode],
+      blobs: [metrics.requestId, metrics.pipelineMode, metrics.model],
+      doubles: METRIC_DOUBLES.map(field => {
+        const value = metrics[field];
+        return typeof value === "boolean" ? Number(value) : value ?? -1;
+      }),
+    });
+  } catch (error) {
+    console.error(`[${context.requestId}] Failed to write metrics:`, error);
+  }
+}
+
+/**
+ * Server-Timing header value for the stages timed so far
+ */
+export function formatServerTiming(timings: Partial<StageTimings>, totalMs?: number): string {
+  const durations: Partial<Record<MetricStage, number | undefined>> = {
+    queryRewrite: timings.queryRewriteMs,
+    ragSearch: timings.ragSearchMs,
+    contextBuild: timings.contextBuildMs,
+    timeToFirstToken: timings.timeToFirstTokenMs,
+    llm: timings.llmMs,
+    total: totalMs,
+  };
+
+  return STAGES
+    .filter(({ stage }) => durations[stage] !== undefined)
+    .map(({ stage, timing, description }) => `${timing};dur=${durations[stage]};desc="${description}"`)
+    .join(", ");
+}
+
+/**
+ * Handle GET /api/metrics?minutes=60 (admin only)
+ */
+export async function handleMetricsRequest(request: Request, env: Env, url: URL): Promise<Response> {
+  const denied = await requireAdmin(request, env, "Metrics");
+  if (denied) return denied;
+
+  if (request.method !== "GET") {
+    return createErrorResponse("Method not allowed", 405);
+  }
+
+  const { defaultWindowMinutes, maxWindowMinutes } = CONFIG.metrics;
+  const minutes = parseInt(url.searchParams.get("minutes") || String(defaultWindowMinutes), 10);
+  if (!Number.isFinite(minutes) || minutes < 1 || minutes > maxWindowMinutes) {
+    return createErrorResponse(`Invalid request: minutes must be from 1 to ${maxWindowMinutes}`, 400);
+  }
+
+  if (!env.METRICS || !env.CLOUDFLARE_ACCOUNT_ID || !env.METRICS_API_TOKEN) {
+    return createJSONResponse({ metrics: summarizeRecentMetrics(minutes) });
+  }
+
+  try {
+    return createJSONResponse({ metrics: await queryAnalyticsEngine(env, minutes) });
+  } catch (error) {
+    console.error("Metrics query failed:", error);
+    return createErrorResponse("Metrics query failed", 502);
+  }
+}
+
+/**
+ * Summarize the in-memory records of the window
+ */
+function summarizeRecentMetrics(minutes: number): MetricsSummary {
+  const since = Date.now() - minutes * 60 * 1000;
+  const records = recentMetrics.filter(metrics => metrics.timestamp >= since);
+  const retrieved = records.filter(metrics => metrics.documentsRetrieved > 0);
+
+  const stages = Object.fromEntries(STAGES.map(({ stage, field }) => {
+    const values = records
+      .map(metrics => metrics[field])
+      .filter((value): value is number => typeof value === "number");
+    return [stage, getPercentiles(values)];
+  })) as Record<MetricStage, LatencyPercentiles>;
+
+  return {
+    source: "memory",
+    windowMinutes: minutes,
+    requests: records.length,
+    fallbackRate: records.length > 0 ? records.filter(metrics => metrics.fallbackUsed).length / records.length : null,
+    averageRetrievalScore: retrieved.length > 0
+      ? retrieved.reduce((sum, metrics) => sum + metrics.averageRelevanceScore, 0) / retrieved.length
+      : null,
+    stages,
+  };
+}
+
+/**
+ * Nearest-rank percentiles
+ */
+function getPercentiles(values: number[]): LatencyPercentiles {
+  if (values.length === 0) return { p50: null, p95: null };
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (percentile: number) => sorted[Math.max(0, Math.ceil(percentile * sorted.length) - 1)];
+  return { p50: rank(0.5), p95: rank(0.95) };
+}
+
+/**
+ * Aggregate the window with the Analytics Engine SQL API, weighting by the sample interval
+ */
+async function queryAnalyticsEngine(env: Env, minutes: number): Promise<MetricsSummary> {
+  const column = (field: typeof METRIC_DOUBLES[number]) => `double${METRIC_DOUBLES.indexOf(field) + 1}`;
+
+  const percentiles = STAGES.flatMap(({ stage, field }) => {
+    // Requests without a time to first token are left out of its percentiles
+    const weight = field === "timeToFirstToken"
+      ? `if(${column(field)} >= 0, _sample_interval, 0)`
+      : "_sample_interval";
+    return [0.5, 0.95].map(level =>
+      `quantileExactWeighted(${level})(${column(field as typeof METRIC_DOUBLES[number])}, ${weight}) AS ${stage}_p${level * 100}`
+    );
+  });
+
+  const sql = `
+    SELECT
+      SUM(_sample_interval) AS requests,
+      SUM(_sample_interval * ${column("fallbackUsed")}) AS fallbacks,
+      SUM(_sample_interval * ${column("averageRelevanceScore")}) AS scoreSum,
+      SUM(if(${column("documentsRetrieved")} > 0, _sample_interval, 0)) AS retrieved,
+      ${percentiles.join(",\n      ")}
+    FROM ${CONFIG.metrics.dataset}
+    WHERE timestamp > NOW() - INTERVAL '${minutes}' MINUTE
+    FORMAT JSON`;
+
+  const response = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CLOUDFLARE_ACCOUNT_ID}/analytics_engine/sql`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${env.METRICS_API_TOKEN}` },
+      body: sql,
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+  }
+
+  const { data } = await response.json<{ data: Array<Record<string, number | string | null>> }>();
+  const row = data[0] ?? {};
+  const value = (name: string) => Number(row[name] ?? 0);
+  const requests = value("requests");
+
+  // Percentiles of an empty window come back as 0 or NaN
+  const stages = Object.fromEntries(STAGES.map(({ stage }) => [stage, {
+    p50: requests > 0 && Number.isFinite(value(`${stage}_p50`)) ? value(`${stage}_p50`) : null,
+    p95: requests > 0 && Number.isFinite(value(`${stage}_p95`)) ? value(`${stage}_p95`) : null,
+  }])) as Record<MetricStage, LatencyPercentiles>;
+
+  return {
+    source: "analytics-engine",
+    windowMinutes: minutes,
+    requests,
+    fallbackRate: requests > 0 ? value("fallbacks") / requests : null,
+    averageRetrievalScore: value("retrieved") > 0 ? value("scoreSum") / value("retrieved") : null,
+    stages,
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Model allowlist and per-request generation parameters.
+ *
+ * Clients may pick any model listed in `CONFIG.models` and tune temperature,
+ * max_tokens and top_p within that model's limits.
+ */
+
+import { ChatRequest, GenerationSettings, ModelOption } from "./types";
+import { CONFIG } from "./config";
+import { createJSONResponse } from "./http";
+
+/**
+ * Look up an allowlisted model
+ */
+export function getModelOption(id: string): ModelOption | undefined {
+  return CONFIG.models.find(model => model.id === id);
+}
+
+/**
+ * Handle GET /api/models: the allowlist and the defaults used when a request omits them
+ */
+export function handleModelsRequest(): Response {
+  return createJSONResponse({
+    models: CONFIG.models,
+    defaults: {
+      model: CONFIG.model,
+      temperature: CONFIG.temperature,
+      max_tokens: CONFIG.maxTokens,
+    },
+  });
+}
+
+/**
+ * Validate the generation parameters of a chat request, returning error messages
+ */
+export function validateGenerationParams(body: Partial<ChatRequest>): string[] {
+  const errors: string[] = [];
+  const modelId = body.model ?? CONFIG.model;
+  const model = typeof modelId === "string" ? getModelOption(modelId) : undefined;
+
+  if (!model) {
+    errors.push(`model must be one of: ${CONFIG.models.map(option => option.id).join(", ")}`);
+    return errors;
+  }
+
+  if (body.temperature !== undefined && !isNumberInRange(body.temperature, 0, model.maxTemperature)) {
+    errors.push(`temperature must be between 0 and ${model.maxTemperature} for ${model.id}`);
+  }
+
+  if (body.max_tokens !== undefined &&
+      (!Number.isInteger(body.max_tokens) || !isNumberInRange(body.max_tokens, 1, model.maxOutputTokens))) {
+    errors.push(`max_tokens must be an integer between 1 and ${model.maxOutputTokens} for ${model.id}`);
+  }
+
+  if (body.top_p !== undefined && (!isNumberInRange(body.top_p, 0, 1) || body.top_p === 0)) {
+    errors.push("top_p must be greater than 0 and at most 1");
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve the generation settings of a validated request, filling in defaults
+ */
+export function resolveGenerationSettings(chatRequest: ChatRequest): GenerationSettings {
+  const model = getModelOption(chatRequest.model ?? CONFIG.model) ?? getModelOption(CONFIG.model);
+  const maxOutputTokens = model?.maxOutputTokens ?? CONFIG.maxTokens;
+
+  return {
+    model: model?.id ?? CONFIG.model,
+    temperature: chatRequest.temperature ?? Math.min(CONFIG.temperature, model?.maxTemperature ?? CONFIG.temperature),
+    maxTokens: chatRequest.max_tokens ?? Math.min(CONFIG.maxTokens, maxOutputTokens),
+    topP: chatRequest.top_p,
+  };
+}
+
+/**
+ * Context window of the model, for the context budget
+ */
+export function getContextWindow(modelId: string): number {
+  return getModelOption(modelId)?.contextWindow ?? CONFIG.contextBudget.contextWindow;
+}
+
+function isNumberInRange(value: unknown, min: number, max: number): boolean {
+  return typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+}
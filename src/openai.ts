@@ -0,0 +1,333 @@
+/**
+ * OpenAI-compatible API: /v1/chat/completions and /v1/models.
+ *
+ * Requests are translated to a ChatRequest and answered by the same RAG
+ * pipeline as /api/chat, then its typed events are re-encoded in the OpenAI
+ * format. The retrieved documents are returned in an extra `sources` field,
+ * which OpenAI client libraries pass through untouched. Authenticate with an
+ * API key as the bearer token, as with the OpenAI API.
+ */
+
+import {
+  AuthenticatedUser,
+  ChatMessage,
+  ChatRequest,
+  ChatResponseMetadata,
+  Env,
+  OpenAIChatCompletion,
+  OpenAIChatCompletionChunk,
+  OpenAIChatCompletionRequest,
+  OpenAIChatMessage,
+  OpenAIFinishReason,
+  OpenAIUsage,
+} from "./types";
+import { CONFIG } from "./config";
+import { authenticateRequest } from "./auth";
+import { createEventStreamResponse, createJSONResponse } from "./http";
+import { addRateLimitHeaders, checkRateLimit, getRateLimitMessage } from "./rate-limit";
+import { createRequestContext, generateRequestId, processAutoRAGPipeline } from "./pipeline";
+import { collectChatEventStream, readChatEventStream } from "./sse";
+import { validateChatRequest } from "./validation";
+
+const encoder = new TextEncoder();
+
+interface CompletionInfo {
+  id: string;
+  created: number;
+  model: string;
+  maxTokens: number;
+}
+
+/**
+ * Handle /v1/* routes, answering errors in the OpenAI error format
+ */
+export async function handleOpenAIRequest(request: Request, env: Env, ctx: ExecutionContext, url: URL): Promise<Response> {
+  const user = await authenticateRequest(request, env);
+  if (!user) {
+    return createOpenAIError("Invalid or missing API key", 401, "invalid_api_key");
+  }
+
+  switch (url.pathname) {
+    case "/v1/models":
+      return request.method === "GET"
+        ? createJSONResponse({
+            object: "list",
+            data: CONFIG.models.map(model => ({ id: model.id, object: "model", created: 0, owned_by: "cloudflare" })),
+          })
+        : createOpenAIError("Method not allowed", 405);
+
+    case "/v1/chat/completions":
+      return request.method === "POST"
+        ? handleChatCompletions(request, env, ctx, user)
+        : createOpenAIError("Method not allowed", 405);
+
+    default:
+      return createOpenAIError(`Unknown route: ${url.pathname}`, 404);
+  }
+}
+
+async function handleChatCompletions(
+  request: Request,
+  env: Env,
+  ctx: ExecutionContext,
+  user: AuthenticatedUser
+): Promise<Response> {
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  try {
+    const body = await request.json<OpenAIChatCompletionRequest>();
+    const { chatRequest, errors } = toChatRequest(body);
+    const validation = chatRequest ? validateChatRequest(chatRequest) : { valid: false, errors };
+
+    if (!chatRequest || !validation.valid) {
+      console.error(`[${requestId}] Validation failed:`, validation.errors);
+      return createOpenAIError(`Invalid request: ${validation.errors.join(", ")}`, 400);
+    }
+
+    // Only valid requests use up the burst
+    const { clientKey, decision } = await checkRateLimit(env, user);
+    if (decision && !decision.allowed) {
+      const response = createOpenAIError(getRateLimitMessage(decision), 429, "rate_limit_exceeded");
+      response.headers.set("Retry-After", String(decision.retryAfterSeconds));
+      addRateLimitHeaders(response.headers, decision);
+      return response;
+    }
+
+    const context = {
+      ...createRequestContext(chatRequest, requestId, startTime),
+      userId: user.userId,
+      clientKey,
+      // Keeps usage, feedback and metrics recording alive when the client cancels the stream
+      waitUntil: ctx.waitUntil.bind(ctx),
+    };
+
+    console.log(`[${requestId}] Processing OpenAI chat completion:`, {
+      userId: user.userId,
+      model: context.generation.model,
+      stream: !!body.stream,
+      messageCount: chatRequest.messages.length,
+      pipelineMode: context.pipelineMode,
+    });
+
+    const pipelineResponse = await processAutoRAGPipeline(chatRequest, context, env);
+    if (!pipelineResponse.ok || !pipelineResponse.body) {
+      const failure = await pipelineResponse.json<{ error?: string }>().catch(() => ({ error: undefined }));
+      return createOpenAIError(failure.error || "Pipeline processing failed", pipelineResponse.status >= 400 ? pipelineResponse.status : 500);
+    }
+
+    const info: CompletionInfo = {
+      id: `chatcmpl-${requestId}`,
+      created: Math.floor(startTime / 1000),
+      model: context.generation.model,
+      maxTokens: context.generation.maxTokens,
+    };
+
+    const response = body.stream
+      ? createEventStreamResponse(
+          createCompletionStream(pipelineResponse.body, info, !!body.stream_options?.include_usage),
+          requestId
+        )
+      : await collectCompletion(pipelineResponse.body, info);
+
+    response.headers.set("X-Request-ID", requestId);
+    const cacheStatus = pipelineResponse.headers.get("X-Cache");
+    if (cacheStatus) {
+      response.headers.set("X-Cache", cacheStatus);
+    }
+    if (decision) {
+      addRateLimitHeaders(response.headers, decision);
+    }
+    return response;
+
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return createOpenAIError("Invalid request: malformed JSON body", 400);
+    }
+    console.error(`[${requestId}] OpenAI chat completion failed:`, error);
+    return createOpenAIError("Internal server error occurred", 500);
+  }
+}
+
+/**
+ * Translate an OpenAI request: system and developer messages become the system prompt
+ */
+function toChatRequest(body: OpenAIChatCompletionRequest): { chatRequest?: ChatRequest; errors: string[] } {
+  if (!body || typeof body !== "object" || !Array.isArray(body.messages)) {
+    return { errors: ["messages must be an array"] };
+  }
+
+  const errors: string[] = [];
+  const systemParts: string[] = [];
+  const messages: ChatMessage[] = [];
+
+  if (body.n !== undefined && body.n !== 1) {
+    errors.push("n must be 1");
+  }
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    errors.push("tools are not supported");
+  }
+  if (body.pipeline_mode === "compare") {
+    errors.push("pipeline_mode compare is only available through /api/chat");
+  }
+
+  for (const message of body.messages) {
+    const content = getTextContent(message);
+
+    if (content === null) {
+      errors.push("message content must be a string or a list of text parts");
+    } else if (message.role === "system" || message.role === "developer") {
+      systemParts.push(content);
+    } else if (message.role === "user" || message.role === "assistant") {
+      messages.push({ role: message.role, content });
+    } else {
+      errors.push(`messages with role ${String(message?.role)} are not supported`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    errors,
+    chatRequest: {
+      messages,
+      systemPrompt: systemParts.join("\n\n") || undefined,
+      ragSettings: body.rag_settings,
+      pipelineMode: body.pipeline_mode,
+      model: body.model,
+      temperature: body.temperature,
+      max_tokens: body.max_tokens ?? body.max_completion_tokens,
+      top_p: body.top_p,
+      cache: body.cache,
+    },
+  };
+}
+
+function getTextContent(message: OpenAIChatMessage | undefined): string | null {
+  const content = message?.content;
+
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return null;
+  if (!content.every(part => part?.type === "text" && typeof part.text === "string")) return null;
+
+  return content.map(part => part.text).join("\n");
+}
+
+/**
+ * Re-encode the pipeline's events as OpenAI chunks, ending with `data: [DONE]`
+ */
+function createCompletionStream(
+  body: ReadableStream<Uint8Array>,
+  info: CompletionInfo,
+  includeUsage: boolean
+): ReadableStream<Uint8Array> {
+  const events = readChatEventStream(body);
+
+  const chunk = (
+    delta: OpenAIChatCompletionChunk["choices"][number]["delta"],
+    finishReason: OpenAIFinishReason | null = null
+  ): OpenAIChatCompletionChunk => ({
+    id: info.id,
+    object: "chat.completion.chunk",
+    created: info.created,
+    model: info.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  });
+
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      // Keep reading until an event produces output; some (comparison) do not
+      while (true) {
+        const { done, value: event } = await events.next();
+
+        if (done) {
+          controller.enqueue(encoder.encode("data: [DONE]\n\n"));
+          controller.close();
+          return;
+        }
+
+        const output: unknown[] = [];
+        switch (event.event) {
+          case "sources":
+            output.push({ ...chunk({ role: "assistant", content: "" }), sources: event.data.sources });
+            break;
+          case "token":
+            output.push(chunk({ content: event.data.response }));
+            break;
+          case "done":
+            output.push(chunk({}, getFinishReason(event.data, info.maxTokens)));
+            if (includeUsage) {
+              output.push({ ...chunk({}), choices: [], usage: toOpenAIUsage(event.data) });
+            }
+            break;
+          case "error":
+            output.push({ error: { message: event.data.error, type: "server_error", code: null } });
+            break;
+        }
+
+        if (output.length > 0) {
+          for (const data of output) {
+            controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
+          }
+          return;
+        }
+      }
+    },
+
+    async cancel() {
+      await events.return(undefined);
+      await body.cancel();
+    },
+  });
+}
+
+/**
+ * Read the whole pipeline stream into a single chat.completion response
+ */
+async function collectCompletion(body: ReadableStream<Uint8Array>, info: CompletionInfo): Promise<Response> {
+  const { content, sources, metadata, error } = await collectChatEventStream(body);
+  if (error) {
+    return createOpenAIError(error, 502);
+  }
+
+  const completion: OpenAIChatCompletion = {
+    id: info.id,
+    object: "chat.completion",
+    created: info.created,
+    model: metadata?.modelUsed ?? info.model,
+    choices: [{
+      index: 0,
+      message: { role: "assistant", content },
+      finish_reason: getFinishReason(metadata, info.maxTokens),
+    }],
+    usage: toOpenAIUsage(metadata),
+    sources: sources?.sources ?? [],
+  };
+
+  return createJSONResponse(completion);
+}
+
+function getFinishReason(metadata: ChatResponseMetadata | undefined, maxTokens: number): OpenAIFinishReason {
+  return (metadata?.usage?.completionTokens ?? 0) >= maxTokens ? "length" : "stop";
+}
+
+function toOpenAIUsage(metadata: ChatResponseMetadata | undefined): OpenAIUsage {
+  return {
+    prompt_tokens: metadata?.usage?.promptTokens ?? 0,
+    completion_tokens: metadata?.usage?.completionTokens ?? 0,
+    total_tokens: metadata?.usage?.totalTokens ?? 0,
+  };
+}
+
+/**
+ * Error body in the shape OpenAI client libraries expect
+ */
+function createOpenAIError(message: string, status: number, code: string | null = null): Response {
+  const type = status === 429 ? "rate_limit_error"
+    : status >= 500 ? "server_error"
+    : "invalid_request_error";
+
+  return createJSONResponse({ error: { message, type, param: null, code } }, status);
+}
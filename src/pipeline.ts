@@ -0,0 +1,1050 @@
+/**
+ * AutoRAG + LLM answer pipeline
+ *
+ * Implements Option B: Custom AutoRAG + LLM Pipeline
+ * Workflow: Query → AutoRAG Search → Context Building → Enhanced System Prompt → LLM Generation → Streamed Response
+ *
+ * Requests can instead use AutoRAG's managed aiSearch generation (`pipelineMode: "aiSearch"`)
+ * or run both pipelines side by side (`pipelineMode: "compare"`).
+ *
+ * `pipelineMode: "assessment"` extracts a structured damage report instead (see assessment.ts).
+ *
+ * The custom pipeline reuses cached search results and deterministic answers (see cache.ts).
+ */
+
+import {
+  Env,
+  ChatMessage,
+  ChatRequest,
+  SearchOptions,
+  SearchResponse,
+  SearchResult,
+  RAGConfig,
+  RAGContext,
+  RAGSource,
+  EnhancedSystemPrompt,
+  ProcessingError,
+  RequestContext,
+  ChatResponseMetadata,
+  PinnedSource,
+  PipelineComparison,
+  SearchQueryInfo,
+  SourcesEventData,
+  StageTimings,
+  CacheReport,
+  ERROR_MESSAGES,
+  isSearchResult,
+} from "./types";
+import { createChatEventStream, createTextModelStream, StreamCompletion } from "./sse";
+import { applyContextBudget, ContextBudgetResult, estimateTokens, summarizeMessages } from "./budget";
+import { buildAssessmentPrompt, generateAssessment } from "./assessment";
+import { buildSearchFilters, condenseSearchQuery } from "./query";
+import { createErrorResponse, createEventStreamResponse } from "./http";
+import { getConversationStub, saveAssistantMessage } from "./conversations";
+import { recordTokenUsage } from "./rate-limit";
+import { recordAnswer } from "./feedback";
+import { formatServerTiming, recordMetrics } from "./metrics";
+import { CONFIG } from "./config";
+import { getContextWindow, resolveGenerationSettings } from "./models";
+import {
+  CacheScope,
+  CachedAnswer,
+  getAnswerCacheKey,
+  getCacheEntry,
+  getCacheHeader,
+  getSearchCacheKey,
+  openCache,
+  putCacheEntry,
+} from "./cache";
+
+/**
+ * Build the processing context for a validated chat request
+ */
+export function createRequestContext(
+  chatRequest: ChatRequest,
+  requestId: string,
+  startTime: number
+): RequestContext {
+  return {
+    userMessage: getUserMessage(chatRequest.messages),
+    conversationId: chatRequest.conversationId,
+    systemPrompt: chatRequest.systemPrompt,
+    ragSettings: {
+      ...CONFIG.ragSettings,
+      ...chatRequest.ragSettings,
+      index: CONFIG.autoragIndex,
+    },
+    pipelineMode: chatRequest.pipelineMode ?? CONFIG.pipelineMode,
+    generation: resolveGenerationSettings(chatRequest),
+    pinnedSources: chatRequest.pinnedSources?.length ? chatRequest.pinnedSources : undefined,
+    useCache: chatRequest.cache !== false,
+    startTime,
+    requestId,
+  };
+}
+
+/**
+ * Main AutoRAG + LLM processing pipeline
+ */
+export async function processAutoRAGPipeline(
+  chatRequest: ChatRequest,
+  context: RequestContext,
+  env: Env
+): Promise<Response> {
+  const { requestId } = context;
+  
+  try {
+    // Step 1: Search AutoRAG for relevant context, condensing follow-ups first
+    console.log(`[${requestId}] Step 1: Searching AutoRAG...`);
+    const queryRewriteStart = Date.now();
+
+    const searchQuery = await condenseSearchQuery(
+      chatRequest.messages,
+      context.userMessage,
+      context.ragSettings.condenseQuery,
+      CONFIG.model,
+      env
+    );
+
+    const queryRewriteTime = Date.now() - queryRewriteStart;
+    if (searchQuery.condensed) {
+      console.log(`[${requestId}] Condensed follow-up in ${queryRewriteTime}ms:`, searchQuery.standalone);
+    }
+
+    if (context.pipelineMode === "aiSearch") {
+      return await processAiSearchPipeline(searchQuery, queryRewriteTime, context, env);
+    }
+
+    const cache = await openCache(env, context);
+    const cacheReport: CacheReport = { search: "skipped", answer: "skipped" };
+
+    // Deterministic answers are replayed without searching or generating
+    const answerKey = cache ? await getAnswerCacheKey(cache, chatRequest.messages, context) : null;
+    if (cache && answerKey) {
+      const cached = await getCacheEntry<CachedAnswer>(cache, answerKey);
+      cacheReport.answer = cached.status;
+      if (cached.value) {
+        console.log(`[${requestId}] Answer served from cache (cached ${cached.value.cachedAt})`);
+        return replayCachedAnswer(cached.value, queryRewriteTime, cacheReport, context, env);
+      }
+    }
+
+    if (context.pipelineMode === "assessment") {
+      return await processAssessmentPipeline(chatRequest, searchQuery, queryRewriteTime, cache, cacheReport, context, env);
+    }
+
+    // Compare mode runs aiSearch alongside the custom pipeline
+    const comparison = context.pipelineMode === "compare"
+      ? runAiSearchComparison(searchQuery.standalone, context, env)
+      : undefined;
+
+    const ragSearchStart = Date.now();
+    
+    const retrievedContext = withPinnedSources(await searchAutoRAGWithCache(
+      searchQuery.standalone,
+      context.ragSettings,
+      cache,
+      cacheReport,
+      env
+    ), context.pinnedSources);
+    searchQuery.autoragRewritten = retrievedContext.rewrittenQuery;
+    
+    const ragSearchTime = Date.now() - ragSearchStart;
+    console.log(`[${requestId}] AutoRAG search completed in ${ragSearchTime}ms`, {
+      documentsFound: retrievedContext.documentCount,
+      averageScore: retrievedContext.averageScore,
+      hasContext: retrievedContext.hasContext,
+    });
+
+    // Step 2: Fit sources and history into the context window
+    console.log(`[${requestId}] Step 2: Building enhanced system prompt...`);
+    const contextBuildStart = Date.now();
+    const basePrompt = context.systemPrompt || CONFIG.defaultSystemPrompt;
+    const budget = await fitContextBudget(chatRequest, basePrompt, retrievedContext.sources, context, env);
+
+    const ragContext = withSources(retrievedContext, budget.sources);
+    console.log(`[${requestId}] Context budget applied`, budget.report);
+
+    // Step 3: Build enhanced system prompt with RAG context
+    const enhancedPrompt = buildEnhancedSystemPrompt({
+      basePrompt,
+      ragContext,
+      includeInstructions: true,
+      conversationSummary: budget.summary?.content,
+    });
+    
+    const contextBuildTime = Date.now() - contextBuildStart;
+    console.log(`[${requestId}] System prompt enhanced in ${contextBuildTime}ms`, {
+      hasRAGContext: enhancedPrompt.hasRAGContext,
+      tokenEstimate: enhancedPrompt.tokenEstimate,
+    });
+
+    // Step 4: Prepare messages for LLM
+    const enhancedMessages: ChatMessage[] = [
+      { role: "system", content: enhancedPrompt.prompt },
+      ...budget.messages
+    ];
+
+    // Step 5: Generate response using LLM with enhanced context
+    console.log(`[${requestId}] Step 3: Generating LLM response...`);
+    const llmStart = Date.now();
+    
+    const modelStream = await generateLLMResponse(
+      enhancedMessages,
+      context,
+      env
+    );
+
+    // Step 6: Stream sources, tokens and final metadata as typed events
+    const sources: SourcesEventData = {
+      requestId,
+      ragUsed: ragContext.hasContext,
+      documentsFound: ragContext.documentCount,
+      averageRelevanceScore: ragContext.averageScore,
+      fallbackUsed: false,
+      pipelineMode: context.pipelineMode,
+      searchQuery,
+      filters: context.ragSettings.filters,
+      sources: ragContext.sources,
+      imageDescriptions: context.imageDescriptions,
+    };
+
+    const eventStream = createChatEventStream({
+      upstream: modelStream,
+      sources,
+      comparison,
+      waitUntil: context.waitUntil,
+      onComplete: async (completion) => {
+        const metadata = buildResponseMetadata(completion, enhancedMessages, ragContext, context, {
+          queryRewriteMs: queryRewriteTime,
+          ragSearchMs: ragSearchTime,
+          contextBuildMs: contextBuildTime,
+          timeToFirstTokenMs: completion.firstTokenAt ? completion.firstTokenAt - llmStart : undefined,
+          llmMs: completion.completedAt - llmStart,
+        });
+        metadata.budget = budget.report;
+        metadata.searchQuery = searchQuery;
+        metadata.pipelineMode = context.pipelineMode;
+        metadata.cache = cacheReport;
+        console.log(`[${requestId}] LLM generation completed in ${metadata.timings?.llmMs}ms`, {
+          timeToFirstTokenMs: metadata.timings?.timeToFirstTokenMs,
+          tokensGenerated: metadata.tokensGenerated,
+        });
+        await saveAssistantMessage(env, context, completion.content, {
+          ...metadata,
+          sources: ragContext.sources,
+          comparison: comparison ? await comparison : undefined,
+        });
+        await recordAnswer(env, context, metadata, ragContext.sources);
+        recordMetrics(env, context, metadata);
+        await recordTokenUsage(env, context.clientKey, metadata.usage?.totalTokens);
+
+        // Answers without knowledge base context may come from a failed search, and stopped ones are partial; do not keep them
+        if (cache && answerKey && ragContext.hasContext && completion.content && !completion.stopped) {
+          const { requestId: _, ...cachedSources } = sources;
+          await putCacheEntry(cache, answerKey, {
+            content: completion.content,
+            sources: cachedSources,
+            metadata,
+            cachedAt: new Date().toISOString(),
+          } satisfies CachedAnswer, CONFIG.cache.answerTtlSeconds);
+        }
+        return metadata;
+      },
+    });
+
+    const response = createEventStreamResponse(eventStream, requestId);
+    // Generation is still running, so only the stages before it can be reported
+    response.headers.set("Server-Timing", formatServerTiming({
+      queryRewriteMs: queryRewriteTime,
+      ragSearchMs: ragSearchTime,
+      contextBuildMs: contextBuildTime,
+    }));
+    if (cache) {
+      response.headers.set("X-Cache", getCacheHeader(cacheReport));
+    }
+    return response;
+
+  } catch (error) {
+    console.error(`[${requestId}] Pipeline error:`, error);
+    
+    const processingError: ProcessingError = {
+      stage: "llm",
+      message: error instanceof Error ? error.message : "Pipeline processing failed",
+      details: error instanceof Error ? error.stack : undefined,
+      context,
+      recoverable: true,
+      fallbackAction: "Use general knowledge without RAG context",
+    };
+
+    // Try fallback: Generate response without RAG context
+    return handlePipelineFailure(chatRequest, processingError, env);
+  }
+}
+
+/**
+ * Answer with AutoRAG's managed aiSearch generation instead of the custom prompt.
+ * aiSearch only sees the search query, so follow-ups rely on query condensation.
+ */
+async function processAiSearchPipeline(
+  searchQuery: SearchQueryInfo,
+  queryRewriteTime: number,
+  context: RequestContext,
+  env: Env
+): Promise<Response> {
+  const { requestId } = context;
+
+  console.log(`[${requestId}] Answering with AutoRAG aiSearch...`);
+  const aiSearchStart = Date.now();
+
+  const { ragContext, answer } = await runAiSearch(searchQuery.standalone, context, env);
+  if (answer.searchQuery && answer.searchQuery !== searchQuery.standalone) {
+    searchQuery.autoragRewritten = answer.searchQuery;
+  }
+
+  const aiSearchTime = Date.now() - aiSearchStart;
+  console.log(`[${requestId}] aiSearch completed in ${aiSearchTime}ms`, {
+    documentsFound: ragContext.documentCount,
+    modelUsed: answer.modelUsed,
+  });
+
+  const promptMessages: ChatMessage[] = [{ role: "user", content: searchQuery.standalone }];
+
+  const eventStream = createChatEventStream({
+    upstream: createTextModelStream(answer.response),
+    sources: {
+      requestId,
+      ragUsed: ragContext.hasContext,
+      documentsFound: ragContext.documentCount,
+      averageRelevanceScore: ragContext.averageScore,
+      fallbackUsed: false,
+      pipelineMode: "aiSearch",
+      searchQuery,
+      filters: context.ragSettings.filters,
+      sources: ragContext.sources,
+      imageDescriptions: context.imageDescriptions,
+    },
+    waitUntil: context.waitUntil,
+    onComplete: async (completion) => {
+      const metadata = buildResponseMetadata(completion, promptMessages, ragContext, context, {
+        queryRewriteMs: queryRewriteTime,
+        // Retrieval and generation both happen inside the aiSearch call
+        ragSearchMs: aiSearchTime,
+        contextBuildMs: 0,
+        llmMs: 0,
+      });
+      metadata.modelUsed = answer.modelUsed;
+      metadata.searchQuery = searchQuery;
+      metadata.pipelineMode = "aiSearch";
+      await saveAssistantMessage(env, context, completion.content, {
+        ...metadata,
+        sources: ragContext.sources,
+      });
+      await recordAnswer(env, context, metadata, ragContext.sources);
+      recordMetrics(env, context, metadata);
+      await recordTokenUsage(env, context.clientKey, metadata.usage?.totalTokens);
+      return metadata;
+    },
+  });
+
+  const response = createEventStreamResponse(eventStream, requestId);
+  response.headers.set("Server-Timing", formatServerTiming({ queryRewriteMs: queryRewriteTime, ragSearchMs: aiSearchTime }));
+  return response;
+}
+
+/**
+ * Retrieve and generate in a single AutoRAG aiSearch call
+ */
+async function runAiSearch(
+  query: string,
+  context: RequestContext,
+  env: Env
+): Promise<{ ragContext: RAGContext; answer: PipelineComparison }> {
+  const { ragSettings, generation } = context;
+  const start = Date.now();
+  const filterPlan = buildSearchFilters(ragSettings.filters);
+
+  const result = await env.AI.autorag(ragSettings.index).aiSearch({
+    query,
+    model: generation.model,
+    rewrite_query: ragSettings.rewriteQuery,
+    max_num_results: ragSettings.maxResults,
+    ranking_options: {
+      score_threshold: ragSettings.scoreThreshold,
+    },
+    filters: filterPlan.filter,
+  });
+
+  if (!result || !Array.isArray(result.data) || typeof result.response !== "string" || !result.response.trim()) {
+    throw new Error("AutoRAG aiSearch returned no answer");
+  }
+
+  // Only the listed sources can be post-filtered; the answer is AutoRAG's as generated
+  const ragContext = buildRAGContext({
+    ...result,
+    data: result.data.filter(filterPlan.matchesResult),
+  });
+
+  return {
+    ragContext,
+    answer: {
+      pipeline: "aiSearch",
+      response: result.response.trim(),
+      modelUsed: result.model_used || generation.model,
+      searchQuery: result.search_query || result.query_rewritten || query,
+      documentsFound: ragContext.documentCount,
+      averageRelevanceScore: ragContext.averageScore,
+      processingTimeMs: Date.now() - start,
+      sources: ragContext.sources,
+    },
+  };
+}
+
+/**
+ * aiSearch answer for compare mode; a failure is reported rather than thrown
+ * so the custom answer is still delivered
+ */
+async function runAiSearchComparison(
+  query: string,
+  context: RequestContext,
+  env: Env
+): Promise<PipelineComparison> {
+  const start = Date.now();
+
+  try {
+    const { answer } = await runAiSearch(query, context, env);
+    return answer;
+
+  } catch (error) {
+    console.error(`[${context.requestId}] aiSearch comparison failed:`, error);
+
+    return {
+      pipeline: "aiSearch",
+      response: "",
+      modelUsed: context.generation.model,
+      documentsFound: 0,
+      averageRelevanceScore: 0,
+      processingTimeMs: Date.now() - start,
+      sources: [],
+      error: error instanceof Error ? error.message : "aiSearch failed",
+    };
+  }
+}
+
+/**
+ * Extract a structured damage assessment from the conversation instead of answering it.
+ * The report is streamed as JSON text and returned parsed as `assessment` in the `done` event.
+ */
+async function processAssessmentPipeline(
+  chatRequest: ChatRequest,
+  searchQuery: SearchQueryInfo,
+  queryRewriteTime: number,
+  cache: CacheScope | null,
+  cacheReport: CacheReport,
+  context: RequestContext,
+  env: Env
+): Promise<Response> {
+  const { requestId } = context;
+
+  const ragSearchStart = Date.now();
+  const retrievedContext = withPinnedSources(await searchAutoRAGWithCache(
+    searchQuery.standalone,
+    context.ragSettings,
+    cache,
+    cacheReport,
+    env
+  ), context.pinnedSources);
+  searchQuery.autoragRewritten = retrievedContext.rewrittenQuery;
+  const ragSearchTime = Date.now() - ragSearchStart;
+
+  const contextBuildStart = Date.now();
+  const budget = await fitContextBudget(chatRequest, buildAssessmentPrompt(""), retrievedContext.sources, context, env);
+  const ragContext = withSources(retrievedContext, budget.sources);
+  const promptMessages: ChatMessage[] = [
+    { role: "system", content: buildAssessmentPrompt(ragContext.contextText, budget.summary?.content) },
+    ...budget.messages,
+  ];
+  const contextBuildTime = Date.now() - contextBuildStart;
+
+  console.log(`[${requestId}] Generating damage assessment...`);
+  const llmStart = Date.now();
+
+  let assessment: Awaited<ReturnType<typeof generateAssessment>>;
+  try {
+    assessment = await generateAssessment(
+      promptMessages,
+      ragContext.sources.map(source => source.documentIndex),
+      context,
+      env
+    );
+  } catch (error) {
+    console.error(`[${requestId}] Damage assessment failed:`, error);
+    return createErrorResponse(ERROR_MESSAGES.ASSESSMENT_FAILURE, 502, {
+      error: error instanceof Error ? error.message : "Unknown error",
+    });
+  }
+
+  const llmTime = Date.now() - llmStart;
+  const { result, usage } = assessment;
+  console.log(`[${requestId}] Damage assessment completed in ${llmTime}ms`, {
+    valid: result.valid,
+    attempts: result.attempts,
+  });
+
+  const eventStream = createChatEventStream({
+    upstream: createTextModelStream(JSON.stringify(result.report, null, 2)),
+    sources: {
+      requestId,
+      ragUsed: ragContext.hasContext,
+      documentsFound: ragContext.documentCount,
+      averageRelevanceScore: ragContext.averageScore,
+      fallbackUsed: false,
+      pipelineMode: "assessment",
+      searchQuery,
+      filters: context.ragSettings.filters,
+      sources: ragContext.sources,
+      imageDescriptions: context.imageDescriptions,
+    },
+    waitUntil: context.waitUntil,
+    onComplete: async (completion) => {
+      const metadata = buildResponseMetadata({ ...completion, usage }, promptMessages, ragContext, context, {
+        queryRewriteMs: queryRewriteTime,
+        ragSearchMs: ragSearchTime,
+        contextBuildMs: contextBuildTime,
+        llmMs: llmTime,
+      });
+      metadata.budget = budget.report;
+      metadata.searchQuery = searchQuery;
+      metadata.pipelineMode = "assessment";
+      metadata.cache = cacheReport;
+      metadata.assessment = result;
+      await saveAssistantMessage(env, context, completion.content, {
+        ...metadata,
+        sources: ragContext.sources,
+      });
+      await recordAnswer(env, context, metadata, ragContext.sources);
+      recordMetrics(env, context, metadata);
+      await recordTokenUsage(env, context.clientKey, metadata.usage?.totalTokens);
+      return metadata;
+    },
+  });
+
+  const response = createEventStreamResponse(eventStream, requestId);
+  response.headers.set("Server-Timing", formatServerTiming({
+    queryRewriteMs: queryRewriteTime,
+    ragSearchMs: ragSearchTime,
+    contextBuildMs: contextBuildTime,
+    llmMs: llmTime,
+  }));
+  if (cache) {
+    response.headers.set("X-Cache", getCacheHeader(cacheReport));
+  }
+  return response;
+}
+
+/**
+ * Fit the retrieved sources and the conversation into the model's context window,
+ * summarizing older turns of stored conversations
+ */
+async function fitContextBudget(
+  chatRequest: ChatRequest,
+  systemPrompt: string,
+  sources: RAGSource[],
+  context: RequestContext,
+  env: Env
+): Promise<ContextBudgetResult> {
+  const store = context.conversationId ? getConversationStub(env, context.conversationId) : null;
+
+  const budget = await applyContextBudget({
+    systemPrompt,
+    sources,
+    messages: chatRequest.messages.filter(msg => msg.role !== "system"),
+    maxTokens: context.generation.maxTokens,
+    config: {
+      ...CONFIG.contextBudget,
+      contextWindow: getContextWindow(context.generation.model),
+    },
+    previousSummary: store ? await store.getSummary() : null,
+    summarize: (previousSummary, messages) => summarizeMessages(
+      env,
+      CONFIG.model,
+      previousSummary,
+      messages,
+      CONFIG.contextBudget.summaryMaxTokens
+    ),
+  });
+
+  if (store && budget.summaryUpdated && budget.summary) {
+    await store.saveSummary(budget.summary);
+  }
+
+  return budget;
+}
+
+/**
+ * Replay a cached answer through the usual event stream
+ */
+function replayCachedAnswer(
+  cached: CachedAnswer,
+  queryRewriteTime: number,
+  cacheReport: CacheReport,
+  context: RequestContext,
+  env: Env
+): Response {
+  const { requestId } = context;
+
+  const eventStream = createChatEventStream({
+    upstream: createTextModelStream(cached.content),
+    sources: { ...cached.sources, requestId, imageDescriptions: context.imageDescriptions },
+    waitUntil: context.waitUntil,
+    onComplete: async (completion) => {
+      const metadata: ChatResponseMetadata = {
+        ...cached.metadata,
+        requestId,
+        processingTimeMs: completion.completedAt - context.startTime,
+        timings: { queryRewriteMs: queryRewriteTime, ragSearchMs: 0, contextBuildMs: 0, llmMs: 0 },
+        // Nothing was generated, so nothing is charged to the daily token quota
+        usage: undefined,
+        cache: cacheReport,
+        stopped: completion.stopped,
+      };
+      await saveAssistantMessage(env, context, completion.content, {
+        ...metadata,
+        sources: cached.sources.sources,
+      });
+      await recordAnswer(env, context, metadata, cached.sources.sources);
+      recordMetrics(env, context, metadata);
+      return metadata;
+    },
+  });
+
+  const response = createEventStreamResponse(eventStream, requestId);
+  response.headers.set("Server-Timing", formatServerTiming({ queryRewriteMs: queryRewriteTime }));
+  response.headers.set("X-Cache", getCacheHeader(cacheReport));
+  return response;
+}
+
+/**
+ * Search AutoRAG, reusing cached results for the same query and settings
+ */
+async function searchAutoRAGWithCache(
+  query: string,
+  ragSettings: RAGConfig,
+  cache: CacheScope | null,
+  cacheReport: CacheReport,
+  env: Env
+): Promise<RAGContext> {
+  if (!cache) {
+    return searchAutoRAG(query, ragSettings, env);
+  }
+
+  const key = await getSearchCacheKey(cache, query, ragSettings);
+  const cached = await getCacheEntry<RAGContext>(cache, key);
+  cacheReport.search = cached.status;
+  if (cached.value) {
+    return cached.value;
+  }
+
+  const ragContext = await searchAutoRAG(query, ragSettings, env);
+
+  // Failed searches come back empty, so only results with context are kept
+  if (ragContext.hasContext) {
+    await putCacheEntry(cache, key, ragContext, CONFIG.cache.searchTtlSeconds);
+  }
+  return ragContext;
+}
+
+/**
+ * Search AutoRAG for relevant context
+ */
+async function searchAutoRAG(
+  query: string,
+  ragSettings: RAGConfig,
+  env: Env
+): Promise<RAGContext> {
+  try {
+    const filterPlan = buildSearchFilters(ragSettings.filters);
+    const searchOptions: SearchOptions = {
+      query,
+      max_num_results: ragSettings.maxResults,
+      ranking_options: {
+        score_threshold: ragSettings.scoreThreshold,
+      },
+      rewrite_query: ragSettings.rewriteQuery,
+      filters: filterPlan.filter,
+    };
+
+    console.log("AutoRAG search options:", searchOptions);
+
+    const searchResult = await env.AI.autorag(ragSettings.index).search(searchOptions);
+    
+    console.log("AutoRAG search raw result:", {
+      resultType: typeof searchResult,
+      hasData: !!searchResult?.data,
+      dataLength: searchResult?.data?.length || 0,
+    });
+
+    if (!searchResult || !searchResult.data || !Array.isArray(searchResult.data)) {
+      console.warn("AutoRAG returned invalid response structure:", searchResult);
+      return createEmptyRAGContext();
+    }
+
+    return buildRAGContext({
+      ...searchResult,
+      data: searchResult.data.filter(filterPlan.matchesResult),
+    });
+
+  } catch (error) {
+    console.error("AutoRAG search failed:", error);
+    
+    // Return empty context instead of throwing
+    return createEmptyRAGContext();
+  }
+}
+
+/**
+ * Build RAG context from search results
+ */
+function buildRAGContext(searchResult: SearchResponse): RAGContext {
+  const documents = searchResult.data;
+  
+  if (!documents || documents.length === 0) {
+    return createEmptyRAGContext();
+  }
+
+  const sources = buildRAGSources(documents);
+  const contextText = formatContextText(sources);
+  const totalScore = sources.reduce((sum, source) => sum + source.score, 0);
+  const averageScore = documents.length > 0 ? totalScore / documents.length : 0;
+
+  return {
+    contextText,
+    documentCount: documents.length,
+    averageScore,
+    sources,
+    hasContext: contextText.length > 0,
+    rewrittenQuery: searchResult.query_rewritten,
+  };
+}
+
+/**
+ * Turn AutoRAG results into sources numbered by rank, skipping results without text
+ */
+export function buildRAGSources(documents: SearchResult[]): RAGSource[] {
+  const sources: RAGSource[] = [];
+
+  documents.forEach((doc, index) => {
+    if (!isSearchResult(doc)) {
+      console.warn("Invalid search result structure:", doc);
+      return;
+    }
+
+    // Extract text from content array
+    const textContent = doc.content
+      .filter(content => content.type === "text")
+      .map(content => content.text)
+      .join('\n')
+      .trim();
+
+    if (textContent) {
+      sources.push({
+        documentIndex: index + 1,
+        fileId: doc.file_id,
+        filename: doc.filename,
+        folder: typeof doc.attributes?.folder === "string" ? doc.attributes.folder : undefined,
+        modifiedDate: typeof doc.attributes?.timestamp === "number" ? doc.attributes.timestamp : undefined,
+        score: doc.score,
+        pageNumber: doc.page_number,
+        snippet: createSnippet(textContent),
+        content: textContent,
+      });
+    }
+  });
+
+  return sources;
+}
+
+/**
+ * Put the sources pinned by the user ahead of the retrieved ones, numbering them all again.
+ * Retrieved chunks that were also pinned are only given once.
+ */
+function withPinnedSources(ragContext: RAGContext, pinnedSources: PinnedSource[] | undefined): RAGContext {
+  if (!pinnedSources || pinnedSources.length === 0) return ragContext;
+
+  const pinnedChunks = new Set(pinnedSources.map(source => `${source.fileId}\n${source.content}`));
+  const sources: RAGSource[] = [
+    ...pinnedSources.map(({ fileId, filename, folder, modifiedDate, score, pageNumber, content }) => ({
+      documentIndex: 0,
+      fileId,
+      filename,
+      folder,
+      modifiedDate,
+      score,
+      pageNumber,
+      snippet: createSnippet(content),
+      content,
+      pinned: true,
+    })),
+    ...ragContext.sources.filter(source => !pinnedChunks.has(`${source.fileId}\n${source.content}`)),
+  ].map((source, index) => ({ ...source, documentIndex: index + 1 }));
+
+  return {
+    ...withSources(ragContext, sources),
+    documentCount: sources.length,
+  };
+}
+
+function createSnippet(text: string): string {
+  return text.substring(0, 200) + (text.length > 200 ? "..." : "");
+}
+
+/**
+ * Format sources as numbered document entries for the system prompt
+ */
+function formatContextText(sources: RAGSource[]): string {
+  return sources
+    .map(source => `[Document ${source.documentIndex}: ${source.filename} (Relevance: ${source.score.toFixed(2)})]\n${source.content}`)
+    .join('\n\n');
+}
+
+/**
+ * Replace the sources of a RAG context with the subset that fits the budget
+ */
+function withSources(ragContext: RAGContext, sources: RAGSource[]): RAGContext {
+  const contextText = formatContextText(sources);
+
+  return {
+    ...ragContext,
+    contextText,
+    sources,
+    hasContext: contextText.length > 0,
+  };
+}
+
+/**
+ * Create empty RAG context for fallback scenarios
+ */
+function createEmptyRAGContext(): RAGContext {
+  return {
+    contextText: "",
+    documentCount: 0,
+    averageScore: 0,
+    sources: [],
+    hasContext: false,
+  };
+}
+
+/**
+ * Build enhanced system prompt with RAG context
+ */
+function buildEnhancedSystemPrompt(config: {
+  basePrompt: string;
+  ragContext: RAGContext;
+  includeInstructions: boolean;
+  conversationSummary?: string;
+}): EnhancedSystemPrompt {
+  const { ragContext, includeInstructions, conversationSummary } = config;
+
+  // Older turns that were cut from the history are carried as a summary
+  const basePrompt = conversationSummary
+    ? `${config.basePrompt}\n\nEARLIER CONVERSATION SUMMARY:\n${conversationSummary}`
+    : config.basePrompt;
+
+  if (!ragContext.hasContext) {
+    return {
+      prompt: basePrompt,
+      hasRAGContext: false,
+      contextSummary: "No relevant documents found in knowledge base",
+      tokenEstimate: estimateTokens(basePrompt),
+    };
+  }
+
+  const contextSummary = `Found ${ragContext.documentCount} relevant documents (avg. relevance: ${ragContext.averageScore.toFixed(2)})`;
+  
+  const enhancedPrompt = `${basePrompt}
+
+KNOWLEDGE BASE CONTEXT:
+You have access to relevant information from the knowledge base. ${contextSummary}:
+
+${ragContext.contextText}
+
+INSTRUCTIONS:
+- When the knowledge base context is relevant to the user's question, prioritize this information
+- Reference specific documents when using knowledge base information (e.g., "according to [Document 1: filename]")
+- Cite every claim taken from the knowledge base with its marker, and only cite document numbers listed above
+- If the knowledge base doesn't contain relevant information for the question, rely on your general knowledge
+- Be clear about when you're using knowledge base information vs. general knowledge
+- Provide accurate and helpful responses based on the best available information`;
+
+  return {
+    prompt: enhancedPrompt,
+    hasRAGContext: true,
+    contextSummary,
+    tokenEstimate: estimateTokens(enhancedPrompt),
+  };
+}
+
+/**
+ * Generate LLM response with enhanced context
+ */
+async function generateLLMResponse(
+  messages: ChatMessage[],
+  context: RequestContext,
+  env: Env
+): Promise<ReadableStream<Uint8Array>> {
+  const { generation } = context;
+
+  try {
+    const response = await env.AI.run(
+      generation.model,
+      {
+        messages,
+        max_tokens: generation.maxTokens,
+        temperature: generation.temperature,
+        top_p: generation.topP,
+        stream: true,
+      },
+      {
+        returnRawResponse: true,
+      }
+    );
+
+    if (!response.ok || !response.body) {
+      throw new Error(`LLM API error: ${response.status} ${response.statusText}`);
+    }
+
+    return response.body;
+
+  } catch (error) {
+    console.error(`[${context.requestId}] LLM generation failed:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Build the final response metadata once the model stream has finished
+ */
+function buildResponseMetadata(
+  completion: StreamCompletion,
+  promptMessages: ChatMessage[],
+  ragContext: RAGContext,
+  context: RequestContext,
+  timings: StageTimings,
+  fallback?: { originalError: string }
+): ChatResponseMetadata {
+  const reported = completion.usage;
+  const promptTokens = reported?.prompt_tokens
+    ?? estimateTokens(promptMessages.map(msg => msg.content).join("\n"));
+  const completionTokens = reported?.completion_tokens ?? estimateTokens(completion.content);
+
+  return {
+    requestId: context.requestId,
+    ragUsed: ragContext.hasContext,
+    documentsFound: ragContext.documentCount,
+    averageRelevanceScore: ragContext.averageScore,
+    modelUsed: context.generation.model,
+    processingTimeMs: completion.completedAt - context.startTime,
+    tokensGenerated: completionTokens,
+    fallbackUsed: !!fallback,
+    originalError: fallback?.originalError,
+    stopped: completion.stopped,
+    timings,
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens: reported?.total_tokens ?? promptTokens + completionTokens,
+      estimated: reported?.completion_tokens === undefined,
+    },
+  };
+}
+
+/**
+ * Handle pipeline failures with fallback strategies
+ */
+async function handlePipelineFailure(
+  chatRequest: ChatRequest,
+  error: ProcessingError,
+  env: Env
+): Promise<Response> {
+  console.log(`[${error.context.requestId}] Attempting fallback strategy...`);
+
+  try {
+    // Fallback: Use basic system prompt without RAG context
+    const fallbackMessages: ChatMessage[] = [
+      { 
+        role: "system", 
+        content: error.context.systemPrompt || CONFIG.defaultSystemPrompt 
+      },
+      ...chatRequest.messages.filter(msg => msg.role !== "system")
+    ];
+
+    const llmStart = Date.now();
+    const modelStream = await generateLLMResponse(
+      fallbackMessages,
+      error.context,
+      env
+    );
+
+    const ragContext = createEmptyRAGContext();
+    const eventStream = createChatEventStream({
+      upstream: modelStream,
+      sources: {
+        requestId: error.context.requestId,
+        ragUsed: false,
+        documentsFound: 0,
+        averageRelevanceScore: 0,
+        fallbackUsed: true,
+        sources: [],
+        imageDescriptions: error.context.imageDescriptions,
+      },
+      waitUntil: error.context.waitUntil,
+      onComplete: async (completion) => {
+        const metadata = buildResponseMetadata(
+          completion,
+          fallbackMessages,
+          ragContext,
+          error.context,
+          {
+            ragSearchMs: 0,
+            contextBuildMs: 0,
+            timeToFirstTokenMs: completion.firstTokenAt ? completion.firstTokenAt - llmStart : undefined,
+            llmMs: completion.completedAt - llmStart,
+          },
+          { originalError: error.message }
+        );
+        await saveAssistantMessage(env, error.context, completion.content, metadata);
+        await recordAnswer(env, error.context, metadata, []);
+        recordMetrics(env, error.context, metadata);
+        await recordTokenUsage(env, error.context.clientKey, metadata.usage?.totalTokens);
+        return metadata;
+      },
+    });
+
+    return createEventStreamResponse(eventStream, error.context.requestId);
+
+  } catch (fallbackError) {
+    console.error(`[${error.context.requestId}] Fallback also failed:`, fallbackError);
+    
+    return createErrorResponse(
+      ERROR_MESSAGES.LLM_FAILURE,
+      503,
+      {
+        ...error,
+        fallbackError: fallbackError instanceof Error ? fallbackError.message : "Unknown fallback error",
+      }
+    );
+  }
+}
+
+/**
+ * Utility functions
+ */
+function getUserMessage(messages: ChatMessage[]): string {
+  const userMessages = messages.filter(msg => msg.role === "user");
+  return userMessages[userMessages.length - 1]?.content || "";
+}
+
+export function generateRequestId(): string {
+  return `req_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+}
+
@@ -0,0 +1,226 @@
+/**
+ * System prompt preset registry.
+ *
+ * Built-in presets are defined here and cannot be changed through the API.
+ * Presets created by users are stored in the PRESETS KV namespace, one key per
+ * preset under a prefix of their user, and listed after the built-ins to that
+ * user only.
+ */
+
+import { AuthenticatedUser, Env, SystemPromptPreset, DEFAULT_CONFIG } from "./types";
+import { createErrorResponse, createJSONResponse } from "./http";
+
+const PRESET_KEY_PREFIX = "preset:";
+const PRESET_ID_PATTERN = /^preset_[0-9a-f]{12}$/;
+// Per user
+const MAX_CUSTOM_PRESETS = 100;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_PROMPT_LENGTH = 10000;
+
+export const BUILT_IN_PRESETS: SystemPromptPreset[] = [
+  {
+    id: "default",
+    name: "Default",
+    description: "General assistant that prefers the knowledge base when it is relevant",
+    prompt: DEFAULT_CONFIG.defaultSystemPrompt,
+    category: "default",
+    builtIn: true,
+  },
+  {
+    id: "water-mitigation-estimator",
+    name: "Water mitigation estimator",
+    description: "Scopes water losses by category and class and drafts line items",
+    prompt: "You are an experienced water mitigation estimator working to the IICRC S500 standard. For each loss, identify the water category and class, the affected rooms and materials, and what must be removed versus dried in place. Draft the scope as line items with quantities and units (SF, LF, EA, days of equipment), and size drying equipment from the affected area and class. Cite the knowledge base document for every standard or carrier requirement you apply, flag anything that needs adjuster approval, and state which measurements you are missing instead of guessing them.",
+    category: "restoration",
+    builtIn: true,
+  },
+  {
+    id: "mold-remediation-protocol",
+    name: "Mold remediation protocol",
+    description: "Writes remediation protocols following IICRC S520 conditions and containment",
+    prompt: "You are a mold remediation project manager following the IICRC S520 standard. Classify the affected areas by condition (1, 2 or 3), specify containment, negative air and PPE requirements, list the materials to remove and to clean, and describe HEPA vacuuming, damp wiping and post-remediation verification. Use the knowledge base for standards, internal SOPs and carrier coverage limits, cite the document for each requirement, and point out when an indoor environmental professional should be involved.",
+    category: "restoration",
+    builtIn: true,
+  },
+  {
+    id: "technical",
+    name: "Technical",
+    description: "Precise technical explanations with references to the documentation",
+    prompt: "You are a technical expert assistant. When using the knowledge base, focus on technical details, implementation specifics, and best practices. Provide code examples when relevant, explain technical concepts clearly, and reference specific documentation sections when using knowledge base information. Be precise and thorough in your explanations.",
+    category: "technical",
+    builtIn: true,
+  },
+  {
+    id: "creative",
+    name: "Creative",
+    description: "Uses the knowledge base as inspiration for alternative approaches",
+    prompt: "You are a creative and innovative assistant. Use the knowledge base information as inspiration while encouraging creative thinking and novel approaches. When drawing from the knowledge base, combine the information with creative insights and alternative perspectives. Be engaging and imaginative in your responses.",
+    category: "creative",
+    builtIn: true,
+  },
+  {
+    id: "analytical",
+    name: "Analytical",
+    description: "Structured, evidence-based answers focused on facts and figures",
+    prompt: "You are an analytical assistant focused on data-driven insights. When using the knowledge base, emphasize facts, statistics, and logical reasoning. Break down complex information into clear analytical points, identify patterns and relationships, and provide structured, evidence-based responses.",
+    category: "analytical",
+    builtIn: true,
+  },
+];
+
+/**
+ * Handle /api/presets and /api/presets/:id; custom presets of other users are reported as missing
+ */
+export async function handlePresetsRequest(
+  request: Request,
+  env: Env,
+  url: URL,
+  user: AuthenticatedUser
+): Promise<Response> {
+  const presetId = url.pathname.split("/")[3];
+  const { userId } = user;
+
+  try {
+    if (!presetId) {
+      switch (request.method) {
+        case "GET":
+          return createJSONResponse({ presets: [...BUILT_IN_PRESETS, ...await listCustomPresets(env, userId)] });
+        case "POST":
+          return await createPreset(request, env, userId);
+        default:
+          return createErrorResponse("Method not allowed", 405);
+      }
+    }
+
+    const builtIn = BUILT_IN_PRESETS.find(preset => preset.id === presetId);
+    if (builtIn) {
+      return request.method === "GET"
+        ? createJSONResponse({ preset: builtIn })
+        : createErrorResponse("Built-in presets cannot be changed", 403);
+    }
+
+    if (!PRESET_ID_PATTERN.test(presetId)) {
+      return createErrorResponse("Preset not found", 404);
+    }
+
+    const existing = await env.PRESETS.get<SystemPromptPreset>(getPresetKey(userId, presetId), "json");
+    if (!existing) {
+      return createErrorResponse("Preset not found", 404);
+    }
+
+    switch (request.method) {
+      case "GET":
+        return createJSONResponse({ preset: existing });
+      case "PUT":
+      case "PATCH": {
+        const { preset, errors } = parsePresetInput(await request.json(), existing);
+        if (!preset) {
+          return createErrorResponse(`Invalid request: ${errors.join(", ")}`, 400);
+        }
+        await env.PRESETS.put(getPresetKey(userId, presetId), JSON.stringify(preset));
+        return createJSONResponse({ preset });
+      }
+      case "DELETE":
+        await env.PRESETS.delete(getPresetKey(userId, presetId));
+        return createJSONResponse({ deleted: true, id: presetId });
+      default:
+        return createErrorResponse("Method not allowed", 405);
+    }
+
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return createErrorResponse("Invalid request: malformed JSON body", 400);
+    }
+    console.error("Preset request failed:", error);
+    return createErrorResponse("Internal server error occurred", 500);
+  }
+}
+
+async function createPreset(request: Request, env: Env, userId: string): Promise<Response> {
+  const { preset, errors } = parsePresetInput(await request.json());
+  if (!preset) {
+    return createErrorResponse(`Invalid request: ${errors.join(", ")}`, 400);
+  }
+
+  const { keys } = await env.PRESETS.list({ prefix: getPresetKey(userId, ""), limit: MAX_CUSTOM_PRESETS });
+  if (keys.length >= MAX_CUSTOM_PRESETS) {
+    return createErrorResponse(`Preset limit reached (max ${MAX_CUSTOM_PRESETS} custom presets)`, 409);
+  }
+
+  await env.PRESETS.put(getPresetKey(userId, preset.id), JSON.stringify(preset));
+  return createJSONResponse({ preset }, 201);
+}
+
+async function listCustomPresets(env: Env, userId: string): Promise<SystemPromptPreset[]> {
+  const { keys } = await env.PRESETS.list({ prefix: getPresetKey(userId, ""), limit: MAX_CUSTOM_PRESETS });
+  const presets = await Promise.all(
+    keys.map(key => env.PRESETS.get<SystemPromptPreset>(key.name, "json"))
+  );
+
+  return presets
+    .filter((preset): preset is SystemPromptPreset => preset !== null)
+    .sort((a, b) => (a.createdAt ?? "").localeCompare(b.createdAt ?? ""));
+}
+
+/**
+ * Validate a create or update body; updates keep the fields they omit
+ */
+function parsePresetInput(
+  body: unknown,
+  existing?: SystemPromptPreset
+): { preset?: SystemPromptPreset; errors: string[] } {
+  const errors: string[] = [];
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { errors: ["body must be an object"] };
+  }
+
+  const input = body as Record<string, unknown>;
+  const name = input.name === undefined ? existing?.name : normalizeText(input.name, MAX_NAME_LENGTH);
+  const description = input.description === undefined
+    ? existing?.description ?? ""
+    : normalizeText(input.description, MAX_DESCRIPTION_LENGTH);
+  const prompt = input.prompt === undefined ? existing?.prompt : input.prompt;
+
+  if (!name) {
+    errors.push("name is required");
+  }
+  if (description === undefined) {
+    errors.push("description must be a string");
+  }
+  if (typeof prompt !== "string" || !prompt.trim()) {
+    errors.push("prompt is required");
+  } else if (prompt.length > MAX_PROMPT_LENGTH) {
+    errors.push(`prompt too long (max ${MAX_PROMPT_LENGTH} characters)`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const now = new Date().toISOString();
+
+  return {
+    errors,
+    preset: {
+      id: existing?.id ?? `preset_${crypto.randomUUID().replace(/-/g, "").substring(0, 12)}`,
+      name: name!,
+      description: description!,
+      prompt: (prompt as string).trim(),
+      category: "custom",
+      builtIn: false,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+    },
+  };
+}
+
+function normalizeText(value: unknown, maxLength: number): string | undefined {
+  if (typeof value !== "string") return undefined;
+  return value.replace(/\s+/g, " ").trim().substring(0, maxLength);
+}
+
+function getPresetKey(userId: string, id: string): string {
+  return `${PRESET_KEY_PREFIX}${userId}:${id}`;
+}
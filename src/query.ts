@@ -0,0 +1,221 @@
+/**
+ * Search query preparation.
+ *
+ * Follow-up questions ("what about for category 3 water?") retrieve little on
+ * their own, so the recent turns and the latest message are condensed into a
+ * self-contained search query before AutoRAG is called. Folder and date scopes
+ * from the request are translated into AutoRAG metadata filters.
+ */
+
+import {
+  ChatMessage,
+  ComparisonFilter,
+  Env,
+  KnowledgeBaseFilters,
+  SearchFilter,
+  SearchQueryInfo,
+  SearchResult,
+} from "./types";
+
+// Recent messages given to the model as conversation context
+const CONDENSE_HISTORY_MESSAGES = 6;
+
+// Longest excerpt of each message given to the model
+const CONDENSE_MESSAGE_CHARS = 500;
+
+const CONDENSE_MAX_TOKENS = 100;
+
+const MAX_FILTER_FOLDERS = 10;
+const FOLDER_PATTERN = /^[\w][\w .\/-]{0,199}$/;
+
+const CONDENSE_SYSTEM_PROMPT = `You rewrite follow-up questions into standalone search queries for a knowledge base of property damage restoration guidelines (water, fire, mold, IICRC standards, carrier guidelines and internal SOPs).
+Use the conversation to resolve pronouns and implicit references, and keep specific terms such as water category and class, materials and standards.
+Reply with the search query only, on a single line, without quotes or explanation.`;
+
+/**
+ * Build the AutoRAG search query for the latest user message
+ */
+export async function condenseSearchQuery(
+  messages: ChatMessage[],
+  userMessage: string,
+  enabled: boolean,
+  model: string,
+  env: Env
+): Promise<SearchQueryInfo> {
+  const history = getPrecedingTurns(messages);
+
+  // Nothing to resolve against until the user has asked something before
+  if (!enabled || !history.some(msg => msg.role === "user")) {
+    return { original: userMessage, standalone: userMessage, condensed: false };
+  }
+
+  try {
+    const transcript = history
+      .map(msg => `${msg.role.toUpperCase()}: ${msg.content.substring(0, CONDENSE_MESSAGE_CHARS)}`)
+      .join("\n");
+
+    const result = await env.AI.run(model, {
+      messages: [
+        { role: "system", content: CONDENSE_SYSTEM_PROMPT },
+        {
+          role: "user",
+          content: `Conversation:\n${transcript}\n\nFollow-up question: ${userMessage}\n\nStandalone search query:`,
+        },
+      ],
+      max_tokens: CONDENSE_MAX_TOKENS,
+      temperature: 0,
+    });
+
+    const standalone = cleanQuery(typeof result?.response === "string" ? result.response : "");
+
+    if (!standalone) {
+      throw new Error("Empty standalone query");
+    }
+
+    return { original: userMessage, standalone, condensed: standalone !== userMessage };
+
+  } catch (error) {
+    console.warn("Query condensation failed, searching with the original message:", error);
+    return { original: userMessage, standalone: userMessage, condensed: false };
+  }
+}
+
+/**
+ * Recent non-system turns before the latest user message
+ */
+function getPrecedingTurns(messages: ChatMessage[]): ChatMessage[] {
+  const conversation = messages.filter(msg => msg.role !== "system");
+  let lastUserIndex = -1;
+
+  for (let i = conversation.length - 1; i >= 0; i--) {
+    if (conversation[i].role === "user") {
+      lastUserIndex = i;
+      break;
+    }
+  }
+
+  return lastUserIndex > 0
+    ? conversation.slice(Math.max(lastUserIndex - CONDENSE_HISTORY_MESSAGES, 0), lastUserIndex)
+    : [];
+}
+
+function cleanQuery(text: string): string {
+  const firstLine = text.trim().split("\n")[0] ?? "";
+  return firstLine
+    .replace(/^(standalone )?(search )?query:\s*/i, "")
+    .replace(/^["'“]|["'”]$/g, "")
+    .trim();
+}
+
+/**
+ * AutoRAG filter for a knowledge base scope, plus a local check for the part
+ * AutoRAG cannot express (compound filters cannot be nested)
+ */
+export interface SearchFilterPlan {
+  filter?: SearchFilter;
+  matchesResult: (result: SearchResult) => boolean;
+}
+
+/**
+ * Validate a knowledge base scope, returning error messages
+ */
+export function validateKnowledgeBaseFilters(filters: unknown): string[] {
+  const errors: string[] = [];
+
+  if (filters === undefined) return errors;
+
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    return ["ragSettings.filters must be an object"];
+  }
+
+  const { folders, modifiedAfter, modifiedBefore } = filters as Record<string, unknown>;
+
+  if (folders !== undefined) {
+    if (!Array.isArray(folders) || folders.some(folder => typeof folder !== "string" || !FOLDER_PATTERN.test(folder))) {
+      errors.push("ragSettings.filters.folders must be a list of folder names");
+    } else if (folders.length > MAX_FILTER_FOLDERS) {
+      errors.push(`ragSettings.filters.folders allows at most ${MAX_FILTER_FOLDERS} folders`);
+    }
+  }
+
+  const after = parseFilterDate(modifiedAfter, "modifiedAfter", errors);
+  const before = parseFilterDate(modifiedBefore, "modifiedBefore", errors);
+
+  if (after !== undefined && before !== undefined && after > before) {
+    errors.push("ragSettings.filters.modifiedAfter must be before modifiedBefore");
+  }
+
+  return errors;
+}
+
+/**
+ * Translate a validated knowledge base scope into AutoRAG filters
+ */
+export function buildSearchFilters(filters: KnowledgeBaseFilters | undefined): SearchFilterPlan {
+  const folders = [...new Set((filters?.folders ?? []).map(normalizeFolder))];
+  const after = filters?.modifiedAfter ? Date.parse(filters.modifiedAfter) : undefined;
+  const before = filters?.modifiedBefore ? endOfDay(Date.parse(filters.modifiedBefore)) : undefined;
+
+  const folderFilters: ComparisonFilter[] = folders.map(folder => ({ type: "eq", key: "folder", value: folder }));
+  const dateFilters: ComparisonFilter[] = [];
+
+  if (after !== undefined) {
+    dateFilters.push({ type: "gte", key: "timestamp", value: after });
+  }
+  if (before !== undefined) {
+    dateFilters.push({ type: "lte", key: "timestamp", value: before });
+  }
+
+  const matchesDate = (result: SearchResult) => {
+    const timestamp = Number(result.attributes?.timestamp ?? result.attributes?.modified_date);
+    if (!Number.isFinite(timestamp)) return true;
+    return (after === undefined || timestamp >= after) && (before === undefined || timestamp <= before);
+  };
+
+  // Several folders need an "or" that cannot be combined with the date "and",
+  // so the date range is checked on the returned results instead
+  if (folderFilters.length > 1) {
+    return {
+      filter: { type: "or", filters: folderFilters },
+      matchesResult: dateFilters.length > 0 ? matchesDate : () => true,
+    };
+  }
+
+  const comparisons = [...folderFilters, ...dateFilters];
+
+  return {
+    filter: comparisons.length === 0
+      ? undefined
+      : comparisons.length === 1
+        ? comparisons[0]
+        : { type: "and", filters: comparisons },
+    matchesResult: () => true,
+  };
+}
+
+/**
+ * AutoRAG folder attributes are prefixes ending in "/"
+ */
+function normalizeFolder(folder: string): string {
+  const trimmed = folder.trim().replace(/^\/+/, "");
+  return trimmed.endsWith("/") ? trimmed : `${trimmed}/`;
+}
+
+function parseFilterDate(value: unknown, field: string, errors: string[]): number | undefined {
+  if (value === undefined) return undefined;
+
+  const timestamp = typeof value === "string" ? Date.parse(value) : NaN;
+  if (Number.isNaN(timestamp)) {
+    errors.push(`ragSettings.filters.${field} must be an ISO date`);
+    return undefined;
+  }
+
+  return timestamp;
+}
+
+/**
+ * Make a date-only upper bound inclusive of the whole day
+ */
+function endOfDay(timestamp: number): number {
+  return timestamp % 86400000 === 0 ? timestamp + 86400000 - 1 : timestamp;
+}
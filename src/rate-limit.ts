@@ -0,0 +1,83 @@
+/**
+ * Rate limiting helpers for /api/chat, /api/search and /v1/chat/completions.
+ *
+ * The RateLimiter Durable Object is defined in rate-limiter.ts; this module
+ * picks the client key and talks to it through its stub. A failing limiter
+ * lets requests through rather than taking the chat down with it.
+ */
+
+import { AuthenticatedUser, Env, RateLimitDecision } from "./types";
+import { CONFIG } from "./config";
+import { createErrorResponse } from "./http";
+
+/**
+ * Check and consume the rate limit of an authenticated caller
+ */
+export async function checkRateLimit(
+  env: Env,
+  user: AuthenticatedUser
+): Promise<{ clientKey: string; decision?: RateLimitDecision }> {
+  // Limits are per user, shared by all of the user's keys and sessions
+  const clientKey = `user:${user.userId}`;
+
+  try {
+    const decision = await getRateLimiterStub(env, clientKey).consume(CONFIG.rateLimit);
+    return { clientKey, decision };
+  } catch (error) {
+    console.error(`Rate limiter unavailable for ${clientKey}:`, error);
+    return { clientKey };
+  }
+}
+
+/**
+ * Charge the model tokens of a finished answer to the client's daily quota
+ */
+export async function recordTokenUsage(env: Env, clientKey: string | undefined, tokens: number | undefined): Promise<void> {
+  if (!clientKey || !tokens) return;
+
+  try {
+    await getRateLimiterStub(env, clientKey).recordUsage(tokens);
+  } catch (error) {
+    console.error(`Failed to record token usage for ${clientKey}:`, error);
+  }
+}
+
+/**
+ * Build the 429 response for a rejected request
+ */
+export function createRateLimitResponse(decision: RateLimitDecision): Response {
+  const response = createErrorResponse(getRateLimitMessage(decision), 429, {
+    reason: decision.reason,
+    retryAfterSeconds: decision.retryAfterSeconds,
+    tokensUsedToday: decision.tokensUsedToday,
+    dailyTokenQuota: decision.dailyTokenQuota,
+  });
+  response.headers.set("Retry-After", String(decision.retryAfterSeconds));
+  addRateLimitHeaders(response.headers, decision);
+
+  return response;
+}
+
+/**
+ * Explain why a request was rejected
+ */
+export function getRateLimitMessage(decision: RateLimitDecision): string {
+  return decision.reason === "daily_tokens"
+    ? `Daily token quota of ${decision.dailyTokenQuota.toLocaleString("en-US")} exceeded`
+    : "Too many requests";
+}
+
+/**
+ * Report the caller's remaining allowance on a response
+ */
+export function addRateLimitHeaders(headers: Headers, decision: RateLimitDecision): void {
+  headers.set("X-RateLimit-Limit", String(decision.limit));
+  headers.set("X-RateLimit-Remaining", String(decision.remaining));
+  if (decision.dailyTokenQuota > 0) {
+    headers.set("X-Token-Quota-Remaining", String(Math.max(0, decision.dailyTokenQuota - decision.tokensUsedToday)));
+  }
+}
+
+function getRateLimiterStub(env: Env, clientKey: string) {
+  return env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(clientKey));
+}
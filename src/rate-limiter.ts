@@ -0,0 +1,98 @@
+/**
+ * Per-client rate limiting state.
+ *
+ * Each authenticated user (`user:<userId>`, see checkRateLimit in rate-limit.ts)
+ * gets its own RateLimiter Durable Object holding a request token bucket and
+ * the model tokens used today. Durable Objects process calls one at a time, so checks never race.
+ */
+
+import { DurableObject } from "cloudflare:workers";
+import { Env, RateLimitDecision, RateLimitPolicy } from "./types";
+
+const BUCKET_KEY = "bucket";
+const USAGE_KEY = "usage";
+
+interface TokenBucket {
+  tokens: number;
+  updatedAt: number;
+}
+
+interface DailyUsage {
+  day: string;
+  tokens: number;
+}
+
+/**
+ * Durable Object enforcing the request rate and daily token quota of one client
+ */
+export class RateLimiter extends DurableObject<Env> {
+  /**
+   * Take one request from the bucket, unless the client is over a limit
+   */
+  async consume(policy: RateLimitPolicy): Promise<RateLimitDecision> {
+    const now = Date.now();
+    const usage = await this.getUsage(now);
+    const decision = {
+      limit: policy.burst,
+      tokensUsedToday: usage.tokens,
+      dailyTokenQuota: policy.dailyTokenQuota,
+    };
+
+    if (policy.dailyTokenQuota > 0 && usage.tokens >= policy.dailyTokenQuota) {
+      return {
+        ...decision,
+        allowed: false,
+        reason: "daily_tokens",
+        remaining: 0,
+        retryAfterSeconds: Math.ceil((getNextUTCDay(now) - now) / 1000),
+      };
+    }
+
+    const refillPerMs = policy.requestsPerMinute / 60000;
+    const stored = await this.ctx.storage.get<TokenBucket>(BUCKET_KEY);
+    const available = stored
+      ? Math.min(policy.burst, stored.tokens + (now - stored.updatedAt) * refillPerMs)
+      : policy.burst;
+
+    if (available < 1) {
+      await this.ctx.storage.put(BUCKET_KEY, { tokens: available, updatedAt: now });
+      return {
+        ...decision,
+        allowed: false,
+        reason: "requests",
+        remaining: 0,
+        retryAfterSeconds: Math.max(1, Math.ceil((1 - available) / refillPerMs / 1000)),
+      };
+    }
+
+    await this.ctx.storage.put(BUCKET_KEY, { tokens: available - 1, updatedAt: now });
+    return {
+      ...decision,
+      allowed: true,
+      remaining: Math.floor(available - 1),
+      retryAfterSeconds: 0,
+    };
+  }
+
+  /**
+   * Add model tokens to today's usage
+   */
+  async recordUsage(tokens: number): Promise<number> {
+    const usage = await this.getUsage(Date.now());
+    usage.tokens += tokens;
+
+    await this.ctx.storage.put(USAGE_KEY, usage);
+    return usage.tokens;
+  }
+
+  private async getUsage(now: number): Promise<DailyUsage> {
+    const day = new Date(now).toISOString().substring(0, 10);
+    const usage = await this.ctx.storage.get<DailyUsage>(USAGE_KEY);
+    return usage?.day === day ? usage : { day, tokens: 0 };
+  }
+}
+
+function getNextUTCDay(now: number): number {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
@@ -0,0 +1,204 @@
+/**
+ * Knowledge base search without a generated answer.
+ *
+ * POST /api/search returns ranked chunks for a query, so users can find a
+ * document without asking a question. AutoRAG search has no offset and
+ * returns at most `CONFIG.search.maxResults` results, so each page searches for
+ * the results up to its end and returns the last `pageSize` of them, with
+ * `has_more` and `next_page` as in AutoRAG's own page fields. Results can be
+ * sent back with the next chat turn as `pinnedSources`. Searches share the
+ * caller's rate limit with /api/chat.
+ */
+
+import {
+  AuthenticatedUser,
+  Env,
+  ERROR_MESSAGES,
+  KnowledgeBaseSearchRequest,
+  KnowledgeBaseSearchResponse,
+  RAGConfig,
+  RateLimitDecision,
+} from "./types";
+import { CONFIG } from "./config";
+import { buildSearchFilters, validateKnowledgeBaseFilters } from "./query";
+import { buildRAGSources } from "./pipeline";
+import { createErrorResponse, createJSONResponse } from "./http";
+import { addRateLimitHeaders, checkRateLimit, createRateLimitResponse } from "./rate-limit";
+
+const MAX_QUERY_LENGTH = 1000;
+const MAX_FILENAME_LENGTH = 500;
+
+/**
+ * Handle POST /api/search
+ */
+export async function handleSearchRequest(request: Request, env: Env, user: AuthenticatedUser): Promise<Response> {
+  if (request.method !== "POST") {
+    return createErrorResponse("Method not allowed", 405);
+  }
+
+  try {
+    const body = await request.json<KnowledgeBaseSearchRequest>();
+    const errors = validateSearchRequest(body);
+    if (errors.length > 0) {
+      return createErrorResponse(`Invalid request: ${errors.join(", ")}`, 400);
+    }
+
+    // Only valid requests use up the burst
+    const { clientKey, decision } = await checkRateLimit(env, user);
+    if (decision && !decision.allowed) {
+      console.warn(`Rate limited ${clientKey}:`, decision.reason);
+      return createRateLimitResponse(decision);
+    }
+
+    const query = body.query.trim();
+    const page = body.page ?? 1;
+    const pageSize = body.pageSize ?? CONFIG.search.defaultPageSize;
+    const offset = (page - 1) * pageSize;
+    const ragSettings: RAGConfig = {
+      ...CONFIG.ragSettings,
+      ...body.ragSettings,
+      index: CONFIG.autoragIndex,
+    };
+    const filterPlan = buildSearchFilters(ragSettings.filters);
+
+    const start = Date.now();
+    let result;
+    try {
+      // One more than the page tells whether another page follows
+      result = await env.AI.autorag(ragSettings.index).search({
+        query,
+        max_num_results: Math.min(offset + pageSize + 1, CONFIG.search.maxResults),
+        ranking_options: {
+          score_threshold: ragSettings.scoreThreshold,
+        },
+        rewrite_query: ragSettings.rewriteQuery,
+        filters: filterPlan.filter,
+      });
+    } catch (error) {
+      console.error("Knowledge base search failed:", error);
+      return withRateLimitHeaders(createErrorResponse(ERROR_MESSAGES.SEARCH_FAILURE, 502), decision);
+    }
+
+    const documents = (Array.isArray(result?.data) ? result.data : []).filter(filterPlan.matchesResult);
+    const results = buildRAGSources(documents)
+      .filter(source => source.documentIndex > offset && source.documentIndex <= offset + pageSize);
+    const hasMore = documents.length > offset + pageSize;
+
+    console.log(`Knowledge base search returned ${results.length} result(s) for page ${page} in ${Date.now() - start}ms`);
+
+    const response: KnowledgeBaseSearchResponse = {
+      query,
+      rewrittenQuery: result?.query_rewritten,
+      results,
+      page,
+      pageSize,
+      has_more: hasMore,
+      next_page: hasMore ? page + 1 : null,
+    };
+    return withRateLimitHeaders(createJSONResponse(response), decision);
+
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return createErrorResponse("Invalid request: malformed JSON body", 400);
+    }
+    console.error("Search request failed:", error);
+    return createErrorResponse("Internal server error occurred", 500);
+  }
+}
+
+function withRateLimitHeaders(response: Response, decision: RateLimitDecision | undefined): Response {
+  if (decision) {
+    addRateLimitHeaders(response.headers, decision);
+  }
+  return response;
+}
+
+function validateSearchRequest(body: KnowledgeBaseSearchRequest): string[] {
+  if (!body || typeof body !== "object") {
+    return ["Invalid request structure"];
+  }
+
+  const errors: string[] = [];
+  const { defaultPageSize, maxPageSize, maxResults } = CONFIG.search;
+
+  if (typeof body.query !== "string" || !body.query.trim() || body.query.length > MAX_QUERY_LENGTH) {
+    errors.push(`query must be a non-empty string of at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  if (body.pageSize !== undefined && (!Number.isInteger(body.pageSize) || body.pageSize < 1 || body.pageSize > maxPageSize)) {
+    errors.push(`pageSize must be an integer from 1 to ${maxPageSize}`);
+  }
+
+  if (body.page !== undefined) {
+    const pageSize = Number.isInteger(body.pageSize) ? body.pageSize! : defaultPageSize;
+    if (!Number.isInteger(body.page) || body.page < 1) {
+      errors.push("page must be a positive integer");
+    } else if ((body.page - 1) * pageSize >= maxResults) {
+      errors.push(`Only the first ${maxResults} results can be paged through`);
+    }
+  }
+
+  const ragSettings = body.ragSettings;
+  if (ragSettings !== undefined) {
+    if (!ragSettings || typeof ragSettings !== "object") {
+      errors.push("ragSettings must be an object");
+    } else {
+      const { scoreThreshold, rewriteQuery, filters } = ragSettings;
+      if (scoreThreshold !== undefined && (typeof scoreThreshold !== "number" || scoreThreshold < 0 || scoreThreshold > 1)) {
+        errors.push("ragSettings.scoreThreshold must be a number from 0 to 1");
+      }
+      if (rewriteQuery !== undefined && typeof rewriteQuery !== "boolean") {
+        errors.push("ragSettings.rewriteQuery must be a boolean");
+      }
+      errors.push(...validateKnowledgeBaseFilters(filters));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the search results pinned to a chat request, returning error messages
+ */
+export function validatePinnedSources(pinnedSources: unknown): string[] {
+  if (pinnedSources === undefined) return [];
+
+  const { maxPinnedSources, maxPinnedContentLength } = CONFIG.search;
+  if (!Array.isArray(pinnedSources) || pinnedSources.length > maxPinnedSources) {
+    return [`pinnedSources must be a list of at most ${maxPinnedSources} search results`];
+  }
+
+  const errors: string[] = [];
+  for (const source of pinnedSources as unknown[]) {
+    if (!source || typeof source !== "object") {
+      errors.push("Each pinned source must be an object");
+      continue;
+    }
+
+    const { fileId, filename, folder, modifiedDate, score, pageNumber, content } = source as Record<string, unknown>;
+
+    if (typeof fileId !== "string" || !fileId || fileId.length > MAX_FILENAME_LENGTH) {
+      errors.push("Pinned source fileId must be a non-empty string");
+    }
+    if (typeof filename !== "string" || !filename || filename.length > MAX_FILENAME_LENGTH) {
+      errors.push(`Pinned source filename must be a non-empty string of at most ${MAX_FILENAME_LENGTH} characters`);
+    }
+    if (folder !== undefined && (typeof folder !== "string" || folder.length > MAX_FILENAME_LENGTH)) {
+      errors.push("Pinned source folder must be a string");
+    }
+    if (typeof score !== "number" || !Number.isFinite(score)) {
+      errors.push("Pinned source score must be a number");
+    }
+    if (modifiedDate !== undefined && (typeof modifiedDate !== "number" || !Number.isFinite(modifiedDate))) {
+      errors.push("Pinned source modifiedDate must be a timestamp");
+    }
+    if (pageNumber !== undefined && (!Number.isInteger(pageNumber) || (pageNumber as number) < 0)) {
+      errors.push("Pinned source pageNumber must be a non-negative integer");
+    }
+    if (typeof content !== "string" || !content.trim() || content.length > maxPinnedContentLength) {
+      errors.push(`Pinned source content must be a non-empty string of at most ${maxPinnedContentLength} characters`);
+    }
+  }
+
+  return errors;
+}
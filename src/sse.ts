@@ -0,0 +1,308 @@
+/**
+ * Server-Sent Events helpers for the chat stream.
+ *
+ * Workers AI streams tokens as `data: {"response": "..."}` lines. The chat API
+ * re-emits them as typed events so that RAG sources and final metadata travel
+ * in-band with the answer instead of in response headers.
+ */
+
+import {
+  ChatResponseMetadata,
+  ChatStreamEvent,
+  PipelineComparison,
+  SourcesEventData,
+  StreamingChunk,
+} from "./types";
+
+const encoder = new TextEncoder();
+
+/**
+ * Result of consuming the upstream model stream
+ */
+export interface StreamCompletion {
+  content: string;
+  usage?: StreamingChunk["usage"];
+  firstTokenAt?: number;
+  completedAt: number;
+  // The client went away before the model finished; content is partial
+  stopped?: boolean;
+}
+
+/**
+ * Options for building a chat event stream
+ */
+export interface ChatEventStreamOptions {
+  upstream: ReadableStream<Uint8Array>;
+  sources: SourcesEventData;
+  comparison?: Promise<PipelineComparison>;
+  onComplete: (completion: StreamCompletion) => ChatResponseMetadata | Promise<ChatResponseMetadata>;
+  // Keeps the request alive for onComplete when the client cancels the stream
+  waitUntil?: (promise: Promise<unknown>) => void;
+}
+
+/**
+ * Encode a single typed event in SSE wire format
+ */
+export function encodeSSEEvent(event: ChatStreamEvent): Uint8Array {
+  return encoder.encode(`event: ${event.event}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+/**
+ * Wrap already generated text as a Workers AI style stream, so answers that
+ * are not streamed by the model go through the same event pipeline
+ */
+export function createTextModelStream(text: string): ReadableStream<Uint8Array> {
+  return new ReadableStream<Uint8Array>({
+    start(controller) {
+      controller.enqueue(encoder.encode(`data: ${JSON.stringify({ response: text })}\n\ndata: [DONE]\n\n`));
+      controller.close();
+    },
+  });
+}
+
+/**
+ * Read a Workers AI SSE stream and yield each parsed chunk.
+ * Aborting the signal cancels the model stream right away, even mid-read.
+ */
+export async function* readWorkersAIStream(
+  stream: ReadableStream<Uint8Array>,
+  signal?: AbortSignal
+): AsyncGenerator<StreamingChunk> {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let finished = false;
+
+  const cancelReader = () => { reader.cancel().catch(() => {}); };
+  signal?.addEventListener("abort", cancelReader, { once: true });
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Keep the trailing partial line for the next chunk
+      const lines = buffer.split("\n");
+      buffer = lines.pop() ?? "";
+
+      for (const line of lines) {
+        const chunk = parseStreamLine(line);
+        if (chunk) yield chunk;
+      }
+    }
+
+    buffer += decoder.decode();
+    const lastChunk = parseStreamLine(buffer);
+    if (lastChunk) yield lastChunk;
+
+    finished = true;
+  } finally {
+    signal?.removeEventListener("abort", cancelReader);
+    // Consumer stopped early: cancel the model stream so generation stops too
+    if (!finished) {
+      await reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Wrap a Workers AI stream as a typed chat event stream:
+ * `sources` first, then `token` events, an optional `comparison` event, then a
+ * final `done` (or `error`) event.
+ *
+ * Cancelling the stream (the client stopped or disconnected) cancels the model
+ * stream and still completes with the partial content, marked as stopped.
+ */
+export function createChatEventStream(options: ChatEventStreamOptions): ReadableStream<Uint8Array> {
+  const { upstream, sources, comparison, onComplete, waitUntil } = options;
+  const abort = new AbortController();
+  const chunks = readWorkersAIStream(upstream, abort.signal);
+  let content = "";
+  let usage: StreamingChunk["usage"];
+  let firstTokenAt: number | undefined;
+  let completion: Promise<ChatResponseMetadata> | undefined;
+
+  // onComplete runs once, whether the stream finishes or is cancelled
+  const complete = (stopped: boolean) => completion ??= Promise.resolve(
+    onComplete({ content, usage, firstTokenAt, completedAt: Date.now(), stopped: stopped || undefined })
+  );
+
+  return new ReadableStream<Uint8Array>({
+    start(controller) {
+      controller.enqueue(encodeSSEEvent({ event: "sources", data: sources }));
+    },
+
+    async pull(controller) {
+      try {
+        // Loop until something is enqueued so the stream never stalls on empty chunks
+        while (true) {
+          const { done, value } = await chunks.next();
+          if (abort.signal.aborted) return;
+
+          if (done) {
+            if (comparison) {
+              controller.enqueue(encodeSSEEvent({ event: "comparison", data: await comparison }));
+            }
+            const metadata = await complete(false);
+            if (abort.signal.aborted) return;
+            controller.enqueue(encodeSSEEvent({ event: "done", data: metadata }));
+            controller.close();
+            return;
+          }
+
+          if (value.usage) {
+            usage = value.usage;
+          }
+
+          if (value.response) {
+            firstTokenAt ??= Date.now();
+            content += value.response;
+            controller.enqueue(encodeSSEEvent({ event: "token", data: { response: value.response } }));
+            return;
+          }
+        }
+      } catch (error) {
+        if (abort.signal.aborted) return;
+        console.error(`[${sources.requestId}] Streaming error:`, error);
+        controller.enqueue(encodeSSEEvent({
+          event: "error",
+          data: {
+            error: error instanceof Error ? error.message : "Streaming failed",
+            requestId: sources.requestId,
+          },
+        }));
+        controller.close();
+      }
+    },
+
+    async cancel() {
+      abort.abort();
+      console.log(`[${sources.requestId}] Stream cancelled after ${content.length} characters`);
+
+      const completing = complete(true).catch(error => {
+        console.error(`[${sources.requestId}] Failed to complete stopped stream:`, error);
+      });
+      waitUntil?.(completing);
+
+      await chunks.return(undefined);
+      // The generator never started, so it never took the reader
+      if (!upstream.locked) {
+        await upstream.cancel().catch(() => {});
+      }
+    },
+  });
+}
+
+/**
+ * Read a typed chat event stream, as produced by createChatEventStream
+ */
+export async function* readChatEventStream(
+  stream: ReadableStream<Uint8Array>
+): AsyncGenerator<ChatStreamEvent> {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+
+      if (done) break;
+
+      // Events are separated by a blank line and may span chunk boundaries
+      buffer += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        const event = parseEventBlock(buffer.substring(0, boundary));
+        buffer = buffer.substring(boundary + 2);
+        if (event) yield event;
+      }
+    }
+
+    const lastEvent = parseEventBlock(buffer + decoder.decode());
+    if (lastEvent) yield lastEvent;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Everything a chat event stream carried, read to the end
+ */
+export interface CollectedChatEvents {
+  content: string;
+  sources?: SourcesEventData;
+  comparison?: PipelineComparison;
+  metadata?: ChatResponseMetadata;
+  error?: string;
+}
+
+/**
+ * Consume a typed chat event stream for clients that want a single response
+ */
+export async function collectChatEventStream(stream: ReadableStream<Uint8Array>): Promise<CollectedChatEvents> {
+  const collected: CollectedChatEvents = { content: "" };
+
+  for await (const event of readChatEventStream(stream)) {
+    switch (event.event) {
+      case "sources":
+        collected.sources = event.data;
+        break;
+      case "token":
+        collected.content += event.data.response;
+        break;
+      case "comparison":
+        collected.comparison = event.data;
+        break;
+      case "done":
+        collected.metadata = event.data;
+        break;
+      case "error":
+        collected.error = event.data.error;
+        break;
+    }
+  }
+
+  return collected;
+}
+
+function parseEventBlock(block: string): ChatStreamEvent | null {
+  let eventName = "";
+  const dataLines: string[] = [];
+
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) {
+      eventName = line.substring(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.substring(5).trimStart());
+    }
+  }
+
+  if (!eventName || dataLines.length === 0) return null;
+
+  try {
+    return { event: eventName, data: JSON.parse(dataLines.join("\n")) } as ChatStreamEvent;
+  } catch (error) {
+    console.warn("Failed to parse chat stream event:", block);
+    return null;
+  }
+}
+
+function parseStreamLine(line: string): StreamingChunk | null {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith("data:")) return null;
+
+  const payload = trimmed.substring(5).trim();
+  if (payload === "" || payload === "[DONE]") return null;
+
+  try {
+    return JSON.parse(payload) as StreamingChunk;
+  } catch (error) {
+    console.warn("Failed to parse model stream line:", payload);
+    return null;
+  }
+}
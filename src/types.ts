@@ -3,6 +3,9 @@
  * Updated for Option B: Custom AutoRAG + LLM Pipeline Implementation
  */
 
+import type { ConversationIndex, ConversationStore } from "./conversation-store";
+import type { RateLimiter } from "./rate-limiter";
+
 export interface Env {
   /**
    * Binding for the Workers AI API, including AutoRAG and chat.
@@ -15,6 +18,73 @@ export interface Env {
   ASSETS: {
     fetch(request: Request): Promise<Response>;
   };
+
+  /**
+   * Durable Object namespace holding one object per conversation.
+   */
+  CONVERSATIONS: DurableObjectNamespace<ConversationStore>;
+
+  /**
+   * Durable Object namespace for the conversation list shown in the sidebar.
+   */
+  CONVERSATION_INDEX: DurableObjectNamespace<ConversationIndex>;
+
+  /**
+   * KV namespace holding user-created system prompt presets.
+   */
+  PRESETS: KVNamespace;
+
+  /**
+   * Durable Object namespace with one rate limiter per client.
+   */
+  RATE_LIMITER: DurableObjectNamespace<RateLimiter>;
+
+  /**
+   * KV namespace holding hashed API keys.
+   */
+  API_KEYS: KVNamespace;
+
+  /**
+   * Secret used to sign browser session cookies.
+   */
+  SESSION_SECRET?: string;
+
+  /**
+   * Secret bearer token for managing API keys through /api/keys.
+   */
+  ADMIN_TOKEN?: string;
+
+  /**
+   * Comma-separated origins allowed to call the API cross-origin.
+   */
+  ALLOWED_ORIGINS?: string;
+
+  /**
+   * KV namespace caching search results and answers; caching is off when unbound.
+   */
+  RAG_CACHE?: KVNamespace;
+
+  /**
+   * KV namespace holding answer records and user feedback; feedback is off when unbound.
+   */
+  FEEDBACK?: KVNamespace;
+
+  /**
+   * Analytics Engine dataset receiving per-request metrics.
+   */
+  METRICS?: AnalyticsEngineDataset;
+
+  /**
+   * Account id and API token (Account Analytics: Read) for querying the
+   * metrics through the Analytics Engine SQL API.
+   */
+  CLOUDFLARE_ACCOUNT_ID?: string;
+  METRICS_API_TOKEN?: string;
+
+  /**
+   * R2 bucket the AutoRAG index is built from; document uploads are off when unbound.
+   */
+  DOCUMENTS?: R2Bucket;
 }
 
 /**
@@ -23,6 +93,22 @@ export interface Env {
 export interface ChatMessage {
   role: "system" | "user" | "assistant";
   content: string;
+  // Photos attached to a user message
+  images?: ChatImage[];
+}
+
+/**
+ * A photo attached to a user message. The full image is only sent with the
+ * new message: the worker replaces it with the vision model's description,
+ * and only the small thumbnail is stored with the conversation.
+ */
+export interface ChatImage {
+  name?: string;
+  // JPEG, PNG or WebP data URL of the photo
+  dataUrl?: string;
+  // Small data URL preview shown in the message list
+  thumbnail?: string;
+  description?: string;
 }
 
 /**
@@ -30,12 +116,154 @@ export interface ChatMessage {
  */
 export interface ChatRequest {
   messages: ChatMessage[];
+  conversationId?: string;
   systemPrompt?: string;
   ragSettings?: {
     maxResults?: number;
     scoreThreshold?: number;
     rewriteQuery?: boolean;
+    condenseQuery?: boolean;
+    filters?: KnowledgeBaseFilters;
   };
+  pipelineMode?: PipelineMode;
+  model?: string;
+  temperature?: number;
+  max_tokens?: number;
+  top_p?: number;
+  // false answers with a single ChatResponse JSON instead of an event stream
+  stream?: boolean;
+  // false skips cached search results and answers, and refreshes them
+  cache?: boolean;
+  // With a conversationId: how many stored messages to keep. Later ones are
+  // replaced by this turn, to edit a question or regenerate an answer.
+  branchFrom?: number;
+  // Results pinned from /api/search, given to the model ahead of the retrieved documents
+  pinnedSources?: PinnedSource[];
+}
+
+/**
+ * A knowledge base search result pinned by the user for the next chat turn
+ */
+export interface PinnedSource {
+  fileId: string;
+  filename: string;
+  folder?: string;
+  modifiedDate?: number;
+  score: number;
+  pageNumber?: number;
+  content: string;
+}
+
+/**
+ * Request body of POST /api/search
+ */
+export interface KnowledgeBaseSearchRequest {
+  query: string;
+  // 1-based; the next_page of the previous response
+  page?: number;
+  pageSize?: number;
+  ragSettings?: {
+    scoreThreshold?: number;
+    rewriteQuery?: boolean;
+    filters?: KnowledgeBaseFilters;
+  };
+}
+
+/**
+ * A page of ranked knowledge base results, without a generated answer.
+ * Each result's documentIndex is its rank across all pages.
+ */
+export interface KnowledgeBaseSearchResponse {
+  query: string;
+  rewrittenQuery?: string;
+  results: RAGSource[];
+  page: number;
+  pageSize: number;
+  has_more: boolean;
+  next_page: number | null;
+}
+
+/**
+ * A Workers AI text model clients may select, with its limits
+ */
+export interface ModelOption {
+  id: string;
+  name: string;
+  contextWindow: number;
+  maxOutputTokens: number;
+  maxTemperature: number;
+}
+
+/**
+ * Generation parameters resolved for a request
+ */
+export interface GenerationSettings {
+  model: string;
+  temperature: number;
+  maxTokens: number;
+  topP?: number;
+}
+
+/**
+ * An API key as stored in KV; the key itself is only kept as a SHA-256 hash
+ */
+export interface ApiKeyRecord {
+  id: string;
+  userId: string;
+  name: string;
+  // First characters of the key, to tell keys apart in listings
+  keyPrefix: string;
+  createdAt: string;
+  revokedAt?: string;
+}
+
+/**
+ * The caller of an API request, authenticated by API key or session cookie
+ */
+export interface AuthenticatedUser {
+  userId: string;
+  keyId: string;
+  method: "api_key" | "session";
+}
+
+/**
+ * Per-client limits on /api/chat. A token bucket of `burst` requests refills at
+ * `requestsPerMinute`; `dailyTokenQuota` caps model tokens per UTC day (0 = no cap).
+ */
+export interface RateLimitPolicy {
+  requestsPerMinute: number;
+  burst: number;
+  dailyTokenQuota: number;
+}
+
+/**
+ * Outcome of a rate limit check
+ */
+export interface RateLimitDecision {
+  allowed: boolean;
+  reason?: "requests" | "daily_tokens";
+  limit: number;
+  remaining: number;
+  retryAfterSeconds: number;
+  tokensUsedToday: number;
+  dailyTokenQuota: number;
+}
+
+/**
+ * How an answer is produced: the custom search + prompt pipeline, AutoRAG's
+ * managed aiSearch generation, or both side by side
+ */
+export type PipelineMode = "custom" | "aiSearch" | "compare" | "assessment";
+
+export const PIPELINE_MODES: PipelineMode[] = ["custom", "aiSearch", "compare", "assessment"];
+
+/**
+ * Scope for knowledge base retrieval: folders and a modified-date range
+ */
+export interface KnowledgeBaseFilters {
+  folders?: string[];
+  modifiedAfter?: string;
+  modifiedBefore?: string;
 }
 
 /**
@@ -78,6 +306,11 @@ export interface Ai {
       };
     }
   ): Promise<any>;
+
+  /**
+   * Search the Workers AI model catalog; no inference is run
+   */
+  models(params?: { search?: string; task?: string; per_page?: number }): Promise<Array<{ id: string; name: string }>>;
 }
 
 /**
@@ -93,7 +326,7 @@ export interface AiSearchOptions {
     rerank?: boolean;
   };
   stream?: boolean;
-  filters?: Record<string, unknown>;
+  filters?: SearchFilter;
   metadata_fields?: string[];
 }
 
@@ -103,7 +336,7 @@ export interface AiSearchOptions {
 export interface SearchOptions {
   query: string;
   max_num_results?: number;
-  filters?: Record<string, unknown>;
+  filters?: SearchFilter;
   ranking_options?: {
     score_threshold?: number;
     rerank?: boolean;
@@ -112,6 +345,25 @@ export interface SearchOptions {
   rewrite_query?: boolean;
 }
 
+/**
+ * AutoRAG metadata filter comparing one attribute.
+ */
+export interface ComparisonFilter {
+  type: "eq" | "ne" | "gt" | "gte" | "lt" | "lte";
+  key: string;
+  value: string | number | boolean;
+}
+
+/**
+ * AutoRAG compound filter; compound filters cannot be nested.
+ */
+export interface CompoundFilter {
+  type: "and" | "or";
+  filters: ComparisonFilter[];
+}
+
+export type SearchFilter = ComparisonFilter | CompoundFilter;
+
 /**
  * A single document chunk returned from RAG.
  */
@@ -183,6 +435,11 @@ export interface StreamingChunk {
   error?: string;
   token?: string;
   finish_reason?: string;
+  usage?: {
+    prompt_tokens?: number;
+    completion_tokens?: number;
+    total_tokens?: number;
+  };
 }
 
 /**
@@ -203,9 +460,28 @@ export interface RAGConfig {
   maxResults: number;
   scoreThreshold: number;
   rewriteQuery: boolean;
+  condenseQuery: boolean;
+  filters?: KnowledgeBaseFilters;
   model?: string;
 }
 
+/**
+ * A retrieved document as cited in the prompt and shown to the user
+ */
+export interface RAGSource {
+  documentIndex: number;
+  fileId: string;
+  filename: string;
+  folder?: string;
+  modifiedDate?: number;
+  score: number;
+  pageNumber?: number;
+  snippet: string;
+  content: string;
+  // Pinned by the user from /api/search rather than retrieved for this turn
+  pinned?: boolean;
+}
+
 /**
  * Context building result for LLM enhancement
  */
@@ -213,12 +489,19 @@ export interface RAGContext {
   contextText: string;
   documentCount: number;
   averageScore: number;
-  sources: Array<{
-    filename: string;
-    score: number;
-    relevantText: string;
-  }>;
+  sources: RAGSource[];
   hasContext: boolean;
+  rewrittenQuery?: string;
+}
+
+/**
+ * The query actually used for retrieval
+ */
+export interface SearchQueryInfo {
+  original: string;
+  standalone: string;
+  condensed: boolean;
+  autoragRewritten?: string;
 }
 
 /**
@@ -241,24 +524,364 @@ export interface EnhancedSystemPrompt {
   tokenEstimate: number;
 }
 
+/**
+ * Per-stage timings for a chat request, in milliseconds
+ */
+export interface StageTimings {
+  queryRewriteMs?: number;
+  ragSearchMs: number;
+  contextBuildMs: number;
+  timeToFirstTokenMs?: number;
+  llmMs: number;
+}
+
+/**
+ * Token usage reported by the model, or estimated when it is not reported
+ */
+export interface TokenUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  estimated: boolean;
+}
+
+/**
+ * How the model context window is split between prompt, sources and history
+ */
+export interface ContextBudgetConfig {
+  contextWindow: number;
+  ragShare: number;
+  summaryMaxTokens: number;
+  minChunkTokens: number;
+  safetyMargin: number;
+}
+
+/**
+ * Rolling summary of conversation turns that no longer fit in the context window
+ */
+export interface RollingSummary {
+  content: string;
+  coveredMessages: number;
+}
+
+/**
+ * What the context budgeter kept, trimmed or cut for a request
+ */
+export interface ContextBudgetReport {
+  contextWindow: number;
+  responseReserve: number;
+  systemPromptTokens: number;
+  ragTokens: number;
+  historyTokens: number;
+  summaryTokens: number;
+  totalPromptTokens: number;
+  droppedSources: Array<{ documentIndex: number; filename: string; score: number }>;
+  truncatedSources: number[];
+  droppedMessages: number;
+  truncatedMessages: number;
+  summarizedMessages: number;
+  summaryFailed: boolean;
+}
+
 /**
  * Chat response metadata
  */
 export interface ChatResponseMetadata {
+  requestId?: string;
   ragUsed: boolean;
   documentsFound: number;
   averageRelevanceScore: number;
   modelUsed: string;
   processingTimeMs: number;
   tokensGenerated?: number;
-  sources?: Array<{
-    filename: string;
-    score: number;
+  fallbackUsed?: boolean;
+  originalError?: string;
+  timings?: StageTimings;
+  usage?: TokenUsage;
+  budget?: ContextBudgetReport;
+  searchQuery?: SearchQueryInfo;
+  pipelineMode?: PipelineMode;
+  comparison?: PipelineComparison;
+  sources?: RAGSource[];
+  cache?: CacheReport;
+  assessment?: AssessmentResult;
+  imageDescriptions?: string[];
+  // The client stopped the answer before it was complete
+  stopped?: boolean;
+}
+
+/**
+ * Structured damage assessment extracted from a conversation describing a loss
+ */
+export interface DamageAssessment {
+  summary: string;
+  lossSource: string | null;
+  // IICRC S500 water category (1-3) and class (1-4), null when not determinable
+  waterCategory: number | null;
+  waterClass: number | null;
+  affectedRooms: AffectedRoom[];
+  moistureReadings: MoistureReading[];
+  dryingEquipment: DryingEquipment;
+  citedStandards: CitedStandard[];
+}
+
+export interface AffectedRoom {
+  name: string;
+  areaSqFt: number | null;
+  materials: AffectedMaterial[];
+}
+
+export type MaterialAction = "dry_in_place" | "remove" | "clean" | "monitor";
+
+export interface AffectedMaterial {
+  material: string;
+  action: MaterialAction;
+  notes: string | null;
+}
+
+export interface MoistureReading {
+  location: string;
+  material: string;
+  value: number;
+  unit: string;
+  dryStandard: number | null;
+}
+
+export interface DryingEquipment {
+  airMovers: number;
+  dehumidifiers: number;
+  airScrubbers: number;
+}
+
+export interface CitedStandard {
+  reference: string;
+  // Retrieved document the reference comes from, or null for general knowledge
+  documentIndex: number | null;
+}
+
+/**
+ * Outcome of assessment mode; `report` may fail validation after the last attempt
+ */
+export interface AssessmentResult {
+  report: DamageAssessment;
+  valid: boolean;
+  attempts: number;
+  validationErrors: string[];
+}
+
+export interface AssessmentConfig {
+  // Generations tried before returning a report that fails validation
+  maxAttempts: number;
+}
+
+export interface VisionConfig {
+  // Workers AI model describing attached photos
+  model: string;
+  maxTokens: number;
+  maxImagesPerMessage: number;
+  // Decoded size limit of a photo
+  maxImageBytes: number;
+  // Length limit of a thumbnail data URL
+  maxThumbnailLength: number;
+}
+
+/**
+ * How the response cache was used: `skipped` when the step was not cacheable
+ */
+export type CacheStatus = "hit" | "miss" | "bypass" | "skipped";
+
+export interface CacheReport {
+  search: CacheStatus;
+  answer: CacheStatus;
+}
+
+/**
+ * TTLs of the response cache in seconds (KV needs at least 60)
+ */
+export interface CacheConfig {
+  searchTtlSeconds: number;
+  answerTtlSeconds: number;
+}
+
+export type FeedbackRating = "up" | "down";
+
+/**
+ * What an answer was based on, recorded when it completes so that feedback
+ * and knowledge gaps can be traced back to the retrieval
+ */
+export interface AnswerRecord {
+  requestId: string;
+  userId?: string;
+  conversationId?: string;
+  query: string;
+  // The standalone query sent to AutoRAG, when it differs from the question
+  searchQuery?: string;
+  pipelineMode: PipelineMode;
+  modelUsed: string;
+  documentsFound: number;
+  averageRelevanceScore: number;
+  fallbackUsed: boolean;
+  stopped?: boolean;
+  sources: Array<Pick<RAGSource, "documentIndex" | "filename" | "folder" | "score">>;
+  answeredAt: string;
+}
+
+/**
+ * A user's rating of an answer; rating the same answer again replaces it
+ */
+export interface FeedbackRecord {
+  requestId: string;
+  rating: FeedbackRating;
+  comment?: string;
+  userId: string;
+  createdAt: string;
+  answer: AnswerRecord;
+}
+
+/**
+ * A question asked repeatedly without any knowledge base match, or rated down
+ */
+export interface KnowledgeGap {
+  query: string;
+  count: number;
+  lastAskedAt: string;
+}
+
+/**
+ * Feedback and knowledge gaps over the report period, from GET /api/feedback/report
+ */
+export interface FeedbackReport {
+  since: string;
+  ratings: { up: number; down: number; satisfaction: number | null };
+  lowRated: FeedbackRecord[];
+  // Questions no document was found for, most frequent first
+  unansweredQueries: KnowledgeGap[];
+  // Documents behind down-rated answers, most frequent first
+  lowRatedSources: Array<{ filename: string; folder?: string; count: number }>;
+}
+
+export interface FeedbackConfig {
+  // How long answers can be rated, and how long feedback and gaps are kept
+  retentionDays: number;
+  maxCommentLength: number;
+  // Entries per list in the report
+  reportLimit: number;
+}
+
+/**
+ * The aiSearch answer returned alongside the custom answer in compare mode
+ */
+export interface PipelineComparison {
+  pipeline: "aiSearch";
+  response: string;
+  modelUsed: string;
+  searchQuery?: string;
+  documentsFound: number;
+  averageRelevanceScore: number;
+  processingTimeMs: number;
+  sources: RAGSource[];
+  error?: string;
+}
+
+/**
+ * Payload of the `sources` event, sent before any generated tokens
+ */
+export interface SourcesEventData {
+  requestId: string;
+  ragUsed: boolean;
+  documentsFound: number;
+  averageRelevanceScore: number;
+  fallbackUsed: boolean;
+  pipelineMode?: PipelineMode;
+  searchQuery?: SearchQueryInfo;
+  filters?: KnowledgeBaseFilters;
+  sources: RAGSource[];
+  // Descriptions of the photos attached to the new message, in order
+  imageDescriptions?: string[];
+}
+
+/**
+ * Typed Server-Sent Events emitted by /api/chat
+ */
+export type ChatStreamEvent =
+  | { event: "sources"; data: SourcesEventData }
+  | { event: "token"; data: { response: string } }
+  | { event: "comparison"; data: PipelineComparison }
+  | { event: "done"; data: ChatResponseMetadata }
+  | { event: "error"; data: { error: string; requestId: string } };
+
+/**
+ * Request body of the OpenAI-compatible /v1/chat/completions route.
+ * `rag_settings`, `pipeline_mode` and `cache` are DamageScan extensions.
+ */
+export interface OpenAIChatCompletionRequest {
+  model?: string;
+  messages: OpenAIChatMessage[];
+  stream?: boolean;
+  stream_options?: { include_usage?: boolean };
+  temperature?: number;
+  max_tokens?: number;
+  max_completion_tokens?: number;
+  top_p?: number;
+  n?: number;
+  tools?: unknown[];
+  rag_settings?: ChatRequest["ragSettings"];
+  pipeline_mode?: PipelineMode;
+  cache?: boolean;
+}
+
+/**
+ * OpenAI chat message; content may be a string or a list of text parts
+ */
+export interface OpenAIChatMessage {
+  role: "system" | "developer" | "user" | "assistant" | "tool";
+  content: string | Array<{ type: string; text?: string }> | null;
+}
+
+export interface OpenAIUsage {
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+}
+
+export type OpenAIFinishReason = "stop" | "length";
+
+/**
+ * Non-streaming completion, with the retrieved documents in `sources`
+ */
+export interface OpenAIChatCompletion {
+  id: string;
+  object: "chat.completion";
+  created: number;
+  model: string;
+  choices: Array<{
+    index: number;
+    message: { role: "assistant"; content: string };
+    finish_reason: OpenAIFinishReason;
   }>;
+  usage: OpenAIUsage;
+  sources: RAGSource[];
 }
 
 /**
- * Complete chat response structure
+ * Streamed completion chunk; the first chunk carries `sources`
+ */
+export interface OpenAIChatCompletionChunk {
+  id: string;
+  object: "chat.completion.chunk";
+  created: number;
+  model: string;
+  choices: Array<{
+    index: number;
+    delta: { role?: "assistant"; content?: string };
+    finish_reason: OpenAIFinishReason | null;
+  }>;
+  usage?: OpenAIUsage;
+  sources?: RAGSource[];
+}
+
+/**
+ * Complete chat response structure, returned by /api/chat for `stream: false`
  */
 export interface ChatResponse {
   content: string;
@@ -268,13 +891,73 @@ export interface ChatResponse {
   error?: string;
 }
 
+/**
+ * A message as persisted in a conversation
+ */
+export interface StoredMessage extends ChatMessage {
+  id: string;
+  timestamp: string;
+  metadata?: ChatResponseMetadata;
+  // Every generated version of a regenerated answer, oldest first; the message
+  // content and metadata are those of `versions[activeVersion]`
+  versions?: MessageVersion[];
+  activeVersion?: number;
+}
+
+/**
+ * One version of a regenerated assistant answer
+ */
+export interface MessageVersion {
+  content: string;
+  timestamp: string;
+  metadata?: ChatResponseMetadata;
+}
+
+/**
+ * Conversation summary, as listed in the sidebar
+ */
+export interface ConversationSummary {
+  id: string;
+  // User who created the conversation; only they can list, read or change it
+  userId: string;
+  title: string;
+  createdAt: string;
+  updatedAt: string;
+  messageCount: number;
+  preview: string;
+}
+
+/**
+ * Full conversation including its message history
+ */
+export interface Conversation extends ConversationSummary {
+  messages: StoredMessage[];
+}
+
 /**
  * Request processing context for error handling
  */
 export interface RequestContext {
   userMessage: string;
+  conversationId?: string;
   systemPrompt?: string;
   ragSettings: RAGConfig;
+  pipelineMode: PipelineMode;
+  generation: GenerationSettings;
+  // Authenticated caller, when the request came through the API
+  userId?: string;
+  // Rate limit key of the caller; token usage is charged to it when set
+  clientKey?: string;
+  // False when the request asked to bypass the response cache
+  useCache: boolean;
+  // Vision model descriptions of the photos attached to the new message
+  imageDescriptions?: string[];
+  // Earlier versions of the answer being regenerated, kept with the new one
+  previousVersions?: MessageVersion[];
+  // Search results pinned by the user, always given to the model
+  pinnedSources?: PinnedSource[];
+  // Keeps work running after the client has gone, such as saving a stopped answer
+  waitUntil?: (promise: Promise<unknown>) => void;
   startTime: number;
   requestId: string;
 }
@@ -324,28 +1007,152 @@ export interface ValidationResult {
 }
 
 /**
- * Performance metrics for monitoring
+ * Metrics of one answered request, recorded when its stream completes (see metrics.ts).
+ * Times are in milliseconds.
  */
 export interface PerformanceMetrics {
+  requestId: string;
+  timestamp: number;
+  pipelineMode: PipelineMode;
+  model: string;
   totalRequestTime: number;
+  queryRewriteTime: number;
   autoragSearchTime: number;
   contextBuildingTime: number;
+  // Only for answers streamed by the model
+  timeToFirstToken?: number;
   llmGenerationTime: number;
-  streamingTime: number;
   tokensGenerated: number;
   documentsRetrieved: number;
+  averageRelevanceScore: number;
+  fallbackUsed: boolean;
   cacheHit: boolean;
+  stopped: boolean;
+}
+
+export type MetricStage = "total" | "queryRewrite" | "ragSearch" | "contextBuild" | "timeToFirstToken" | "llm";
+
+export interface LatencyPercentiles {
+  p50: number | null;
+  p95: number | null;
+}
+
+/**
+ * Aggregated metrics over a time window, from GET /api/metrics
+ */
+export interface MetricsSummary {
+  // `memory` covers only the requests seen by the answering isolate
+  source: "analytics-engine" | "memory";
+  windowMinutes: number;
+  requests: number;
+  fallbackRate: number | null;
+  // Over requests that retrieved at least one document
+  averageRetrievalScore: number | null;
+  stages: Record<MetricStage, LatencyPercentiles>;
+}
+
+export interface MetricsConfig {
+  // Analytics Engine dataset bound as METRICS
+  dataset: string;
+  // Records kept by the in-memory stand-in
+  memoryLimit: number;
+  defaultWindowMinutes: number;
+  maxWindowMinutes: number;
+}
+
+/**
+ * Result of probing one dependency
+ */
+export interface HealthCheck {
+  status: "ok" | "down";
+  latencyMs: number;
+  error?: string;
 }
 
 /**
- * Frontend configuration for system prompt management
+ * Public liveness report from GET /api/health
+ */
+export interface LivenessReport {
+  status: "ok";
+  checkedAt: string;
+}
+
+/**
+ * Availability of the model and the knowledge base, from GET /api/health/details.
+ * `degraded` means answers fall back to general knowledge.
+ */
+export interface HealthReport {
+  status: "ok" | "degraded" | "down";
+  checkedAt: string;
+  model: HealthCheck & { name: string };
+  knowledgeBase: HealthCheck & { index: string; documentsFound?: number };
+}
+
+export interface SearchConfig {
+  defaultPageSize: number;
+  maxPageSize: number;
+  // AutoRAG returns at most this many results per search, which bounds paging
+  maxResults: number;
+  maxPinnedSources: number;
+  maxPinnedContentLength: number;
+}
+
+export interface HealthConfig {
+  // Probe results are reused for this long, so polling clients do not each run the probes
+  cacheSeconds: number;
+  timeoutMs: number;
+  probeQuery: string;
+}
+
+/**
+ * A knowledge base document in the DOCUMENTS bucket, as served by /api/documents
+ */
+export interface KnowledgeBaseDocument {
+  // Object key: the folder followed by the filename
+  key: string;
+  folder: string;
+  filename: string;
+  size: number;
+  contentType: string;
+  // Missing for objects not uploaded through the API
+  sha256?: string;
+  uploadedAt: string;
+}
+
+/**
+ * `pending` until AutoRAG has indexed the uploaded version of the document
+ */
+export type IngestionStatus = "indexed" | "pending" | "unknown";
+
+export interface DocumentIngestionStatus {
+  key: string;
+  status: IngestionStatus;
+  uploadedAt: string;
+  // Modification time AutoRAG reports for its indexed version
+  indexedVersionAt?: string;
+  error?: string;
+}
+
+export interface DocumentsConfig {
+  maxBytes: number;
+  // Accepted content types and their file extensions
+  contentTypes: Record<string, string[]>;
+  // Most recent uploads checked by GET /api/documents/status
+  maxStatusChecks: number;
+}
+
+/**
+ * System prompt preset, as served by /api/presets
  */
 export interface SystemPromptPreset {
   id: string;
   name: string;
   description: string;
   prompt: string;
-  category: "default" | "technical" | "creative" | "analytical" | "custom";
+  category: "default" | "restoration" | "technical" | "creative" | "analytical" | "custom";
+  builtIn: boolean;
+  createdAt?: string;
+  updatedAt?: string;
 }
 
 /**
@@ -373,10 +1180,7 @@ export interface DisplayMessage {
     ragUsed?: boolean;
     documentsCount?: number;
     averageScore?: number;
-    sources?: Array<{
-      filename: string;
-      score: number;
-    }>;
+    sources?: RAGSource[];
     processingTime?: number;
     error?: string;
   };
@@ -388,6 +1192,7 @@ export interface DisplayMessage {
  */
 export interface ChatAppConfig {
   model: string;
+  models: ModelOption[];
   autoragIndex: string;
   defaultSystemPrompt: string;
   maxTokens: number;
@@ -396,7 +1201,23 @@ export interface ChatAppConfig {
     maxResults: number;
     scoreThreshold: number;
     rewriteQuery: boolean;
+    condenseQuery: boolean;
   };
+  pipelineMode: PipelineMode;
+  knowledgeBaseFolders: Array<{
+    path: string;
+    label: string;
+  }>;
+  contextBudget: ContextBudgetConfig;
+  rateLimit: RateLimitPolicy;
+  cache: CacheConfig;
+  feedback: FeedbackConfig;
+  metrics: MetricsConfig;
+  health: HealthConfig;
+  search: SearchConfig;
+  documents: DocumentsConfig;
+  assessment: AssessmentConfig;
+  vision: VisionConfig;
   streamingEnabled: boolean;
   errorRetryAttempts: number;
   timeoutMs: number;
@@ -460,6 +1281,36 @@ export type PromptCategory = SystemPromptPreset["category"];
  */
 export const DEFAULT_CONFIG: ChatAppConfig = {
   model: "@cf/meta/llama-3.3-70b-instruct-fp8-fast",
+  models: [
+    {
+      id: "@cf/meta/llama-3.3-70b-instruct-fp8-fast",
+      name: "Llama 3.3 70B (fast)",
+      contextWindow: 24000,
+      maxOutputTokens: 4096,
+      maxTemperature: 2,
+    },
+    {
+      id: "@cf/meta/llama-3.1-8b-instruct",
+      name: "Llama 3.1 8B",
+      contextWindow: 7968,
+      maxOutputTokens: 2048,
+      maxTemperature: 2,
+    },
+    {
+      id: "@cf/mistralai/mistral-small-3.1-24b-instruct",
+      name: "Mistral Small 3.1 24B",
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
+      maxTemperature: 2,
+    },
+    {
+      id: "@cf/google/gemma-3-12b-it",
+      name: "Gemma 3 12B",
+      contextWindow: 80000,
+      maxOutputTokens: 4096,
+      maxTemperature: 2,
+    },
+  ],
   autoragIndex: "damagescan-rag-1",
   defaultSystemPrompt: "You are a helpful, friendly assistant. Use the provided context from the knowledge base to enhance your responses when relevant, but you can also draw from your general knowledge. If context is provided, prioritize it but explain clearly when you're using external knowledge vs. the knowledge base. Provide concise and accurate responses.",
   maxTokens: 1024,
@@ -468,6 +1319,74 @@ export const DEFAULT_CONFIG: ChatAppConfig = {
     maxResults: 5,
     scoreThreshold: 0.1,
     rewriteQuery: true,
+    condenseQuery: true,
+  },
+  pipelineMode: "custom",
+  knowledgeBaseFolders: [
+    { path: "iicrc-s500/", label: "IICRC S500" },
+    { path: "carrier-guidelines/", label: "Carrier guidelines" },
+    { path: "internal-sops/", label: "Internal SOPs" },
+  ],
+  contextBudget: {
+    contextWindow: 24000,
+    ragShare: 0.6,
+    summaryMaxTokens: 400,
+    minChunkTokens: 150,
+    safetyMargin: 256,
+  },
+  rateLimit: {
+    requestsPerMinute: 20,
+    burst: 10,
+    dailyTokenQuota: 200000,
+  },
+  cache: {
+    searchTtlSeconds: 60 * 60,
+    answerTtlSeconds: 24 * 60 * 60,
+  },
+  feedback: {
+    retentionDays: 90,
+    maxCommentLength: 2000,
+    reportLimit: 50,
+  },
+  metrics: {
+    dataset: "damagescan_metrics",
+    memoryLimit: 1000,
+    defaultWindowMinutes: 60,
+    maxWindowMinutes: 7 * 24 * 60,
+  },
+  health: {
+    cacheSeconds: 30,
+    timeoutMs: 5000,
+    probeQuery: "water damage drying",
+  },
+  search: {
+    defaultPageSize: 10,
+    maxPageSize: 25,
+    maxResults: 50,
+    maxPinnedSources: 5,
+    maxPinnedContentLength: 8000,
+  },
+  documents: {
+    maxBytes: 4 * 1024 * 1024,
+    contentTypes: {
+      "application/pdf": [".pdf"],
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [".docx"],
+      "text/markdown": [".md", ".markdown"],
+      "text/plain": [".txt"],
+      "text/html": [".html", ".htm"],
+      "text/csv": [".csv"],
+    },
+    maxStatusChecks: 10,
+  },
+  assessment: {
+    maxAttempts: 3,
+  },
+  vision: {
+    model: "@cf/meta/llama-3.2-11b-vision-instruct",
+    maxTokens: 256,
+    maxImagesPerMessage: 4,
+    maxImageBytes: 2 * 1024 * 1024,
+    maxThumbnailLength: 24000,
   },
   streamingEnabled: true,
   errorRetryAttempts: 3,
@@ -477,6 +1396,8 @@ export const DEFAULT_CONFIG: ChatAppConfig = {
 export const ERROR_MESSAGES = {
   AUTORAG_UNAVAILABLE: "Knowledge base temporarily unavailable. Using general knowledge only.",
   LLM_FAILURE: "AI model temporarily unavailable. Please try again.",
+  ASSESSMENT_FAILURE: "Could not produce a damage assessment. Please try again.",
+  SEARCH_FAILURE: "Knowledge base search failed. Please try again.",
   INVALID_REQUEST: "Invalid request format. Please check your input.",
   RATE_LIMITED: "Too many requests. Please wait a moment before trying again.",
   TIMEOUT: "Request timed out. Please try again with a shorter message.",
@@ -0,0 +1,98 @@
+/**
+ * Chat request validation shared by /api/chat and the OpenAI-compatible API.
+ */
+
+import { ValidationResult, PIPELINE_MODES, isChatRequest } from "./types";
+import { validateKnowledgeBaseFilters } from "./query";
+import { isConversationId } from "./conversations";
+import { validateGenerationParams } from "./models";
+import { validateChatImages } from "./vision";
+import { validatePinnedSources } from "./search";
+
+/**
+ * Validate chat request structure and content
+ */
+export function validateChatRequest(body: any): ValidationResult {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+
+  if (!isChatRequest(body)) {
+    errors.push("Invalid request structure");
+    return { valid: false, errors, warnings };
+  }
+
+  // Validate messages
+  if (body.messages.length === 0) {
+    errors.push("At least one message is required");
+  }
+
+  // Check for user message
+  const hasUserMessage = body.messages.some(msg => msg.role === "user");
+  if (!hasUserMessage) {
+    errors.push("At least one user message is required");
+  }
+
+  // Validate conversation id
+  if (body.conversationId !== undefined && !isConversationId(body.conversationId)) {
+    errors.push("Invalid conversation id");
+  }
+
+  if (body.branchFrom !== undefined) {
+    if (!Number.isInteger(body.branchFrom) || body.branchFrom < 0) {
+      errors.push("branchFrom must be a non-negative integer");
+    } else if (body.conversationId === undefined) {
+      errors.push("branchFrom requires a conversationId");
+    }
+  }
+
+  // Validate RAG settings
+  if (body.ragSettings?.condenseQuery !== undefined && typeof body.ragSettings.condenseQuery !== "boolean") {
+    errors.push("ragSettings.condenseQuery must be a boolean");
+  }
+
+  errors.push(...validateKnowledgeBaseFilters(body.ragSettings?.filters));
+
+  // Validate pipeline mode
+  if (body.pipelineMode !== undefined && !PIPELINE_MODES.includes(body.pipelineMode)) {
+    errors.push(`pipelineMode must be one of: ${PIPELINE_MODES.join(", ")}`);
+  }
+
+  if (body.stream !== undefined && typeof body.stream !== "boolean") {
+    errors.push("stream must be a boolean");
+  }
+
+  if (body.cache !== undefined && typeof body.cache !== "boolean") {
+    errors.push("cache must be a boolean");
+  }
+
+  // Validate model and generation parameters
+  errors.push(...validateGenerationParams(body));
+
+  // Validate system prompt length
+  if (body.systemPrompt && body.systemPrompt.length > 10000) {
+    errors.push("System prompt too long (max 10000 characters)");
+  }
+
+  // Validate message content length
+  for (const msg of body.messages) {
+    if (msg.content.length > 50000) {
+      errors.push(`Message content too long (max 50000 characters)`);
+    }
+  }
+
+  errors.push(...validateChatImages(body.messages));
+
+  errors.push(...validatePinnedSources(body.pinnedSources));
+  // aiSearch generates from its own retrieval only
+  if (body.pinnedSources?.length && body.pipelineMode === "aiSearch") {
+    errors.push("pinnedSources cannot be used with pipelineMode aiSearch");
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    sanitizedInput: errors.length === 0 ? body : undefined,
+  };
+}
+
@@ -0,0 +1,154 @@
+/**
+ * Photos attached to chat messages.
+ *
+ * Each new photo is described by a Workers AI vision model before the
+ * pipeline runs. The description replaces the image data in the message, so
+ * it is what gets stored with the conversation, and it is folded into the
+ * message text so that both the AutoRAG query and the model context see it.
+ */
+
+import { ChatImage, ChatMessage, Env } from "./types";
+import { CONFIG } from "./config";
+
+const IMAGE_DATA_URL_PATTERN = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+const MAX_IMAGE_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const DESCRIBE_PROMPT = `Describe the property damage visible in this photo for a restoration adjuster: the affected materials and surfaces, the kind of damage (water, mold, fire, smoke, structural), its extent, visible moisture, staining or growth, and any likely source. If no damage is visible, say so. Use at most 80 words and do not speculate beyond what is visible.`;
+
+/**
+ * Validate the photos attached to chat messages
+ */
+export function validateChatImages(messages: ChatMessage[]): string[] {
+  const errors: string[] = [];
+  const { maxImagesPerMessage, maxImageBytes, maxThumbnailLength } = CONFIG.vision;
+
+  for (const message of messages) {
+    if (message.images === undefined) continue;
+
+    if (message.role !== "user") {
+      errors.push("Only user messages can have images");
+      continue;
+    }
+    if (!Array.isArray(message.images) || message.images.length > maxImagesPerMessage) {
+      errors.push(`images must be a list of at most ${maxImagesPerMessage} photos`);
+      continue;
+    }
+
+    for (const image of message.images as unknown[]) {
+      if (!image || typeof image !== "object") {
+        errors.push("Each image must be an object");
+        continue;
+      }
+
+      const { name, dataUrl, thumbnail, description } = image as Record<string, unknown>;
+
+      if (dataUrl === undefined && thumbnail === undefined && description === undefined) {
+        errors.push("Each image needs a dataUrl, thumbnail or description");
+      }
+      if (dataUrl !== undefined && (typeof dataUrl !== "string" || !IMAGE_DATA_URL_PATTERN.test(dataUrl))) {
+        errors.push("Image dataUrl must be a base64 JPEG, PNG or WebP data URL");
+      } else if (typeof dataUrl === "string" && getDecodedSize(dataUrl) > maxImageBytes) {
+        errors.push(`Images must be at most ${Math.floor(maxImageBytes / 1024 / 1024)} MB`);
+      }
+      if (thumbnail !== undefined && (
+        typeof thumbnail !== "string" ||
+        !IMAGE_DATA_URL_PATTERN.test(thumbnail) ||
+        thumbnail.length > maxThumbnailLength
+      )) {
+        errors.push(`Image thumbnail must be a data URL of at most ${maxThumbnailLength} characters`);
+      }
+      if (name !== undefined && (typeof name !== "string" || name.length > MAX_IMAGE_NAME_LENGTH)) {
+        errors.push(`Image name must be a string of at most ${MAX_IMAGE_NAME_LENGTH} characters`);
+      }
+      if (description !== undefined && (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH)) {
+        errors.push(`Image description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Describe every photo sent with its image data, dropping the data from the messages.
+ * Returns the descriptions of the latest user message's photos too.
+ */
+export async function describeChatImages(
+  messages: ChatMessage[],
+  requestId: string,
+  env: Env
+): Promise<{ messages: ChatMessage[]; descriptions: string[] }> {
+  if (!messages.some(msg => msg.images?.some(image => image.dataUrl))) {
+    return { messages, descriptions: [] };
+  }
+
+  const start = Date.now();
+  const described = await Promise.all(messages.map(async (message) => {
+    if (!message.images) return message;
+
+    const images = await Promise.all(message.images.map(async ({ dataUrl, ...image }): Promise<ChatImage> => {
+      if (!dataUrl) return image;
+      return { ...image, description: await describeImage(dataUrl, message.content, requestId, env) };
+    }));
+
+    return { ...message, images };
+  }));
+
+  const latest = [...described].reverse().find(msg => msg.role === "user");
+  const descriptions = (latest?.images ?? []).map(image => image.description ?? "");
+
+  console.log(`[${requestId}] Described ${descriptions.length} photo(s) in ${Date.now() - start}ms`);
+  return { messages: described, descriptions };
+}
+
+/**
+ * Fold photo descriptions into the message text, giving plain messages for the pipeline
+ */
+export function withImageDescriptions(messages: ChatMessage[]): ChatMessage[] {
+  return messages.map(({ images, ...message }) => {
+    const lines = (images ?? [])
+      .map((image, index) => image.description
+        ? `Photo ${index + 1}${image.name ? ` (${image.name})` : ""}: ${image.description}`
+        : null)
+      .filter(Boolean);
+
+    return lines.length > 0
+      ? { ...message, content: [message.content, `Attached photos:\n${lines.join("\n")}`].filter(Boolean).join("\n\n") }
+      : message;
+  });
+}
+
+/**
+ * Ask the vision model to describe a photo; an unavailable model leaves the photo undescribed
+ */
+async function describeImage(dataUrl: string, question: string, requestId: string, env: Env): Promise<string | undefined> {
+  try {
+    const result = await env.AI.run(CONFIG.vision.model, {
+      messages: [{
+        role: "user",
+        content: question.trim() ? `${DESCRIBE_PROMPT}\n\nThe adjuster asked: ${question.substring(0, 500)}` : DESCRIBE_PROMPT,
+      }],
+      image: Array.from(decodeDataUrl(dataUrl)),
+      max_tokens: CONFIG.vision.maxTokens,
+      temperature: 0,
+    });
+
+    const description = typeof result?.response === "string" ? result.response.trim() : "";
+    return description.substring(0, MAX_DESCRIPTION_LENGTH) || undefined;
+
+  } catch (error) {
+    console.error(`[${requestId}] Photo description failed:`, error);
+    return undefined;
+  }
+}
+
+function decodeDataUrl(dataUrl: string): Uint8Array {
+  const binary = atob(dataUrl.substring(dataUrl.indexOf(",") + 1));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function getDecodedSize(dataUrl: string): number {
+  const base64 = dataUrl.substring(dataUrl.indexOf(",") + 1);
+  return Math.floor(base64.length * 3 / 4) - (base64.match(/=+$/)?.[0].length ?? 0);
+}
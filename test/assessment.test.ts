@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { validateDamageAssessment } from "../src/assessment";
+import { DamageAssessment } from "../src/types";
+
+function assessment(overrides: Record<string, unknown> = {}): DamageAssessment {
+  return {
+    summary: "Supply line failure under the kitchen sink, wetting cabinets and drywall.",
+    lossSource: "Kitchen supply line",
+    waterCategory: 1,
+    waterClass: 2,
+    affectedRooms: [
+      {
+        name: "Kitchen",
+        areaSqFt: 180,
+        materials: [
+          { material: "Drywall", action: "dry_in_place", notes: null },
+          { material: "Toe kick", action: "remove", notes: "Swollen particleboard" },
+        ],
+      },
+    ],
+    moistureReadings: [
+      { location: "North wall", material: "Drywall", value: 32, unit: "%", dryStandard: 12 },
+    ],
+    dryingEquipment: { airMovers: 4, dehumidifiers: 1, airScrubbers: 0 },
+    citedStandards: [{ reference: "IICRC S500 Class 2", documentIndex: 1 }],
+    ...overrides,
+  } as DamageAssessment;
+}
+
+describe("validateDamageAssessment", () => {
+  it("accepts a complete assessment", () => {
+    expect(validateDamageAssessment(assessment(), [1, 2])).toEqual([]);
+  });
+
+  it("accepts null for undeterminable fields", () => {
+    expect(validateDamageAssessment(assessment({ lossSource: null, waterCategory: null, waterClass: null }), [1])).toEqual([]);
+  });
+
+  it("rejects a reply that is not an object", () => {
+    expect(validateDamageAssessment([], [1])).toEqual(["the reply must be a JSON object"]);
+    expect(validateDamageAssessment(null, [1])).toEqual(["the reply must be a JSON object"]);
+  });
+
+  it("reports each invalid field by its path", () => {
+    const errors = validateDamageAssessment(assessment({
+      summary: " ",
+      waterCategory: 4,
+      affectedRooms: [{ name: "Kitchen", areaSqFt: -1, materials: [{ material: "Drywall", action: "replace", notes: null }] }],
+      moistureReadings: ["32%"],
+      dryingEquipment: { airMovers: 2.5, dehumidifiers: 1, airScrubbers: 0 },
+    }), [1]);
+
+    expect(errors).toEqual([
+      "summary must be a non-empty string of at most 2000 characters",
+      "waterCategory must be null or an integer from 1 to 3",
+      "affectedRooms[0].areaSqFt must be null or a non-negative number",
+      "affectedRooms[0].materials[0].action must be one of: dry_in_place, remove, clean, monitor",
+      "moistureReadings[0] must be an object",
+      "dryingEquipment.airMovers must be an integer from 0 to 1000",
+    ]);
+  });
+
+  it("only accepts citations of the documents given to the model", () => {
+    const citing = (documentIndex: number | null) =>
+      assessment({ citedStandards: [{ reference: "IICRC S500", documentIndex }] });
+
+    expect(validateDamageAssessment(citing(null), [])).toEqual([]);
+    expect(validateDamageAssessment(citing(3), [1, 2]))
+      .toEqual(["citedStandards[0].documentIndex must be null or one of: 1, 2"]);
+    expect(validateDamageAssessment(citing(1), []))
+      .toEqual(["citedStandards[0].documentIndex must be null: no knowledge base documents were given"]);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, expect, it, vi } from "vitest";
+import { applyContextBudget, ContextBudgetInput } from "../src/budget";
+import { ChatMessage, ContextBudgetConfig, RAGSource } from "../src/types";
+
+const config: ContextBudgetConfig = {
+  contextWindow: 4000,
+  ragShare: 0.6,
+  summaryMaxTokens: 100,
+  minChunkTokens: 50,
+  safetyMargin: 100,
+};
+
+function source(documentIndex: number, score: number, tokens: number, pinned?: boolean): RAGSource {
+  return {
+    documentIndex,
+    fileId: `file-${documentIndex}`,
+    filename: `doc-${documentIndex}.pdf`,
+    score,
+    snippet: "",
+    content: "x".repeat(tokens * 4),
+    pinned,
+  };
+}
+
+function message(role: ChatMessage["role"], tokens: number): ChatMessage {
+  return { role, content: "y".repeat(tokens * 4) };
+}
+
+function budget(overrides: Partial<ContextBudgetInput>) {
+  return applyContextBudget({
+    systemPrompt: "You are a helpful assistant.",
+    sources: [],
+    messages: [message("user", 10)],
+    maxTokens: 500,
+    config,
+    summarize: async () => "summary",
+    ...overrides,
+  });
+}
+
+describe("applyContextBudget", () => {
+  it("keeps everything that fits", async () => {
+    const result = await budget({
+      sources: [source(1, 0.9, 100), source(2, 0.5, 100)],
+      messages: [message("user", 50), message("assistant", 50), message("user", 10)],
+    });
+
+    expect(result.sources.map(kept => kept.documentIndex)).toEqual([1, 2]);
+    expect(result.messages).toHaveLength(3);
+    expect(result.summaryUpdated).toBe(false);
+    expect(result.report.droppedSources).toEqual([]);
+    expect(result.report.truncatedSources).toEqual([]);
+  });
+
+  it("truncates and drops the lowest-scoring sources first, keeping the document order", async () => {
+    const result = await budget({
+      sources: [source(1, 0.2, 1000), source(2, 0.9, 1000), source(3, 0.5, 1000)],
+    });
+
+    expect(result.sources.map(kept => kept.documentIndex)).toEqual([2, 3]);
+    expect(result.report.truncatedSources).toEqual([3]);
+    expect(result.report.droppedSources).toEqual([{ documentIndex: 1, filename: "doc-1.pdf", score: 0.2 }]);
+    expect(result.sources[1].content.endsWith(" […]")).toBe(true);
+  });
+
+  it("keeps pinned sources ahead of higher-scoring ones", async () => {
+    const result = await budget({
+      sources: [source(1, 0.9, 1000), source(2, 0.1, 1850, true)],
+    });
+
+    expect(result.sources.map(kept => kept.documentIndex)).toEqual([2]);
+    expect(result.report.droppedSources.map(dropped => dropped.documentIndex)).toEqual([1]);
+  });
+
+  it("folds older turns that do not fit into a summary", async () => {
+    const summarize = vi.fn(async (_previous: string | undefined, _messages: ChatMessage[]) => "Earlier: category 2 loss in the kitchen");
+    const messages = [
+      message("user", 100),
+      message("assistant", 2800),
+      message("user", 200),
+      message("assistant", 200),
+      message("user", 10),
+    ];
+
+    const result = await budget({ messages, summarize });
+
+    expect(summarize).toHaveBeenCalledOnce();
+    expect(summarize.mock.calls[0][1]).toEqual(messages.slice(0, 2));
+    expect(result.messages).toEqual(messages.slice(2));
+    expect(result.summary).toEqual({ content: "Earlier: category 2 loss in the kitchen", coveredMessages: 2 });
+    expect(result.summaryUpdated).toBe(true);
+    expect(result.report.summarizedMessages).toBe(2);
+  });
+
+  it("does not resend turns an earlier summary already covers", async () => {
+    const summarize = vi.fn(async () => "unused");
+    const messages = [message("user", 10), message("assistant", 10), message("user", 10)];
+
+    const result = await budget({
+      messages,
+      previousSummary: { content: "Earlier turns", coveredMessages: 2 },
+      summarize,
+    });
+
+    expect(summarize).not.toHaveBeenCalled();
+    expect(result.messages).toEqual(messages.slice(2));
+    expect(result.summary).toEqual({ content: "Earlier turns", coveredMessages: 2 });
+    expect(result.summaryUpdated).toBe(false);
+  });
+
+  it("drops older turns when summarization fails", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const result = await budget({
+      messages: [message("user", 100), message("assistant", 3100), message("user", 10)],
+      summarize: async () => { throw new Error("model unavailable"); },
+    });
+    vi.restoreAllMocks();
+
+    expect(result.messages).toHaveLength(1);
+    expect(result.report.summaryFailed).toBe(true);
+    expect(result.report.droppedMessages).toBe(2);
+  });
+
+  it("truncates a latest message longer than half the budget", async () => {
+    const result = await budget({ messages: [message("user", 5000)] });
+
+    expect(result.report.truncatedMessages).toBe(1);
+    expect(result.messages[0].content.endsWith(" […truncated]")).toBe(true);
+    expect(result.report.totalPromptTokens).toBeLessThanOrEqual(config.contextWindow - 500 - config.safetyMargin);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { CacheScope, getAnswerCacheKey, getSearchCacheKey } from "../src/cache";
+import { createRequestContext } from "../src/pipeline";
+import { ChatRequest } from "../src/types";
+
+const scope: CacheScope = { kv: {} as KVNamespace, version: "3", bypass: false };
+
+function answerKey(overrides: Partial<ChatRequest> = {}) {
+  const chatRequest: ChatRequest = {
+    messages: [{ role: "user", content: "How long should Class 2 drying take?" }],
+    temperature: 0,
+    ...overrides,
+  };
+  return getAnswerCacheKey(scope, chatRequest.messages, createRequestContext(chatRequest, "req_test", Date.now()));
+}
+
+describe("getAnswerCacheKey", () => {
+  it("keys deterministic answers by the index version", async () => {
+    expect(await answerKey()).toMatch(/^answer:3:[0-9a-f]{64}$/);
+  });
+
+  it("ignores case, spacing and trailing punctuation of the question", async () => {
+    expect(await answerKey({ messages: [{ role: "user", content: "  how long should class 2   drying take " }] }))
+      .toBe(await answerKey());
+  });
+
+  it("changes with the system prompt, model settings and retrieval scope", async () => {
+    const base = await answerKey();
+
+    expect(await answerKey({ systemPrompt: "Answer briefly." })).not.toBe(base);
+    expect(await answerKey({ max_tokens: 256 })).not.toBe(base);
+    expect(await answerKey({ ragSettings: { scoreThreshold: 0.5 } })).not.toBe(base);
+    expect(await answerKey({ ragSettings: { filters: { folders: ["iicrc-s500/"] } } })).not.toBe(base);
+  });
+
+  it("does not cache answers that are not deterministic", async () => {
+    expect(await answerKey({ temperature: 0.7 })).toBeNull();
+    expect(await answerKey({ pipelineMode: "aiSearch" })).toBeNull();
+    expect(await answerKey({
+      messages: [
+        { role: "user", content: "Is it category 2?" },
+        { role: "assistant", content: "Yes." },
+        { role: "user", content: "How long should drying take?" },
+      ],
+    })).toBeNull();
+    expect(await answerKey({
+      pinnedSources: [{ fileId: "f1", filename: "s500.pdf", score: 0.8, content: "Class 2 drying" }],
+    })).toBeNull();
+  });
+});
+
+describe("getSearchCacheKey", () => {
+  it("keys search results by the normalized query and retrieval settings", async () => {
+    const ragSettings = { index: "index", maxResults: 5, scoreThreshold: 0.1, rewriteQuery: true, condenseQuery: true };
+    const key = await getSearchCacheKey(scope, "Category 3 drywall?", ragSettings);
+
+    expect(key).toMatch(/^search:3:[0-9a-f]{64}$/);
+    expect(await getSearchCacheKey(scope, "category 3 drywall", ragSettings)).toBe(key);
+    expect(await getSearchCacheKey(scope, "category 3 drywall", { ...ragSettings, maxResults: 10 })).not.toBe(key);
+    expect(await getSearchCacheKey({ ...scope, version: "4" }, "category 3 drywall", ragSettings)).not.toBe(key);
+  });
+});
@@ -0,0 +1,26 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it, vi } from "vitest";
+import { CONFIG } from "../src/config";
+import { callApi, issueApiKey } from "./helpers";
+
+describe("/api/chat", () => {
+  it("rejects invalid requests with a 400 without using up the rate limit", async () => {
+    const userId = `chat-${crypto.randomUUID()}`;
+    const key = await issueApiKey(userId);
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    for (let i = 0; i < CONFIG.rateLimit.burst + 2; i++) {
+      const response = await callApi(key, "/api/chat", { method: "POST", body: JSON.stringify({ messages: [] }) });
+      expect(response.status).toBe(400);
+    }
+
+    const malformed = await callApi(key, "/api/chat", { method: "POST", body: "{" });
+    expect(malformed.status).toBe(400);
+    expect((await malformed.json<{ error: string }>()).error).toBe("Invalid request: malformed JSON body");
+
+    vi.restoreAllMocks();
+
+    const limiter = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`user:${userId}`));
+    expect((await limiter.consume(CONFIG.rateLimit)).remaining).toBe(CONFIG.rateLimit.burst - 1);
+  });
+});
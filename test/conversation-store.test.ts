@@ -0,0 +1,101 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { getConversationIndex, getConversationStub } from "../src/conversations";
+
+// Storage is shared between tests, so every conversation and user is new
+function newConversation() {
+  const id = crypto.randomUUID();
+  const userId = `user-${crypto.randomUUID()}`;
+  return { id, userId, store: getConversationStub(env, id), index: getConversationIndex(env, userId) };
+}
+
+describe("ConversationStore", () => {
+  it("creates an empty conversation and lists it for its owner", async () => {
+    const { id, userId, store, index } = newConversation();
+
+    const summary = await store.create(id, userId, "  Kitchen   loss ");
+
+    expect(summary).toMatchObject({ id, userId, title: "Kitchen loss", messageCount: 0, preview: "" });
+    expect(await store.getOwner()).toBe(userId);
+    expect(await store.getHistory()).toEqual([]);
+    expect((await index.list()).map(listed => listed.id)).toEqual([id]);
+  });
+
+  it("appends messages in order and titles an untitled conversation after its first question", async () => {
+    const { id, userId, store, index } = newConversation();
+    await store.create(id, userId);
+
+    await store.appendMessages([{ role: "user", content: "Is the drywall salvageable?" }]);
+    const summary = await store.appendMessages([{ role: "assistant", content: "Yes, if it dries within 48 hours." }]);
+
+    expect(summary).toMatchObject({ title: "Is the drywall salvageable?", messageCount: 2, preview: "Yes, if it dries within 48 hours." });
+    expect(await store.getHistory()).toEqual([
+      { role: "user", content: "Is the drywall salvageable?" },
+      { role: "assistant", content: "Yes, if it dries within 48 hours." },
+    ]);
+    const conversation = await store.getConversation();
+    expect(conversation?.messages.map(message => message.id)).toEqual(["msg_0", "msg_1"]);
+    expect((await index.list())[0]).toMatchObject({ id, messageCount: 2 });
+  });
+
+  it("branches by removing the messages after the ones kept", async () => {
+    const { id, userId, store, index } = newConversation();
+    await store.create(id, userId);
+    await store.appendMessages([
+      { role: "user", content: "First question" },
+      { role: "assistant", content: "First answer" },
+      { role: "user", content: "Second question" },
+      { role: "assistant", content: "Second answer" },
+    ]);
+    await store.saveSummary({ content: "Earlier turns", coveredMessages: 3 });
+
+    const removed = await store.branch(2);
+
+    expect(removed?.map(message => message.content)).toEqual(["Second question", "Second answer"]);
+    expect(await store.getHistory()).toEqual([
+      { role: "user", content: "First question" },
+      { role: "assistant", content: "First answer" },
+    ]);
+    // The summary covered a removed turn
+    expect(await store.getSummary()).toBeNull();
+    expect((await index.list())[0]).toMatchObject({ messageCount: 2, preview: "First answer" });
+
+    // New messages continue after the kept ones
+    await store.appendMessages([{ role: "user", content: "Edited question" }]);
+    const conversation = await store.getConversation();
+    expect(conversation?.messages.map(message => `${message.id} ${message.content}`))
+      .toEqual(["msg_0 First question", "msg_1 First answer", "msg_2 Edited question"]);
+  });
+
+  it("refuses to branch past the end of the conversation", async () => {
+    const { id, userId, store } = newConversation();
+    await store.create(id, userId);
+    await store.appendMessages([{ role: "user", content: "Only question" }]);
+
+    expect(await store.branch(1)).toEqual([]);
+    expect(await store.branch(2)).toBeNull();
+    expect(await store.branch(-1)).toBeNull();
+    expect(await store.getHistory()).toHaveLength(1);
+  });
+
+  it("deletes the conversation, its messages and its index entry", async () => {
+    const { id, userId, store, index } = newConversation();
+    await store.create(id, userId);
+    await store.appendMessages([{ role: "user", content: "Question" }]);
+
+    expect(await store.deleteConversation()).toBe(true);
+
+    expect(await store.getConversation()).toBeNull();
+    expect(await store.getOwner()).toBeNull();
+    expect(await index.list()).toEqual([]);
+    expect(await store.deleteConversation()).toBe(false);
+  });
+
+  it("does not change a conversation that was never created", async () => {
+    const { store } = newConversation();
+
+    expect(await store.appendMessages([{ role: "user", content: "Question" }])).toBeNull();
+    expect(await store.branch(0)).toBeNull();
+    expect(await store.getHistory()).toBeNull();
+  });
+});
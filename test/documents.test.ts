@@ -0,0 +1,110 @@
+import { SELF } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { CONFIG } from "../src/config";
+import { ADMIN_TOKEN } from "./helpers";
+
+const folder = CONFIG.knowledgeBaseFolders[0].path;
+
+/**
+ * Upload a file as the admin; storage is shared between tests, so names and content should be unique
+ */
+function upload(file: File, fields: Record<string, string> = {}): Promise<Response> {
+  const form = new FormData();
+  form.set("file", file);
+  form.set("folder", folder);
+  for (const [name, value] of Object.entries(fields)) {
+    form.set(name, value);
+  }
+
+  return SELF.fetch("http://localhost/api/documents", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    body: form,
+  });
+}
+
+function markdown(content = `# Drying log ${crypto.randomUUID()}`): File {
+  return new File([content], `sop-${crypto.randomUUID()}.md`, { type: "text/markdown" });
+}
+
+async function errorOf(response: Response): Promise<string> {
+  return (await response.json<{ error: string }>()).error;
+}
+
+describe("/api/documents uploads", () => {
+  it("stores an accepted document with its hash", async () => {
+    const file = markdown();
+
+    const response = await upload(file);
+
+    expect(response.status).toBe(201);
+    const { document } = await response.json<{ document: { key: string; contentType: string; sha256: string } }>();
+    expect(document.key).toBe(`${folder}${file.name}`);
+    expect(document.contentType).toBe("text/markdown");
+    expect(document.sha256).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it("rejects unsupported types and content that does not match its type", async () => {
+    const executable = await upload(new File(["MZ"], `tool-${crypto.randomUUID()}.exe`, { type: "application/octet-stream" }));
+    expect(executable.status).toBe(400);
+    expect(await errorOf(executable)).toMatch(/^Invalid request: file must be one of: /);
+
+    const fakePdf = await upload(new File(["not a pdf"], `s500-${crypto.randomUUID()}.pdf`, { type: "application/pdf" }));
+    expect(fakePdf.status).toBe(400);
+    expect(await errorOf(fakePdf)).toBe("Invalid request: file content does not match its application/pdf type");
+  });
+
+  it("rejects empty and oversized files", async () => {
+    const empty = await upload(markdown(""));
+    expect(empty.status).toBe(400);
+    expect(await errorOf(empty)).toBe("Invalid request: file must not be empty");
+
+    const oversized = await upload(markdown("x".repeat(CONFIG.documents.maxBytes + 1)));
+    expect(oversized.status).toBe(400);
+    expect(await errorOf(oversized)).toBe("Invalid request: Documents must be at most 4 MB");
+  });
+
+  it("rejects content already uploaded under another name", async () => {
+    const content = `# Moisture mapping ${crypto.randomUUID()}`;
+    const first = await upload(markdown(content));
+    const { document } = await first.json<{ document: { key: string } }>();
+
+    const duplicate = await upload(markdown(content));
+
+    expect(duplicate.status).toBe(409);
+    expect(await errorOf(duplicate)).toBe(`This document was already uploaded as ${document.key}`);
+  });
+
+  it("only overwrites an existing name with replace=true", async () => {
+    const name = `sop-${crypto.randomUUID()}.md`;
+    const version = (text: string) => new File([`${text} ${crypto.randomUUID()}`], name, { type: "text/markdown" });
+    expect((await upload(version("First"))).status).toBe(201);
+
+    const conflict = await upload(version("Second"));
+    expect(conflict.status).toBe(409);
+    expect(await errorOf(conflict)).toBe(`A document named ${folder}${name} already exists; send replace=true to overwrite it`);
+
+    expect((await upload(version("Second"), { replace: "true" })).status).toBe(201);
+  });
+
+  it("re-uploads unchanged content over the same name with replace=true", async () => {
+    const file = markdown();
+    expect((await upload(file)).status).toBe(201);
+
+    const replaced = await upload(file, { replace: "true" });
+    expect(replaced.status).toBe(201);
+
+    // Without replace it is still a duplicate
+    expect((await upload(file)).status).toBe(409);
+  });
+
+  it("needs the admin token", async () => {
+    const form = new FormData();
+    form.set("file", markdown());
+    form.set("folder", folder);
+
+    const response = await SELF.fetch("http://localhost/api/documents", { method: "POST", body: form });
+
+    expect(response.status).toBe(401);
+  });
+});
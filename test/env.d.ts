@@ -0,0 +1,6 @@
+import type { Env } from "../src/types";
+
+declare module "cloudflare:test" {
+  // Bindings from wrangler.jsonc as the Worker types them, available as `env` in tests
+  interface ProvidedEnv extends Env {}
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it, vi } from "vitest";
+import { parseGoldenSet, runEvaluation } from "../src/eval/harness";
+import { diffRuns } from "../src/eval/report";
+import { EvalRun, QuestionScore } from "../src/eval/types";
+
+const goldenSets = import.meta.glob<unknown>("../eval/golden/*.json", { eager: true, import: "default" });
+const baselines = import.meta.glob<EvalRun>("../eval/baselines/*.json", { eager: true, import: "default" });
+
+describe("golden sets", () => {
+  it("finds at least one golden set", () => {
+    expect(Object.keys(goldenSets).length).toBeGreaterThan(0);
+  });
+
+  for (const [path, value] of Object.entries(goldenSets)) {
+    it(`${path} has no regressions against its baseline`, async () => {
+      const set = parseGoldenSet(value, path);
+      const baseline = baselines[`../eval/baselines/${set.name}.json`];
+      expect(baseline, `no baseline for ${set.name}; run npm run eval -- --update-baselines`).toBeDefined();
+
+      // The pipeline logs every stage
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      const run = await runEvaluation(set);
+      vi.restoreAllMocks();
+
+      const diff = diffRuns(baseline, run);
+      expect(diff.questions.filter(question => question.status === "regressed")).toEqual([]);
+      expect(run.summary.errors).toBe(baseline.summary.errors);
+    });
+  }
+});
+
+describe("diffRuns", () => {
+  const score = (id: string, overall: number, overrides: Partial<QuestionScore> = {}): QuestionScore => ({
+    id,
+    retrievalHitRate: overall,
+    citationAccuracy: overall,
+    keywordCoverage: overall,
+    overall,
+    retrievedSources: [],
+    missingSources: [],
+    citedDocuments: [],
+    invalidCitations: [],
+    unsupportedCitations: [],
+    missingKeywords: [],
+    fallbackUsed: false,
+    ...overrides,
+  });
+
+  const run = (questions: QuestionScore[]): EvalRun => ({
+    setName: "set",
+    startedAt: "2026-01-01T00:00:00.000Z",
+    config: {
+      model: "model",
+      pipelineMode: "custom",
+      ragSettings: { maxResults: 5, scoreThreshold: 0.1, rewriteQuery: true, condenseQuery: true },
+    },
+    summary: { questions: questions.length, retrievalHitRate: 0, citationAccuracy: 0, keywordCoverage: 0, overall: 0, errors: 0 },
+    questions,
+  });
+
+  it("classifies improved, regressed, unchanged, added and removed questions", () => {
+    const diff = diffRuns(
+      run([score("up", 0.5), score("down", 0.9), score("same", 0.7), score("gone", 1)]),
+      run([score("up", 0.8), score("down", 0.6), score("same", 0.7), score("new", 1)])
+    );
+
+    const statuses = Object.fromEntries(diff.questions.map(question => [question.id, question.status]));
+    expect(statuses).toEqual({ up: "improved", down: "regressed", same: "unchanged", new: "added", gone: "removed" });
+    expect(diff.regressions).toBe(1);
+    expect(diff.questions.find(question => question.id === "down")!.deltas.overall).toBeCloseTo(-0.3);
+  });
+
+  it("counts a metric drop as a regression when the overall score is unchanged", () => {
+    const diff = diffRuns(
+      run([score("q", 0.8)]),
+      run([score("q", 0.8, { citationAccuracy: 0.5, keywordCoverage: 1 })])
+    );
+
+    expect(diff.questions[0].status).toBe("regressed");
+  });
+
+  it("ignores changes within the tolerance", () => {
+    const diff = diffRuns(run([score("q", 0.8)]), run([score("q", 0.8005)]));
+
+    expect(diff.questions[0]).toEqual({ id: "q", status: "unchanged", deltas: {} });
+    expect(diff.regressions).toBe(0);
+  });
+});
@@ -0,0 +1,51 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it, vi } from "vitest";
+import { CONFIG } from "../src/config";
+import { handleFeedbackReportRequest } from "../src/feedback";
+import { Env, FeedbackRecord, FeedbackReport } from "../src/types";
+import { ADMIN_TOKEN } from "./helpers";
+
+/**
+ * Store a down rating the way POST /api/feedback does
+ */
+async function rateDown(requestId: string, createdAt: string): Promise<void> {
+  const record = {
+    requestId,
+    rating: "down",
+    userId: "feedback-test",
+    createdAt,
+    answer: { requestId, query: "Is category 3 drywall salvageable?", sources: [{ documentIndex: 1, filename: "s500.pdf", folder: "iicrc-s500/", score: 0.4 }] },
+  } as FeedbackRecord;
+
+  await env.FEEDBACK!.put(`feedback:${requestId}`, JSON.stringify(record), {
+    metadata: { rating: "down", createdAt },
+  });
+}
+
+describe("/api/feedback/report", () => {
+  it("reads at most reportLimit down-rated records, newest first", async () => {
+    const limit = CONFIG.feedback.reportLimit;
+    const start = Date.now() - 60 * 60 * 1000;
+    const run = crypto.randomUUID().slice(0, 8);
+    for (let i = 0; i < limit + 5; i++) {
+      await rateDown(`req_${start + i}_${run}${i}`, new Date(start + i * 1000).toISOString());
+    }
+
+    const kv = env.FEEDBACK!;
+    const get = vi.fn((key: string) => kv.get(key, "json"));
+    const counted = { ...env, FEEDBACK: { list: kv.list.bind(kv), get } } as unknown as Env;
+
+    const response = await handleFeedbackReportRequest(
+      new Request("http://localhost/api/feedback/report", { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } }),
+      counted,
+      new URL("http://localhost/api/feedback/report")
+    );
+
+    expect(response.status).toBe(200);
+    const { report } = await response.json<{ report: FeedbackReport }>();
+    expect(report.ratings.down).toBeGreaterThanOrEqual(limit + 5);
+    expect(report.lowRated).toHaveLength(limit);
+    expect(report.lowRated[0].createdAt).toBe(new Date(start + (limit + 4) * 1000).toISOString());
+    expect(get).toHaveBeenCalledTimes(limit);
+  });
+});
@@ -0,0 +1,98 @@
+import { env, SELF } from "cloudflare:test";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { CONFIG } from "../src/config";
+import { handleHealthDetailsRequest } from "../src/health";
+import { Env, HealthReport } from "../src/types";
+
+describe("health", () => {
+  it("answers the public liveness check without naming the model or index", async () => {
+    const response = await SELF.fetch("http://localhost/api/health");
+
+    expect(response.status).toBe(200);
+    const { health } = await response.json<{ health: Record<string, unknown> }>();
+    expect(Object.keys(health).sort()).toEqual(["checkedAt", "status"]);
+    expect(health.status).toBe("ok");
+  });
+
+  it("needs an authenticated user for the probes", async () => {
+    const response = await SELF.fetch("http://localhost/api/health/details");
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe("/api/health/details probes", () => {
+  // Each test starts after the previous report has expired
+  let now = Date.parse("2026-01-01T00:00:00.000Z");
+
+  beforeEach(() => {
+    now += 60 * 60 * 1000;
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(now);
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * The Worker's env with the model catalog and search replaced
+   */
+  function probedEnv(models: () => Promise<Array<{ name: string }>>, search: () => Promise<unknown>): Env {
+    return {
+      ...env,
+      AI: { models, autorag: () => ({ search }) },
+    } as unknown as Env;
+  }
+
+  const request = () => new Request("http://localhost/api/health/details");
+  const listed = async () => [{ name: CONFIG.model }];
+  const found = async () => ({ data: [{ filename: "s500.pdf" }] });
+
+  it("reports ok when the model is listed and the search answers", async () => {
+    const response = await handleHealthDetailsRequest(request(), probedEnv(listed, found));
+
+    expect(response.status).toBe(200);
+    const { health } = await response.json<{ health: HealthReport }>();
+    expect(health.status).toBe("ok");
+    expect(health.model).toMatchObject({ status: "ok", name: CONFIG.model });
+    expect(health.knowledgeBase).toMatchObject({ status: "ok", documentsFound: 1 });
+  });
+
+  it("answers 503 when the model is unavailable", async () => {
+    const response = await handleHealthDetailsRequest(request(), probedEnv(
+      async () => { throw new Error("binding unavailable"); },
+      found
+    ));
+
+    expect(response.status).toBe(503);
+    const { health } = await response.json<{ health: HealthReport }>();
+    expect(health.status).toBe("down");
+    expect(health.model).toMatchObject({ status: "down", error: "binding unavailable" });
+  });
+
+  it("reports a failed search as degraded", async () => {
+    const response = await handleHealthDetailsRequest(request(), probedEnv(
+      listed,
+      async () => { throw new Error("index missing"); }
+    ));
+
+    expect(response.status).toBe(200);
+    expect((await response.json<{ health: HealthReport }>()).health.status).toBe("degraded");
+  });
+
+  it("reuses a finished report until it expires", async () => {
+    const models = vi.fn(listed);
+    const probed = probedEnv(models, found);
+
+    await handleHealthDetailsRequest(request(), probed);
+    await handleHealthDetailsRequest(request(), probed);
+    expect(models).toHaveBeenCalledOnce();
+
+    vi.setSystemTime(now + CONFIG.health.cacheSeconds * 1000);
+    await handleHealthDetailsRequest(request(), probed);
+    expect(models).toHaveBeenCalledTimes(2);
+  });
+});
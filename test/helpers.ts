@@ -0,0 +1,26 @@
+import { SELF } from "cloudflare:test";
+
+export const ADMIN_TOKEN = "test-admin-token";
+
+/**
+ * Issue an API key through /api/keys and return the key
+ */
+export async function issueApiKey(userId: string): Promise<string> {
+  const response = await SELF.fetch("http://localhost/api/keys", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    body: JSON.stringify({ userId }),
+  });
+  const { key } = await response.json<{ key: string }>();
+  return key;
+}
+
+/**
+ * Call the API as the holder of a key
+ */
+export function callApi(key: string, path: string, init: RequestInit = {}): Promise<Response> {
+  return SELF.fetch(`http://localhost${path}`, {
+    ...init,
+    headers: { Authorization: `Bearer ${key}`, ...init.headers },
+  });
+}
@@ -0,0 +1,26 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { CONFIG } from "../src/config";
+import { callApi, issueApiKey } from "./helpers";
+
+describe("/v1/chat/completions", () => {
+  it("does not use up the rate limit on invalid requests", async () => {
+    const userId = `openai-${crypto.randomUUID()}`;
+    const key = await issueApiKey(userId);
+
+    for (let i = 0; i < CONFIG.rateLimit.burst + 2; i++) {
+      const response = await callApi(key, "/v1/chat/completions", {
+        method: "POST",
+        body: JSON.stringify({ model: "gpt-4", messages: [{ role: "tool", content: "x" }] }),
+      });
+      expect(response.status).toBe(400);
+      expect((await response.json<{ error: { message: string } }>()).error.message)
+        .toBe("Invalid request: messages with role tool are not supported");
+    }
+
+    const limiter = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`user:${userId}`));
+    const decision = await limiter.consume(CONFIG.rateLimit);
+    expect(decision.allowed).toBe(true);
+    expect(decision.remaining).toBe(CONFIG.rateLimit.burst - 1);
+  });
+});
@@ -0,0 +1,74 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { callApi, issueApiKey } from "./helpers";
+
+let alice: string;
+let bob: string;
+
+beforeAll(async () => {
+  alice = await issueApiKey(`alice-${crypto.randomUUID()}`);
+  bob = await issueApiKey(`bob-${crypto.randomUUID()}`);
+});
+
+const json = (body: unknown): RequestInit => ({ method: "POST", body: JSON.stringify(body) });
+
+describe("conversation ownership", () => {
+  it("only lists and serves a conversation to the user who created it", async () => {
+    const created = await callApi(alice, "/api/conversations", json({ title: "Kitchen loss" }));
+    expect(created.status).toBe(201);
+    const { conversation } = await created.json<{ conversation: { id: string; userId: string } }>();
+
+    const aliceList = await (await callApi(alice, "/api/conversations")).json<{ conversations: Array<{ id: string }> }>();
+    const bobList = await (await callApi(bob, "/api/conversations")).json<{ conversations: Array<{ id: string }> }>();
+    expect(aliceList.conversations.map(summary => summary.id)).toContain(conversation.id);
+    expect(bobList.conversations.map(summary => summary.id)).not.toContain(conversation.id);
+
+    const path = `/api/conversations/${conversation.id}`;
+    expect((await callApi(bob, path)).status).toBe(404);
+    expect((await callApi(bob, path, { method: "PATCH", body: JSON.stringify({ title: "Mine now" }) })).status).toBe(404);
+    expect((await callApi(bob, `${path}/messages/0`, { method: "PATCH", body: JSON.stringify({ version: 0 }) })).status).toBe(404);
+    expect((await callApi(bob, path, { method: "DELETE" })).status).toBe(404);
+
+    const read = await callApi(alice, path);
+    expect(read.status).toBe(200);
+    expect((await read.json<{ conversation: { title: string } }>()).conversation.title).toBe("Kitchen loss");
+  });
+
+  it("does not let another user continue or branch a conversation", async () => {
+    const created = await callApi(alice, "/api/conversations", json({
+      messages: [
+        { role: "user", content: "Is this category 2?" },
+        { role: "assistant", content: "Yes." },
+      ],
+    }));
+    const { conversation } = await created.json<{ conversation: { id: string } }>();
+
+    const response = await callApi(bob, "/api/chat", json({
+      messages: [{ role: "user", content: "Replace the answer" }],
+      conversationId: conversation.id,
+      branchFrom: 0,
+    }));
+    expect(response.status).toBe(404);
+
+    const read = await (await callApi(alice, `/api/conversations/${conversation.id}`)).json<{ conversation: { messageCount: number } }>();
+    expect(read.conversation.messageCount).toBe(2);
+  });
+});
+
+describe("preset ownership", () => {
+  it("only lists and changes a custom preset for the user who created it", async () => {
+    const created = await callApi(alice, "/api/presets", json({ name: "Adjuster notes", prompt: "Write adjuster notes." }));
+    expect(created.status).toBe(201);
+    const { preset } = await created.json<{ preset: { id: string } }>();
+
+    const bobPresets = await (await callApi(bob, "/api/presets")).json<{ presets: Array<{ id: string }> }>();
+    expect(bobPresets.presets.map(listed => listed.id)).not.toContain(preset.id);
+
+    const path = `/api/presets/${preset.id}`;
+    expect((await callApi(bob, path)).status).toBe(404);
+    expect((await callApi(bob, path, { method: "PATCH", body: JSON.stringify({ name: "Hijacked" }) })).status).toBe(404);
+    expect((await callApi(bob, path, { method: "DELETE" })).status).toBe(404);
+
+    const alicePresets = await (await callApi(alice, "/api/presets")).json<{ presets: Array<{ id: string; name: string }> }>();
+    expect(alicePresets.presets.find(listed => listed.id === preset.id)?.name).toBe("Adjuster notes");
+  });
+});
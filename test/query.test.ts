@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { buildSearchFilters, validateKnowledgeBaseFilters } from "../src/query";
+import { SearchResult } from "../src/types";
+
+function result(timestamp?: number): SearchResult {
+  return {
+    file_id: "file",
+    filename: "doc.pdf",
+    score: 0.5,
+    attributes: { folder: "iicrc-s500/", timestamp },
+    content: [],
+  };
+}
+
+describe("validateKnowledgeBaseFilters", () => {
+  it("accepts a missing or valid scope", () => {
+    expect(validateKnowledgeBaseFilters(undefined)).toEqual([]);
+    expect(validateKnowledgeBaseFilters({
+      folders: ["iicrc-s500/", "internal-sops"],
+      modifiedAfter: "2024-01-01",
+      modifiedBefore: "2024-12-31",
+    })).toEqual([]);
+  });
+
+  it("rejects malformed scopes", () => {
+    expect(validateKnowledgeBaseFilters([])).toEqual(["ragSettings.filters must be an object"]);
+    expect(validateKnowledgeBaseFilters({ folders: ["../secrets"] }))
+      .toEqual(["ragSettings.filters.folders must be a list of folder names"]);
+    expect(validateKnowledgeBaseFilters({ folders: Array.from({ length: 11 }, (_, i) => `folder-${i}`) }))
+      .toEqual(["ragSettings.filters.folders allows at most 10 folders"]);
+    expect(validateKnowledgeBaseFilters({ modifiedAfter: "yesterday", modifiedBefore: 5 })).toEqual([
+      "ragSettings.filters.modifiedAfter must be an ISO date",
+      "ragSettings.filters.modifiedBefore must be an ISO date",
+    ]);
+  });
+
+  it("rejects a date range that ends before it starts", () => {
+    expect(validateKnowledgeBaseFilters({ modifiedAfter: "2024-06-01", modifiedBefore: "2024-01-01" }))
+      .toEqual(["ragSettings.filters.modifiedAfter must be before modifiedBefore"]);
+  });
+});
+
+describe("buildSearchFilters", () => {
+  it("has no filter without a scope", () => {
+    const plan = buildSearchFilters(undefined);
+
+    expect(plan.filter).toBeUndefined();
+    expect(plan.matchesResult(result())).toBe(true);
+  });
+
+  it("normalizes a single folder to a trailing-slash prefix", () => {
+    expect(buildSearchFilters({ folders: ["/iicrc-s500"] }).filter)
+      .toEqual({ type: "eq", key: "folder", value: "iicrc-s500/" });
+  });
+
+  it("combines a folder and an inclusive date range with and", () => {
+    const plan = buildSearchFilters({ folders: ["iicrc-s500/"], modifiedAfter: "2024-01-01", modifiedBefore: "2024-01-31" });
+
+    expect(plan.filter).toEqual({
+      type: "and",
+      filters: [
+        { type: "eq", key: "folder", value: "iicrc-s500/" },
+        { type: "gte", key: "timestamp", value: Date.parse("2024-01-01") },
+        { type: "lte", key: "timestamp", value: Date.parse("2024-02-01") - 1 },
+      ],
+    });
+  });
+
+  it("uses or for several folders and checks the dates on the results", () => {
+    const plan = buildSearchFilters({
+      folders: ["iicrc-s500/", "internal-sops/", "iicrc-s500"],
+      modifiedAfter: "2024-01-01",
+    });
+
+    expect(plan.filter).toEqual({
+      type: "or",
+      filters: [
+        { type: "eq", key: "folder", value: "iicrc-s500/" },
+        { type: "eq", key: "folder", value: "internal-sops/" },
+      ],
+    });
+    expect(plan.matchesResult(result(Date.parse("2024-03-01")))).toBe(true);
+    expect(plan.matchesResult(result(Date.parse("2023-12-31")))).toBe(false);
+    // Results without a timestamp are kept
+    expect(plan.matchesResult(result())).toBe(true);
+  });
+});
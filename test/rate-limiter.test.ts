@@ -0,0 +1,94 @@
+import { env, runInDurableObject } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { RateLimitPolicy } from "../src/types";
+
+const policy: RateLimitPolicy = { requestsPerMinute: 20, burst: 3, dailyTokenQuota: 1000 };
+
+// Storage is shared between tests, so every client is new
+function newLimiter() {
+  return env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`client-${crypto.randomUUID()}`));
+}
+
+/**
+ * Move the stored bucket back in time, as if the client had been idle
+ */
+async function rewindBucket(limiter: ReturnType<typeof newLimiter>, ms: number): Promise<void> {
+  await runInDurableObject(limiter, async (_instance, state) => {
+    const bucket = await state.storage.get<{ tokens: number; updatedAt: number }>("bucket");
+    await state.storage.put("bucket", { ...bucket!, updatedAt: bucket!.updatedAt - ms });
+  });
+}
+
+describe("RateLimiter.consume", () => {
+  it("allows a burst and then asks the client to wait for the next token", async () => {
+    const limiter = newLimiter();
+
+    const remaining = [];
+    for (let i = 0; i < policy.burst; i++) {
+      const decision = await limiter.consume(policy);
+      expect(decision.allowed).toBe(true);
+      remaining.push(decision.remaining);
+    }
+    expect(remaining).toEqual([2, 1, 0]);
+
+    const rejected = await limiter.consume(policy);
+    expect(rejected).toMatchObject({ allowed: false, reason: "requests", remaining: 0, limit: policy.burst });
+    // One token every 3 seconds at 20 requests a minute
+    expect(rejected.retryAfterSeconds).toBe(3);
+  });
+
+  it("refills at requestsPerMinute", async () => {
+    const limiter = newLimiter();
+    for (let i = 0; i < policy.burst; i++) {
+      await limiter.consume(policy);
+    }
+
+    // Two tokens' worth of idle time
+    await rewindBucket(limiter, 6000);
+
+    expect((await limiter.consume(policy)).allowed).toBe(true);
+    expect((await limiter.consume(policy)).allowed).toBe(true);
+    expect((await limiter.consume(policy)).allowed).toBe(false);
+  });
+
+  it("does not refill beyond the burst", async () => {
+    const limiter = newLimiter();
+    await limiter.consume(policy);
+
+    await rewindBucket(limiter, 60 * 60 * 1000);
+
+    expect((await limiter.consume(policy)).remaining).toBe(policy.burst - 1);
+  });
+});
+
+describe("RateLimiter daily token quota", () => {
+  it("rejects requests once today's usage reaches the quota, until the next UTC day", async () => {
+    const limiter = newLimiter();
+
+    expect(await limiter.recordUsage(600)).toBe(600);
+    expect((await limiter.consume(policy)).tokensUsedToday).toBe(600);
+    expect(await limiter.recordUsage(400)).toBe(1000);
+
+    const rejected = await limiter.consume(policy);
+    expect(rejected).toMatchObject({ allowed: false, reason: "daily_tokens", remaining: 0, tokensUsedToday: 1000 });
+    expect(rejected.retryAfterSeconds).toBeGreaterThan(0);
+    expect(rejected.retryAfterSeconds).toBeLessThanOrEqual(24 * 60 * 60);
+  });
+
+  it("starts a new day at zero", async () => {
+    const limiter = newLimiter();
+    await runInDurableObject(limiter, async (_instance, state) => {
+      await state.storage.put("usage", { day: "2000-01-01", tokens: 5000 });
+    });
+
+    const decision = await limiter.consume(policy);
+    expect(decision).toMatchObject({ allowed: true, tokensUsedToday: 0 });
+  });
+
+  it("has no quota when dailyTokenQuota is 0", async () => {
+    const limiter = newLimiter();
+    await limiter.recordUsage(5000);
+
+    expect((await limiter.consume({ ...policy, dailyTokenQuota: 0 })).allowed).toBe(true);
+  });
+});
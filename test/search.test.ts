@@ -0,0 +1,26 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { CONFIG } from "../src/config";
+import { callApi, issueApiKey } from "./helpers";
+
+const search = (body: unknown): RequestInit => ({ method: "POST", body: JSON.stringify(body) });
+
+describe("/api/search", () => {
+  it("shares the caller's rate limit, after validation", async () => {
+    const userId = `search-${crypto.randomUUID()}`;
+    const key = await issueApiKey(userId);
+
+    expect((await callApi(key, "/api/search", search({ query: "" }))).status).toBe(400);
+
+    // Use up the burst the way chat requests would
+    const limiter = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`user:${userId}`));
+    for (let i = 0; i < CONFIG.rateLimit.burst; i++) {
+      expect((await limiter.consume(CONFIG.rateLimit)).allowed).toBe(true);
+    }
+
+    const response = await callApi(key, "/api/search", search({ query: "drying standards" }));
+    expect(response.status).toBe(429);
+    expect(response.headers.get("Retry-After")).not.toBeNull();
+    expect(response.headers.get("X-RateLimit-Remaining")).toBe("0");
+  });
+});
@@ -0,0 +1,19 @@
+import { defineWorkersConfig } from "@cloudflare/vitest-pool-workers/config";
+
+export default defineWorkersConfig({
+  test: {
+    poolOptions: {
+      workers: {
+        // SQLite-backed Durable Objects and R2 leave WAL files that isolated storage cannot pop;
+        // tests use unique names instead
+        isolatedStorage: false,
+        singleWorker: true,
+        wrangler: { configPath: "./wrangler.jsonc" },
+        miniflare: {
+          // Secrets normally set with `wrangler secret put`
+          bindings: { ADMIN_TOKEN: "test-admin-token", SESSION_SECRET: "test-session-secret" },
+        },
+      },
+    },
+  },
+});
@@ -1,13 +1,29 @@
 /* eslint-disable */
-// Generated by Wrangler by running `wrangler types` (hash: 80249d21cfe83a36e0716221efea2fbf)
+// Generated by Wrangler by running `wrangler types` (hash: f98a1ccf3860fcb45e15968955badcbe)
 // Runtime types generated with workerd@1.20250508.0 2025-04-01 global_fetch_strictly_public,nodejs_compat
 declare namespace Cloudflare {
 	interface Env {
+		PRESETS: KVNamespace;
+		API_KEYS: KVNamespace;
+		RAG_CACHE: KVNamespace;
+		FEEDBACK: KVNamespace;
+		METRICS: AnalyticsEngineDataset;
+		DOCUMENTS: R2Bucket;
+		ALLOWED_ORIGINS: "";
+		CONVERSATIONS: DurableObjectNamespace<import("./src/index").ConversationStore>;
+		CONVERSATION_INDEX: DurableObjectNamespace<import("./src/index").ConversationIndex>;
+		RATE_LIMITER: DurableObjectNamespace<import("./src/index").RateLimiter>;
 		AI: Ai;
 		ASSETS: Fetcher;
 	}
 }
 interface Env extends Cloudflare.Env {}
+type StringifyValues<EnvType extends Record<string, unknown>> = {
+	[Binding in keyof EnvType]: EnvType[Binding] extends string ? EnvType[Binding] : string;
+};
+declare namespace NodeJS {
+	interface ProcessEnv extends StringifyValues<Pick<Cloudflare.Env, "ALLOWED_ORIGINS">> {}
+}
 
 // Begin runtime types
 /*! *****************************************************************************